@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/*
+  Schema migration CLI for Live Alpha Tracker
+  - migrate [--to <version>]   apply pending migrations from src/migrations
+  - rollback [--steps <n>]     revert the most recently applied migration(s)
+  - status                     list applied and pending migrations
+*/
+
+require('dotenv').config();
+
+const { initializeDB, closeDB } = require('../src/config/database');
+const { migrate, rollback, getStatus } = require('../src/config/migrator');
+
+function readFlag(args, name, fallback) {
+  const idx = args.indexOf(`--${name}`);
+  if (idx === -1 || args[idx + 1] === undefined) return fallback;
+  const value = parseInt(args[idx + 1], 10);
+  if (!Number.isFinite(value)) {
+    throw new Error(`--${name} expects a number`);
+  }
+  return value;
+}
+
+(async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  let exitCode = 0;
+
+  try {
+    const db = await initializeDB({ checkSchema: false });
+
+    switch (command) {
+      case 'migrate': {
+        const applied = await migrate(db, { to: readFlag(args, 'to', Infinity) });
+        console.log(`\n⬆️  ${applied.length} migration(s) applied`);
+        break;
+      }
+
+      case 'rollback': {
+        const reverted = await rollback(db, { steps: readFlag(args, 'steps', 1) });
+        console.log(`\n⬇️  ${reverted.length} migration(s) reverted`);
+        break;
+      }
+
+      case 'status': {
+        const status = await getStatus(db);
+        console.log('\n=== Schema Migrations ===');
+        status.forEach(m => {
+          const icon = m.missing ? '⚠️ ' : m.applied ? '✅' : '⏳';
+          const info = m.missing ? 'applied, file missing' : m.applied ? `applied ${m.appliedAt}` : 'pending';
+          console.log(`${icon} ${String(m.version).padStart(3, '0')}_${m.name} - ${info}`);
+        });
+        const pending = status.filter(m => !m.applied).length;
+        console.log(`\n${pending} pending`);
+        break;
+      }
+
+      default:
+        console.error(`Unknown command: ${command}. Use: migrate, rollback or status`);
+        exitCode = 1;
+    }
+  } catch (e) {
+    console.error('❌ Migration command failed:', e.message || String(e));
+    exitCode = 1;
+  }
+
+  try { await closeDB(); } catch {}
+  process.exit(exitCode);
+})();
@@ -11,7 +11,7 @@ require('dotenv').config();
 
 (async () => {
   const { AlphaTrackerServer } = require('../src/server');
-  const { getPool } = require('../src/config/database');
+  const { getRepositories } = require('../src/config/database');
 
   const results = { ok: true, steps: [] };
   const record = (name, ok, info = '') => {
@@ -72,23 +72,16 @@ require('dotenv').config();
 
   // 4) Insert a test tweet and verify it appears
   try {
-    const pool = getPool();
     const nowMs = Date.now();
     const testId = String(nowMs);
     const username = 'alpha_smoke_test';
-    await pool.execute(
-      `INSERT INTO cz_tweets (id, text, created_at, created_at_ms, like_count, retweet_count, reply_count, quote_count, impression_count, url, username)
-       VALUES (?, ?, FROM_UNIXTIME(?/1000), ?, 0,0,0,0,0, ?, ?)
-       ON DUPLICATE KEY UPDATE text = VALUES(text)`,
-      [
-        testId,
-        '[SMOKE] This is a test tweet from smokeTest.js',
-        nowMs,
-        nowMs,
-        `https://twitter.com/${username}/status/${testId}`,
-        username
-      ]
-    );
+    await getRepositories().tweets.upsertMany([
+      {
+        id: testId,
+        text: '[SMOKE] This is a test tweet from smokeTest.js',
+        created_at: new Date(nowMs).toISOString()
+      }
+    ], username);
     const r = await fetchJson(`${baseUrl}/api/tweets/live`);
     const found = Array.isArray(r.data) && r.data.some(t => String(t.id) === testId);
     record('Insert & fetch test tweet', r.ok && found, found ? 'present in live feed' : 'not found');
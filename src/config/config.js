@@ -1,4 +1,5 @@
 require('dotenv').config();
+const { getPlans, getRateLimits } = require('./rateLimitPlans');
 
 /**
  * Application configuration with environment-specific settings
@@ -20,33 +21,17 @@ const config = {
     // Twitter API configuration
     twitter: {
         bearerToken: process.env.TWITTER_BEARER_TOKEN,
-        plan: process.env.TWITTER_PLAN || 'pro', // 'basic', 'pro', 'enterprise'
+        plan: process.env.TWITTER_PLAN || 'pro', // 'basic', 'pro', 'enterprise' or a plan from TWITTER_PLANS_FILE
+        plansFile: process.env.TWITTER_PLANS_FILE || null,
         accounts: {
             production: (process.env.TWITTER_ACCOUNTS || 'cz_binance,CookerFlips,ShockedJS').split(',').map(a => a.trim()),
             test: (process.env.TWITTER_TEST_ACCOUNTS || 'alien88ted').split(',').map(a => a.trim())
         }
     },
 
-    // Rate limiting configuration based on Twitter plan
-    rateLimits: {
-        basic: {
-            userTimeline: { requests: 75, windowMs: 15 * 60 * 1000 },
-            userLookup: { requests: 300, windowMs: 15 * 60 * 1000 },
-            searchStream: { requests: 50, windowMs: 15 * 60 * 1000 },
-            streamRules: { requests: 25, windowMs: 15 * 60 * 1000 }
-        },
-        pro: {
-            userTimeline: { requests: 300, windowMs: 15 * 60 * 1000 },
-            userLookup: { requests: 1000, windowMs: 15 * 60 * 1000 },
-            searchStream: { requests: 50, windowMs: 15 * 60 * 1000 },
-            streamRules: { requests: 25, windowMs: 15 * 60 * 1000 }
-        },
-        enterprise: {
-            userTimeline: { requests: 1000, windowMs: 15 * 60 * 1000 },
-            userLookup: { requests: 3000, windowMs: 15 * 60 * 1000 },
-            searchStream: { requests: 200, windowMs: 15 * 60 * 1000 },
-            streamRules: { requests: 100, windowMs: 15 * 60 * 1000 }
-        }
+    // Rate limiting configuration based on Twitter plan (see rateLimitPlans.js)
+    get rateLimits() {
+        return getRateLimits();
     },
 
     // Tracker configuration
@@ -103,8 +88,13 @@ function validateConfig() {
         errors.push('DATABASE_URL is required');
     }
 
-    if (!config.rateLimits[config.twitter.plan]) {
-        errors.push(`Invalid Twitter plan: ${config.twitter.plan}. Must be 'basic', 'pro', or 'enterprise'`);
+    try {
+        const plans = getPlans({ reload: true });
+        if (!plans[config.twitter.plan]) {
+            errors.push(`Invalid Twitter plan: ${config.twitter.plan}. Must be one of: ${Object.keys(plans).join(', ')}`);
+        }
+    } catch (error) {
+        errors.push(`Invalid rate limit plans: ${error.message}`);
     }
 
     if (config.twitter.accounts.production.length === 0) {
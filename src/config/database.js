@@ -1,67 +1,39 @@
-const mysql = require('mysql2/promise');
+const { createDriver } = require('../storage');
+const { createRepositories } = require('../repositories');
+const { migrate, assertSchemaCurrent } = require('./migrator');
 require('dotenv').config();
 
 let pool;
+let repositories;
 
 /**
- * Initialize database connection pool with proper error handling
+ * Initialize the storage driver selected by DATABASE_URL (mysql:// or sqlite:).
+ * Refuses to continue when migrations are pending unless checkSchema is false (migration CLI).
  */
-async function initializeDB() {
+async function initializeDB({ checkSchema = true } = {}) {
     try {
         if (!process.env.DATABASE_URL) {
             throw new Error('DATABASE_URL environment variable is required');
         }
 
         const dbUrl = process.env.DATABASE_URL; // keep as-is to preserve ssl JSON for PlanetScale
-        console.log('🔗 Connecting to database...');
+        const driver = createDriver(dbUrl);
+        console.log(`🔗 Connecting to ${driver.dialect} database...`);
 
-        // Parse the database URL
-        const url = new URL(dbUrl);
+        await driver.connect();
+        pool = driver;
+        repositories = createRepositories(driver);
+        console.log('✅ Database connection established');
 
-        // Create connection pool with optimized settings
-        // Extract optional ssl param from query string for PlanetScale, e.g. ssl={"rejectUnauthorized":true}
-        let ssl = false;
-        const sslParam = url.searchParams.get('ssl');
-        if (sslParam) {
-            try {
-                ssl = JSON.parse(sslParam);
-            } catch {
-                // fallback: if value is like {rejectUnauthorized:true}
-                try { ssl = eval('(' + sslParam + ')'); } catch {}
+        if (checkSchema) {
+            // Opt-in for local setups; production deployments run "npm run migrate" explicitly
+            if (process.env.DB_AUTO_MIGRATE === 'true') {
+                await migrate(pool);
             }
+            await assertSchemaCurrent(pool);
+            console.log('✅ Database schema verified');
         }
 
-        // Default SSL behavior: in production, enforce TLS; otherwise permissive
-        if (!ssl) {
-            ssl = process.env.NODE_ENV === 'production' ? { rejectUnauthorized: true } : { rejectUnauthorized: false };
-        }
-
-        pool = mysql.createPool({
-            host: url.hostname,
-            port: url.port || 3306,
-            user: url.username,
-            password: url.password,
-            database: url.pathname.substring(1),
-            waitForConnections: true,
-            connectionLimit: 10,
-            queueLimit: 0,
-            connectTimeout: 60000,
-            ssl,
-            timezone: 'Z',
-            dateStrings: true
-        });
-
-        // Test the connection and enforce UTC at session level
-        const connection = await pool.getConnection();
-        try {
-            await connection.execute("SET time_zone = '+00:00'");
-        } catch {}
-        console.log('✅ Database connection established');
-        connection.release();
-
-        // Create tables
-        await createTables();
-        
         return pool;
     } catch (error) {
         console.error('❌ Database initialization failed:', error.message);
@@ -70,185 +42,23 @@ async function initializeDB() {
 }
 
 /**
- * Create required database tables
+ * Get the active storage driver (exposes execute() and dialect helpers)
  */
-async function createTables() {
-    try {
-        // Create tweets table
-        await pool.execute(`
-            CREATE TABLE IF NOT EXISTS cz_tweets (
-                id VARCHAR(50) PRIMARY KEY,
-                text TEXT,
-                created_at TIMESTAMP,
-                retweet_count INT DEFAULT 0,
-                like_count INT DEFAULT 0,
-                reply_count INT DEFAULT 0,
-                quote_count INT DEFAULT 0,
-                impression_count INT DEFAULT 0,
-                url VARCHAR(255),
-                username VARCHAR(50) DEFAULT 'cz_binance',
-				conversation_id VARCHAR(50) NULL,
-				in_reply_to_status_id VARCHAR(50) NULL,
-				in_reply_to_user_id VARCHAR(50) NULL,
-                retrieved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                INDEX idx_created_at (created_at),
-                INDEX idx_username (username),
-				INDEX idx_retrieved_at (retrieved_at),
-				INDEX idx_conversation_id (conversation_id),
-				INDEX idx_in_reply_to_status_id (in_reply_to_status_id)
-            )
-        `);
-
-        // Create API usage tracking table
-        await pool.execute(`
-            CREATE TABLE IF NOT EXISTS api_usage (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                window_start BIGINT NOT NULL,
-                requests_count INT DEFAULT 0,
-                daily_date DATE NOT NULL,
-                daily_requests INT DEFAULT 0,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                UNIQUE KEY unique_window (window_start),
-                UNIQUE KEY unique_daily (daily_date)
-            )
-        `);
-
-		// Create AI insights cache table
-		await pool.execute(`
-			CREATE TABLE IF NOT EXISTS ai_insights (
-				id INT AUTO_INCREMENT PRIMARY KEY,
-				checksum VARCHAR(64) NOT NULL,
-				model VARCHAR(64) NOT NULL,
-				content MEDIUMTEXT NOT NULL,
-				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-				UNIQUE KEY unique_checksum_model (checksum, model),
-				INDEX idx_created_at (created_at)
-			)
-		`);
-
-		// Create AI notify state table (single-row state)
-		await pool.execute(`
-			CREATE TABLE IF NOT EXISTS ai_notify_state (
-				id INT PRIMARY KEY DEFAULT 1,
-				last_digest_at TIMESTAMP NULL,
-				last_digest_checksum VARCHAR(64) NULL,
-				last_urgent_at TIMESTAMP NULL,
-				last_urgent_checksum VARCHAR(64) NULL,
-				updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-			)
-		`);
-
-		// Create AI notify history table
-		await pool.execute(`
-			CREATE TABLE IF NOT EXISTS ai_notify_history (
-				id INT AUTO_INCREMENT PRIMARY KEY,
-				message TEXT NOT NULL,
-				urgency VARCHAR(32) NULL,
-				summary_checksum VARCHAR(64) NULL,
-				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-				INDEX idx_created_at (created_at)
-			)
-		`);
-
-		// Create AI runs table (usage & cost ledger)
-		await pool.execute(`
-			CREATE TABLE IF NOT EXISTS ai_runs (
-				id INT AUTO_INCREMENT PRIMARY KEY,
-				model VARCHAR(64) NOT NULL,
-				prompt_tokens INT DEFAULT 0,
-				completion_tokens INT DEFAULT 0,
-				input_cost_usd DECIMAL(10,6) DEFAULT 0,
-				output_cost_usd DECIMAL(10,6) DEFAULT 0,
-				total_cost_usd DECIMAL(10,6) GENERATED ALWAYS AS (input_cost_usd + output_cost_usd) VIRTUAL,
-				checksum VARCHAR(64) NULL,
-				purpose VARCHAR(64) NULL,
-				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-				INDEX idx_model (model),
-				INDEX idx_created_at (created_at)
-			)
-		`);
-
-		// Create AI usage tracking table
-		await pool.execute(`
-			CREATE TABLE IF NOT EXISTS ai_usage_log (
-				id BIGINT AUTO_INCREMENT PRIMARY KEY,
-				model VARCHAR(50) NOT NULL,
-				input_tokens INT DEFAULT 0,
-				output_tokens INT DEFAULT 0,
-				cost_usd DECIMAL(10,4) DEFAULT 0,
-				execution_time_ms INT DEFAULT 0,
-				operation_type VARCHAR(50) DEFAULT 'analysis',
-				created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-				INDEX idx_created_at (created_at),
-				INDEX idx_model (model),
-				INDEX idx_operation_type (operation_type)
-			)
-		`);
-
-		// Create tracked accounts table (dynamic monitored accounts)
-		await pool.execute(`
-			CREATE TABLE IF NOT EXISTS tracked_accounts (
-				id INT AUTO_INCREMENT PRIMARY KEY,
-				username VARCHAR(50) UNIQUE,
-				is_test TINYINT(1) DEFAULT 0,
-				added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-			)
-		`);
-
-		// Add columns if they don't exist (for existing tables)
-        try {
-			await pool.execute(`ALTER TABLE cz_tweets ADD COLUMN username VARCHAR(50) DEFAULT 'cz_binance'`);
-			console.log('✅ Added username column to existing table');
-        } catch (alterError) {
-            // Column might already exist, ignore the error
-            if (!alterError.message.includes('Duplicate column name')) {
-                console.log('ℹ️  Username column already exists');
-            }
-        }
-
-		// Add conversation/thread columns if missing
-		try {
-			await pool.execute(`ALTER TABLE cz_tweets ADD COLUMN conversation_id VARCHAR(50) NULL`);
-			console.log('✅ Added conversation_id column');
-		} catch (alterError) {
-			if (!alterError.message.includes('Duplicate column name')) {
-				console.log('ℹ️  conversation_id column already exists');
-			}
-		}
-
-		try {
-			await pool.execute(`ALTER TABLE cz_tweets ADD COLUMN in_reply_to_status_id VARCHAR(50) NULL`);
-			console.log('✅ Added in_reply_to_status_id column');
-		} catch (alterError) {
-			if (!alterError.message.includes('Duplicate column name')) {
-				console.log('ℹ️  in_reply_to_status_id column already exists');
-			}
-		}
-
-		try {
-			await pool.execute(`ALTER TABLE cz_tweets ADD COLUMN in_reply_to_user_id VARCHAR(50) NULL`);
-			console.log('✅ Added in_reply_to_user_id column');
-		} catch (alterError) {
-			if (!alterError.message.includes('Duplicate column name')) {
-				console.log('ℹ️  in_reply_to_user_id column already exists');
-			}
-		}
-
-        console.log('✅ Database tables created/verified successfully');
-    } catch (error) {
-        console.error('❌ Error creating tables:', error.message);
-        throw error;
+function getPool() {
+    if (!pool) {
+        throw new Error('Database not initialized. Call initializeDB() first.');
     }
+    return pool;
 }
 
 /**
- * Get database connection pool
+ * Get repositories bound to the active storage driver
  */
-function getPool() {
-    if (!pool) {
+function getRepositories() {
+    if (!repositories) {
         throw new Error('Database not initialized. Call initializeDB() first.');
     }
-    return pool;
+    return repositories;
 }
 
 /**
@@ -256,13 +66,16 @@ function getPool() {
  */
 async function closeDB() {
     if (pool) {
-        await pool.end();
+        await pool.close();
+        pool = null;
+        repositories = null;
         console.log('✅ Database connections closed');
     }
 }
 
-module.exports = { 
-    initializeDB, 
+module.exports = {
+    initializeDB,
     getPool,
+    getRepositories,
     closeDB
 };
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Load numbered migration files (e.g. 001_baseline_schema.js) sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file,
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    const seen = new Set();
+    for (const migration of migrations) {
+        if (seen.has(migration.version)) {
+            throw new Error(`Duplicate migration version ${migration.version} (${migration.file})`);
+        }
+        seen.add(migration.version);
+    }
+
+    return migrations;
+}
+
+/**
+ * Create the schema_migrations ledger table if it does not exist
+ */
+async function ensureLedger(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Get applied migrations from the ledger (version -> row)
+ */
+async function getAppliedMigrations(db) {
+    await ensureLedger(db);
+    const [rows] = await db.execute('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    return new Map(rows.map(row => [Number(row.version), row]));
+}
+
+/**
+ * List every known migration with its applied state
+ */
+async function getStatus(db) {
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(db);
+
+    const status = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: applied.has(m.version),
+        appliedAt: applied.get(m.version)?.applied_at || null
+    }));
+
+    // Versions recorded in the ledger but missing on disk (e.g. deployed from a newer build)
+    const known = new Set(migrations.map(m => m.version));
+    for (const [version, row] of applied.entries()) {
+        if (!known.has(version)) {
+            status.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+        }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get migrations that have not been applied yet
+ */
+async function getPendingMigrations(db) {
+    const applied = await getAppliedMigrations(db);
+    return loadMigrations().filter(m => !applied.has(m.version));
+}
+
+/**
+ * Apply all pending migrations in order (optionally up to a target version)
+ */
+async function migrate(db, { to = Infinity } = {}) {
+    const pending = (await getPendingMigrations(db)).filter(m => m.version <= to);
+    const applied = [];
+
+    for (const migration of pending) {
+        console.log(`⬆️  Applying migration ${migration.file}...`);
+        await migration.up(db);
+        await db.execute('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        applied.push(migration);
+        console.log(`✅ Applied ${migration.file}`);
+    }
+
+    if (applied.length === 0) {
+        console.log('✅ Database schema is up to date');
+    }
+
+    return applied;
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+async function rollback(db, { steps = 1 } = {}) {
+    const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+    const applied = Array.from((await getAppliedMigrations(db)).keys()).sort((a, b) => b - a);
+    const reverted = [];
+
+    for (const version of applied.slice(0, steps)) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`Cannot roll back migration ${version}: file not found in ${MIGRATIONS_DIR}`);
+        }
+        console.log(`⬇️  Reverting migration ${migration.file}...`);
+        await migration.down(db);
+        await db.execute('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        reverted.push(migration);
+        console.log(`✅ Reverted ${migration.file}`);
+    }
+
+    return reverted;
+}
+
+/**
+ * Throw if the database schema is behind the migrations on disk
+ */
+async function assertSchemaCurrent(db) {
+    const pending = await getPendingMigrations(db);
+    if (pending.length > 0) {
+        const names = pending.map(m => m.file).join(', ');
+        throw new Error(`Database schema is behind (${pending.length} pending: ${names}). Run "npm run migrate" first.`);
+    }
+}
+
+/**
+ * Schema helpers for migrations that must be safe on pre-ledger databases.
+ * Each one works against both the MySQL and SQLite drivers.
+ */
+async function tableExists(db, table) {
+    const [rows] = db.dialect === 'sqlite'
+        ? await db.execute(`SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name = ?`, [table])
+        : await db.execute(
+            'SELECT COUNT(*) AS count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?',
+            [table]
+        );
+    return Number(rows[0].count) > 0;
+}
+
+async function columnExists(db, table, column) {
+    const [rows] = db.dialect === 'sqlite'
+        ? await db.execute('SELECT COUNT(*) AS count FROM pragma_table_info(?) WHERE name = ?', [table, column])
+        : await db.execute(
+            'SELECT COUNT(*) AS count FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?',
+            [table, column]
+        );
+    return Number(rows[0].count) > 0;
+}
+
+/**
+ * SQLite index names are database-wide, so they are namespaced by table there
+ */
+function physicalIndexName(db, table, index) {
+    return db.dialect === 'sqlite' ? `${table}__${index}` : index;
+}
+
+async function indexExists(db, table, index) {
+    const [rows] = db.dialect === 'sqlite'
+        ? await db.execute(
+            `SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name = ?`,
+            [table, physicalIndexName(db, table, index)]
+        )
+        : await db.execute(
+            'SELECT COUNT(*) AS count FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?',
+            [table, index]
+        );
+    return Number(rows[0].count) > 0;
+}
+
+async function addColumnIfMissing(db, table, column, definition) {
+    if (await columnExists(db, table, column)) return false;
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+async function dropColumnIfExists(db, table, column) {
+    if (!(await columnExists(db, table, column))) return false;
+    await db.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+}
+
+async function addIndexIfMissing(db, table, index, columns, { unique = false } = {}) {
+    if (await indexExists(db, table, index)) return false;
+    await db.execute(`CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${physicalIndexName(db, table, index)} ON ${table} (${columns})`);
+    return true;
+}
+
+async function dropIndexIfExists(db, table, index) {
+    if (!(await indexExists(db, table, index))) return false;
+    await db.execute(db.dialect === 'sqlite' ? `DROP INDEX ${physicalIndexName(db, table, index)}` : `DROP INDEX ${index} ON ${table}`);
+    return true;
+}
+
+/**
+ * Column definition for an auto-incrementing surrogate key
+ */
+function autoIncrementId(db, type = 'INT') {
+    return db.dialect === 'sqlite' ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : `${type} AUTO_INCREMENT PRIMARY KEY`;
+}
+
+/**
+ * TIMESTAMP default that also refreshes on update where the dialect supports it
+ */
+function timestampOnUpdate(db) {
+    return db.dialect === 'sqlite'
+        ? 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+        : 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP';
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getStatus,
+    getPendingMigrations,
+    migrate,
+    rollback,
+    assertSchemaCurrent,
+    tableExists,
+    columnExists,
+    indexExists,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    addIndexIfMissing,
+    dropIndexIfExists,
+    autoIncrementId,
+    timestampOnUpdate
+};
@@ -0,0 +1,137 @@
+// Twitter API plan profiles: the single source of rate limits for config, RateLimitManager and TwitterService
+// Each endpoint has `providerLimit` (what X allows per window) and `requests` (what we use, leaving headroom)
+
+const fs = require('fs');
+const path = require('path');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+const BUILTIN_PLANS = {
+    // Basic/Essential plan
+    basic: {
+        description: 'Basic',
+        endpoints: {
+            userTimeline: { requests: 75, providerLimit: 75 },
+            userLookup: { requests: 300, providerLimit: 300 },
+            searchStream: { requests: 50, providerLimit: 50 },
+            streamRules: { requests: 25, providerLimit: 25 },
+            tweetLookup: { requests: 15, providerLimit: 15 }
+        }
+    },
+    // Pro plan ($5000/month) - AGGRESSIVE USAGE FOR SPEED
+    pro: {
+        description: 'Pro',
+        endpoints: {
+            userTimeline: { requests: 280, providerLimit: 300 },
+            userLookup: { requests: 900, providerLimit: 1000 },
+            searchStream: { requests: 45, providerLimit: 50 },
+            streamRules: { requests: 20, providerLimit: 25 },
+            tweetLookup: { requests: 400, providerLimit: 450 }
+        }
+    },
+    // Enterprise limits are negotiated per contract; define a custom plan when yours differ
+    enterprise: {
+        description: 'Enterprise',
+        endpoints: {
+            userTimeline: { requests: 950, providerLimit: 1000 },
+            userLookup: { requests: 2850, providerLimit: 3000 },
+            searchStream: { requests: 190, providerLimit: 200 },
+            streamRules: { requests: 95, providerLimit: 100 },
+            tweetLookup: { requests: 1400, providerLimit: 1500 }
+        }
+    }
+};
+
+// Endpoints the tracker calls; every plan needs a limit for each
+const REQUIRED_ENDPOINTS = Object.keys(BUILTIN_PLANS.pro.endpoints);
+
+/**
+ * Resolve one plan from its definition: `extends` copies another plan's endpoints, `windowMs` sets the
+ * window of every endpoint (inherited ones included), and each endpoint may override `requests`,
+ * `providerLimit` and `windowMs`
+ */
+function resolvePlan(name, definitions, seen = new Set()) {
+    const definition = definitions[name];
+    if (!definition) throw new Error(`Unknown Twitter plan: ${name}`);
+    if (seen.has(name)) throw new Error(`Twitter plan ${name} extends itself`);
+    seen.add(name);
+
+    const base = definition.extends ? resolvePlan(definition.extends, definitions, seen) : null;
+    const windowMs = definition.windowMs || base?.windowMs || WINDOW_MS;
+    const endpoints = {};
+
+    // A plan with its own windowMs applies it to the endpoints it inherits as well
+    for (const [endpoint, limit] of Object.entries(base?.endpoints || {})) {
+        endpoints[endpoint] = definition.windowMs ? { ...limit, windowMs } : { ...limit };
+    }
+    for (const [endpoint, limit] of Object.entries(definition.endpoints || {})) {
+        const merged = { ...endpoints[endpoint], ...limit };
+        const requests = Number(merged.requests);
+        if (!Number.isInteger(requests) || requests <= 0) {
+            throw new Error(`Twitter plan ${name}: ${endpoint}.requests must be a positive integer`);
+        }
+        const providerLimit = Number(merged.providerLimit ?? requests);
+        if (!Number.isInteger(providerLimit) || providerLimit < requests) {
+            throw new Error(`Twitter plan ${name}: ${endpoint}.providerLimit must be an integer of at least ${requests}`);
+        }
+        endpoints[endpoint] = { requests, providerLimit, windowMs: Number(merged.windowMs) || windowMs };
+    }
+
+    const missing = REQUIRED_ENDPOINTS.filter(endpoint => !endpoints[endpoint]);
+    if (missing.length > 0) {
+        throw new Error(`Twitter plan ${name} has no limits for ${missing.join(', ')} (define them or use "extends")`);
+    }
+
+    return { name, description: definition.description || base?.description || name, windowMs, endpoints };
+}
+
+/**
+ * Custom plan definitions from a JSON file ({ "<plan>": { extends, windowMs, endpoints } });
+ * empty when no file is configured
+ */
+function readCustomPlans(file = process.env.TWITTER_PLANS_FILE) {
+    if (!file) return {};
+    const definitions = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        throw new Error(`${file} must contain an object of plan definitions`);
+    }
+    return definitions;
+}
+
+let registry = null;
+
+/**
+ * All plans by name (built-in plans plus custom ones, which may replace them), resolved once
+ */
+function getPlans({ reload = false } = {}) {
+    if (registry && !reload) return registry;
+
+    const definitions = { ...BUILTIN_PLANS, ...readCustomPlans() };
+    const plans = {};
+    for (const name of Object.keys(definitions)) {
+        plans[name] = resolvePlan(name, definitions);
+    }
+    registry = plans;
+    return registry;
+}
+
+/**
+ * A resolved plan, or null when it is not defined
+ */
+function getPlan(name = process.env.TWITTER_PLAN || 'pro') {
+    return getPlans()[name] || null;
+}
+
+/**
+ * { endpoint: { requests, providerLimit, windowMs } } for every plan
+ */
+function getRateLimits() {
+    return Object.fromEntries(Object.values(getPlans()).map(plan => [plan.name, plan.endpoints]));
+}
+
+module.exports = {
+    BUILTIN_PLANS,
+    getPlans,
+    getPlan,
+    getRateLimits
+};
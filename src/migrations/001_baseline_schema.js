@@ -0,0 +1,152 @@
+const { addColumnIfMissing, addIndexIfMissing, autoIncrementId, timestampOnUpdate } = require('../config/migrator');
+
+/**
+ * Baseline schema: every table createTables() used to create on boot.
+ * Uses IF NOT EXISTS so databases created before the ledger existed are adopted as-is.
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS cz_tweets (
+            id VARCHAR(50) PRIMARY KEY,
+            text TEXT,
+            created_at TIMESTAMP,
+            retweet_count INT DEFAULT 0,
+            like_count INT DEFAULT 0,
+            reply_count INT DEFAULT 0,
+            quote_count INT DEFAULT 0,
+            impression_count INT DEFAULT 0,
+            url VARCHAR(255),
+            username VARCHAR(50) DEFAULT 'cz_binance',
+            conversation_id VARCHAR(50) NULL,
+            in_reply_to_status_id VARCHAR(50) NULL,
+            in_reply_to_user_id VARCHAR(50) NULL,
+            retrieved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Columns added to cz_tweets after its first release
+    await addColumnIfMissing(db, 'cz_tweets', 'username', `VARCHAR(50) DEFAULT 'cz_binance'`);
+    await addColumnIfMissing(db, 'cz_tweets', 'conversation_id', 'VARCHAR(50) NULL');
+    await addColumnIfMissing(db, 'cz_tweets', 'in_reply_to_status_id', 'VARCHAR(50) NULL');
+    await addColumnIfMissing(db, 'cz_tweets', 'in_reply_to_user_id', 'VARCHAR(50) NULL');
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_created_at', 'created_at');
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_username', 'username');
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_retrieved_at', 'retrieved_at');
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_conversation_id', 'conversation_id');
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_in_reply_to_status_id', 'in_reply_to_status_id');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS api_usage (
+            id ${autoIncrementId(db)},
+            window_start BIGINT NOT NULL,
+            requests_count INT DEFAULT 0,
+            daily_date DATE NOT NULL,
+            daily_requests INT DEFAULT 0,
+            updated_at ${timestampOnUpdate(db)}
+        )
+    `);
+    await addIndexIfMissing(db, 'api_usage', 'unique_window', 'window_start', { unique: true });
+    await addIndexIfMissing(db, 'api_usage', 'unique_daily', 'daily_date', { unique: true });
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS ai_insights (
+            id ${autoIncrementId(db)},
+            checksum VARCHAR(64) NOT NULL,
+            model VARCHAR(64) NOT NULL,
+            content MEDIUMTEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'ai_insights', 'unique_checksum_model', 'checksum, model', { unique: true });
+    await addIndexIfMissing(db, 'ai_insights', 'idx_created_at', 'created_at');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS ai_notify_state (
+            id INT PRIMARY KEY DEFAULT 1,
+            last_digest_at TIMESTAMP NULL,
+            last_digest_checksum VARCHAR(64) NULL,
+            last_urgent_at TIMESTAMP NULL,
+            last_urgent_checksum VARCHAR(64) NULL,
+            updated_at ${timestampOnUpdate(db)}
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS ai_notify_history (
+            id ${autoIncrementId(db)},
+            message TEXT NOT NULL,
+            urgency VARCHAR(32) NULL,
+            summary_checksum VARCHAR(64) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'ai_notify_history', 'idx_created_at', 'created_at');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS ai_runs (
+            id ${autoIncrementId(db)},
+            model VARCHAR(64) NOT NULL,
+            prompt_tokens INT DEFAULT 0,
+            completion_tokens INT DEFAULT 0,
+            input_cost_usd DECIMAL(10,6) DEFAULT 0,
+            output_cost_usd DECIMAL(10,6) DEFAULT 0,
+            total_cost_usd DECIMAL(10,6) GENERATED ALWAYS AS (input_cost_usd + output_cost_usd) VIRTUAL,
+            checksum VARCHAR(64) NULL,
+            purpose VARCHAR(64) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'ai_runs', 'idx_model', 'model');
+    await addIndexIfMissing(db, 'ai_runs', 'idx_created_at', 'created_at');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS ai_usage_log (
+            id ${autoIncrementId(db, 'BIGINT')},
+            model VARCHAR(50) NOT NULL,
+            input_tokens INT DEFAULT 0,
+            output_tokens INT DEFAULT 0,
+            cost_usd DECIMAL(10,4) DEFAULT 0,
+            execution_time_ms INT DEFAULT 0,
+            operation_type VARCHAR(50) DEFAULT 'analysis',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'ai_usage_log', 'idx_created_at', 'created_at');
+    await addIndexIfMissing(db, 'ai_usage_log', 'idx_model', 'model');
+    await addIndexIfMissing(db, 'ai_usage_log', 'idx_operation_type', 'operation_type');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tracked_accounts (
+            id ${autoIncrementId(db)},
+            username VARCHAR(50) UNIQUE,
+            is_test TINYINT(1) DEFAULT 0,
+            added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Previously created lazily by RateLimitManager on ER_NO_SUCH_TABLE
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+            id ${autoIncrementId(db)},
+            endpoint_key VARCHAR(100) NOT NULL,
+            endpoint VARCHAR(50) NOT NULL,
+            window_start BIGINT NOT NULL,
+            requests_count INT DEFAULT 0,
+            last_updated ${timestampOnUpdate(db)},
+            account_id VARCHAR(50) NULL
+        )
+    `);
+    await addIndexIfMissing(db, 'rate_limits', 'unique_endpoint_window', 'endpoint_key, window_start', { unique: true });
+    await addIndexIfMissing(db, 'rate_limits', 'idx_endpoint', 'endpoint');
+    await addIndexIfMissing(db, 'rate_limits', 'idx_window_start', 'window_start');
+    await addIndexIfMissing(db, 'rate_limits', 'idx_last_updated', 'last_updated');
+}
+
+/**
+ * Irreversible: these tables hold data from before the ledger existed, so they are never dropped
+ */
+async function down() {
+    throw new Error('The baseline migration cannot be rolled back; it would drop pre-existing tables and their data');
+}
+
+module.exports = { up, down };
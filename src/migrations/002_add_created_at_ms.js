@@ -0,0 +1,24 @@
+const { addColumnIfMissing, addIndexIfMissing, dropColumnIfExists, dropIndexIfExists } = require('../config/migrator');
+
+/**
+ * Millisecond-precision creation time used by the live feed and time-window queries.
+ * saveTweetsToDb() and getFreshTweets() relied on this column before any migration created it.
+ */
+async function up(db) {
+    await addColumnIfMissing(db, 'cz_tweets', 'created_at_ms', 'BIGINT NULL');
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_created_at_ms', 'created_at_ms');
+
+    // Backfill rows saved before the column existed
+    await db.execute(
+        `UPDATE cz_tweets
+         SET created_at_ms = ${db.epochMs('created_at')}
+         WHERE created_at_ms IS NULL AND created_at IS NOT NULL`
+    );
+}
+
+async function down(db) {
+    await dropIndexIfExists(db, 'cz_tweets', 'idx_created_at_ms');
+    await dropColumnIfExists(db, 'cz_tweets', 'created_at_ms');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+const { addIndexIfMissing, dropIndexIfExists } = require('../config/migrator');
+
+/**
+ * Composite index backing keyset pagination on GET /api/tweets: ORDER BY created_at_ms DESC, id DESC.
+ * Also stores usernames lowercase, so the account filters compare the indexed column directly
+ * instead of LOWER(username). The original spelling is not kept, so down() leaves it lowercase.
+ */
+async function up(db) {
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_created_at_ms_id', 'created_at_ms, id');
+    // Unconditional: MySQL's case-insensitive collation treats 'Foo' <> 'foo' as false
+    await db.execute('UPDATE cz_tweets SET username = LOWER(username)');
+}
+
+async function down(db) {
+    await dropIndexIfExists(db, 'cz_tweets', 'idx_created_at_ms_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+const { indexExists, dropIndexIfExists } = require('../config/migrator');
+
+/**
+ * FULLTEXT index for GET /api/tweets/search.
+ * SQLite has no FULLTEXT; TweetRepository keeps an in-process inverted index there instead.
+ */
+async function up(db) {
+    if (db.dialect === 'sqlite') return;
+    if (await indexExists(db, 'cz_tweets', 'ft_text')) return;
+    await db.execute('CREATE FULLTEXT INDEX ft_text ON cz_tweets (text)');
+}
+
+async function down(db) {
+    if (db.dialect === 'sqlite') return;
+    await dropIndexIfExists(db, 'cz_tweets', 'ft_text');
+}
+
+module.exports = { up, down };
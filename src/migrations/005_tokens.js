@@ -0,0 +1,30 @@
+const { addIndexIfMissing, timestampOnUpdate } = require('../config/migrator');
+
+/**
+ * Token registry backing /api/crypto/*: one row per asset, keyed by CoinGecko id
+ * (or "cmc-<id>" for assets only known to CoinMarketCap).
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tokens (
+            id VARCHAR(128) PRIMARY KEY,
+            symbol VARCHAR(32) NOT NULL,
+            name VARCHAR(255) NULL,
+            coingecko_id VARCHAR(128) NULL,
+            cmc_id INT NULL,
+            chains TEXT NULL,
+            contract_addresses TEXT NULL,
+            market_cap_rank INT NULL,
+            source VARCHAR(32) DEFAULT 'seed',
+            updated_at ${timestampOnUpdate(db)}
+        )
+    `);
+    await addIndexIfMissing(db, 'tokens', 'idx_symbol', 'symbol');
+    await addIndexIfMissing(db, 'tokens', 'idx_cmc_id', 'cmc_id');
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS tokens');
+}
+
+module.exports = { up, down };
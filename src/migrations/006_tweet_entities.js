@@ -0,0 +1,51 @@
+const { addIndexIfMissing, autoIncrementId } = require('../config/migrator');
+const { extractEntities } = require('../services/entityExtractor');
+
+const BACKFILL_BATCH = 500;
+
+/**
+ * Contract addresses, DEX/launchpad links and cashtags detected in tweet text.
+ * Existing tweets are backfilled from their stored text.
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tweet_entities (
+            id ${autoIncrementId(db, 'BIGINT')},
+            tweet_id VARCHAR(50) NOT NULL,
+            type VARCHAR(16) NOT NULL,
+            chain VARCHAR(32) NULL,
+            value VARCHAR(512) NOT NULL,
+            address VARCHAR(128) NULL,
+            platform VARCHAR(32) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'tweet_entities', 'unique_tweet_entity', 'tweet_id, type, value', { unique: true });
+    await addIndexIfMissing(db, 'tweet_entities', 'idx_type_value', 'type, value');
+    await addIndexIfMissing(db, 'tweet_entities', 'idx_address', 'address');
+
+    let lastId = '';
+    for (;;) {
+        const [rows] = await db.execute(
+            `SELECT id, text FROM cz_tweets WHERE id > ? ORDER BY id LIMIT ${BACKFILL_BATCH}`,
+            [lastId]
+        );
+        if (rows.length === 0) break;
+        lastId = rows[rows.length - 1].id;
+
+        for (const row of rows) {
+            for (const entity of extractEntities(row.text)) {
+                await db.execute(
+                    `${db.insertIgnore()} INTO tweet_entities (tweet_id, type, chain, value, address, platform) VALUES (?, ?, ?, ?, ?, ?)`,
+                    [row.id, entity.type, entity.chain, entity.value, entity.address, entity.platform]
+                );
+            }
+        }
+    }
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS tweet_entities');
+}
+
+module.exports = { up, down };
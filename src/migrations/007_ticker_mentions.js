@@ -0,0 +1,35 @@
+const { addIndexIfMissing, autoIncrementId } = require('../config/migrator');
+
+/**
+ * One row per (ticker, tweet) cashtag mention, denormalized with account and tweet time
+ * for the ticker timeline / first-caller queries. Backfilled from tweet_entities.
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS ticker_mentions (
+            id ${autoIncrementId(db, 'BIGINT')},
+            ticker VARCHAR(16) NOT NULL,
+            username VARCHAR(50) NOT NULL,
+            tweet_id VARCHAR(50) NOT NULL,
+            mentioned_at_ms BIGINT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'ticker_mentions', 'unique_ticker_tweet', 'ticker, tweet_id', { unique: true });
+    await addIndexIfMissing(db, 'ticker_mentions', 'idx_ticker_time', 'ticker, mentioned_at_ms');
+    await addIndexIfMissing(db, 'ticker_mentions', 'idx_username', 'username');
+
+    await db.execute(
+        `${db.insertIgnore()} INTO ticker_mentions (ticker, username, tweet_id, mentioned_at_ms)
+         SELECT e.value, t.username, t.id, t.created_at_ms
+         FROM tweet_entities e
+         JOIN cz_tweets t ON t.id = e.tweet_id
+         WHERE e.type = 'cashtag' AND t.created_at_ms IS NOT NULL AND t.username IS NOT NULL`
+    );
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS ticker_mentions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+const { addIndexIfMissing, autoIncrementId } = require('../config/migrator');
+
+/**
+ * Price of a ticker when an account calls it (horizon 'mention') and re-sampled at +1h/+6h/+24h/+7d.
+ * Rows are scheduled as 'pending' and become 'captured' or 'missed' once due.
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS price_snapshots (
+            id ${autoIncrementId(db, 'BIGINT')},
+            ticker VARCHAR(16) NOT NULL,
+            username VARCHAR(50) NOT NULL,
+            tweet_id VARCHAR(50) NOT NULL,
+            mentioned_at_ms BIGINT NOT NULL,
+            horizon VARCHAR(8) NOT NULL,
+            due_at_ms BIGINT NOT NULL,
+            status VARCHAR(16) NOT NULL DEFAULT 'pending',
+            price DOUBLE NULL,
+            source VARCHAR(32) NULL,
+            captured_at_ms BIGINT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'price_snapshots', 'unique_call_horizon', 'ticker, tweet_id, horizon', { unique: true });
+    await addIndexIfMissing(db, 'price_snapshots', 'idx_status_due', 'status, due_at_ms');
+    await addIndexIfMissing(db, 'price_snapshots', 'idx_username_ticker', 'username, ticker, mentioned_at_ms');
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS price_snapshots');
+}
+
+module.exports = { up, down };
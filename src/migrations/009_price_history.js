@@ -0,0 +1,30 @@
+const { addIndexIfMissing, autoIncrementId } = require('../config/migrator');
+
+/**
+ * OHLC candles per symbol and resolution ('1m' … '1d'), keyed by candle open time.
+ * Only closed candles are stored; volume is in USD and NULL when the provider has none.
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS price_history (
+            id ${autoIncrementId(db, 'BIGINT')},
+            symbol VARCHAR(16) NOT NULL,
+            resolution VARCHAR(8) NOT NULL,
+            open_time_ms BIGINT NOT NULL,
+            open DOUBLE NOT NULL,
+            high DOUBLE NOT NULL,
+            low DOUBLE NOT NULL,
+            close DOUBLE NOT NULL,
+            volume_usd DOUBLE NULL,
+            source VARCHAR(32) NOT NULL,
+            fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'price_history', 'unique_symbol_candle', 'symbol, resolution, open_time_ms', { unique: true });
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS price_history');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+const { addIndexIfMissing, timestampOnUpdate } = require('../config/migrator');
+
+/**
+ * Dynamic symbol resolution: admin-pinned symbol overrides and a report of tickers the
+ * registry could not resolve. Drops the rows seeded from the old hand-maintained ticker maps
+ * (some were wrong, e.g. ASTER -> astar); the registry is now filled from provider coin lists.
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS token_overrides (
+            symbol VARCHAR(32) PRIMARY KEY,
+            token_id VARCHAR(128) NULL,
+            contract_address VARCHAR(255) NULL,
+            chain VARCHAR(32) NULL,
+            note VARCHAR(255) NULL,
+            updated_at ${timestampOnUpdate(db)}
+        )
+    `);
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS unresolved_tickers (
+            symbol VARCHAR(32) PRIMARY KEY,
+            lookups INT NOT NULL DEFAULT 0,
+            first_seen_at_ms BIGINT NOT NULL,
+            last_seen_at_ms BIGINT NOT NULL,
+            priced_by VARCHAR(32) NULL
+        )
+    `);
+    await addIndexIfMissing(db, 'unresolved_tickers', 'idx_last_seen', 'last_seen_at_ms');
+
+    await db.execute(`DELETE FROM tokens WHERE source = 'seed'`);
+}
+
+async function down(db) {
+    // Seed rows are not restored; refresh the registry instead
+    await db.execute('DROP TABLE IF EXISTS unresolved_tickers');
+    await db.execute('DROP TABLE IF EXISTS token_overrides');
+}
+
+module.exports = { up, down };
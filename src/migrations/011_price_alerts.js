@@ -0,0 +1,43 @@
+const { addIndexIfMissing, autoIncrementId, timestampOnUpdate } = require('../config/migrator');
+
+/**
+ * User-defined price alert rules evaluated on each price update, and the alerts they fired
+ * (also used for per-rule, per-symbol cooldowns)
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS price_alert_rules (
+            id ${autoIncrementId(db)},
+            name VARCHAR(100) NOT NULL,
+            rule_type VARCHAR(32) NOT NULL,
+            symbol VARCHAR(32) NULL,
+            params TEXT NOT NULL,
+            channels VARCHAR(64) NOT NULL DEFAULT 'telegram,discord',
+            cooldown_minutes INT NOT NULL DEFAULT 60,
+            enabled TINYINT(1) NOT NULL DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestampOnUpdate(db)}
+        )
+    `);
+    await addIndexIfMissing(db, 'price_alert_rules', 'idx_enabled', 'enabled');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS price_alert_events (
+            id ${autoIncrementId(db, 'BIGINT')},
+            rule_id INT NOT NULL,
+            symbol VARCHAR(32) NOT NULL,
+            fired_at_ms BIGINT NOT NULL,
+            value DOUBLE NULL,
+            message TEXT NOT NULL
+        )
+    `);
+    await addIndexIfMissing(db, 'price_alert_events', 'idx_rule_symbol_fired', 'rule_id, symbol, fired_at_ms');
+    await addIndexIfMissing(db, 'price_alert_events', 'idx_fired_at', 'fired_at_ms');
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS price_alert_events');
+    await db.execute('DROP TABLE IF EXISTS price_alert_rules');
+}
+
+module.exports = { up, down };
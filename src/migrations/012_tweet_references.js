@@ -0,0 +1,42 @@
+const { addColumnIfMissing, addIndexIfMissing, autoIncrementId, dropColumnIfExists, dropIndexIfExists } = require('../config/migrator');
+
+/**
+ * Retweets, quotes and replies: the tweet type and raw v2 entities/attachments on cz_tweets, and
+ * the tweets they reference (with the quoted/retweeted text and author) in tweet_references.
+ */
+async function up(db) {
+    await addColumnIfMissing(db, 'cz_tweets', 'tweet_type', `VARCHAR(16) NOT NULL DEFAULT 'original'`);
+    await addColumnIfMissing(db, 'cz_tweets', 'entities', 'TEXT NULL');
+    await addColumnIfMissing(db, 'cz_tweets', 'attachments', 'TEXT NULL');
+    await addIndexIfMissing(db, 'cz_tweets', 'idx_tweet_type', 'tweet_type');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tweet_references (
+            id ${autoIncrementId(db, 'BIGINT')},
+            tweet_id VARCHAR(50) NOT NULL,
+            ref_type VARCHAR(16) NOT NULL,
+            ref_tweet_id VARCHAR(50) NOT NULL,
+            ref_author_id VARCHAR(50) NULL,
+            ref_username VARCHAR(50) NULL,
+            ref_text TEXT NULL,
+            ref_created_at_ms BIGINT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'tweet_references', 'unique_tweet_reference', 'tweet_id, ref_type, ref_tweet_id', { unique: true });
+    await addIndexIfMissing(db, 'tweet_references', 'idx_ref_tweet_id', 'ref_tweet_id');
+
+    // Rows saved before types were tracked: classify what the stored columns allow
+    await db.execute(`UPDATE cz_tweets SET tweet_type = 'retweet' WHERE text LIKE 'RT @%'`);
+    await db.execute(`UPDATE cz_tweets SET tweet_type = 'reply' WHERE tweet_type = 'original' AND in_reply_to_status_id IS NOT NULL`);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS tweet_references');
+    await dropIndexIfExists(db, 'cz_tweets', 'idx_tweet_type');
+    await dropColumnIfExists(db, 'cz_tweets', 'attachments');
+    await dropColumnIfExists(db, 'cz_tweets', 'entities');
+    await dropColumnIfExists(db, 'cz_tweets', 'tweet_type');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+const { addIndexIfMissing, autoIncrementId } = require('../config/migrator');
+
+/**
+ * Media attached to tweets (photos, videos, GIFs) and the expanded links in their text with
+ * card previews, so the UI can show them without going through X
+ */
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tweet_media (
+            id ${autoIncrementId(db, 'BIGINT')},
+            tweet_id VARCHAR(50) NOT NULL,
+            media_key VARCHAR(64) NOT NULL,
+            media_type VARCHAR(16) NOT NULL,
+            url TEXT NULL,
+            preview_image_url TEXT NULL,
+            video_url TEXT NULL,
+            width INT NULL,
+            height INT NULL,
+            alt_text TEXT NULL,
+            duration_ms INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'tweet_media', 'unique_tweet_media', 'tweet_id, media_key', { unique: true });
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tweet_links (
+            id ${autoIncrementId(db, 'BIGINT')},
+            tweet_id VARCHAR(50) NOT NULL,
+            url VARCHAR(255) NOT NULL,
+            expanded_url TEXT NOT NULL,
+            domain VARCHAR(255) NULL,
+            title TEXT NULL,
+            description TEXT NULL,
+            image_url TEXT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'tweet_links', 'unique_tweet_link', 'tweet_id, url', { unique: true });
+    await addIndexIfMissing(db, 'tweet_links', 'idx_link_domain', 'domain');
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS tweet_links');
+    await db.execute('DROP TABLE IF EXISTS tweet_media');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+const { addColumnIfMissing, addIndexIfMissing, autoIncrementId, dropColumnIfExists } = require('../config/migrator');
+
+/**
+ * Edit and deletion tracking: when a stored tweet was last re-looked-up and when it was found
+ * deleted, plus every known version of edited tweets
+ */
+async function up(db) {
+    await addColumnIfMissing(db, 'cz_tweets', 'verified_at_ms', 'BIGINT NULL');
+    await addColumnIfMissing(db, 'cz_tweets', 'deleted_at', 'TIMESTAMP NULL');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tweet_versions (
+            id ${autoIncrementId(db, 'BIGINT')},
+            tweet_id VARCHAR(50) NOT NULL,
+            version_tweet_id VARCHAR(50) NOT NULL,
+            version INT NOT NULL,
+            text TEXT NOT NULL,
+            version_created_at_ms BIGINT NULL,
+            recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addIndexIfMissing(db, 'tweet_versions', 'unique_tweet_version', 'tweet_id, version_tweet_id', { unique: true });
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS tweet_versions');
+    await dropColumnIfExists(db, 'cz_tweets', 'deleted_at');
+    await dropColumnIfExists(db, 'cz_tweets', 'verified_at_ms');
+}
+
+module.exports = { up, down };
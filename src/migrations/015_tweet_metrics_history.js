@@ -0,0 +1,31 @@
+const { addColumnIfMissing, addIndexIfMissing, autoIncrementId, dropColumnIfExists } = require('../config/migrator');
+
+/**
+ * Engagement over time: a metrics snapshot per tweet on every refresh, and when each tweet's
+ * metrics were last captured (drives the re-poll cadence)
+ */
+async function up(db) {
+    await addColumnIfMissing(db, 'cz_tweets', 'metrics_at_ms', 'BIGINT NULL');
+
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tweet_metrics_history (
+            id ${autoIncrementId(db, 'BIGINT')},
+            tweet_id VARCHAR(50) NOT NULL,
+            captured_at_ms BIGINT NOT NULL,
+            like_count INT DEFAULT 0,
+            retweet_count INT DEFAULT 0,
+            reply_count INT DEFAULT 0,
+            quote_count INT DEFAULT 0,
+            impression_count INT DEFAULT 0,
+            bookmark_count INT DEFAULT 0
+        )
+    `);
+    await addIndexIfMissing(db, 'tweet_metrics_history', 'unique_tweet_capture', 'tweet_id, captured_at_ms', { unique: true });
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS tweet_metrics_history');
+    await dropColumnIfExists(db, 'cz_tweets', 'metrics_at_ms');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../config/migrator');
+
+/**
+ * Relative performance of each tweet against its account's engagement baseline, and when it was
+ * first found outperforming (so the event fires once)
+ */
+async function up(db) {
+    await addColumnIfMissing(db, 'cz_tweets', 'engagement_score', 'DOUBLE NULL');
+    await addColumnIfMissing(db, 'cz_tweets', 'engagement_scored_at_ms', 'BIGINT NULL');
+    await addColumnIfMissing(db, 'cz_tweets', 'outperformed_at', 'TIMESTAMP NULL');
+}
+
+async function down(db) {
+    await dropColumnIfExists(db, 'cz_tweets', 'outperformed_at');
+    await dropColumnIfExists(db, 'cz_tweets', 'engagement_scored_at_ms');
+    await dropColumnIfExists(db, 'cz_tweets', 'engagement_score');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,103 @@
+const BINANCE_BASE_URL = 'https://api.binance.com/api/v3';
+const KLINE_LIMIT = 1000;
+// Symbols Binance answered "invalid symbol" for are not asked again for this long
+const UNLISTED_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Binance spot (public endpoints, no key): 24h tickers and klines for the <SYMBOL>USDT pair.
+ * The pair trades whatever Binance lists under the ticker, so it is `tickerListed`: only asked for
+ * symbols that resolve to their primary (highest market cap) token.
+ */
+class BinanceProvider {
+    constructor({ http, baseUrl = BINANCE_BASE_URL }) {
+        this.name = 'binance';
+        this.tier = 'primary';
+        this.tickerListed = true;
+        this.enabled = true;
+        this.ttlMs = 60000;
+        this.http = http;
+        this.baseUrl = baseUrl;
+        this.unlisted = new Map(); // symbol -> when Binance said the pair does not exist
+    }
+
+    isUnlisted(symbol) {
+        const at = this.unlisted.get(symbol);
+        return at !== undefined && Date.now() - at < UNLISTED_TTL_MS;
+    }
+
+    /**
+     * GET that resolves to null when the pair does not exist (HTTP 400) and remembers it
+     */
+    async getPair(symbol, path, params) {
+        try {
+            const { data } = await this.http.get(`${this.baseUrl}${path}`, {
+                params: { symbol: `${symbol}USDT`, ...params },
+                timeout: 10000
+            });
+            return data;
+        } catch (error) {
+            if (error.response?.status === 400) {
+                this.unlisted.set(symbol, Date.now());
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Map(symbol -> { price, change24h }), one 24h ticker request per listed symbol
+     */
+    async getQuotes(symbols) {
+        const quotes = new Map();
+        const tickers = await Promise.all(
+            symbols
+                .filter(symbol => !this.isUnlisted(symbol))
+                .map(async symbol => [symbol, await this.getPair(symbol, '/ticker/24hr')])
+        );
+
+        for (const [symbol, ticker] of tickers) {
+            const price = Number(ticker?.lastPrice);
+            if (price > 0) {
+                quotes.set(symbol, { price, change24h: Number(ticker.priceChangePercent) });
+            }
+        }
+        return quotes;
+    }
+
+    /**
+     * Klines with open time in [from, to), paged by KLINE_LIMIT; volume is the USDT quote volume
+     */
+    async getCandles(symbol, { interval, size, from, to }) {
+        if (this.isUnlisted(symbol)) return [];
+
+        const candles = [];
+        let startTime = from;
+        while (startTime < to) {
+            const rows = await this.getPair(symbol, '/klines', {
+                interval,
+                startTime,
+                endTime: to - 1,
+                limit: KLINE_LIMIT
+            });
+            if (!Array.isArray(rows)) break;
+
+            for (const row of rows) {
+                if (row[0] >= to) continue;
+                candles.push({
+                    open_time_ms: row[0],
+                    open: Number(row[1]),
+                    high: Number(row[2]),
+                    low: Number(row[3]),
+                    close: Number(row[4]),
+                    volume_usd: Number(row[7])
+                });
+            }
+
+            if (rows.length < KLINE_LIMIT) break;
+            startTime = rows[rows.length - 1][0] + size;
+        }
+        return candles;
+    }
+}
+
+module.exports = BinanceProvider;
@@ -0,0 +1,79 @@
+const COINGECKO_BASE_URL = 'https://api.coingecko.com/api/v3';
+
+/**
+ * CoinGecko (free tier, no key): spot prices by coin id and market_chart candles
+ */
+class CoinGeckoProvider {
+    constructor({ http, baseUrl = COINGECKO_BASE_URL }) {
+        this.name = 'coingecko';
+        this.tier = 'primary';
+        this.enabled = true;
+        this.ttlMs = 60000;
+        this.http = http;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Map(symbol -> { price, change24h }) for the symbols whose resolved token has a CoinGecko id.
+     * `tokens` is Map(symbol -> registry token) from the symbol resolver.
+     */
+    async getQuotes(symbols, { tokens = new Map() } = {}) {
+        const idFor = symbol => tokens.get(symbol)?.coingecko_id;
+        const known = symbols.filter(idFor);
+        const quotes = new Map();
+        if (known.length === 0) return quotes;
+
+        const { data } = await this.http.get(`${this.baseUrl}/simple/price`, {
+            params: {
+                ids: [...new Set(known.map(idFor))].join(','),
+                vs_currencies: 'usd',
+                include_24hr_change: true
+            },
+            timeout: 10000
+        });
+
+        for (const symbol of known) {
+            const coin = data?.[idFor(symbol)];
+            if (coin?.usd) {
+                quotes.set(symbol, { price: coin.usd, change24h: coin.usd_24h_change ?? null });
+            }
+        }
+        return quotes;
+    }
+
+    /**
+     * market_chart/range points bucketed into candles. CoinGecko picks the point spacing
+     * itself (5m up to a day, hourly up to 90 days, daily beyond), so long ranges at small
+     * intervals come back sparse, and there is no volume.
+     */
+    async getCandles(symbol, { size, from, to, token = null }) {
+        const id = token?.coingecko_id;
+        if (!id) return [];
+
+        const { data } = await this.http.get(`${this.baseUrl}/coins/${id}/market_chart/range`, {
+            params: {
+                vs_currency: 'usd',
+                from: Math.floor(from / 1000),
+                to: Math.floor(to / 1000)
+            },
+            timeout: 10000
+        });
+
+        const buckets = new Map();
+        for (const [time, price] of data?.prices || []) {
+            if (time < from || time >= to || !price) continue;
+            const openTime = Math.floor(time / size) * size;
+            const candle = buckets.get(openTime);
+            if (!candle) {
+                buckets.set(openTime, { open_time_ms: openTime, open: price, high: price, low: price, close: price, volume_usd: null });
+            } else {
+                candle.high = Math.max(candle.high, price);
+                candle.low = Math.min(candle.low, price);
+                candle.close = price;
+            }
+        }
+        return [...buckets.values()].sort((a, b) => a.open_time_ms - b.open_time_ms);
+    }
+}
+
+module.exports = CoinGeckoProvider;
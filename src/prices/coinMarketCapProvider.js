@@ -0,0 +1,50 @@
+const CMC_BASE_URL = 'https://pro-api.coinmarketcap.com/v1';
+
+/**
+ * CoinMarketCap (requires COINMARKETCAP_API_KEY): spot prices by CMC id.
+ * Quotes are kept for 5 minutes so the free plan's monthly credits last.
+ */
+class CoinMarketCapProvider {
+    constructor({ http, apiKey = process.env.COINMARKETCAP_API_KEY, baseUrl = CMC_BASE_URL }) {
+        this.name = 'coinmarketcap';
+        this.tier = 'primary';
+        this.enabled = Boolean(apiKey);
+        this.ttlMs = 5 * 60000;
+        this.http = http;
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Map(symbol -> { price, change24h }) for the symbols whose resolved token has a CMC id.
+     * Looked up by id: quoting by symbol fails the whole request when any one symbol is unknown to CMC.
+     */
+    async getQuotes(symbols, { tokens = new Map() } = {}) {
+        const idFor = symbol => tokens.get(symbol)?.cmc_id;
+        const known = symbols.filter(idFor);
+        const quotes = new Map();
+        if (known.length === 0) return quotes;
+
+        const { data } = await this.http.get(`${this.baseUrl}/cryptocurrency/quotes/latest`, {
+            headers: {
+                'X-CMC_PRO_API_KEY': this.apiKey,
+                'Accept': 'application/json'
+            },
+            params: {
+                id: [...new Set(known.map(idFor))].join(','),
+                convert: 'USD'
+            },
+            timeout: 10000
+        });
+
+        for (const symbol of known) {
+            const usd = data?.data?.[idFor(symbol)]?.quote?.USD;
+            if (usd?.price) {
+                quotes.set(symbol, { price: usd.price, change24h: usd.percent_change_24h ?? null });
+            }
+        }
+        return quotes;
+    }
+}
+
+module.exports = CoinMarketCapProvider;
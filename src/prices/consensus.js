@@ -0,0 +1,33 @@
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Combine provider quotes for one symbol: [{ provider, price, change24h, fetchedAt, ... }].
+ * The price is the median; divergence is the spread between the highest and lowest quote
+ * relative to it, flagged when above thresholdPct.
+ */
+function buildConsensus(quotes, thresholdPct) {
+    const prices = quotes.map(q => q.price);
+    const price = median(prices);
+    const changes = quotes.map(q => q.change24h).filter(Number.isFinite);
+    const divergencePct = quotes.length > 1 ? (Math.max(...prices) - Math.min(...prices)) / price * 100 : 0;
+
+    return {
+        price,
+        change24h: changes.length ? median(changes) : null,
+        provenance: {
+            method: quotes.length > 1 ? 'median' : 'single',
+            divergencePct: Number(divergencePct.toFixed(2)),
+            divergent: divergencePct > thresholdPct,
+            sources: quotes.map(({ fetchedAt, ...quote }) => ({
+                ...quote,
+                fetchedAt: new Date(fetchedAt).toISOString()
+            }))
+        }
+    };
+}
+
+module.exports = { buildConsensus };
@@ -0,0 +1,123 @@
+const DEXSCREENER_BASE_URL = 'https://api.dexscreener.com';
+// Pools thinner than this are too easy to spoof with a copycat token of the same symbol
+const MIN_LIQUIDITY_USD = 10000;
+// The tokens endpoint accepts up to 30 comma-separated addresses
+const ADDRESS_BATCH = 30;
+
+function sameAddress(a, b) {
+    return /^0x/i.test(a) ? String(a).toLowerCase() === String(b).toLowerCase() : a === b;
+}
+
+/**
+ * Main pool of a token: the deepest pair where it is the base token
+ */
+function mainPool(pairs, address) {
+    return pairs
+        .filter(pair => sameAddress(pair.baseToken?.address, address) && Number(pair.priceUsd) > 0)
+        .sort((a, b) => (Number(b.liquidity?.usd) || 0) - (Number(a.liquidity?.usd) || 0))[0] || null;
+}
+
+/**
+ * Token market data from its main pool
+ */
+function toTokenInfo(pair, now = Date.now()) {
+    return {
+        address: pair.baseToken.address,
+        chain: pair.chainId,
+        symbol: String(pair.baseToken.symbol || '').toUpperCase(),
+        name: pair.baseToken.name || null,
+        price: Number(pair.priceUsd),
+        change24h: pair.priceChange?.h24 ?? null,
+        liquidityUsd: Number(pair.liquidity?.usd) || 0,
+        fdv: pair.fdv ?? null,
+        volume24h: pair.volume?.h24 ?? null,
+        dex: pair.dexId,
+        pairAddress: pair.pairAddress,
+        pairCreatedAt: pair.pairCreatedAt ? new Date(pair.pairCreatedAt).toISOString() : null,
+        pairAgeHours: pair.pairCreatedAt ? Math.round((now - pair.pairCreatedAt) / 36e5) : null,
+        url: pair.url || null
+    };
+}
+
+/**
+ * DexScreener (public, no key): on-chain prices for long-tail tokens that the centralized
+ * sources do not list. Tokens are resolved by contract address to their main pool; a bare
+ * symbol search is the fallback, taking the deepest pool whose base token has exactly that symbol.
+ */
+class DexScreenerProvider {
+    constructor({ http, baseUrl = DEXSCREENER_BASE_URL }) {
+        this.name = 'dexscreener';
+        this.tier = 'longTail';
+        this.enabled = true;
+        this.ttlMs = 60000;
+        this.http = http;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Market data for contract addresses: Map(address -> token info) for those with a pool
+     */
+    async getTokens(addresses) {
+        const tokens = new Map();
+        const unique = [...new Set(addresses)];
+
+        for (let i = 0; i < unique.length; i += ADDRESS_BATCH) {
+            const batch = unique.slice(i, i + ADDRESS_BATCH);
+            const { data } = await this.http.get(`${this.baseUrl}/latest/dex/tokens/${batch.join(',')}`, { timeout: 10000 });
+            for (const address of batch) {
+                const pool = mainPool(data?.pairs || [], address);
+                if (pool) tokens.set(address, toTokenInfo(pool));
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Map(symbol -> quote). `addresses` maps a symbol to contract addresses seen alongside it in
+     * tweets; the deepest of those whose on-chain symbol matches wins, else the symbol search.
+     */
+    async getQuotes(symbols, { addresses = new Map() } = {}) {
+        const quotes = new Map();
+        const byAddress = await this.getTokens(symbols.flatMap(symbol => addresses.get(symbol) || []));
+
+        for (const symbol of symbols) {
+            const token = (addresses.get(symbol) || [])
+                .map(address => byAddress.get(address))
+                .filter(t => t && t.symbol === symbol && t.liquidityUsd >= MIN_LIQUIDITY_USD)
+                .sort((a, b) => b.liquidityUsd - a.liquidityUsd)[0] || await this.searchSymbol(symbol);
+
+            if (token) {
+                quotes.set(symbol, {
+                    price: token.price,
+                    change24h: token.change24h,
+                    chain: token.chain,
+                    address: token.address,
+                    pairAddress: token.pairAddress,
+                    liquidityUsd: token.liquidityUsd,
+                    fdv: token.fdv,
+                    volume24h: token.volume24h,
+                    pairAgeHours: token.pairAgeHours
+                });
+            }
+        }
+        return quotes;
+    }
+
+    /**
+     * Deepest sufficiently liquid pool whose base token has exactly this symbol
+     */
+    async searchSymbol(symbol) {
+        const { data } = await this.http.get(`${this.baseUrl}/latest/dex/search`, {
+            params: { q: symbol },
+            timeout: 10000
+        });
+
+        const best = (data?.pairs || [])
+            .filter(pair => String(pair.baseToken?.symbol).toUpperCase() === symbol)
+            .filter(pair => Number(pair.liquidity?.usd) >= MIN_LIQUIDITY_USD && Number(pair.priceUsd) > 0)
+            .sort((a, b) => Number(b.liquidity.usd) - Number(a.liquidity.usd))[0];
+        return best ? toTokenInfo(best) : null;
+    }
+}
+
+module.exports = DexScreenerProvider;
@@ -0,0 +1,23 @@
+const CoinGeckoProvider = require('./coinGeckoProvider');
+const CoinMarketCapProvider = require('./coinMarketCapProvider');
+const BinanceProvider = require('./binanceProvider');
+const DexScreenerProvider = require('./dexScreenerProvider');
+
+/**
+ * Price providers keyed by name. Each exposes name, tier ('primary' or 'longTail'), enabled,
+ * ttlMs, tickerListed (quotes by ticker rather than by token, see BinanceProvider) and
+ * getQuotes(symbols, { tokens, addresses }) -> Map(symbol -> { price, change24h }),
+ * where tokens maps symbols to resolved registry tokens and addresses to candidate contracts.
+ * Those with history also expose getCandles(symbol, { interval, size, from, to, token }).
+ */
+function createPriceProviders({ http }) {
+    const providers = [
+        new CoinGeckoProvider({ http }),
+        new CoinMarketCapProvider({ http }),
+        new BinanceProvider({ http }),
+        new DexScreenerProvider({ http })
+    ];
+    return Object.fromEntries(providers.map(provider => [provider.name, provider]));
+}
+
+module.exports = { createPriceProviders };
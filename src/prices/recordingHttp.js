@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_CACHED_RESPONSES = 500;
+
+/**
+ * Stable key for a GET: url plus sorted params. Headers (API keys) are deliberately left out.
+ */
+function requestKey(url, params = {}) {
+    const query = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    return query ? `${url}?${query}` : url;
+}
+
+function fixturePath(dir, key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+    return path.join(dir, `${hash}.json`);
+}
+
+function httpError(status, data) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data };
+    return error;
+}
+
+/**
+ * Wrap an axios-compatible client so provider GETs are cached for cacheTtlMs and can be
+ * recorded to or replayed from JSON fixtures (one file per request, error responses included):
+ *   'live'   - network only
+ *   'record' - network, and every response is written to dir
+ *   'replay' - fixtures only; a request that was never recorded fails
+ */
+function createRecordingHttp({ http, mode = 'live', dir = './fixtures/prices', cacheTtlMs = 0 }) {
+    const cache = new Map();
+
+    const record = (key, status, data) => {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(fixturePath(dir, key), JSON.stringify({ request: key, status, data, recordedAt: new Date().toISOString() }, null, 2));
+    };
+
+    const replay = key => {
+        const file = fixturePath(dir, key);
+        if (!fs.existsSync(file)) {
+            const error = new Error(`No recorded fixture for GET ${key}`);
+            error.code = 'FIXTURE_MISSING';
+            throw error;
+        }
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (fixture.status >= 400) throw httpError(fixture.status, fixture.data);
+        return { status: fixture.status, data: fixture.data };
+    };
+
+    return {
+        mode,
+
+        async get(url, config = {}) {
+            const key = requestKey(url, config.params);
+            const cached = cache.get(key);
+            if (cached && Date.now() - cached.at < cacheTtlMs) {
+                return cached.response;
+            }
+
+            let response;
+            if (mode === 'replay') {
+                response = replay(key);
+            } else {
+                try {
+                    response = await http.get(url, config);
+                } catch (error) {
+                    if (mode === 'record' && error.response) record(key, error.response.status, error.response.data);
+                    throw error;
+                }
+                if (mode === 'record') record(key, response.status, response.data);
+            }
+
+            if (cacheTtlMs > 0) {
+                if (cache.size >= MAX_CACHED_RESPONSES) cache.clear();
+                cache.set(key, { at: Date.now(), response: { status: response.status, data: response.data } });
+            }
+            return response;
+        }
+    };
+}
+
+module.exports = { createRecordingHttp };
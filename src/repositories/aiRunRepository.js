@@ -0,0 +1,57 @@
+/**
+ * Data access for the AI usage & cost ledger (ai_runs, ai_usage_log)
+ */
+class AiRunRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record({ model, promptTokens, completionTokens, inputCostUsd, outputCostUsd, checksum = null, purpose = null }) {
+        await this.db.execute(
+            `INSERT INTO ai_runs (model, prompt_tokens, completion_tokens, input_cost_usd, output_cost_usd, checksum, purpose)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [model, promptTokens, completionTokens, inputCostUsd, outputCostUsd, checksum, purpose]
+        );
+    }
+
+    /**
+     * Hourly request/token/cost totals from ai_usage_log since the given time
+     */
+    async hourlyUsage(since) {
+        const [rows] = await this.db.execute(
+            `SELECT
+                ${this.db.hourBucket('created_at')} as hour,
+                COUNT(*) as requests,
+                SUM(input_tokens + output_tokens) as tokens,
+                SUM(cost_usd) as cost,
+                AVG(execution_time_ms) as avg_latency
+             FROM ai_usage_log
+             WHERE created_at >= ?
+             GROUP BY hour
+             ORDER BY hour DESC`,
+            [since]
+        );
+        return rows;
+    }
+
+    /**
+     * Per-model request/token/cost totals from ai_usage_log since the given time
+     */
+    async usageByModel(since) {
+        const [rows] = await this.db.execute(
+            `SELECT
+                model,
+                COUNT(*) as requests,
+                SUM(input_tokens + output_tokens) as tokens,
+                SUM(cost_usd) as cost,
+                AVG(execution_time_ms) as avg_latency
+             FROM ai_usage_log
+             WHERE created_at >= ?
+             GROUP BY model`,
+            [since]
+        );
+        return rows;
+    }
+}
+
+module.exports = AiRunRepository;
@@ -0,0 +1,38 @@
+/**
+ * Data access for the legacy window/daily API usage counters (api_usage)
+ */
+class ApiUsageRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async getWindowRequests(windowStart) {
+        const [rows] = await this.db.execute(
+            'SELECT requests_count FROM api_usage WHERE window_start = ?',
+            [windowStart]
+        );
+        return rows.length > 0 ? Number(rows[0].requests_count) : 0;
+    }
+
+    async getDailyRequests(date) {
+        const [rows] = await this.db.execute(
+            'SELECT daily_requests FROM api_usage WHERE daily_date = ?',
+            [date]
+        );
+        return rows.length > 0 ? Number(rows[0].daily_requests) : 0;
+    }
+
+    async save({ windowStart, requests, date, dailyRequests }) {
+        await this.db.execute(
+            `INSERT INTO api_usage (window_start, requests_count, daily_date, daily_requests)
+             VALUES (?, ?, ?, ?)
+             ${this.db.onConflict(null, {
+                 requests_count: null,
+                 daily_requests: null
+             })}`,
+            [windowStart, requests, date, dailyRequests]
+        );
+    }
+}
+
+module.exports = ApiUsageRepository;
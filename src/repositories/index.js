@@ -0,0 +1,50 @@
+const TweetRepository = require('./tweetRepository');
+const InsightRepository = require('./insightRepository');
+const NotifyStateRepository = require('./notifyStateRepository');
+const NotifyHistoryRepository = require('./notifyHistoryRepository');
+const AiRunRepository = require('./aiRunRepository');
+const TrackedAccountRepository = require('./trackedAccountRepository');
+const RateLimitRepository = require('./rateLimitRepository');
+const ApiUsageRepository = require('./apiUsageRepository');
+const TokenRepository = require('./tokenRepository');
+const TweetEntityRepository = require('./tweetEntityRepository');
+const TickerMentionRepository = require('./tickerMentionRepository');
+const PriceSnapshotRepository = require('./priceSnapshotRepository');
+const PriceHistoryRepository = require('./priceHistoryRepository');
+const TokenOverrideRepository = require('./tokenOverrideRepository');
+const UnresolvedTickerRepository = require('./unresolvedTickerRepository');
+const PriceAlertRepository = require('./priceAlertRepository');
+const TweetReferenceRepository = require('./tweetReferenceRepository');
+const TweetMediaRepository = require('./tweetMediaRepository');
+const TweetVersionRepository = require('./tweetVersionRepository');
+const TweetMetricsRepository = require('./tweetMetricsRepository');
+
+/**
+ * Build the repository set for a storage driver (MySQL or SQLite)
+ */
+function createRepositories(db) {
+    return {
+        tweets: new TweetRepository(db),
+        insights: new InsightRepository(db),
+        notifyState: new NotifyStateRepository(db),
+        notifyHistory: new NotifyHistoryRepository(db),
+        aiRuns: new AiRunRepository(db),
+        trackedAccounts: new TrackedAccountRepository(db),
+        rateLimits: new RateLimitRepository(db),
+        apiUsage: new ApiUsageRepository(db),
+        tokens: new TokenRepository(db),
+        tweetEntities: new TweetEntityRepository(db),
+        tickerMentions: new TickerMentionRepository(db),
+        priceSnapshots: new PriceSnapshotRepository(db),
+        priceHistory: new PriceHistoryRepository(db),
+        tokenOverrides: new TokenOverrideRepository(db),
+        unresolvedTickers: new UnresolvedTickerRepository(db),
+        priceAlerts: new PriceAlertRepository(db),
+        tweetReferences: new TweetReferenceRepository(db),
+        tweetMedia: new TweetMediaRepository(db),
+        tweetVersions: new TweetVersionRepository(db),
+        tweetMetrics: new TweetMetricsRepository(db)
+    };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,49 @@
+/**
+ * Data access for cached AI insights (ai_insights)
+ */
+class InsightRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findContent(checksum, model) {
+        const [rows] = await this.db.execute(
+            `SELECT content FROM ai_insights WHERE checksum = ? AND model = ? ORDER BY created_at DESC LIMIT 1`,
+            [checksum, model]
+        );
+        return rows.length ? rows[0].content : null;
+    }
+
+    async latest() {
+        const [rows] = await this.db.execute(
+            `SELECT content, created_at, checksum, model FROM ai_insights ORDER BY created_at DESC LIMIT 1`
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * Most recent insights whose model name contains the given fragment (e.g. 'opus')
+     */
+    async recentForModel(modelFragment, limit = 10) {
+        const safeLimit = Math.max(1, Math.min(parseInt(limit) || 10, 200));
+        const [rows] = await this.db.execute(
+            `SELECT content, created_at, checksum, model
+             FROM ai_insights
+             WHERE model LIKE ?
+             ORDER BY created_at DESC
+             LIMIT ${safeLimit}`,
+            [`%${modelFragment}%`]
+        );
+        return rows;
+    }
+
+    async save(checksum, model, content) {
+        await this.db.execute(
+            `INSERT INTO ai_insights (checksum, model, content) VALUES (?, ?, ?)
+             ${this.db.onConflict(['checksum', 'model'], { content: null })}`,
+            [checksum, model, content]
+        );
+    }
+}
+
+module.exports = InsightRepository;
@@ -0,0 +1,47 @@
+/**
+ * Data access for sent AI alert messages (ai_notify_history)
+ */
+class NotifyHistoryRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async add(message, urgency, checksum) {
+        await this.db.execute(
+            `INSERT INTO ai_notify_history (message, urgency, summary_checksum) VALUES (?, ?, ?)`,
+            [message, urgency, checksum]
+        );
+    }
+
+    async recent(limit = 20) {
+        const safeLimit = Math.max(1, Math.min(parseInt(limit) || 20, 200));
+        const [rows] = await this.db.execute(
+            `SELECT message, urgency, summary_checksum, created_at
+             FROM ai_notify_history
+             ORDER BY created_at DESC
+             LIMIT ${safeLimit}`
+        );
+        return rows;
+    }
+
+    async countSince(since) {
+        const [rows] = await this.db.execute(
+            `SELECT COUNT(*) as c FROM ai_notify_history WHERE created_at >= ?`,
+            [since]
+        );
+        return Number(rows[0]?.c) || 0;
+    }
+
+    async recentByUrgency(urgency, since) {
+        const [rows] = await this.db.execute(
+            `SELECT message, created_at FROM ai_notify_history
+             WHERE created_at >= ?
+             AND urgency = ?
+             ORDER BY created_at DESC`,
+            [since, urgency]
+        );
+        return rows;
+    }
+}
+
+module.exports = NotifyHistoryRepository;
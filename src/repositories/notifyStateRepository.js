@@ -0,0 +1,42 @@
+const DEFAULT_STATE = {
+    id: 1,
+    last_digest_at: null,
+    last_digest_checksum: null,
+    last_urgent_at: null,
+    last_urgent_checksum: null
+};
+
+/**
+ * Data access for the single-row AI notification cadence state (ai_notify_state)
+ */
+class NotifyStateRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Get the state row, creating it on first use
+     */
+    async get() {
+        const [rows] = await this.db.execute(`SELECT * FROM ai_notify_state WHERE id = 1`);
+        if (rows.length) return rows[0];
+        await this.db.execute(`${this.db.insertIgnore()} INTO ai_notify_state (id) VALUES (1)`);
+        return { ...DEFAULT_STATE };
+    }
+
+    async save(state) {
+        await this.db.execute(
+            `INSERT INTO ai_notify_state (id, last_digest_at, last_digest_checksum, last_urgent_at, last_urgent_checksum)
+             VALUES (1, ?, ?, ?, ?)
+             ${this.db.onConflict(['id'], {
+                 last_digest_at: null,
+                 last_digest_checksum: null,
+                 last_urgent_at: null,
+                 last_urgent_checksum: null
+             })}`,
+            [state.last_digest_at, state.last_digest_checksum, state.last_urgent_at, state.last_urgent_checksum]
+        );
+    }
+}
+
+module.exports = NotifyStateRepository;
@@ -0,0 +1,120 @@
+const MAX_EVENT_ROWS = 500;
+
+function toRule(row) {
+    let params = {};
+    try {
+        params = JSON.parse(row.params || '{}');
+    } catch {}
+    return {
+        id: Number(row.id),
+        name: row.name,
+        type: row.rule_type,
+        symbol: row.symbol,
+        params,
+        channels: String(row.channels || '').split(',').filter(Boolean),
+        cooldown_minutes: Number(row.cooldown_minutes),
+        enabled: Boolean(Number(row.enabled)),
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+/**
+ * Data access for price alert rules and the alerts they fired (price_alert_rules, price_alert_events)
+ */
+class PriceAlertRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async listRules({ enabledOnly = false } = {}) {
+        const [rows] = await this.db.execute(
+            `SELECT * FROM price_alert_rules${enabledOnly ? ' WHERE enabled = 1' : ''} ORDER BY id`
+        );
+        return rows.map(toRule);
+    }
+
+    async getRule(id) {
+        const [rows] = await this.db.execute('SELECT * FROM price_alert_rules WHERE id = ?', [id]);
+        return rows[0] ? toRule(rows[0]) : null;
+    }
+
+    /**
+     * Returns the new rule id
+     */
+    async createRule({ name, type, symbol, params, channels, cooldown_minutes, enabled }) {
+        const [result] = await this.db.execute(
+            `INSERT INTO price_alert_rules (name, rule_type, symbol, params, channels, cooldown_minutes, enabled)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [name, type, symbol, JSON.stringify(params), channels.join(','), cooldown_minutes, enabled ? 1 : 0]
+        );
+        return Number(result.insertId);
+    }
+
+    async updateRule(id, { name, type, symbol, params, channels, cooldown_minutes, enabled }) {
+        const [result] = await this.db.execute(
+            `UPDATE price_alert_rules
+             SET name = ?, rule_type = ?, symbol = ?, params = ?, channels = ?, cooldown_minutes = ?, enabled = ?,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [name, type, symbol, JSON.stringify(params), channels.join(','), cooldown_minutes, enabled ? 1 : 0, id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Removes the rule and its alert history; returns true when the rule existed
+     */
+    async deleteRule(id) {
+        const [result] = await this.db.execute('DELETE FROM price_alert_rules WHERE id = ?', [id]);
+        await this.db.execute('DELETE FROM price_alert_events WHERE rule_id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    async addEvent({ ruleId, symbol, firedAtMs, value, message }) {
+        await this.db.execute(
+            `INSERT INTO price_alert_events (rule_id, symbol, fired_at_ms, value, message) VALUES (?, ?, ?, ?, ?)`,
+            [ruleId, symbol, firedAtMs, value ?? null, message]
+        );
+    }
+
+    /**
+     * Last time each rule fired per symbol since a time: [{ rule_id, symbol, last_fired_at_ms }]
+     */
+    async lastFired(since) {
+        const [rows] = await this.db.execute(
+            `SELECT rule_id, symbol, MAX(fired_at_ms) as last_fired_at_ms
+             FROM price_alert_events
+             WHERE fired_at_ms >= ?
+             GROUP BY rule_id, symbol`,
+            [since]
+        );
+        return rows.map(row => ({ rule_id: Number(row.rule_id), symbol: row.symbol, last_fired_at_ms: Number(row.last_fired_at_ms) }));
+    }
+
+    /**
+     * Most recent alerts first, optionally for one rule
+     */
+    async recentEvents({ ruleId = null, limit = 50 } = {}) {
+        const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_EVENT_ROWS);
+        const [rows] = await this.db.execute(
+            `SELECT e.id, e.rule_id, r.name as rule_name, e.symbol, e.fired_at_ms, e.value, e.message
+             FROM price_alert_events e
+             LEFT JOIN price_alert_rules r ON r.id = e.rule_id
+             ${ruleId !== null ? 'WHERE e.rule_id = ?' : ''}
+             ORDER BY e.fired_at_ms DESC, e.id DESC
+             LIMIT ${safeLimit}`,
+            ruleId !== null ? [ruleId] : []
+        );
+        return rows.map(row => ({
+            ...row,
+            id: Number(row.id),
+            rule_id: Number(row.rule_id),
+            fired_at: new Date(Number(row.fired_at_ms)).toISOString(),
+            fired_at_ms: Number(row.fired_at_ms),
+            value: row.value === null ? null : Number(row.value)
+        }));
+    }
+}
+
+module.exports = PriceAlertRepository;
@@ -0,0 +1,59 @@
+const BATCH_SIZE = 200;
+const MAX_CANDLES = 5000;
+
+/**
+ * Data access for OHLC price candles (price_history)
+ */
+class PriceHistoryRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Insert or refresh candles: [{ open_time_ms, open, high, low, close, volume_usd }]
+     */
+    async upsertCandles(symbol, resolution, candles, source) {
+        for (let i = 0; i < candles.length; i += BATCH_SIZE) {
+            const batch = candles.slice(i, i + BATCH_SIZE);
+            await this.db.execute(
+                `INSERT INTO price_history (symbol, resolution, open_time_ms, open, high, low, close, volume_usd, source)
+                 VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                 ${this.db.onConflict(['symbol', 'resolution', 'open_time_ms'], {
+                     open: null,
+                     high: null,
+                     low: null,
+                     close: null,
+                     volume_usd: null,
+                     source: null
+                 })}`,
+                batch.flatMap(c => [symbol, resolution, c.open_time_ms, c.open, c.high, c.low, c.close, c.volume_usd ?? null, source])
+            );
+        }
+        return candles.length;
+    }
+
+    /**
+     * Stored candles with open time in [from, to), oldest first
+     */
+    async range(symbol, resolution, from, to) {
+        const [rows] = await this.db.execute(
+            `SELECT open_time_ms, open, high, low, close, volume_usd, source
+             FROM price_history
+             WHERE symbol = ? AND resolution = ? AND open_time_ms >= ? AND open_time_ms < ?
+             ORDER BY open_time_ms ASC
+             LIMIT ${MAX_CANDLES}`,
+            [symbol, resolution, from, to]
+        );
+        return rows.map(row => ({
+            open_time_ms: Number(row.open_time_ms),
+            open: Number(row.open),
+            high: Number(row.high),
+            low: Number(row.low),
+            close: Number(row.close),
+            volume_usd: row.volume_usd === null ? null : Number(row.volume_usd),
+            source: row.source
+        }));
+    }
+}
+
+module.exports = PriceHistoryRepository;
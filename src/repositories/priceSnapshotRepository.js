@@ -0,0 +1,132 @@
+const { normalizeUsernames } = require('./usernames');
+
+const MAX_BATCH = 500;
+const MAX_CALL_ROWS = 20000;
+
+function toSnapshot(row) {
+    return {
+        ...row,
+        mentioned_at_ms: Number(row.mentioned_at_ms),
+        due_at_ms: Number(row.due_at_ms),
+        captured_at_ms: row.captured_at_ms === null ? null : Number(row.captured_at_ms),
+        price: row.price === null ? null : Number(row.price)
+    };
+}
+
+/**
+ * Data access for price-at-mention snapshots (price_snapshots)
+ */
+class PriceSnapshotRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Ticker mentions since a time that do not belong to a call yet. A mention is covered when
+     * the same account already called the ticker within callWindowMs before it.
+     */
+    async unscheduledMentions(since, callWindowMs) {
+        const [rows] = await this.db.execute(
+            `SELECT m.ticker, m.username, m.tweet_id, m.mentioned_at_ms
+             FROM ticker_mentions m
+             WHERE m.mentioned_at_ms >= ?
+               AND NOT EXISTS (
+                   SELECT 1 FROM price_snapshots s
+                   WHERE s.ticker = m.ticker AND s.username = m.username AND s.horizon = 'mention'
+                     AND s.mentioned_at_ms <= m.mentioned_at_ms AND s.mentioned_at_ms > m.mentioned_at_ms - ?
+               )
+             ORDER BY m.mentioned_at_ms ASC, m.tweet_id ASC
+             LIMIT ${MAX_BATCH}`,
+            [since, callWindowMs]
+        );
+        return rows.map(row => ({ ...row, mentioned_at_ms: Number(row.mentioned_at_ms) }));
+    }
+
+    /**
+     * Schedule one pending snapshot per horizon for a call: horizons = { label: offsetMs }
+     */
+    async schedule({ ticker, username, tweet_id, mentioned_at_ms }, horizons) {
+        const entries = Object.entries(horizons);
+        const [result] = await this.db.execute(
+            `${this.db.insertIgnore()} INTO price_snapshots (ticker, username, tweet_id, mentioned_at_ms, horizon, due_at_ms)
+             VALUES ${entries.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+            entries.flatMap(([horizon, offset]) => [ticker, username, tweet_id, mentioned_at_ms, horizon, mentioned_at_ms + offset])
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * Pending snapshots whose time has come, oldest first
+     */
+    async due(now) {
+        const [rows] = await this.db.execute(
+            `SELECT id, ticker, tweet_id, horizon, due_at_ms, mentioned_at_ms
+             FROM price_snapshots
+             WHERE status = 'pending' AND due_at_ms <= ?
+             ORDER BY due_at_ms ASC
+             LIMIT ${MAX_BATCH}`,
+            [now]
+        );
+        return rows.map(toSnapshot);
+    }
+
+    async markCaptured(id, { price, source, capturedAt }) {
+        await this.db.execute(
+            `UPDATE price_snapshots SET status = 'captured', price = ?, source = ?, captured_at_ms = ? WHERE id = ?`,
+            [price, source, capturedAt, id]
+        );
+    }
+
+    async markMissed(ids) {
+        if (ids.length === 0) return;
+        await this.db.execute(
+            `UPDATE price_snapshots SET status = 'missed' WHERE id IN (${ids.map(() => '?').join(',')})`,
+            ids
+        );
+    }
+
+    /**
+     * Give up on the rest of a call, e.g. when its entry price could not be captured
+     */
+    async markCallMissed(ticker, tweetId) {
+        await this.db.execute(
+            `UPDATE price_snapshots SET status = 'missed' WHERE ticker = ? AND tweet_id = ? AND status = 'pending'`,
+            [ticker, tweetId]
+        );
+    }
+
+    /**
+     * Snapshots of every call by the given accounts (all accounts when null), newest call first
+     */
+    async forAccounts(usernames = null) {
+        if (usernames && usernames.length === 0) return [];
+        const filter = usernames ? `WHERE username IN (${usernames.map(() => '?').join(',')})` : '';
+
+        const [rows] = await this.db.execute(
+            `SELECT ticker, username, tweet_id, mentioned_at_ms, horizon, status, price, source, captured_at_ms, due_at_ms
+             FROM price_snapshots
+             ${filter}
+             ORDER BY mentioned_at_ms DESC, tweet_id DESC
+             LIMIT ${MAX_CALL_ROWS}`,
+            usernames ? normalizeUsernames(usernames) : []
+        );
+        return rows.map(toSnapshot);
+    }
+
+    /**
+     * Earliest captured price-at-mention of a ticker since a time (by any account), or null
+     */
+    async firstMentionPrice(ticker, since) {
+        const [rows] = await this.db.execute(
+            `SELECT ticker, username, tweet_id, mentioned_at_ms, horizon, status, price, source, captured_at_ms, due_at_ms
+             FROM price_snapshots
+             WHERE ticker = ? AND horizon = 'mention' AND status = 'captured' AND mentioned_at_ms >= ?
+             ORDER BY mentioned_at_ms ASC, tweet_id ASC
+             LIMIT 1`,
+            [ticker, since]
+        );
+        return rows[0] ? toSnapshot(rows[0]) : null;
+    }
+}
+
+module.exports = PriceSnapshotRepository;
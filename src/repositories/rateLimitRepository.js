@@ -0,0 +1,43 @@
+/**
+ * Data access for per-window API request counters (rate_limits)
+ */
+class RateLimitRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async getUsage(endpointKey, windowStart) {
+        const [rows] = await this.db.execute(
+            `SELECT requests_count as count, last_updated 
+             FROM rate_limits 
+             WHERE endpoint_key = ? AND window_start = ?`,
+            [endpointKey, windowStart]
+        );
+        return rows.length > 0 ? rows[0] : { count: 0, last_updated: null };
+    }
+
+    async increment({ endpointKey, endpoint, windowStart, accountId = null, at = new Date() }) {
+        await this.db.execute(
+            `INSERT INTO rate_limits (endpoint_key, endpoint, window_start, requests_count, last_updated, account_id)
+             VALUES (?, ?, ?, 1, ?, ?)
+             ${this.db.onConflict(['endpoint_key', 'window_start'], {
+                 requests_count: 'requests_count + 1',
+                 last_updated: null
+             })}`,
+            [endpointKey, endpoint, windowStart, at, accountId]
+        );
+    }
+
+    /**
+     * Delete windows that started before the cutoff; returns the number of rows removed
+     */
+    async deleteBefore(windowStart) {
+        const [result] = await this.db.execute(
+            'DELETE FROM rate_limits WHERE window_start < ?',
+            [windowStart]
+        );
+        return result.affectedRows || 0;
+    }
+}
+
+module.exports = RateLimitRepository;
@@ -0,0 +1,199 @@
+const { normalizeUsername, normalizeUsernames } = require('./usernames');
+
+const MAX_TIMELINE_ROWS = 5000;
+
+function accountExclusion(excludeUsernames) {
+    return excludeUsernames.length > 0
+        ? { sql: `AND m.username NOT IN (${excludeUsernames.map(() => '?').join(',')})`, params: normalizeUsernames(excludeUsernames) }
+        : { sql: '', params: [] };
+}
+
+/**
+ * WHERE clause for a ticker's mentions in [since, until) without the excluded accounts
+ */
+function mentionFilter(ticker, { since, until, excludeUsernames }) {
+    const exclusion = accountExclusion(excludeUsernames);
+    let sql = 'm.ticker = ?';
+    const params = [ticker];
+    if (since !== null) {
+        sql += ' AND m.mentioned_at_ms >= ?';
+        params.push(since);
+    }
+    if (until !== null) {
+        sql += ' AND m.mentioned_at_ms < ?';
+        params.push(until);
+    }
+    return { sql: `${sql} ${exclusion.sql}`, params: [...params, ...exclusion.params] };
+}
+
+/**
+ * Data access for cashtag mentions (ticker_mentions)
+ */
+class TickerMentionRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Record mentions for stored tweets: [{ tweetId, tickers }].
+     * Account and time are copied from cz_tweets, so tweets must be saved first.
+     */
+    async recordForTweets(items) {
+        let recorded = 0;
+        for (const { tweetId, tickers } of items) {
+            for (const ticker of tickers) {
+                const [result] = await this.db.execute(
+                    `${this.db.insertIgnore()} INTO ticker_mentions (ticker, username, tweet_id, mentioned_at_ms)
+                     SELECT ?, username, id, created_at_ms FROM cz_tweets
+                     WHERE id = ? AND created_at_ms IS NOT NULL AND username IS NOT NULL`,
+                    [ticker, tweetId]
+                );
+                recorded += result.affectedRows || 0;
+            }
+        }
+        return recorded;
+    }
+
+    /**
+     * The newest `limit` mentions of a ticker, returned in time order with tweet text and url
+     */
+    async timeline(ticker, { since = null, until = null, excludeUsernames = [], limit = MAX_TIMELINE_ROWS } = {}) {
+        const filter = mentionFilter(ticker, { since, until, excludeUsernames });
+        const [rows] = await this.db.execute(
+            `SELECT m.username, m.tweet_id, m.mentioned_at_ms, t.text, t.url
+             FROM ticker_mentions m
+             LEFT JOIN cz_tweets t ON t.id = m.tweet_id
+             WHERE ${filter.sql}
+             ORDER BY m.mentioned_at_ms DESC, m.tweet_id DESC
+             LIMIT ${Math.min(Math.max(1, Math.floor(limit)), MAX_TIMELINE_ROWS)}`,
+            filter.params
+        );
+        return rows.reverse().map(row => ({ ...row, mentioned_at_ms: Number(row.mentioned_at_ms) }));
+    }
+
+    /**
+     * Totals over every mention of a ticker in range: { mentions, accounts, first_ms, last_ms }
+     */
+    async timelineSummary(ticker, { since = null, until = null, excludeUsernames = [] } = {}) {
+        const filter = mentionFilter(ticker, { since, until, excludeUsernames });
+        const [rows] = await this.db.execute(
+            `SELECT COUNT(*) as mentions, COUNT(DISTINCT m.username) as accounts,
+                    MIN(m.mentioned_at_ms) as first_ms, MAX(m.mentioned_at_ms) as last_ms
+             FROM ticker_mentions m
+             WHERE ${filter.sql}`,
+            filter.params
+        );
+        const row = rows[0] || {};
+        return {
+            mentions: Number(row.mentions || 0),
+            accounts: Number(row.accounts || 0),
+            first_ms: row.first_ms === null || row.first_ms === undefined ? null : Number(row.first_ms),
+            last_ms: row.last_ms === null || row.last_ms === undefined ? null : Number(row.last_ms)
+        };
+    }
+
+    /**
+     * Mentions and accounts mentioning for the first time per bucket of `sizeMs` (aligned to the epoch):
+     * [{ start_ms, mentions, new_accounts }] in time order, empty buckets omitted
+     */
+    async timelineBuckets(ticker, sizeMs, { since = null, until = null, excludeUsernames = [] } = {}) {
+        const filter = mentionFilter(ticker, { since, until, excludeUsernames });
+        const [mentionRows] = await this.db.execute(
+            `SELECT m.mentioned_at_ms - (m.mentioned_at_ms % ?) as start_ms, COUNT(*) as mentions
+             FROM ticker_mentions m
+             WHERE ${filter.sql}
+             GROUP BY start_ms`,
+            [sizeMs, ...filter.params]
+        );
+        const [accountRows] = await this.db.execute(
+            `SELECT f.first_ms - (f.first_ms % ?) as start_ms, COUNT(*) as new_accounts
+             FROM (
+                 SELECT m.username, MIN(m.mentioned_at_ms) as first_ms
+                 FROM ticker_mentions m
+                 WHERE ${filter.sql}
+                 GROUP BY m.username
+             ) f
+             GROUP BY start_ms`,
+            [sizeMs, ...filter.params]
+        );
+
+        const buckets = new Map();
+        for (const row of mentionRows) {
+            buckets.set(Number(row.start_ms), { start_ms: Number(row.start_ms), mentions: Number(row.mentions), new_accounts: 0 });
+        }
+        for (const row of accountRows) {
+            const bucket = buckets.get(Number(row.start_ms));
+            if (bucket) bucket.new_accounts = Number(row.new_accounts);
+        }
+        return [...buckets.values()].sort((a, b) => a.start_ms - b.start_ms);
+    }
+
+    /**
+     * Each account's first mention of a ticker, earliest first: [{ username, first_mentioned_at_ms, mentions }]
+     */
+    async firstMentionsByAccount(ticker, { since = null, excludeUsernames = [] } = {}) {
+        const exclusion = accountExclusion(excludeUsernames);
+        const params = [ticker];
+        let range = '';
+        if (since !== null) {
+            range = ' AND m.mentioned_at_ms >= ?';
+            params.push(since);
+        }
+
+        const [rows] = await this.db.execute(
+            `SELECT m.username, MIN(m.mentioned_at_ms) as first_mentioned_at_ms, COUNT(*) as mentions
+             FROM ticker_mentions m
+             WHERE m.ticker = ?${range} ${exclusion.sql}
+             GROUP BY m.username
+             ORDER BY first_mentioned_at_ms ASC`,
+            [...params, ...exclusion.params]
+        );
+        return rows.map(row => ({
+            username: row.username,
+            first_mentioned_at_ms: Number(row.first_mentioned_at_ms),
+            mentions: Number(row.mentions)
+        }));
+    }
+
+    /**
+     * Tickers mentioned by at least minAccounts distinct accounts since a time, most accounts first:
+     * [{ ticker, accounts, mentions, usernames }]
+     */
+    async accountCounts(since, { ticker = null, minAccounts = 1 } = {}) {
+        const [rows] = await this.db.execute(
+            `SELECT m.ticker, COUNT(DISTINCT m.username) as accounts, COUNT(*) as mentions,
+                    GROUP_CONCAT(DISTINCT m.username) as usernames
+             FROM ticker_mentions m
+             WHERE m.mentioned_at_ms >= ?${ticker ? ' AND m.ticker = ?' : ''}
+             GROUP BY m.ticker
+             HAVING COUNT(DISTINCT m.username) >= ?
+             ORDER BY accounts DESC, mentions DESC
+             LIMIT 100`,
+            ticker ? [since, ticker, minAccounts] : [since, minAccounts]
+        );
+        return rows.map(row => ({
+            ticker: row.ticker,
+            accounts: Number(row.accounts),
+            mentions: Number(row.mentions),
+            usernames: String(row.usernames || '').split(',').filter(Boolean)
+        }));
+    }
+
+    /**
+     * The tweet an account first mentioned a ticker in
+     */
+    async firstTweetFor(ticker, username, since = null) {
+        const [rows] = await this.db.execute(
+            `SELECT m.tweet_id, m.mentioned_at_ms, t.text, t.url
+             FROM ticker_mentions m
+             LEFT JOIN cz_tweets t ON t.id = m.tweet_id
+             WHERE m.ticker = ? AND m.username = ?${since !== null ? ' AND m.mentioned_at_ms >= ?' : ''}
+             ORDER BY m.mentioned_at_ms ASC, m.tweet_id ASC
+             LIMIT 1`,
+            since !== null ? [ticker, normalizeUsername(username), since] : [ticker, normalizeUsername(username)]
+        );
+        return rows[0] || null;
+    }
+}
+
+module.exports = TickerMentionRepository;
@@ -0,0 +1,40 @@
+/**
+ * Data access for admin-pinned symbol resolutions (token_overrides)
+ */
+class TokenOverrideRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async all() {
+        const [rows] = await this.db.execute(
+            'SELECT symbol, token_id, contract_address, chain, note, updated_at FROM token_overrides ORDER BY symbol'
+        );
+        return rows;
+    }
+
+    async upsert({ symbol, token_id = null, contract_address = null, chain = null, note = null }) {
+        await this.db.execute(
+            `INSERT INTO token_overrides (symbol, token_id, contract_address, chain, note)
+             VALUES (?, ?, ?, ?, ?)
+             ${this.db.onConflict(['symbol'], {
+                 token_id: null,
+                 contract_address: null,
+                 chain: null,
+                 note: null,
+                 updated_at: 'CURRENT_TIMESTAMP'
+             })}`,
+            [symbol, token_id, contract_address, chain, note]
+        );
+    }
+
+    /**
+     * Returns true when an override was removed
+     */
+    async remove(symbol) {
+        const [result] = await this.db.execute('DELETE FROM token_overrides WHERE symbol = ?', [symbol]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = TokenOverrideRepository;
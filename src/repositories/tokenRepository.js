@@ -0,0 +1,82 @@
+const BATCH_SIZE = 100;
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Data access for the token registry (tokens).
+ * chains / contract_addresses are stored as JSON text and returned as array / object.
+ */
+class TokenRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async all() {
+        const [rows] = await this.db.execute('SELECT * FROM tokens');
+        return rows.map(row => ({
+            ...row,
+            cmc_id: row.cmc_id === null ? null : Number(row.cmc_id),
+            market_cap_rank: row.market_cap_rank === null ? null : Number(row.market_cap_rank),
+            chains: parseJson(row.chains, []),
+            contract_addresses: parseJson(row.contract_addresses, {})
+        }));
+    }
+
+    async count() {
+        const [rows] = await this.db.execute('SELECT COUNT(*) as count FROM tokens');
+        return Number(rows[0]?.count) || 0;
+    }
+
+    /**
+     * Insert or update tokens. Missing CMC ids and contracts never erase known ones, so a
+     * CoinGecko-only refresh keeps the ids contributed earlier by CoinMarketCap. Ranks are kept
+     * the same way unless `replaceRanks`, for a refresh that fetched every market page: a token
+     * that fell out of them then loses its rank.
+     */
+    async upsertMany(tokens, { replaceRanks = false } = {}) {
+        const keep = column => `COALESCE(${this.db.inserted(column)}, ${column})`;
+
+        for (let i = 0; i < tokens.length; i += BATCH_SIZE) {
+            const batch = tokens.slice(i, i + BATCH_SIZE);
+            const rows = batch.map(token => [
+                token.id,
+                token.symbol,
+                token.name || null,
+                token.coingecko_id || null,
+                token.cmc_id || null,
+                token.chains && token.chains.length ? JSON.stringify(token.chains) : null,
+                token.contract_addresses && Object.keys(token.contract_addresses).length
+                    ? JSON.stringify(token.contract_addresses)
+                    : null,
+                token.market_cap_rank || null,
+                token.source || 'seed'
+            ]);
+
+            await this.db.execute(
+                `INSERT INTO tokens
+                (id, symbol, name, coingecko_id, cmc_id, chains, contract_addresses, market_cap_rank, source)
+                VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                ${this.db.onConflict(['id'], {
+                    symbol: null,
+                    name: keep('name'),
+                    coingecko_id: keep('coingecko_id'),
+                    cmc_id: keep('cmc_id'),
+                    chains: keep('chains'),
+                    contract_addresses: keep('contract_addresses'),
+                    market_cap_rank: replaceRanks ? null : keep('market_cap_rank')
+                })}`,
+                rows.flat()
+            );
+        }
+        return tokens.length;
+    }
+}
+
+module.exports = TokenRepository;
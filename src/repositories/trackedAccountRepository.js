@@ -0,0 +1,22 @@
+/**
+ * Data access for dynamically added monitored accounts (tracked_accounts)
+ */
+class TrackedAccountRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async listUsernames() {
+        const [rows] = await this.db.execute('SELECT username FROM tracked_accounts');
+        return rows.map(r => r.username);
+    }
+
+    async add(username, { isTest = false } = {}) {
+        await this.db.execute(
+            `${this.db.insertIgnore()} INTO tracked_accounts (username, is_test) VALUES (?, ?)`,
+            [username, isTest ? 1 : 0]
+        );
+    }
+}
+
+module.exports = TrackedAccountRepository;
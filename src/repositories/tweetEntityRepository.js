@@ -0,0 +1,87 @@
+const ID_CHUNK = 500;
+
+/**
+ * Data access for entities detected in tweets (tweet_entities)
+ */
+class TweetEntityRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store entities for tweets: [{ tweetId, entities }]. Already-stored entities are skipped;
+     * returns the number of new rows.
+     */
+    async saveForTweets(items) {
+        const rows = items.flatMap(({ tweetId, entities }) =>
+            entities.map(e => [tweetId, e.type, e.chain, e.value, e.address, e.platform])
+        );
+        if (rows.length === 0) return 0;
+
+        const [result] = await this.db.execute(
+            `${this.db.insertIgnore()} INTO tweet_entities (tweet_id, type, chain, value, address, platform)
+             VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+            rows.flat()
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * Entities grouped by tweet id: Map(id -> [{ type, chain, value, address, platform }])
+     */
+    async forTweets(tweetIds) {
+        const byTweet = new Map();
+        const ids = [...new Set(tweetIds.map(String))];
+
+        for (let i = 0; i < ids.length; i += ID_CHUNK) {
+            const chunk = ids.slice(i, i + ID_CHUNK);
+            const [rows] = await this.db.execute(
+                `SELECT tweet_id, type, chain, value, address, platform
+                 FROM tweet_entities
+                 WHERE tweet_id IN (${chunk.map(() => '?').join(',')})
+                 ORDER BY id`,
+                chunk
+            );
+            for (const { tweet_id, ...entity } of rows) {
+                if (!byTweet.has(tweet_id)) byTweet.set(tweet_id, []);
+                byTweet.get(tweet_id).push(entity);
+            }
+        }
+        return byTweet;
+    }
+
+    /**
+     * Contract addresses posted in the same tweet as each cashtag, most often paired first:
+     * Map(symbol -> [address])
+     */
+    async contractsForCashtags(symbols, { perSymbol = 3 } = {}) {
+        const bySymbol = new Map();
+        if (symbols.length === 0) return bySymbol;
+
+        const [rows] = await this.db.execute(
+            `SELECT k.value as symbol, c.value as address, COUNT(*) as mentions, MAX(c.id) as latest
+             FROM tweet_entities k
+             JOIN tweet_entities c ON c.tweet_id = k.tweet_id AND c.type = 'contract'
+             WHERE k.type = 'cashtag' AND k.value IN (${symbols.map(() => '?').join(',')})
+             GROUP BY k.value, c.value
+             ORDER BY mentions DESC, latest DESC`,
+            symbols
+        );
+        for (const { symbol, address } of rows) {
+            if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+            if (bySymbol.get(symbol).length < perSymbol) bySymbol.get(symbol).push(address);
+        }
+        return bySymbol;
+    }
+
+    /**
+     * Copy of tweet rows with their stored entities as `detected_entities`
+     */
+    async attachTo(tweets) {
+        if (!tweets || tweets.length === 0) return tweets || [];
+        const byTweet = await this.forTweets(tweets.map(t => t.id));
+        return tweets.map(t => ({ ...t, detected_entities: byTweet.get(String(t.id)) || [] }));
+    }
+}
+
+module.exports = TweetEntityRepository;
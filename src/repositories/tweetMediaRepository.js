@@ -0,0 +1,136 @@
+const ID_CHUNK = 500;
+
+/**
+ * Data access for tweet media (tweet_media) and link previews (tweet_links)
+ */
+class TweetMediaRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store the `media` and `links` of tweets (see tweetMedia.withMedia()). Payloads without a card
+     * keep previously stored titles/images; returns the number of rows written.
+     */
+    async saveForTweets(tweets) {
+        const keep = column => `COALESCE(${this.db.inserted(column)}, ${column})`;
+        let written = 0;
+
+        const media = tweets.flatMap(tweet => (tweet.media || []).map(m => [
+            tweet.id,
+            m.media_key,
+            m.type,
+            m.url || null,
+            m.preview_image_url || null,
+            m.video_url || null,
+            m.width || null,
+            m.height || null,
+            m.alt_text || null,
+            m.duration_ms || null
+        ]));
+        if (media.length > 0) {
+            const [result] = await this.db.execute(
+                `INSERT INTO tweet_media (tweet_id, media_key, media_type, url, preview_image_url, video_url, width, height, alt_text, duration_ms)
+                 VALUES ${media.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                 ${this.db.onConflict(['tweet_id', 'media_key'], {
+                     url: keep('url'),
+                     preview_image_url: keep('preview_image_url'),
+                     video_url: keep('video_url'),
+                     alt_text: keep('alt_text')
+                 })}`,
+                media.flat()
+            );
+            written += result.affectedRows;
+        }
+
+        const links = tweets.flatMap(tweet => (tweet.links || []).map(link => [
+            tweet.id,
+            link.url,
+            link.expanded_url,
+            link.domain || null,
+            link.title || null,
+            link.description || null,
+            link.image_url || null
+        ]));
+        if (links.length > 0) {
+            const [result] = await this.db.execute(
+                `INSERT INTO tweet_links (tweet_id, url, expanded_url, domain, title, description, image_url)
+                 VALUES ${links.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                 ${this.db.onConflict(['tweet_id', 'url'], {
+                     expanded_url: null,
+                     domain: null,
+                     title: keep('title'),
+                     description: keep('description'),
+                     image_url: keep('image_url')
+                 })}`,
+                links.flat()
+            );
+            written += result.affectedRows;
+        }
+
+        return written;
+    }
+
+    /**
+     * Media and links grouped by tweet id: { media: Map(id -> [...]), links: Map(id -> [...]) }
+     */
+    async forTweets(tweetIds) {
+        const media = new Map();
+        const links = new Map();
+        const push = (map, id, value) => {
+            if (!map.has(id)) map.set(id, []);
+            map.get(id).push(value);
+        };
+        const ids = [...new Set(tweetIds.map(String))];
+
+        for (let i = 0; i < ids.length; i += ID_CHUNK) {
+            const chunk = ids.slice(i, i + ID_CHUNK);
+            const placeholders = chunk.map(() => '?').join(',');
+
+            const [mediaRows] = await this.db.execute(
+                `SELECT tweet_id, media_key, media_type, url, preview_image_url, video_url, width, height, alt_text, duration_ms
+                 FROM tweet_media WHERE tweet_id IN (${placeholders}) ORDER BY id`,
+                chunk
+            );
+            for (const row of mediaRows) {
+                push(media, row.tweet_id, {
+                    media_key: row.media_key,
+                    type: row.media_type,
+                    url: row.url,
+                    preview_image_url: row.preview_image_url,
+                    video_url: row.video_url,
+                    width: row.width,
+                    height: row.height,
+                    alt_text: row.alt_text,
+                    duration_ms: row.duration_ms
+                });
+            }
+
+            const [linkRows] = await this.db.execute(
+                `SELECT tweet_id, url, expanded_url, domain, title, description, image_url
+                 FROM tweet_links WHERE tweet_id IN (${placeholders}) ORDER BY id`,
+                chunk
+            );
+            for (const row of linkRows) {
+                const { tweet_id: tweetId, ...link } = row;
+                push(links, tweetId, link);
+            }
+        }
+        return { media, links };
+    }
+
+    /**
+     * Copy of tweet rows with their `media` and `links`
+     */
+    async attachTo(tweets) {
+        if (!tweets || tweets.length === 0) return tweets || [];
+        const { media, links } = await this.forTweets(tweets.map(t => t.id));
+        return tweets.map(t => ({
+            ...t,
+            media: media.get(String(t.id)) || [],
+            links: links.get(String(t.id)) || []
+        }));
+    }
+}
+
+module.exports = TweetMediaRepository;
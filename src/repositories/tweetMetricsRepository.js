@@ -0,0 +1,85 @@
+const METRICS = ['like_count', 'retweet_count', 'reply_count', 'quote_count', 'impression_count', 'bookmark_count'];
+const BATCH_SIZE = 100;
+
+/**
+ * Data access for per-tweet engagement snapshots (tweet_metrics_history)
+ */
+class TweetMetricsRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Snapshot the public_metrics of API tweets captured at `atMs` and mark them captured on
+     * cz_tweets. Tweets without metrics are skipped; returns the number of snapshots written.
+     */
+    async record(tweets, atMs) {
+        const measured = tweets.filter(tweet => tweet.public_metrics);
+        let written = 0;
+
+        for (let i = 0; i < measured.length; i += BATCH_SIZE) {
+            const batch = measured.slice(i, i + BATCH_SIZE);
+            const rows = batch.map(tweet => [tweet.id, atMs, ...METRICS.map(m => tweet.public_metrics[m] || 0)]);
+            const [result] = await this.db.execute(
+                `${this.db.insertIgnore()} INTO tweet_metrics_history (tweet_id, captured_at_ms, ${METRICS.join(', ')})
+                 VALUES ${rows.map(() => `(?, ?, ${METRICS.map(() => '?').join(', ')})`).join(', ')}`,
+                rows.flat()
+            );
+            written += result.affectedRows;
+            await this.markCaptured(batch.map(tweet => tweet.id), atMs);
+        }
+        return written;
+    }
+
+    /**
+     * Set when tweets' metrics were last captured (also for lookups that returned nothing, so
+     * withheld tweets are not retried on every tick)
+     */
+    async markCaptured(ids, atMs) {
+        if (ids.length === 0) return;
+        await this.db.execute(
+            `UPDATE cz_tweets SET metrics_at_ms = ? WHERE id IN (${ids.map(() => '?').join(',')})`,
+            [atMs, ...ids]
+        );
+    }
+
+    /**
+     * Engagement snapshots (likes + retweets + replies + quotes) of several tweets:
+     * Map(tweet id -> [{ captured_at_ms, engagement }]), oldest first
+     */
+    async engagementFor(tweetIds) {
+        const byTweet = new Map();
+        if (tweetIds.length === 0) return byTweet;
+
+        const [rows] = await this.db.execute(
+            `SELECT tweet_id, captured_at_ms, like_count + retweet_count + reply_count + quote_count AS engagement
+             FROM tweet_metrics_history
+             WHERE tweet_id IN (${tweetIds.map(() => '?').join(',')})
+             ORDER BY tweet_id, captured_at_ms`,
+            tweetIds
+        );
+        for (const row of rows) {
+            if (!byTweet.has(row.tweet_id)) byTweet.set(row.tweet_id, []);
+            byTweet.get(row.tweet_id).push({ captured_at_ms: Number(row.captured_at_ms), engagement: Number(row.engagement) || 0 });
+        }
+        return byTweet;
+    }
+
+    /**
+     * Snapshots of a tweet, oldest first
+     */
+    async forTweet(tweetId) {
+        const [rows] = await this.db.execute(
+            `SELECT captured_at_ms, ${METRICS.join(', ')}
+             FROM tweet_metrics_history WHERE tweet_id = ? ORDER BY captured_at_ms`,
+            [tweetId]
+        );
+        return rows.map(row => {
+            const point = { captured_at_ms: Number(row.captured_at_ms) };
+            METRICS.forEach(m => { point[m] = Number(row[m]) || 0; });
+            return point;
+        });
+    }
+}
+
+module.exports = TweetMetricsRepository;
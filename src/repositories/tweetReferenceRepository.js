@@ -0,0 +1,97 @@
+const ID_CHUNK = 500;
+
+function parseJson(value) {
+    if (value === null || value === undefined || typeof value === 'object') return value ?? null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Data access for the tweets that stored tweets quote, retweet or reply to (tweet_references)
+ */
+class TweetReferenceRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store the `references` of tweets (see tweetReferences.withReferences()). Known references
+     * only get their text/author filled in; returns the number of rows written.
+     */
+    async saveForTweets(tweets) {
+        const rows = tweets.flatMap(tweet => (tweet.references || []).map(ref => [
+            tweet.id,
+            ref.type,
+            ref.id,
+            ref.author_id || null,
+            ref.username || null,
+            ref.text || null,
+            ref.created_at ? new Date(ref.created_at).getTime() || null : null
+        ]));
+        if (rows.length === 0) return 0;
+
+        const keep = column => `COALESCE(${this.db.inserted(column)}, ${column})`;
+        const [result] = await this.db.execute(
+            `INSERT INTO tweet_references (tweet_id, ref_type, ref_tweet_id, ref_author_id, ref_username, ref_text, ref_created_at_ms)
+             VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}
+             ${this.db.onConflict(['tweet_id', 'ref_type', 'ref_tweet_id'], {
+                 ref_author_id: keep('ref_author_id'),
+                 ref_username: keep('ref_username'),
+                 ref_text: keep('ref_text'),
+                 ref_created_at_ms: keep('ref_created_at_ms')
+             })}`,
+            rows.flat()
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * References grouped by tweet id: Map(id -> [{ type, id, author_id, username, text, created_at }])
+     */
+    async forTweets(tweetIds) {
+        const byTweet = new Map();
+        const ids = [...new Set(tweetIds.map(String))];
+
+        for (let i = 0; i < ids.length; i += ID_CHUNK) {
+            const chunk = ids.slice(i, i + ID_CHUNK);
+            const [rows] = await this.db.execute(
+                `SELECT tweet_id, ref_type, ref_tweet_id, ref_author_id, ref_username, ref_text, ref_created_at_ms
+                 FROM tweet_references
+                 WHERE tweet_id IN (${chunk.map(() => '?').join(',')})
+                 ORDER BY id`,
+                chunk
+            );
+            for (const row of rows) {
+                if (!byTweet.has(row.tweet_id)) byTweet.set(row.tweet_id, []);
+                byTweet.get(row.tweet_id).push({
+                    type: row.ref_type,
+                    id: row.ref_tweet_id,
+                    author_id: row.ref_author_id,
+                    username: row.ref_username,
+                    text: row.ref_text,
+                    created_at: row.ref_created_at_ms === null ? null : new Date(Number(row.ref_created_at_ms)).toISOString()
+                });
+            }
+        }
+        return byTweet;
+    }
+
+    /**
+     * Copy of tweet rows with their `references`, and the stored entities/attachments JSON parsed
+     */
+    async attachTo(tweets) {
+        if (!tweets || tweets.length === 0) return tweets || [];
+        const byTweet = await this.forTweets(tweets.map(t => t.id));
+        return tweets.map(t => ({
+            ...t,
+            entities: parseJson(t.entities),
+            attachments: parseJson(t.attachments),
+            references: byTweet.get(String(t.id)) || []
+        }));
+    }
+}
+
+module.exports = TweetReferenceRepository;
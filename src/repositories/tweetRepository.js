@@ -0,0 +1,626 @@
+const InvertedIndex = require('../search/invertedIndex');
+const { candidateTokens } = require('../search/queryParser');
+const { tweetTypeOf } = require('../services/tweetReferences');
+const { normalizeUsername, normalizeUsernames } = require('./usernames');
+
+const BATCH_SIZE = 25;
+const HOUR_MS = 60 * 60 * 1000;
+const ENGAGEMENT_SQL = '(like_count + retweet_count + reply_count + quote_count)';
+const TICKER_PATTERN = '[$][A-Za-z][A-Za-z0-9]{1,9}';
+const MAX_PAGE_SIZE = 200;
+const MAX_CANDIDATE_IDS = 10000;
+const FULLTEXT_MIN_TOKEN = 3;
+// InnoDB's default FULLTEXT stopwords: never indexed, so "+word" in boolean mode would match nothing
+const FULLTEXT_STOPWORDS = new Set([
+    'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i', 'in', 'is',
+    'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'who', 'will',
+    'with', 'und', 'www'
+]);
+
+/**
+ * Clamp a caller-supplied LIMIT/OFFSET to a safe integer (inlined into SQL)
+ */
+function clampInt(value, fallback, min, max) {
+    const n = parseInt(value);
+    return Math.max(min, Math.min(Number.isFinite(n) ? n : fallback, max));
+}
+
+/**
+ * Search relevance as SQL: each clause adds its weight, growing with how often it occurs, and the sum
+ * is damped for long tweets so matches that make up more of the text rank higher
+ */
+function relevanceSql(clauses) {
+    const terms = [];
+    const params = [];
+    for (const clause of clauses) {
+        // Occurrences of the clause's literal text, counted by how much shorter removing it makes the tweet
+        const literal = { cashtag: '$', mention: '@' }[clause.type] || '';
+        const needle = `${literal}${clause.value}`.toLowerCase();
+        terms.push(`${clause.weight} * (1 + LN(((LENGTH(LOWER(text)) - LENGTH(REPLACE(LOWER(text), ?, ''))) / LENGTH(?) + 1) / 2.0))`);
+        params.push(needle, needle);
+    }
+    const words = "(LENGTH(TRIM(text)) - LENGTH(REPLACE(TRIM(text), ' ', '')) + 1)";
+    return { sql: `((${terms.join(' + ')}) / SQRT(1 + ${words} / 30.0))`, params };
+}
+
+/**
+ * Derive creation time from a tweet's created_at, falling back to the snowflake id timestamp
+ */
+function createdAtMs(tweet) {
+    const created = new Date(tweet.created_at);
+    return Number.isFinite(created.getTime())
+        ? created.getTime()
+        : Number((BigInt(String(tweet.id)) >> 22n) + 1288834974657n);
+}
+
+/**
+ * WHERE fragments restricting to / excluding usernames
+ */
+function accountFilters(usernames, excludeUsernames) {
+    const where = [];
+    const params = [];
+    if (Array.isArray(usernames) && usernames.length > 0) {
+        where.push(`username IN (${usernames.map(() => '?').join(',')})`);
+        params.push(...normalizeUsernames(usernames));
+    }
+    if (Array.isArray(excludeUsernames) && excludeUsernames.length > 0) {
+        where.push(`username NOT IN (${excludeUsernames.map(() => '?').join(',')})`);
+        params.push(...normalizeUsernames(excludeUsernames));
+    }
+    return { where, params };
+}
+
+/**
+ * v2 entities without text offsets: urls, mentions, cashtags and hashtags (JSON, or null when empty)
+ */
+function entitiesJson(entities) {
+    if (!entities) return null;
+    const compact = {};
+    if (entities.urls?.length) {
+        compact.urls = entities.urls.map(u => ({ url: u.url, expanded_url: u.expanded_url || null, unwound_url: u.unwound_url || null, display_url: u.display_url || null }));
+    }
+    if (entities.mentions?.length) compact.mentions = entities.mentions.map(m => ({ username: m.username, id: m.id || null }));
+    if (entities.cashtags?.length) compact.cashtags = entities.cashtags.map(c => c.tag);
+    if (entities.hashtags?.length) compact.hashtags = entities.hashtags.map(h => h.tag);
+    return Object.keys(compact).length ? JSON.stringify(compact) : null;
+}
+
+function engagementOf(row) {
+    return (Number(row.like_count) || 0) + (Number(row.retweet_count) || 0)
+        + (Number(row.reply_count) || 0) + (Number(row.quote_count) || 0);
+}
+
+/**
+ * Data access for the cz_tweets table
+ */
+class TweetRepository {
+    constructor(db) {
+        this.db = db;
+        this.searchIndex = null; // SQLite only, see getSearchIndex()
+    }
+
+    /**
+     * Opaque page cursor: base64url-encoded JSON array of the last row's sort key
+     */
+    static encodeCursor(key) {
+        return Buffer.from(JSON.stringify(key)).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor for the given sort; returns null when it is malformed or from another sort
+     */
+    static decodeCursor(cursor, sort = 'recent') {
+        try {
+            const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            const expectedLength = sort === 'engagement' ? 3 : 2;
+            if (!Array.isArray(key) || key.length !== expectedLength) return null;
+            const [createdMs, id] = key.slice(-2);
+            if (!Number.isFinite(createdMs) || typeof id !== 'string') return null;
+            if (expectedLength === 3 && !Number.isFinite(key[0])) return null;
+            return key;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Insert tweets for an account; existing rows get refreshed timestamps, metrics and reference
+     * metadata (type, reply target, entities, attachments). Returns the number of tweets written.
+     */
+    async upsertMany(tweets, username) {
+        if (!tweets || tweets.length === 0) return 0;
+
+        let saved = 0;
+        for (let i = 0; i < tweets.length; i += BATCH_SIZE) {
+            const batch = tweets.slice(i, i + BATCH_SIZE);
+            const rows = batch.map(tweet => {
+                const createdMs = createdAtMs(tweet);
+                const repliedTo = (tweet.referenced_tweets || []).find(ref => ref.type === 'replied_to');
+                return [
+                    tweet.id,
+                    tweet.text,
+                    new Date(createdMs),
+                    createdMs,
+                    tweet.public_metrics?.retweet_count || 0,
+                    tweet.public_metrics?.like_count || 0,
+                    tweet.public_metrics?.reply_count || 0,
+                    tweet.public_metrics?.quote_count || 0,
+                    tweet.public_metrics?.impression_count || 0,
+                    `https://twitter.com/${username}/status/${tweet.id}`,
+                    normalizeUsername(username),
+                    tweet.conversation_id || null,
+                    repliedTo?.id || null,
+                    tweet.in_reply_to_user_id || null,
+                    tweetTypeOf(tweet),
+                    entitiesJson(tweet.entities),
+                    tweet.attachments ? JSON.stringify(tweet.attachments) : null
+                ];
+            });
+
+            const placeholders = rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+            const keep = column => `COALESCE(${this.db.inserted(column)}, ${column})`;
+            await this.db.execute(
+                `INSERT INTO cz_tweets
+                (id, text, created_at, created_at_ms, retweet_count, like_count, reply_count, quote_count, impression_count, url, username,
+                 conversation_id, in_reply_to_status_id, in_reply_to_user_id, tweet_type, entities, attachments)
+                VALUES ${placeholders}
+                ${this.db.onConflict(['id'], {
+                    created_at: null,
+                    created_at_ms: null,
+                    retweet_count: null,
+                    like_count: null,
+                    reply_count: null,
+                    quote_count: null,
+                    impression_count: null,
+                    conversation_id: keep('conversation_id'),
+                    in_reply_to_status_id: keep('in_reply_to_status_id'),
+                    in_reply_to_user_id: keep('in_reply_to_user_id'),
+                    // Payloads without referenced_tweets look 'original'; never downgrade a known type
+                    tweet_type: `CASE WHEN ${this.db.inserted('tweet_type')} = 'original' THEN tweet_type ELSE ${this.db.inserted('tweet_type')} END`,
+                    entities: keep('entities'),
+                    attachments: keep('attachments')
+                })}`,
+                rows.flat()
+            );
+            saved += batch.length;
+
+            if (this.searchIndex) {
+                batch.forEach(tweet => this.searchIndex.add(tweet.id, tweet.text));
+            }
+        }
+
+        return saved;
+    }
+
+    /**
+     * A stored tweet by id, or null
+     */
+    async findById(id) {
+        const [rows] = await this.db.execute('SELECT * FROM cz_tweets WHERE id = ?', [id]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Newest stored tweet id for an account (used as since_id)
+     */
+    async latestIdFor(username) {
+        const [rows] = await this.db.execute(
+            'SELECT id FROM cz_tweets WHERE username = ? ORDER BY created_at DESC LIMIT 1',
+            [normalizeUsername(username)]
+        );
+        return rows.length > 0 ? rows[0].id : null;
+    }
+
+    /**
+     * Newest stored tweet id for an account created before a time (since_id for a gap catch-up)
+     */
+    async latestIdBefore(username, beforeMs) {
+        const [rows] = await this.db.execute(
+            'SELECT id FROM cz_tweets WHERE username = ? AND created_at_ms < ? ORDER BY created_at_ms DESC LIMIT 1',
+            [normalizeUsername(username), beforeMs]
+        );
+        return rows.length > 0 ? rows[0].id : null;
+    }
+
+    /**
+     * The subset of ids already stored
+     */
+    async existingIds(ids) {
+        if (ids.length === 0) return new Set();
+        const [rows] = await this.db.execute(
+            `SELECT id FROM cz_tweets WHERE id IN (${ids.map(() => '?').join(',')})`,
+            ids
+        );
+        return new Set(rows.map(row => row.id));
+    }
+
+    /**
+     * Stored tweets of a conversation (the root tweet has id = conversation_id), oldest first
+     */
+    async conversation(conversationId, { limit = 500 } = {}) {
+        const [rows] = await this.db.execute(
+            `SELECT * FROM cz_tweets
+             WHERE conversation_id = ? OR id = ?
+             ORDER BY created_at_ms ASC, id ASC
+             LIMIT ${clampInt(limit, 500, 1, 2000)}`,
+            [conversationId, conversationId]
+        );
+        return rows;
+    }
+
+    /**
+     * Tweets created since `sinceMs` that are not known deleted, least recently verified first
+     */
+    async dueForVerification(sinceMs, limit = 100) {
+        const [rows] = await this.db.execute(
+            `SELECT id, text, username, url, created_at_ms, verified_at_ms FROM cz_tweets
+             WHERE created_at_ms >= ? AND deleted_at IS NULL
+             ORDER BY COALESCE(verified_at_ms, 0) ASC, created_at_ms DESC
+             LIMIT ${clampInt(limit, 100, 1, 500)}`,
+            [sinceMs]
+        );
+        return rows;
+    }
+
+    async markVerified(ids, atMs) {
+        if (ids.length === 0) return 0;
+        const [result] = await this.db.execute(
+            `UPDATE cz_tweets SET verified_at_ms = ? WHERE id IN (${ids.map(() => '?').join(',')})`,
+            [atMs, ...ids]
+        );
+        return result.affectedRows;
+    }
+
+    async markDeleted(ids, atMs) {
+        if (ids.length === 0) return 0;
+        const [result] = await this.db.execute(
+            `UPDATE cz_tweets SET deleted_at = ?, verified_at_ms = ? WHERE id IN (${ids.map(() => '?').join(',')}) AND deleted_at IS NULL`,
+            [new Date(atMs), atMs, ...ids]
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * Tweets created since `sinceMs` that are not known deleted, with when their metrics were last captured
+     */
+    async metricsCandidates(sinceMs) {
+        const [rows] = await this.db.execute(
+            `SELECT id, created_at_ms, metrics_at_ms FROM cz_tweets
+             WHERE created_at_ms >= ? AND deleted_at IS NULL
+             ORDER BY created_at_ms DESC
+             LIMIT 5000`,
+            [sinceMs]
+        );
+        return rows.map(row => ({
+            id: row.id,
+            created_at_ms: Number(row.created_at_ms),
+            metrics_at_ms: row.metrics_at_ms === null ? null : Number(row.metrics_at_ms)
+        }));
+    }
+
+    /**
+     * Overwrite the stored counts with freshly looked-up public_metrics
+     */
+    async updateMetrics(tweets) {
+        for (const tweet of tweets.filter(t => t.public_metrics)) {
+            const m = tweet.public_metrics;
+            await this.db.execute(
+                `UPDATE cz_tweets SET retweet_count = ?, like_count = ?, reply_count = ?, quote_count = ?, impression_count = ?
+                 WHERE id = ?`,
+                [m.retweet_count || 0, m.like_count || 0, m.reply_count || 0, m.quote_count || 0, m.impression_count || 0, tweet.id]
+            );
+        }
+    }
+
+    /**
+     * An account's most recent original tweets/quotes/replies created before `beforeMs` (baseline sample)
+     */
+    async recentForBaseline(username, beforeMs, limit = 50) {
+        const [rows] = await this.db.execute(
+            `SELECT id, created_at_ms FROM cz_tweets
+             WHERE username = ? AND created_at_ms < ? AND tweet_type <> 'retweet' AND deleted_at IS NULL
+             ORDER BY created_at_ms DESC
+             LIMIT ${clampInt(limit, 50, 1, 500)}`,
+            [normalizeUsername(username), beforeMs]
+        );
+        return rows.map(row => ({ id: row.id, created_at_ms: Number(row.created_at_ms) }));
+    }
+
+    /**
+     * Posting history since `sinceMs` for the poll scheduler: [{ username, created_at_ms, alpha }],
+     * where `alpha` marks tweets that name a token (contract, DEX link or cashtag)
+     */
+    async postingHistory(usernames, sinceMs) {
+        if (usernames.length === 0) return [];
+        const [rows] = await this.db.execute(
+            `SELECT t.username, t.created_at_ms,
+                EXISTS (SELECT 1 FROM tweet_entities e WHERE e.tweet_id = t.id) as alpha
+             FROM cz_tweets t
+             WHERE t.username IN (${usernames.map(() => '?').join(',')})
+               AND t.created_at_ms >= ? AND t.tweet_type <> 'retweet'`,
+            [...normalizeUsernames(usernames), sinceMs]
+        );
+        return rows.map(row => ({ username: row.username, created_at_ms: Number(row.created_at_ms), alpha: Boolean(Number(row.alpha)) }));
+    }
+
+    /**
+     * Store a tweet's engagement score; `outperformedAtMs` is only set once
+     */
+    async updateScore(id, score, atMs, outperformedAtMs = null) {
+        await this.db.execute(
+            `UPDATE cz_tweets SET engagement_score = ?, engagement_scored_at_ms = ?,
+                outperformed_at = COALESCE(outperformed_at, ?)
+             WHERE id = ?`,
+            [score, atMs, outperformedAtMs === null ? null : new Date(outperformedAtMs), id]
+        );
+    }
+
+    /**
+     * Replace a tweet's text with its latest edit
+     */
+    async updateText(id, text) {
+        await this.db.execute('UPDATE cz_tweets SET text = ? WHERE id = ?', [text, id]);
+        if (this.searchIndex) this.searchIndex.add(id, text);
+    }
+
+    /**
+     * Oldest stored tweet id for an account (used as until_id for backfill)
+     */
+    async oldestIdFor(username) {
+        const [rows] = await this.db.execute(
+            'SELECT id FROM cz_tweets WHERE username = ? ORDER BY created_at ASC LIMIT 1',
+            [normalizeUsername(username)]
+        );
+        return rows.length > 0 ? rows[0].id : null;
+    }
+
+    /**
+     * Tweets created in the last `hours` (by created_at_ms), newest first.
+     * accounts optionally restricts to a list of usernames.
+     */
+    async window(hours, accounts = null, { limit = 500 } = {}) {
+        const params = [Date.now() - hours * HOUR_MS];
+        let accountFilter = '';
+        if (Array.isArray(accounts)) {
+            if (accounts.length === 0) return [];
+            accountFilter = `AND username IN (${accounts.map(() => '?').join(',')})`;
+            params.push(...normalizeUsernames(accounts));
+        }
+
+        const [rows] = await this.db.execute(
+            `SELECT *
+             FROM cz_tweets
+             WHERE created_at_ms IS NOT NULL AND created_at_ms >= ?
+               ${accountFilter}
+             ORDER BY created_at_ms DESC
+             LIMIT ${clampInt(limit, 500, 1, 5000)}`,
+            params
+        );
+        return rows;
+    }
+
+    /**
+     * One page of stored tweets using keyset pagination.
+     * sort 'recent' orders by (created_at_ms, id); 'engagement' by (engagement, created_at_ms, id), all descending.
+     * Returns { rows, nextCursor } where nextCursor is null on the last page.
+     */
+    async page({
+        cursor = null,
+        limit = 50,
+        sort = 'recent',
+        usernames = null,
+        excludeUsernames = [],
+        since = null,
+        until = null,
+        minEngagement = null,
+        isReply = null,
+        hasTicker = null,
+        deleted = null
+    } = {}) {
+        const pageSize = clampInt(limit, 50, 1, MAX_PAGE_SIZE);
+        const byEngagement = sort === 'engagement';
+        const accounts = accountFilters(usernames, excludeUsernames);
+        const where = ['created_at_ms IS NOT NULL', ...accounts.where];
+        const params = [...accounts.params];
+
+        if (since !== null) {
+            where.push('created_at_ms >= ?');
+            params.push(since);
+        }
+        if (until !== null) {
+            where.push('created_at_ms < ?');
+            params.push(until);
+        }
+        if (minEngagement !== null) {
+            where.push(`${ENGAGEMENT_SQL} >= ?`);
+            params.push(minEngagement);
+        }
+        if (isReply !== null) {
+            where.push(isReply ? 'in_reply_to_status_id IS NOT NULL' : 'in_reply_to_status_id IS NULL');
+        }
+        if (hasTicker !== null) {
+            where.push(hasTicker ? 'text REGEXP ?' : 'NOT (text REGEXP ?)');
+            params.push(TICKER_PATTERN);
+        }
+        if (deleted !== null) {
+            where.push(deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+        }
+
+        if (cursor) {
+            const [createdMs, id] = cursor.slice(-2);
+            const afterTime = '(created_at_ms < ? OR (created_at_ms = ? AND id < ?))';
+            if (byEngagement) {
+                where.push(`(${ENGAGEMENT_SQL} < ? OR (${ENGAGEMENT_SQL} = ? AND ${afterTime}))`);
+                params.push(cursor[0], cursor[0], createdMs, createdMs, id);
+            } else {
+                where.push(afterTime);
+                params.push(createdMs, createdMs, id);
+            }
+        }
+
+        const orderBy = byEngagement
+            ? `${ENGAGEMENT_SQL} DESC, created_at_ms DESC, id DESC`
+            : 'created_at_ms DESC, id DESC';
+
+        const [rows] = await this.db.execute(
+            `SELECT * FROM cz_tweets
+             WHERE ${where.join(' AND ')}
+             ORDER BY ${orderBy}
+             LIMIT ${pageSize + 1}`,
+            params
+        );
+
+        const hasMore = rows.length > pageSize;
+        const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+        let nextCursor = null;
+        if (hasMore) {
+            const last = pageRows[pageRows.length - 1];
+            const key = [Number(last.created_at_ms), String(last.id)];
+            nextCursor = TweetRepository.encodeCursor(byEngagement ? [engagementOf(last), ...key] : key);
+        }
+
+        return { rows: pageRows, nextCursor };
+    }
+
+    /**
+     * Tweets matching every search clause (see search/queryParser parseSearchQuery()), ranked and counted
+     * over the full match set. MySQL narrows candidates with the FULLTEXT index, SQLite with an in-process
+     * inverted index built on first use; the clause patterns then decide exact matches on both.
+     * sort: 'relevance', 'recent' or 'oldest'. Returns { rows (with `relevance`), total }.
+     */
+    async search(clauses, { limit = 20, sort = 'relevance', usernames = null, excludeUsernames = [] } = {}) {
+        if (clauses.length === 0) return { rows: [], total: 0 };
+
+        const where = [];
+        const params = [];
+        const tokens = candidateTokens(clauses);
+
+        if (this.db.dialect === 'mysql') {
+            // Short words and stopwords are not indexed; the clause patterns below still require them
+            const indexed = tokens.filter(t => t.length >= FULLTEXT_MIN_TOKEN && !FULLTEXT_STOPWORDS.has(t));
+            if (indexed.length > 0) {
+                where.push('MATCH(text) AGAINST (? IN BOOLEAN MODE)');
+                params.push(indexed.map(t => `+${t}`).join(' '));
+            }
+        } else if (tokens.length > 0) {
+            const ids = (await this.getSearchIndex()).lookup(tokens);
+            if (ids.length === 0) return { rows: [], total: 0 };
+            // Past this many the pattern scan is cheaper than binding every id
+            if (ids.length <= MAX_CANDIDATE_IDS) {
+                where.push(`id IN (${ids.map(() => '?').join(',')})`);
+                params.push(...ids);
+            }
+        }
+
+        for (const clause of clauses) {
+            where.push('REGEXP_LIKE(text, ?, ?)');
+            params.push(clause.pattern.source, clause.pattern.ignoreCase ? 'i' : 'c');
+        }
+
+        const accounts = accountFilters(usernames, excludeUsernames);
+        where.push(...accounts.where);
+        params.push(...accounts.params);
+
+        const [[{ total }]] = await this.db.execute(
+            `SELECT COUNT(*) as total FROM cz_tweets WHERE ${where.join(' AND ')}`,
+            params
+        );
+        if (Number(total) === 0) return { rows: [], total: 0 };
+
+        const relevance = relevanceSql(clauses);
+        const orderBy = {
+            relevance: 'relevance DESC, created_at_ms DESC',
+            recent: 'created_at_ms DESC',
+            oldest: 'created_at_ms ASC'
+        }[sort] || 'relevance DESC, created_at_ms DESC';
+
+        const [rows] = await this.db.execute(
+            `SELECT *, ${relevance.sql} as relevance FROM cz_tweets
+             WHERE ${where.join(' AND ')}
+             ORDER BY ${orderBy}, id DESC
+             LIMIT ${clampInt(limit, 20, 1, MAX_PAGE_SIZE)}`,
+            [...relevance.params, ...params]
+        );
+        return {
+            rows: rows.map(row => ({ ...row, relevance: Math.round(Number(row.relevance) * 1000) / 1000 })),
+            total: Number(total)
+        };
+    }
+
+    /**
+     * Lazily build the SQLite search index from every stored tweet; kept current by upsertMany()
+     */
+    async getSearchIndex() {
+        if (!this.searchIndex) {
+            const index = new InvertedIndex();
+            const [rows] = await this.db.execute('SELECT id, text FROM cz_tweets');
+            rows.forEach(row => index.add(row.id, row.text));
+            this.searchIndex = index;
+            console.log(`🔎 Search index built: ${index.size} tweets`);
+        }
+        return this.searchIndex;
+    }
+
+    /**
+     * Tweets stored after the given time (database polling fallback), newest first
+     */
+    async retrievedSince(since, limit = 10) {
+        const [rows] = await this.db.execute(
+            `SELECT * FROM cz_tweets
+             WHERE retrieved_at > ?
+             ORDER BY created_at_ms DESC
+             LIMIT ${clampInt(limit, 10, 1, 500)}`,
+            [since]
+        );
+        return rows;
+    }
+
+    /**
+     * Tweet count and engagement totals, optionally limited to tweets from the last `hours`
+     */
+    async totals(hours = null) {
+        const where = hours ? 'WHERE created_at_ms >= ?' : '';
+        const [rows] = await this.db.execute(
+            `SELECT
+                COUNT(*) as count,
+                SUM(${ENGAGEMENT_SQL}) as engagement,
+                AVG(${ENGAGEMENT_SQL}) as average
+             FROM cz_tweets ${where}`,
+            hours ? [Date.now() - hours * HOUR_MS] : []
+        );
+        const row = rows[0] || {};
+        return {
+            count: Number(row.count) || 0,
+            engagement: Number(row.engagement) || 0,
+            average: Number(row.average) || 0
+        };
+    }
+
+    /**
+     * Per-account tweet count, engagement and first/last tweet time
+     */
+    async statsByAccount() {
+        const [rows] = await this.db.execute(
+            `SELECT
+                username,
+                COUNT(*) as tweets,
+                SUM(${ENGAGEMENT_SQL}) as engagement,
+                MAX(created_at) as last_tweet,
+                MIN(created_at) as first_tweet
+             FROM cz_tweets
+             GROUP BY username
+             ORDER BY tweets DESC`
+        );
+        return rows.map(row => ({ ...row, tweets: Number(row.tweets), engagement: Number(row.engagement) || 0 }));
+    }
+
+    async countFor(username) {
+        const [rows] = await this.db.execute(
+            'SELECT COUNT(*) as count FROM cz_tweets WHERE username = ?',
+            [normalizeUsername(username)]
+        );
+        return rows.length > 0 ? Number(rows[0].count) : 0;
+    }
+}
+
+module.exports = TweetRepository;
@@ -0,0 +1,50 @@
+/**
+ * Data access for the edit history of stored tweets (tweet_versions). Versions are keyed by the
+ * original tweet id; X gives every edit its own id (version_tweet_id).
+ */
+class TweetVersionRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Store versions of a tweet ([{ id, version, text, created_at }], version 1 is the original);
+     * known ones are skipped. Returns the number of new versions.
+     */
+    async addVersions(tweetId, versions) {
+        if (versions.length === 0) return 0;
+        const rows = versions.map(version => [
+            tweetId,
+            version.id,
+            version.version,
+            version.text,
+            version.created_at ? new Date(version.created_at).getTime() || null : null
+        ]);
+        const [result] = await this.db.execute(
+            `${this.db.insertIgnore()} INTO tweet_versions (tweet_id, version_tweet_id, version, text, version_created_at_ms)
+             VALUES ${rows.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+            rows.flat()
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * Versions of a tweet, oldest first
+     */
+    async forTweet(tweetId) {
+        const [rows] = await this.db.execute(
+            `SELECT version, version_tweet_id, text, version_created_at_ms, recorded_at
+             FROM tweet_versions WHERE tweet_id = ? ORDER BY version`,
+            [tweetId]
+        );
+        return rows.map(row => ({
+            version: Number(row.version),
+            id: row.version_tweet_id,
+            text: row.text,
+            created_at: row.version_created_at_ms === null ? null : new Date(Number(row.version_created_at_ms)).toISOString(),
+            recorded_at: row.recorded_at
+        }));
+    }
+}
+
+module.exports = TweetVersionRepository;
@@ -0,0 +1,59 @@
+const MAX_REPORT_ROWS = 500;
+
+/**
+ * Data access for tickers the token registry could not resolve (unresolved_tickers)
+ */
+class UnresolvedTickerRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Count a lookup for each entry: [{ symbol, pricedBy }] (pricedBy = provider that priced it anyway, or null)
+     */
+    async record(entries, now = Date.now()) {
+        for (const { symbol, pricedBy } of entries) {
+            await this.db.execute(
+                `INSERT INTO unresolved_tickers (symbol, lookups, first_seen_at_ms, last_seen_at_ms, priced_by)
+                 VALUES (?, 1, ?, ?, ?)
+                 ${this.db.onConflict(['symbol'], {
+                     lookups: 'lookups + 1',
+                     last_seen_at_ms: null,
+                     priced_by: null
+                 })}`,
+                [symbol, now, now, pricedBy || null]
+            );
+        }
+    }
+
+    /**
+     * Forget symbols that resolve now (after a registry refresh or an override)
+     */
+    async removeMany(symbols) {
+        if (symbols.length === 0) return;
+        await this.db.execute(
+            `DELETE FROM unresolved_tickers WHERE symbol IN (${symbols.map(() => '?').join(',')})`,
+            symbols
+        );
+    }
+
+    /**
+     * Most looked-up unresolved tickers first
+     */
+    async list(limit = 100) {
+        const [rows] = await this.db.execute(
+            `SELECT symbol, lookups, first_seen_at_ms, last_seen_at_ms, priced_by
+             FROM unresolved_tickers
+             ORDER BY lookups DESC, last_seen_at_ms DESC
+             LIMIT ${Math.min(Math.max(Number(limit) || 100, 1), MAX_REPORT_ROWS)}`
+        );
+        return rows.map(row => ({
+            ...row,
+            lookups: Number(row.lookups),
+            first_seen_at_ms: Number(row.first_seen_at_ms),
+            last_seen_at_ms: Number(row.last_seen_at_ms)
+        }));
+    }
+}
+
+module.exports = UnresolvedTickerRepository;
@@ -0,0 +1,13 @@
+/**
+ * Stored form of a Twitter username: without '@', lowercase (usernames are case-insensitive on X,
+ * and comparing the stored column directly keeps the username indexes usable)
+ */
+function normalizeUsername(username) {
+    return String(username).replace(/^@/, '').toLowerCase();
+}
+
+function normalizeUsernames(usernames) {
+    return usernames.map(normalizeUsername);
+}
+
+module.exports = { normalizeUsername, normalizeUsernames };
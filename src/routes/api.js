@@ -1,13 +1,47 @@
+const crypto = require('crypto');
 const express = require('express');
-const { getPool } = require('../config/database');
+const { getRepositories } = require('../config/database');
+const TweetRepository = require('../repositories/tweetRepository');
+const { normalizeUsernames } = require('../repositories/usernames');
 const AIService = require('../services/aiService');
+const TweetSearchService = require('../services/tweetSearchService');
+const TickerMentionService = require('../services/tickerMentionService');
+const CallerPerformanceService = require('../services/callerPerformanceService');
+const PriceService = require('../services/priceService');
+const PriceAlertService = require('../services/priceAlertService');
+const { ALLOWED_USERNAMES } = require('../config/allowlist');
+const { chainForAddress } = require('../services/entityExtractor');
+const { attachTweetDetails } = require('../services/tweetDetails');
+const { threadCards, selfThread } = require('../services/threads');
+const TweetMetricsPoller = require('../services/tweetMetricsPoller');
 
 const router = express.Router();
 
+const tweetSearch = new TweetSearchService();
+const tickerMentions = new TickerMentionService();
+const callerPerformance = new CallerPerformanceService();
+
 // In-memory webhook config storage (could be moved to database later)
 let webhookConfigs = new Map();
 
-// Removed unused CryptoDataService import/instance (no dependency in repo)
+/**
+ * Guard for endpoints that can make the tracker send notifications or call the price providers on demand:
+ * requires `Authorization: Bearer <ADMIN_API_TOKEN>`, and refuses every request while the token is unset
+ */
+function requireAdmin(req, res, next) {
+    const expected = process.env.ADMIN_API_TOKEN;
+    if (!expected) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled; set ADMIN_API_TOKEN to enable them' });
+    }
+
+    const provided = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    if (!crypto.timingSafeEqual(a, b)) {
+        return res.status(401).json({ error: 'Invalid or missing admin token' });
+    }
+    next();
+}
 
 /**
  * Get fresh live tweets from Twitter API
@@ -26,8 +60,9 @@ router.get('/tweets/live', async (req, res) => {
         console.log('✅ Tracker found, calling getFreshTweets()...');
         const tweets = await tracker.getFreshTweets();
         console.log(`📊 Returning ${tweets.length} tweets to frontend`);
-        
-        res.json(tweets);
+
+        // ?group=threads folds each self-thread into one card
+        res.json(req.query.group === 'threads' ? threadCards(tweets) : tweets);
     } catch (error) {
         console.error('❌ Error fetching live tweets:', error.message);
         console.error('Stack trace:', error.stack);
@@ -48,78 +83,318 @@ router.get('/test', (req, res) => {
 });
 
 /**
- * Get tweets from database (backup/history)
+ * Parse a time query param given as epoch milliseconds or an ISO date; null when absent, NaN when invalid
+ */
+function parseTimeParam(value) {
+    if (value === undefined || value === '') return null;
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Parse a true/false query param; null when absent
+ */
+function parseBoolParam(value) {
+    if (value === undefined || value === '') return null;
+    return value === 'true' || value === '1';
+}
+
+/**
+ * Parse a username filter given repeated (?username=a&username=b) or comma-separated; '@' optional
+ */
+function parseUsernamesParam(value) {
+    return [].concat(value || [])
+        .flatMap(u => String(u).split(','))
+        .map(u => u.trim().replace(/^@/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Get tweets from database (backup/history).
+ * Keyset-paginated: pass the returned next_cursor as ?cursor= to fetch the following page.
+ * Filters: username (repeatable or comma-separated), since/until (ms or ISO), min_engagement,
+ * is_reply, has_ticker, include_test; sort=recent|engagement; limit up to 200.
  */
 router.get('/tweets', async (req, res) => {
     try {
-        const pool = getPool();
-        const limit = parseInt(req.query.limit) || 50;
-        const offset = parseInt(req.query.offset) || 0;
-        
-        const [rows] = await pool.execute(
-            'SELECT * FROM cz_tweets ORDER BY created_at DESC LIMIT ? OFFSET ?',
-            [limit, offset]
-        );
-        
-        res.json(rows);
+        const sort = req.query.sort || 'recent';
+        if (!['recent', 'engagement'].includes(sort)) {
+            return res.status(400).json({ error: 'sort must be "recent" or "engagement"' });
+        }
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = TweetRepository.decodeCursor(req.query.cursor, sort);
+            if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const since = parseTimeParam(req.query.since);
+        const until = parseTimeParam(req.query.until);
+        if (Number.isNaN(since) || Number.isNaN(until)) {
+            return res.status(400).json({ error: 'since/until must be epoch milliseconds or ISO dates' });
+        }
+
+        const usernames = parseUsernamesParam(req.query.username);
+
+        // Test accounts are feed-only; leave them out unless explicitly requested
+        const tracker = req.app.get('tracker');
+        const excludeUsernames = parseBoolParam(req.query.include_test) ? [] : (tracker?.TEST_ACCOUNTS || []);
+
+        const minEngagement = req.query.min_engagement === undefined ? null : Number(req.query.min_engagement);
+        if (minEngagement !== null && (!Number.isInteger(minEngagement) || minEngagement < 0 || req.query.min_engagement === '')) {
+            return res.status(400).json({ error: 'min_engagement must be a non-negative integer' });
+        }
+
+        const { tweets } = getRepositories();
+        const { rows, nextCursor } = await tweets.page({
+            cursor,
+            limit: req.query.limit,
+            sort,
+            usernames,
+            excludeUsernames,
+            since,
+            until,
+            minEngagement,
+            isReply: parseBoolParam(req.query.is_reply),
+            hasTicker: parseBoolParam(req.query.has_ticker),
+            deleted: parseBoolParam(req.query.deleted)
+        });
+
+        res.json({ tweets: await attachTweetDetails(rows), next_cursor: nextCursor });
     } catch (error) {
         console.error('❌ Error fetching tweets from database:', error.message);
         res.status(500).json({ error: 'Failed to fetch tweets' });
     }
 });
 
+/**
+ * Edit history of a stored tweet (empty when it was never edited)
+ */
+router.get('/tweets/:id/versions', async (req, res) => {
+    try {
+        const id = req.params.id;
+        if (!/^\d{1,20}$/.test(id)) return res.status(400).json({ error: 'id must be a tweet id' });
+
+        const { tweets, tweetVersions } = getRepositories();
+        if (!(await tweets.existingIds([id])).has(id)) return res.status(404).json({ error: 'Tweet not found' });
+
+        const versions = await tweetVersions.forTweet(id);
+        res.json({ id, edited: versions.length > 1, versions });
+    } catch (error) {
+        console.error('❌ Error fetching tweet versions:', error.message);
+        res.status(500).json({ error: 'Failed to fetch tweet versions' });
+    }
+});
+
+/**
+ * Engagement curve of a stored tweet: metric snapshots over time with velocity per minute
+ */
+router.get('/tweets/:id/metrics', async (req, res) => {
+    try {
+        const id = req.params.id;
+        if (!/^\d{1,20}$/.test(id)) return res.status(400).json({ error: 'id must be a tweet id' });
+
+        const { tweets, tweetMetrics } = getRepositories();
+        const tweet = await tweets.findById(id);
+        if (!tweet) return res.status(404).json({ error: 'Tweet not found' });
+
+        const createdAtMs = Number(tweet.created_at_ms);
+        res.json({
+            id,
+            username: tweet.username,
+            created_at: new Date(createdAtMs).toISOString(),
+            ...TweetMetricsPoller.buildCurve(createdAtMs, await tweetMetrics.forTweet(id))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching tweet metrics:', error.message);
+        res.status(500).json({ error: 'Failed to fetch tweet metrics' });
+    }
+});
+
+/**
+ * A conversation's self-thread: the root tweet and its author's consecutive replies, in order
+ */
+router.get('/threads/:conversationId', async (req, res) => {
+    try {
+        const conversationId = req.params.conversationId;
+        if (!/^\d{1,20}$/.test(conversationId)) {
+            return res.status(400).json({ error: 'conversationId must be a tweet id' });
+        }
+
+        const thread = selfThread(conversationId, await getRepositories().tweets.conversation(conversationId));
+        if (!thread) return res.status(404).json({ error: 'Thread not found' });
+
+        const tweets = await attachTweetDetails(thread);
+        res.json({
+            conversation_id: conversationId,
+            username: tweets[0].username,
+            tweet_count: tweets.length,
+            started_at: tweets[0].created_at,
+            updated_at: tweets[tweets.length - 1].created_at,
+            tweets
+        });
+    } catch (error) {
+        console.error('❌ Error fetching thread:', error.message);
+        res.status(500).json({ error: 'Failed to fetch thread' });
+    }
+});
+
+/**
+ * Search stored tweets: ?q= understands $TICKER, @mention, contract addresses and "quoted phrases".
+ * sort=relevance|recent|oldest, limit up to 100, username and include_test as on /tweets.
+ */
+router.get('/tweets/search', async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        if (!q) return res.status(400).json({ error: 'Query parameter q is required' });
+
+        const sort = req.query.sort || 'relevance';
+        if (!['relevance', 'recent', 'oldest'].includes(sort)) {
+            return res.status(400).json({ error: 'sort must be "relevance", "recent" or "oldest"' });
+        }
+
+        const tracker = req.app.get('tracker');
+        const result = await tweetSearch.search(q, {
+            limit: req.query.limit,
+            sort,
+            usernames: parseUsernamesParam(req.query.username),
+            excludeUsernames: parseBoolParam(req.query.include_test) ? [] : (tracker?.TEST_ACCOUNTS || [])
+        });
+
+        result.results = await attachTweetDetails(result.results);
+        res.json({ query: q, ...result });
+    } catch (error) {
+        console.error('❌ Error searching tweets:', error.message);
+        res.status(500).json({ error: 'Failed to search tweets' });
+    }
+});
+
+/**
+ * Every mention of a ticker by tracked accounts plus a velocity curve.
+ * since/until (ms or ISO), bucket=15m|1h|6h|1d, include_test to count test accounts.
+ */
+router.get('/tickers/:symbol/timeline', async (req, res) => {
+    try {
+        const ticker = TickerMentionService.normalizeTicker(req.params.symbol);
+        if (!ticker) return res.status(400).json({ error: 'Invalid ticker symbol' });
+
+        const since = parseTimeParam(req.query.since);
+        const until = parseTimeParam(req.query.until);
+        if (Number.isNaN(since) || Number.isNaN(until)) {
+            return res.status(400).json({ error: 'since/until must be epoch milliseconds or ISO dates' });
+        }
+
+        const tracker = req.app.get('tracker');
+        const timeline = await tickerMentions.getTimeline(ticker, {
+            since,
+            until,
+            bucket: req.query.bucket,
+            excludeUsernames: parseBoolParam(req.query.include_test) ? [] : (tracker?.TEST_ACCOUNTS || [])
+        });
+
+        res.json(timeline);
+    } catch (error) {
+        console.error('❌ Error fetching ticker timeline:', error.message);
+        res.status(500).json({ error: 'Failed to fetch ticker timeline' });
+    }
+});
+
+/**
+ * Which tracked account mentioned a ticker first and how many distinct accounts followed within 1h/6h/24h.
+ * since (ms or ISO) restricts attribution to a recent run; include_test to count test accounts.
+ */
+router.get('/tickers/:symbol/first-callers', async (req, res) => {
+    try {
+        const ticker = TickerMentionService.normalizeTicker(req.params.symbol);
+        if (!ticker) return res.status(400).json({ error: 'Invalid ticker symbol' });
+
+        const since = parseTimeParam(req.query.since);
+        if (Number.isNaN(since)) {
+            return res.status(400).json({ error: 'since must be epoch milliseconds or an ISO date' });
+        }
+
+        const tracker = req.app.get('tracker');
+        const result = await tickerMentions.getFirstCallers(ticker, {
+            since,
+            excludeUsernames: parseBoolParam(req.query.include_test) ? [] : (tracker?.TEST_ACCOUNTS || [])
+        });
+
+        if (!result) return res.status(404).json({ error: `No mentions of $${ticker}` });
+        res.json(result);
+    } catch (error) {
+        console.error('❌ Error fetching first callers:', error.message);
+        res.status(500).json({ error: 'Failed to fetch first callers' });
+    }
+});
+
+/**
+ * Rank tracked accounts by how the tickers they called moved afterwards.
+ * horizon=1h|6h|24h|7d (default 24h), min_calls = scored calls needed to be ranked (default 3).
+ */
+router.get('/accounts/performance', async (req, res) => {
+    try {
+        const horizon = req.query.horizon || '24h';
+        if (!CallerPerformanceService.isHorizon(horizon)) {
+            return res.status(400).json({ error: 'horizon must be one of 1h, 6h, 24h, 7d' });
+        }
+        const minCalls = req.query.min_calls === undefined ? 3 : Number(req.query.min_calls);
+        if (!Number.isInteger(minCalls) || minCalls < 1) {
+            return res.status(400).json({ error: 'min_calls must be a positive integer' });
+        }
+
+        const tracker = req.app.get('tracker');
+        const testAccounts = normalizeUsernames(tracker?.TEST_ACCOUNTS || []);
+        const usernames = [...new Set(normalizeUsernames([...ALLOWED_USERNAMES, ...(tracker?.dynamicAccounts || [])]))]
+            .filter(u => !testAccounts.includes(u));
+
+        res.json(await callerPerformance.getLeaderboard(usernames, { horizon, minCalls }));
+    } catch (error) {
+        console.error('❌ Error ranking caller performance:', error.message);
+        res.status(500).json({ error: 'Failed to rank caller performance' });
+    }
+});
+
+/**
+ * Track record of one account's ticker calls: hit rate, median return and max drawdown,
+ * plus per-horizon scores and the most recent calls
+ */
+router.get('/accounts/:username/performance', async (req, res) => {
+    try {
+        const username = req.params.username.replace(/^@/, '').toLowerCase();
+        if (!/^\w{1,50}$/.test(username)) {
+            return res.status(400).json({ error: 'Invalid username' });
+        }
+        const horizon = req.query.horizon || '24h';
+        if (!CallerPerformanceService.isHorizon(horizon)) {
+            return res.status(400).json({ error: 'horizon must be one of 1h, 6h, 24h, 7d' });
+        }
+
+        res.json(await callerPerformance.getPerformance(username, { horizon }));
+    } catch (error) {
+        console.error('❌ Error fetching caller performance:', error.message);
+        res.status(500).json({ error: 'Failed to fetch caller performance' });
+    }
+});
+
 /**
  * Get tweet statistics
  */
 router.get('/stats', async (req, res) => {
     try {
-        const pool = getPool();
-        
-        // Get total tweets
-        const [totalTweets] = await pool.execute(
-            'SELECT COUNT(*) as count FROM cz_tweets'
-        );
-        
-        // Get total engagement
-        const [totalEngagement] = await pool.execute(
-            'SELECT SUM(like_count + retweet_count + reply_count + quote_count) as total FROM cz_tweets'
-        );
-        
-        // Get average engagement
-        const [avgEngagement] = await pool.execute(
-            'SELECT AVG(like_count + retweet_count + reply_count + quote_count) as average FROM cz_tweets'
-        );
-
-        // Account breakdown
-        const [accountStats] = await pool.execute(
-            `SELECT 
-                username, 
-                COUNT(*) as tweets, 
-                SUM(like_count + retweet_count + reply_count + quote_count) as engagement,
-                MAX(created_at) as last_tweet,
-                MIN(created_at) as first_tweet
-             FROM cz_tweets 
-             GROUP BY username 
-             ORDER BY tweets DESC`
-        );
+        const { tweets } = getRepositories();
 
+        const totals = await tweets.totals();
+        const accountStats = await tweets.statsByAccount();
         // Recent activity (last 24 hours)
-        const [recentActivity] = await pool.execute(
-            `SELECT 
-                COUNT(*) as recent_tweets,
-                SUM(like_count + retweet_count + reply_count + quote_count) as recent_engagement
-             FROM cz_tweets 
-             WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)`
-        );
+        const recent = await tweets.totals(24);
 
         res.json({
-            totalTweets: totalTweets[0].count,
-            totalEngagement: totalEngagement[0].total || 0,
-            avgEngagement: Math.round(avgEngagement[0].average || 0),
+            totalTweets: totals.count,
+            totalEngagement: totals.engagement,
+            avgEngagement: Math.round(totals.average),
             accountBreakdown: accountStats,
             recentActivity: {
-                tweets: recentActivity[0].recent_tweets,
-                engagement: recentActivity[0].recent_engagement || 0
+                tweets: recent.count,
+                engagement: recent.engagement
             }
         });
     } catch (error) {
@@ -138,17 +413,16 @@ router.get('/rate-limits', async (req, res) => {
             return res.status(500).json({ error: 'Tracker service not available' });
         }
 
-        const rateLimitStatus = tracker.twitterService.rateLimitManager.getRateLimitStatus();
+        const rateLimitManager = tracker.twitterService.rateLimitManager;
+        const rateLimitStatus = rateLimitManager.getRateLimitStatus();
         const usage = tracker.twitterService.getApiUsage();
 
         res.json({
-            plan: tracker.twitterService.rateLimitManager.currentPlan,
+            plan: rateLimitManager.currentPlan,
+            planDescription: rateLimitManager.plan.description,
             endpoints: rateLimitStatus,
             summary: usage.summary,
-            queueStatus: {
-                length: tracker.twitterService.rateLimitManager.requestQueue.length,
-                processing: tracker.twitterService.rateLimitManager.isProcessingQueue
-            }
+            queueStatus: rateLimitManager.getQueueStatus()
         });
     } catch (error) {
         console.error('❌ Error fetching rate limit info:', error.message);
@@ -156,6 +430,23 @@ router.get('/rate-limits', async (req, res) => {
     }
 });
 
+/**
+ * Per-account poll schedule: next poll, interval and why, with the timeline budget it is planned in
+ */
+router.get('/polling/schedule', async (req, res) => {
+    try {
+        const tracker = req.app.get('tracker');
+        if (!tracker) {
+            return res.status(500).json({ error: 'Tracker service not available' });
+        }
+
+        res.json(await tracker.polling.getSchedule());
+    } catch (error) {
+        console.error('❌ Error fetching poll schedule:', error.message);
+        res.status(500).json({ error: 'Failed to fetch poll schedule' });
+    }
+});
+
 // AI status
 router.get('/ai/status', async (req, res) => {
     try {
@@ -187,16 +478,9 @@ router.get('/ai/memory', async (req, res) => {
     try {
         const tracker = req.app.get('tracker');
         const ai = tracker?.ai || new AIService();
-        const pool = getPool();
-
         // Tweets context used for prompts
-        const [tweets] = await pool.execute(
-            `SELECT id, username, text, created_at, created_at_ms
-             FROM cz_tweets
-             WHERE created_at_ms IS NOT NULL AND created_at_ms >= (UNIX_TIMESTAMP(NOW(6)) * 1000) - (24 * 60 * 60 * 1000)
-             ORDER BY created_at_ms DESC
-             LIMIT 120`
-        );
+        const tweets = (await getRepositories().tweets.window(24, null, { limit: 120 }))
+            .map(({ id, username, text, created_at, created_at_ms }) => ({ id, username, text, created_at, created_at_ms }));
 
         // Latest insight
         const latest = await ai.getLatestInsightRow();
@@ -206,12 +490,7 @@ router.get('/ai/memory', async (req, res) => {
         }
 
         // Notify history
-        const [history] = await pool.execute(
-            `SELECT message, urgency, summary_checksum, created_at
-             FROM ai_notify_history
-             ORDER BY created_at DESC
-             LIMIT 20`
-        );
+        const history = await getRepositories().notifyHistory.recent(20);
 
         // Status
         const status = await ai.getStatus();
@@ -233,15 +512,12 @@ router.get('/ai/memory', async (req, res) => {
 // AI: get latest cached insight
 router.get('/ai/insights', async (req, res) => {
     try {
-        const pool = getPool();
-        const [rows] = await pool.execute(
-            'SELECT content, created_at FROM ai_insights ORDER BY created_at DESC LIMIT 1'
-        );
-        if (!rows.length) return res.json({ content: null, compact: null });
+        const latest = await getRepositories().insights.latest();
+        if (!latest) return res.json({ content: null, compact: null });
         const ai = new AIService();
         let compact = null;
-        try { compact = await ai.compactFromContent(rows[0].content); } catch {}
-        res.json({ content: rows[0].content, compact, createdAt: rows[0].created_at });
+        try { compact = await ai.compactFromContent(latest.content); } catch {}
+        res.json({ content: latest.content, compact, createdAt: latest.created_at });
     } catch (error) {
         console.error('❌ Error fetching AI insight:', error.message);
         res.status(500).json({ error: 'Failed to fetch AI insights' });
@@ -255,10 +531,7 @@ router.post('/ai/refresh', async (req, res) => {
         if (!tracker) return res.status(500).json({ error: 'Tracker service not available' });
 
         // Load last 24h tweets from DB for AI context
-        const pool = getPool();
-        const [rows] = await pool.execute(
-            `SELECT * FROM cz_tweets WHERE created_at_ms IS NOT NULL AND created_at_ms >= (UNIX_TIMESTAMP(NOW(6)) * 1000) - (24 * 60 * 60 * 1000) ORDER BY created_at_ms DESC LIMIT 500`
-        );
+        const rows = await getRepositories().tweets.window(24);
 
         const ai = new AIService();
         const latest = await ai.getLatestInsightRow();
@@ -341,33 +614,10 @@ router.get('/ai/usage', async (req, res) => {
         let modelBreakdown = [];
 
         try {
-            const pool = getPool();
-            const [hourlyResult] = await pool.execute(
-                `SELECT
-                    DATE_FORMAT(created_at, '%Y-%m-%d %H:00:00') as hour,
-                    COUNT(*) as requests,
-                    SUM(input_tokens + output_tokens) as tokens,
-                    SUM(cost_usd) as cost,
-                    AVG(execution_time_ms) as avg_latency
-                 FROM ai_usage_log
-                 WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
-                 GROUP BY hour
-                 ORDER BY hour DESC`
-            );
-            hourlyUsage = hourlyResult;
-
-            const [modelResult] = await pool.execute(
-                `SELECT
-                    model,
-                    COUNT(*) as requests,
-                    SUM(input_tokens + output_tokens) as tokens,
-                    SUM(cost_usd) as cost,
-                    AVG(execution_time_ms) as avg_latency
-                 FROM ai_usage_log
-                 WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
-                 GROUP BY model`
-            );
-            modelBreakdown = modelResult;
+            const { aiRuns } = getRepositories();
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            hourlyUsage = await aiRuns.hourlyUsage(since);
+            modelBreakdown = await aiRuns.usageByModel(since);
         } catch (dbError) {
             if (!dbError.message.includes("doesn't exist")) {
                 console.error('❌ Database error fetching AI usage history:', dbError.message);
@@ -560,115 +810,6 @@ router.get('/webhook/config', (req, res) => {
     }
 });
 
-// Function to send Discord notification (used by other services)
-async function sendDiscordNotification(type, data, clientId = 'default') {
-    try {
-        const config = webhookConfigs.get(clientId);
-        if (!config || !config.enabled || !config.url) {
-            return false;
-        }
-
-        let embed;
-        let shouldSend = false;
-
-        switch (type) {
-            case 'tweet':
-                if (config.notifications.allTweets && config.accounts.includes(data.username)) {
-                    shouldSend = true;
-                    embed = {
-                        title: `🚨 Alpha Tweet from @${data.username}`,
-                        description: data.text.substring(0, 500) + (data.text.length > 500 ? '...' : ''),
-                        color: data.isTest ? 0x007AFF : 0xFF6600,
-                        timestamp: new Date(data.created_at).toISOString(),
-                        fields: [
-                            {
-                                name: "Engagement",
-                                value: `❤️ ${data.like_count || 0} | 🔄 ${data.retweet_count || 0} | 💬 ${data.reply_count || 0}`,
-                                inline: true
-                            },
-                            {
-                                name: "Link",
-                                value: `[View Tweet](https://twitter.com/${data.username}/status/${data.id})`,
-                                inline: true
-                            }
-                        ],
-                        footer: {
-                            text: `LiveAlpha • ${data.isTest ? 'Test' : 'Alpha'}`
-                        }
-                    };
-                }
-                break;
-
-            case 'high_engagement':
-                if (config.notifications.highEngagement && config.accounts.includes(data.username)) {
-                    const totalEngagement = (data.like_count || 0) + (data.retweet_count || 0);
-                    if (totalEngagement >= 1000) {
-                        shouldSend = true;
-                        embed = {
-                            title: `🔥 High Engagement Alert`,
-                            description: `@${data.username}: ${data.text.substring(0, 400)}`,
-                            color: 0xFF3B30,
-                            timestamp: new Date(data.created_at).toISOString(),
-                            fields: [
-                                {
-                                    name: "Engagement",
-                                    value: `❤️ ${data.like_count || 0} | 🔄 ${data.retweet_count || 0} | 💬 ${data.reply_count || 0}`,
-                                    inline: true
-                                }
-                            ]
-                        };
-                    }
-                }
-                break;
-
-            case 'ai_insight':
-                if (config.notifications.aiInsights) {
-                    shouldSend = true;
-                    embed = {
-                        title: "🤖 Alpha Insights Update",
-                        description: data.headline || "New market analysis available",
-                        color: 0xAF52DE,
-                        timestamp: new Date().toISOString(),
-                        fields: data.tickers && data.tickers.length > 0 ? [
-                            {
-                                name: "Tickers",
-                                value: data.tickers.join(', '),
-                                inline: true
-                            }
-                        ] : [],
-                        footer: {
-                            text: "LiveAlpha • AI Analysis"
-                        }
-                    };
-                }
-                break;
-        }
-
-        if (shouldSend && embed) {
-            const response = await fetch(config.url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ embeds: [embed] })
-            });
-
-            if (!response.ok) {
-                console.error(`❌ Discord webhook failed: ${response.status}`);
-                return false;
-            }
-
-            console.log(`✅ Discord notification sent: ${type}`);
-            return true;
-        }
-
-        return false;
-    } catch (error) {
-        console.error('❌ Error sending Discord notification:', error.message);
-        return false;
-    }
-}
-
 /**
  * Get current prices for tickers
  */
@@ -682,10 +823,16 @@ router.get('/prices', async (req, res) => {
         const { tickers } = req.query;
 
         if (tickers) {
-            // Get specific tickers
+            // Get specific tickers, quoting the ones not cached yet (e.g. new tokens on the dashboard)
             const tickerList = tickers.split(',').map(t => t.trim());
             const prices = {};
 
+            const missing = [...new Set(tickerList.map(t => t.replace('$', '').toUpperCase()))]
+                .filter(symbol => /^[A-Z0-9]{2,10}$/.test(symbol) && !priceService.getPrice(symbol));
+            if (missing.length > 0) {
+                await priceService.quotePrices(missing.slice(0, 20));
+            }
+
             for (const ticker of tickerList) {
                 const price = priceService.getPrice(ticker);
                 if (price) {
@@ -723,10 +870,78 @@ router.get('/prices/status', async (req, res) => {
     }
 });
 
+/**
+ * DEX market data for a token contract address: main pool price, liquidity, FDV, 24h volume, pair age
+ */
+router.get('/prices/dex/:address', async (req, res) => {
+    try {
+        const priceService = req.app.get('priceService');
+        if (!priceService) {
+            return res.status(500).json({ error: 'Price service not available' });
+        }
+
+        const { address } = req.params;
+        if (!chainForAddress(address)) {
+            return res.status(400).json({ error: 'Not a recognized contract address' });
+        }
+
+        const token = await priceService.getDexToken(/^0x/i.test(address) ? address.toLowerCase() : address);
+        if (!token) {
+            return res.status(404).json({ error: 'No DEX pool found for this address' });
+        }
+
+        res.json(token);
+    } catch (error) {
+        console.error('❌ Error fetching DEX token:', error.message);
+        res.status(500).json({ error: 'Failed to fetch DEX token' });
+    }
+});
+
+/**
+ * OHLC candles for a symbol. from/to as epoch ms or ISO (default: the last 100 candles up to now),
+ * interval=1m|5m|15m|1h|4h|1d (default PRICE_HISTORY_INTERVAL)
+ */
+router.get('/prices/:symbol/history', async (req, res) => {
+    try {
+        const priceService = req.app.get('priceService');
+        if (!priceService) {
+            return res.status(500).json({ error: 'Price service not available' });
+        }
+
+        const symbol = req.params.symbol.replace('$', '').toUpperCase();
+        if (!/^[A-Z0-9]{1,15}$/.test(symbol)) {
+            return res.status(400).json({ error: 'Invalid symbol' });
+        }
+
+        const interval = req.query.interval || priceService.historyInterval;
+        const size = PriceService.HISTORY_INTERVALS[interval];
+        if (!size) {
+            return res.status(400).json({ error: `interval must be one of ${Object.keys(PriceService.HISTORY_INTERVALS).join(', ')}` });
+        }
+
+        const to = parseTimeParam(req.query.to) ?? Date.now();
+        const from = parseTimeParam(req.query.from) ?? to - 100 * size;
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return res.status(400).json({ error: 'from/to must be epoch milliseconds or ISO dates' });
+        }
+        if (from >= to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+        if ((to - from) / size > PriceService.MAX_HISTORY_CANDLES) {
+            return res.status(400).json({ error: `Range spans more than ${PriceService.MAX_HISTORY_CANDLES} candles; use a larger interval` });
+        }
+
+        res.json(await priceService.getHistory(symbol, { from, to, interval }));
+    } catch (error) {
+        console.error('❌ Error fetching price history:', error.message);
+        res.status(500).json({ error: 'Failed to fetch price history' });
+    }
+});
+
 /**
  * Force update prices for specific tickers
  */
-router.post('/prices/update', async (req, res) => {
+router.post('/prices/update', requireAdmin, async (req, res) => {
     try {
         const priceService = req.app.get('priceService');
         if (!priceService) {
@@ -746,19 +961,114 @@ router.post('/prices/update', async (req, res) => {
     }
 });
 
+/**
+ * Price Alert Rules
+ */
+
+function parseRuleId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// List alert rules
+router.get('/alerts/rules', async (req, res) => {
+    try {
+        const rules = await req.app.get('priceAlerts').listRules();
+        res.json({ rules, count: rules.length, types: Object.keys(PriceAlertService.RULE_TYPES) });
+    } catch (error) {
+        console.error('❌ Error fetching alert rules:', error.message);
+        res.status(500).json({ error: 'Failed to fetch alert rules' });
+    }
+});
+
+// Create an alert rule: { name, type, symbol, params, channels, cooldown_minutes, enabled }
+router.post('/alerts/rules', requireAdmin, async (req, res) => {
+    try {
+        const rule = await req.app.get('priceAlerts').createRule(req.body || {});
+        res.status(201).json(rule);
+    } catch (error) {
+        if (error instanceof TypeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Error creating alert rule:', error.message);
+        res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+});
+
+router.get('/alerts/rules/:id', async (req, res) => {
+    try {
+        const id = parseRuleId(req.params.id);
+        const rule = id && await req.app.get('priceAlerts').getRule(id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json(rule);
+    } catch (error) {
+        console.error('❌ Error fetching alert rule:', error.message);
+        res.status(500).json({ error: 'Failed to fetch alert rule' });
+    }
+});
+
+// Update an alert rule; omitted fields keep their values
+router.put('/alerts/rules/:id', requireAdmin, async (req, res) => {
+    try {
+        const id = parseRuleId(req.params.id);
+        const rule = id && await req.app.get('priceAlerts').updateRule(id, req.body || {});
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json(rule);
+    } catch (error) {
+        if (error instanceof TypeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Error updating alert rule:', error.message);
+        res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+});
+
+router.delete('/alerts/rules/:id', requireAdmin, async (req, res) => {
+    try {
+        const id = parseRuleId(req.params.id);
+        const removed = id && await req.app.get('priceAlerts').deleteRule(id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Error deleting alert rule:', error.message);
+        res.status(500).json({ error: 'Failed to delete alert rule' });
+    }
+});
+
+// Recently fired alerts, newest first (?rule_id=, ?limit=)
+router.get('/alerts/events', async (req, res) => {
+    try {
+        const ruleId = req.query.rule_id ? parseRuleId(req.query.rule_id) : null;
+        if (req.query.rule_id && !ruleId) {
+            return res.status(400).json({ error: 'Invalid rule_id' });
+        }
+        const events = await req.app.get('priceAlerts').getEvents({ ruleId, limit: req.query.limit });
+        res.json({ events, count: events.length, status: req.app.get('priceAlerts').getStatus() });
+    } catch (error) {
+        console.error('❌ Error fetching alert events:', error.message);
+        res.status(500).json({ error: 'Failed to fetch alert events' });
+    }
+});
+
 /**
  * Crypto Data Endpoints
  */
 
-// Search for tokens by symbol or name
+// Search the token registry by symbol, name or contract address (fuzzy)
 router.get('/crypto/search/:query', async (req, res) => {
     try {
         const { query } = req.params;
-        const tokens = await cryptoService.searchTokens(query);
+        const tokens = await req.app.get('tokenRegistry').search(query, 50);
         
         res.json({
             query,
-            results: tokens.slice(0, 50), // Limit results
+            results: tokens,
             total_found: tokens.length
         });
     } catch (error) {
@@ -767,25 +1077,31 @@ router.get('/crypto/search/:query', async (req, res) => {
     }
 });
 
-// Get token price by symbol
+// Get token price by symbol (or contract address); ?contract= disambiguates colliding symbols
 router.get('/crypto/price/:symbol', async (req, res) => {
     try {
         const { symbol } = req.params;
-        const token = await cryptoService.findToken(symbol);
+        const registry = req.app.get('tokenRegistry');
+        const match = await registry.resolve(symbol, { contract: req.query.contract || null });
         
-        if (!token) {
+        if (!match) {
             return res.status(404).json({ error: `Token not found: ${symbol}` });
         }
         
-        const priceData = await cryptoService.getTokenPrice(token.id);
+        const { token, alternatives, resolvedBy } = match;
+        const priceData = await registry.getTokenPrice(token);
         
         res.json({
             symbol: token.symbol,
             name: token.name,
             id: token.id,
+            coingecko_id: token.coingecko_id,
+            cmc_id: token.cmc_id,
             price_data: priceData,
             market_cap_rank: token.market_cap_rank,
-            platforms: token.platforms
+            platforms: token.contract_addresses,
+            resolved_by: resolvedBy,
+            alternatives: alternatives.map(t => ({ id: t.id, name: t.name, market_cap_rank: t.market_cap_rank }))
         });
     } catch (error) {
         console.error('❌ Error fetching token price:', error.message);
@@ -796,13 +1112,13 @@ router.get('/crypto/price/:symbol', async (req, res) => {
 // Get batch prices for multiple tokens
 router.post('/crypto/prices', async (req, res) => {
     try {
-        const { symbols } = req.body;
+        const { symbols } = req.body || {};
         
         if (!symbols || !Array.isArray(symbols)) {
             return res.status(400).json({ error: 'Symbols array required' });
         }
         
-        const prices = await cryptoService.getBatchPrices(symbols);
+        const prices = await req.app.get('tokenRegistry').getBatchPrices(symbols.slice(0, 100));
         
         res.json({
             requested: symbols,
@@ -818,7 +1134,7 @@ router.post('/crypto/prices', async (req, res) => {
 // Get trending tokens
 router.get('/crypto/trending', async (req, res) => {
     try {
-        const trending = await cryptoService.getTrendingTokens();
+        const trending = await req.app.get('tokenRegistry').getTrendingTokens();
         res.json(trending);
     } catch (error) {
         console.error('❌ Error fetching trending tokens:', error.message);
@@ -826,11 +1142,17 @@ router.get('/crypto/trending', async (req, res) => {
     }
 });
 
-// Get crypto database stats
+// Get token registry and global market stats
 router.get('/crypto/stats', async (req, res) => {
     try {
-        const stats = cryptoService.getStats();
-        const globalStats = await cryptoService.getGlobalStats();
+        const registry = req.app.get('tokenRegistry');
+        const stats = await registry.getStats();
+        let globalStats = null;
+        try {
+            globalStats = await registry.getGlobalStats();
+        } catch (e) {
+            console.error('❌ Error fetching global market stats:', e.message);
+        }
         
         res.json({
             database: stats,
@@ -842,11 +1164,11 @@ router.get('/crypto/stats', async (req, res) => {
     }
 });
 
-// Force update crypto database
-router.post('/crypto/update', async (req, res) => {
+// Force refresh of the token registry from providers
+router.post('/crypto/update', requireAdmin, async (req, res) => {
     try {
-        console.log('🔄 Manual crypto database update triggered');
-        const tokens = await cryptoService.updateTokenDatabase();
+        console.log('🔄 Manual token registry update triggered');
+        const tokens = await req.app.get('tokenRegistry').refresh();
         
         res.json({
             success: true,
@@ -855,12 +1177,59 @@ router.post('/crypto/update', async (req, res) => {
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        console.error('❌ Error updating crypto database:', error.message);
+        console.error('❌ Error updating token registry:', error.message);
         res.status(500).json({ error: 'Failed to update crypto database' });
     }
 });
 
-// Export webhook function for use by other services
-router.sendDiscordNotification = sendDiscordNotification;
+// Admin-pinned symbol resolutions
+router.get('/crypto/overrides', async (req, res) => {
+    try {
+        const overrides = await req.app.get('tokenRegistry').listOverrides();
+        res.json({ overrides, count: overrides.length });
+    } catch (error) {
+        console.error('❌ Error fetching token overrides:', error.message);
+        res.status(500).json({ error: 'Failed to fetch token overrides' });
+    }
+});
+
+// Pin a symbol to a registry token ({ token_id }) or a contract ({ contract_address, chain })
+router.put('/crypto/overrides/:symbol', requireAdmin, async (req, res) => {
+    try {
+        const { token_id, contract_address, chain, note } = req.body || {};
+        const override = await req.app.get('tokenRegistry').setOverride(req.params.symbol, { token_id, contract_address, chain, note });
+        res.json({ success: true, override });
+    } catch (error) {
+        if (error instanceof TypeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Error saving token override:', error.message);
+        res.status(500).json({ error: 'Failed to save token override' });
+    }
+});
+
+router.delete('/crypto/overrides/:symbol', requireAdmin, async (req, res) => {
+    try {
+        const removed = await req.app.get('tokenRegistry').removeOverride(req.params.symbol);
+        if (!removed) {
+            return res.status(404).json({ error: `No override for ${req.params.symbol}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Error removing token override:', error.message);
+        res.status(500).json({ error: 'Failed to remove token override' });
+    }
+});
+
+// Tickers seen in tweets that the registry could not resolve, with suggested matches
+router.get('/crypto/unresolved', async (req, res) => {
+    try {
+        const unresolved = await req.app.get('tokenRegistry').getUnresolved(parseInt(req.query.limit) || 100);
+        res.json({ unresolved, count: unresolved.length });
+    } catch (error) {
+        console.error('❌ Error fetching unresolved tickers:', error.message);
+        res.status(500).json({ error: 'Failed to fetch unresolved tickers' });
+    }
+});
 
 module.exports = router;
@@ -0,0 +1,56 @@
+const { tokenize } = require('./queryParser');
+
+/**
+ * In-process inverted index (token -> tweet ids) used for search on the SQLite backend,
+ * which has no FULLTEXT indexes.
+ */
+class InvertedIndex {
+    constructor() {
+        this.postings = new Map(); // token -> Set of ids
+        this.documents = new Map(); // id -> Set of tokens
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    add(id, text) {
+        const key = String(id);
+        this.remove(key);
+
+        const tokens = new Set(tokenize(text));
+        this.documents.set(key, tokens);
+        for (const token of tokens) {
+            if (!this.postings.has(token)) this.postings.set(token, new Set());
+            this.postings.get(token).add(key);
+        }
+    }
+
+    remove(id) {
+        const key = String(id);
+        const tokens = this.documents.get(key);
+        if (!tokens) return;
+
+        for (const token of tokens) {
+            const ids = this.postings.get(token);
+            ids.delete(key);
+            if (ids.size === 0) this.postings.delete(token);
+        }
+        this.documents.delete(key);
+    }
+
+    /**
+     * Ids of documents containing every token
+     */
+    lookup(tokens) {
+        if (tokens.length === 0) return [];
+
+        const lists = tokens.map(token => this.postings.get(token) || new Set());
+        lists.sort((a, b) => a.size - b.size);
+
+        const [smallest, ...others] = lists;
+        return [...smallest].filter(id => others.every(ids => ids.has(id)));
+    }
+}
+
+module.exports = InvertedIndex;
@@ -0,0 +1,103 @@
+const EVM_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const CASHTAG = /^\$([A-Za-z][A-Za-z0-9]{0,14})$/;
+const MENTION = /^@(\w{1,15})$/;
+
+// Relative weight of each clause type when ranking matches
+const CLAUSE_WEIGHTS = {
+    address: 5,
+    cashtag: 3,
+    mention: 2,
+    phrase: 2,
+    term: 1
+};
+
+/**
+ * Split text into lowercase word tokens ($WIF -> wif, @cz_binance -> cz_binance).
+ * Shared by the SQLite inverted index and the MySQL FULLTEXT query builder so both see the same words.
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9_]+/g) || [];
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a search query into typed clauses. Every clause must match for a tweet to be returned.
+ *   $WIF               cashtag (case-insensitive, not a prefix of a longer ticker)
+ *   @cz_binance        mention
+ *   0x..., base58      contract address (EVM case-insensitive, base58 exact)
+ *   "exact phrase"     phrase, words in order
+ *   anything else      plain word
+ */
+function parseSearchQuery(query) {
+    const clauses = [];
+    const raw = String(query || '');
+
+    const rest = raw.replace(/"([^"]*)"/g, (_, phrase) => {
+        const words = tokenize(phrase);
+        if (words.length > 0) clauses.push({ type: 'phrase', value: words.join(' '), words });
+        return ' ';
+    });
+
+    for (const token of rest.split(/\s+/).filter(Boolean)) {
+        let match;
+        if ((match = token.match(CASHTAG))) {
+            clauses.push({ type: 'cashtag', value: match[1].toUpperCase() });
+        } else if ((match = token.match(MENTION))) {
+            clauses.push({ type: 'mention', value: match[1].toLowerCase() });
+        } else if (EVM_ADDRESS.test(token)) {
+            clauses.push({ type: 'address', value: token.toLowerCase() });
+        } else if (BASE58_ADDRESS.test(token)) {
+            clauses.push({ type: 'address', value: token });
+        } else {
+            for (const word of tokenize(token)) clauses.push({ type: 'term', value: word });
+        }
+    }
+
+    // Drop duplicate clauses ("$WIF $wif")
+    const seen = new Set();
+    const unique = clauses.filter(clause => {
+        const key = `${clause.type}:${clause.value}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    return unique.map(clause => ({ ...clause, weight: CLAUSE_WEIGHTS[clause.type], pattern: clausePattern(clause) }));
+}
+
+/**
+ * Regex locating a clause in tweet text: exact matching (as SQL REGEXP_LIKE) and highlighting
+ */
+function clausePattern(clause) {
+    const notWord = '(?![A-Za-z0-9_])';
+    const wordStart = '(?<![A-Za-z0-9_])';
+    switch (clause.type) {
+        case 'cashtag':
+            return new RegExp(`\\$${escapeRegExp(clause.value)}${notWord}`, 'gi');
+        case 'mention':
+            return new RegExp(`@${escapeRegExp(clause.value)}${notWord}`, 'gi');
+        case 'address':
+            return new RegExp(`${wordStart}${escapeRegExp(clause.value)}${notWord}`, clause.value.startsWith('0x') ? 'gi' : 'g');
+        case 'phrase':
+            return new RegExp(`${wordStart}${clause.words.map(escapeRegExp).join('[^A-Za-z0-9_]+')}${notWord}`, 'gi');
+        default:
+            return new RegExp(`${wordStart}${escapeRegExp(clause.value)}${notWord}`, 'gi');
+    }
+}
+
+/**
+ * Index tokens a tweet must contain to possibly match the clauses
+ */
+function candidateTokens(clauses) {
+    return [...new Set(clauses.flatMap(clause => tokenize(clause.value)))];
+}
+
+module.exports = {
+    tokenize,
+    parseSearchQuery,
+    candidateTokens
+};
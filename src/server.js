@@ -8,8 +8,11 @@ const apiRoutes = require('./routes/api');
 const NotifierService = require('./services/notifierService');
 const AIService = require('./services/aiService');
 const PriceService = require('./services/priceService');
+const TokenRegistryService = require('./services/tokenRegistryService');
+const PriceAlertService = require('./services/priceAlertService');
 const { ALLOWED_USERNAMES } = require('./config/allowlist');
-const { getPool } = require('./config/database');
+const { getRepositories } = require('./config/database');
+const { attachTweetDetails } = require('./services/tweetDetails');
 require('dotenv').config();
 
 class AlphaTrackerServer {
@@ -25,7 +28,11 @@ class AlphaTrackerServer {
         this.tracker = new TrackerService();
 		this.notifier = new NotifierService();
 		this.ai = new AIService();
-		this.priceService = new PriceService();
+		this.tokenRegistry = new TokenRegistryService();
+		this.priceService = new PriceService({ tokenRegistry: this.tokenRegistry });
+		this.priceAlerts = new PriceAlertService({ priceService: this.priceService, notifier: this.notifier });
+		this.priceService.onPricesUpdated(symbols => this.priceAlerts.evaluate(symbols));
+		this.priceService.watchSymbols(() => this.priceAlerts.watchedSymbols());
         this.connectedClients = 0;
         
         this.setupMiddleware();
@@ -40,7 +47,7 @@ class AlphaTrackerServer {
                 this.notifier.registerDiscordWebhook('primary', {
                     enabled: true,
                     url,
-                    notifications: { allTweets: true, highEngagement: true, aiInsights: true },
+                    notifications: { allTweets: true, highEngagement: true, aiInsights: true, priceAlerts: true },
                     accounts: ALLOWED_USERNAMES
                 });
                 console.log('🔗 Discord webhook registered');
@@ -62,6 +69,8 @@ class AlphaTrackerServer {
         this.app.set('tracker', this.tracker);
         this.app.set('ai', this.ai);
         this.app.set('priceService', this.priceService);
+        this.app.set('tokenRegistry', this.tokenRegistry);
+        this.app.set('priceAlerts', this.priceAlerts);
 
         // Connect notifier to tracker
         this.tracker.notifier = this.notifier;
@@ -125,6 +134,7 @@ class AlphaTrackerServer {
 
             // Send current status to new client
             socket.emit('status', this.tracker.getStatus());
+            socket.emit('ingestMode', this.tracker.supervisor.getStatus());
 
             socket.on('disconnect', () => {
                 this.connectedClients--;
@@ -167,8 +177,7 @@ class AlphaTrackerServer {
 			try {
 				await this.notifier.processAdminCommands(async (username) => {
 					console.log(`🛠️  Admin requested add account: @${username}`);
-					const pool = getPool();
-					await pool.execute('INSERT IGNORE INTO tracked_accounts (username, is_test) VALUES (?, 0)', [username]);
+					await getRepositories().trackedAccounts.add(username);
 					// Update in-memory tracker and re-sync
 					if (!this.tracker.dynamicAccounts.has(username)) {
 						this.tracker.dynamicAccounts.add(username);
@@ -184,10 +193,7 @@ class AlphaTrackerServer {
 		global.aiMaybeUpdate = async () => {
 			try {
 				// Build context from last 24h
-				const pool = getPool();
-				const [rows] = await pool.execute(
-					`SELECT * FROM cz_tweets WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR) ORDER BY created_at DESC LIMIT 500`
-				);
+				const rows = await getRepositories().tweets.window(24);
 				// Ensure we always have a status: if none in DB, generate baseline
 				// Fire a fast-path urgent alert if needed (non-blocking)
 				this.ai.maybeSendHaikuFlash(rows).catch(() => {});
@@ -310,15 +316,12 @@ class AlphaTrackerServer {
      * Database polling for new tweets (backup mechanism)
      */
     async startDatabasePolling() {
-        const pool = getPool();
+        const { tweets } = getRepositories();
         let lastCheck = new Date();
 
         const pollDatabase = async () => {
             try {
-                const [rows] = await pool.execute(
-                    'SELECT * FROM cz_tweets WHERE retrieved_at > ? ORDER BY created_at DESC LIMIT 10',
-                    [lastCheck]
-                );
+                const rows = await attachTweetDetails(await tweets.retrievedSince(lastCheck, 10));
 
                 if (rows.length > 0) {
                     console.log(`📬 Database polling found ${rows.length} new tweets`);
@@ -346,6 +349,9 @@ async function main() {
         // Start database polling as backup
         setTimeout(() => {
             server.startDatabasePolling();
+            server.priceService.startSnapshotCapture();
+            server.priceService.startHistoryRecording();
+            server.tokenRegistry.startAutoRefresh();
         }, 5000);
 
         // Start rate limit cleanup job (runs every hour)
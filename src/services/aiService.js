@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk').default;
-const { getPool } = require('../config/database');
+const { getRepositories } = require('../config/database');
+const { groupSelfThreads } = require('./threads');
 const { calculateCostUsd, getPricingForModel, DEFAULT_BUDGET_USD } = require('../config/aiPricing');
 
 class AIService {
@@ -85,12 +86,17 @@ class AIService {
 		return crypto.createHash('sha256').update(text).digest('hex');
 	}
 
+	// Self-threads are stitched into one entry so the model reads them whole
 	formatTweetsForPrompt(tweets) {
 		const recent = [...tweets]
 			.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
 			.slice(0, this.maxTweetsForContext);
-		return recent
-			.map(t => `@${t.username} | ${new Date(t.created_at).toISOString()} | ${t.text}`)
+		return groupSelfThreads(recent)
+			.map(group => {
+				const head = `@${group[0].username} | ${new Date(group[0].created_at).toISOString()} | `;
+				if (group.length === 1) return head + group[0].text;
+				return `${head}[thread, ${group.length} tweets] ${group.map(t => t.text).join('\n  ↳ ')}`;
+			})
 			.join('\n');
 	}
 
@@ -99,20 +105,11 @@ class AIService {
 	}
 
 	async getCachedInsight(checksum, model) {
-		const pool = getPool();
-		const [rows] = await pool.execute(
-			`SELECT content FROM ai_insights WHERE checksum = ? AND model = ? ORDER BY created_at DESC LIMIT 1`,
-			[checksum, model]
-		);
-		return rows.length ? rows[0].content : null;
+		return getRepositories().insights.findContent(checksum, model);
 	}
 
 	async getLatestInsightRow() {
-		const pool = getPool();
-		const [rows] = await pool.execute(
-			`SELECT content, created_at, checksum, model FROM ai_insights ORDER BY created_at DESC LIMIT 1`
-		);
-		return rows.length ? rows[0] : null;
+		return getRepositories().insights.latest();
 	}
 
 	/**
@@ -120,15 +117,7 @@ class AIService {
 	 */
 	async getPastOpusAnalyses(limit = 10) {
 		try {
-			const pool = getPool();
-			const [rows] = await pool.execute(
-				`SELECT content, created_at, checksum, model
-				 FROM ai_insights
-				 WHERE model LIKE '%opus%'
-				 ORDER BY created_at DESC
-				 LIMIT ?`,
-				[limit]
-			);
+			const rows = await getRepositories().insights.recentForModel('opus', limit);
 			return rows.map(row => ({
 				...row,
 				summary: this.extractOpusSummary(row.content),
@@ -197,12 +186,7 @@ class AIService {
 	}
 
 	async saveInsight(checksum, model, content) {
-		const pool = getPool();
-		await pool.execute(
-			`INSERT INTO ai_insights (checksum, model, content) VALUES (?, ?, ?)
-			 ON DUPLICATE KEY UPDATE content = VALUES(content)`,
-			[checksum, model, content]
-		);
+		await getRepositories().insights.save(checksum, model, content);
 	}
 
 	async runModel(model, maxTokens, promptText, meta = {}) {
@@ -257,13 +241,16 @@ class AIService {
 
             // Store in database (gracefully handle missing table)
 			try {
-				const pool = getPool();
                 const detailed = calculateCostUsd(model, inputTokens, outputTokens);
-                await pool.execute(
-                    `INSERT INTO ai_runs (model, prompt_tokens, completion_tokens, input_cost_usd, output_cost_usd, checksum, purpose)
-                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                    [model, inputTokens, outputTokens, detailed.inputCostUsd, detailed.outputCostUsd, meta.checksum || null, meta.purpose || null]
-                );
+                await getRepositories().aiRuns.record({
+                    model,
+                    promptTokens: inputTokens,
+                    completionTokens: outputTokens,
+                    inputCostUsd: detailed.inputCostUsd,
+                    outputCostUsd: detailed.outputCostUsd,
+                    checksum: meta.checksum || null,
+                    purpose: meta.purpose || null
+                });
 			} catch (dbError) {
 				// Table might not exist yet - just log the error but don't fail
                 if (!dbError.message || !dbError.message.includes("doesn't exist")) {
@@ -419,21 +406,13 @@ class AIService {
 
 	// Digest/urgent cadence state
 	async getNotifyState() {
-		const pool = getPool();
-		const [rows] = await pool.execute(`SELECT * FROM ai_notify_state WHERE id = 1`);
-		if (rows.length) return rows[0];
-		await pool.execute(`INSERT INTO ai_notify_state (id) VALUES (1)`);
-		return { id: 1, last_digest_at: null, last_digest_checksum: null, last_urgent_at: null, last_urgent_checksum: null };
+		return getRepositories().notifyState.get();
 	}
 
 	async updateNotifyState(fields) {
-		const pool = getPool();
 		const state = await this.getNotifyState();
 		const next = { ...state, ...fields };
-		await pool.execute(
-			`REPLACE INTO ai_notify_state (id, last_digest_at, last_digest_checksum, last_urgent_at, last_urgent_checksum) VALUES (1, ?, ?, ?, ?)`,
-			[next.last_digest_at, next.last_digest_checksum, next.last_urgent_at, next.last_urgent_checksum]
-		);
+		await getRepositories().notifyState.save(next);
 		return next;
 	}
 
@@ -517,8 +496,7 @@ class AIService {
 			}
 		} catch {}
 		// persist history + update state
-		const pool = getPool();
-		await pool.execute(`INSERT INTO ai_notify_history (message, urgency, summary_checksum) VALUES (?, ?, ?)`, [message.slice(0, 1000), 'URGENT', checksum]);
+		await getRepositories().notifyHistory.add(message.slice(0, 1000), 'URGENT', checksum);
 		await this.updateNotifyState({ last_urgent_at: new Date(), last_urgent_checksum: checksum });
 		this.state.lastHaikuFlashAt = new Date();
 		this.state.lastUrgentAt = this.state.lastHaikuFlashAt;
@@ -532,9 +510,7 @@ class AIService {
 		// recent history count (24h) - gracefully handle missing table
 		let recentAlerts24h = 0;
 		try {
-			const pool = getPool();
-			const [cnt] = await pool.execute(`SELECT COUNT(*) as c FROM ai_notify_history WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)`);
-			recentAlerts24h = (cnt && cnt[0] && cnt[0].c) || 0;
+			recentAlerts24h = await getRepositories().notifyHistory.countSince(new Date(Date.now() - 24 * 60 * 60 * 1000));
 		} catch (error) {
 			if (!error.message.includes("doesn't exist")) {
 				console.error('❌ Error getting recent alerts count:', error.message);
@@ -575,11 +551,8 @@ class AIService {
 
 	// Sonnet-based TG notification decider with message history context
 	async decideTelegramNotify(opusContent) {
-		const pool = getPool();
 		const checksum = AIService.computeChecksum(opusContent);
-		const [historyRows] = await pool.execute(
-			`SELECT message FROM ai_notify_history ORDER BY created_at DESC LIMIT 20`
-		);
+		const historyRows = await getRepositories().notifyHistory.recent(20);
 		const history = historyRows.map(r => r.message).join('\n---\n');
 		const prompt = `You are a notification decider for crypto market alerts. Consider the current market summary and the last alerts you sent. Decide whether to send an alert now.\n\nReturn STRICT JSON with keys: {\n  \"send\": boolean,\n  \"urgency\": \"URGENT\"|\"DIGEST\"|\"RESEARCH\",\n  \"reason\": string,\n  \"message\": string\n}\n\nRules:\n- Send URGENT only for new, time-sensitive, high-impact changes (new tickers or major narrative shift).\n- Avoid repeats; if similar to recent alerts, set send=false and explain.\n- Message must include 1-3 top $TICKERS when relevant and be under 200 chars.\n- If change is notable but not urgent, use DIGEST.\n\n<alerts_history>\n${history}\n</alerts_history>\n\n<current_summary>\n${opusContent}\n</current_summary>`;
 		const out = await this.runModel(this.sonnetModel, 1024, prompt, { purpose: 'alert_decider', responseFormat: 'json_object' });
@@ -608,8 +581,7 @@ class AIService {
 			const tickers = (message.match(/\$[A-Z]{2,10}/g) || []).slice(0, 6);
 			if (global.notifyAI) await global.notifyAI({ headline: message, tickers });
 		} catch {}
-		const pool = getPool();
-		await pool.execute(`INSERT INTO ai_notify_history (message, urgency, summary_checksum) VALUES (?, ?, ?)`, [message, urgency, checksum]);
+		await getRepositories().notifyHistory.add(message, urgency, checksum);
 		this.state.lastSonnetAt = new Date();
 		this.logEvent('sonnet_notification_sent', { checksum, urgency, message });
 	}
@@ -665,15 +637,7 @@ Focus on actionable information and trending narratives. Example:
 	 */
 	async getRecentAlerts(timeWindowMs) {
 		try {
-			const pool = getPool();
-			const [rows] = await pool.execute(
-				`SELECT message, created_at FROM ai_notify_history
-				 WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? MICROSECOND)
-				 AND urgency = 'URGENT'
-				 ORDER BY created_at DESC`,
-				[timeWindowMs * 1000]
-			);
-			return rows || [];
+			return await getRepositories().notifyHistory.recentByUrgency('URGENT', new Date(Date.now() - timeWindowMs));
 		} catch (error) {
 			// Gracefully handle missing table
 			return [];
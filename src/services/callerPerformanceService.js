@@ -0,0 +1,168 @@
+const { getRepositories } = require('../config/database');
+const { normalizeUsernames } = require('../repositories/usernames');
+const PriceService = require('./priceService');
+
+const RETURN_HORIZONS = Object.keys(PriceService.SNAPSHOT_HORIZONS).filter(h => h !== 'mention');
+const RECENT_CALLS = 50;
+
+function round(value, digits = 2) {
+    return value === null ? null : Number(value.toFixed(digits));
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Largest peak-to-trough decline along a price path, as a negative percentage (0 when it never fell)
+ */
+function maxDrawdown(prices) {
+    let peak = -Infinity;
+    let worst = 0;
+    for (const price of prices) {
+        peak = Math.max(peak, price);
+        worst = Math.min(worst, (price / peak - 1) * 100);
+    }
+    return worst;
+}
+
+/**
+ * Group snapshot rows into calls with entry price, per-horizon returns and drawdown
+ */
+function buildCalls(rows) {
+    const calls = new Map();
+    for (const row of rows) {
+        const key = `${row.ticker}:${row.tweet_id}`;
+        if (!calls.has(key)) {
+            calls.set(key, {
+                ticker: row.ticker,
+                username: row.username,
+                tweet_id: row.tweet_id,
+                mentioned_at_ms: row.mentioned_at_ms,
+                snapshots: {}
+            });
+        }
+        calls.get(key).snapshots[row.horizon] = row;
+    }
+
+    return [...calls.values()].map(call => {
+        const entry = call.snapshots.mention?.status === 'captured' ? call.snapshots.mention.price : null;
+        const returns = {};
+        const path = entry ? [entry] : [];
+        for (const horizon of RETURN_HORIZONS) {
+            const snapshot = call.snapshots[horizon];
+            if (entry && snapshot?.status === 'captured') {
+                returns[horizon] = (snapshot.price / entry - 1) * 100;
+                path.push(snapshot.price);
+            }
+        }
+
+        return {
+            ticker: call.ticker,
+            username: call.username,
+            tweet_id: call.tweet_id,
+            mentioned_at_ms: call.mentioned_at_ms,
+            entry_price: entry,
+            returns,
+            drawdown: entry ? maxDrawdown(path) : null,
+            open: Object.values(call.snapshots).some(s => s.status === 'pending')
+        };
+    });
+}
+
+/**
+ * Hit rate and median return of priced calls at one horizon
+ */
+function scoreAt(calls, horizon) {
+    const returns = calls.map(c => c.returns[horizon]).filter(r => r !== undefined);
+    return {
+        scored: returns.length,
+        hit_rate: returns.length ? round(returns.filter(r => r > 0).length / returns.length, 3) : null,
+        median_return_pct: round(median(returns))
+    };
+}
+
+/**
+ * Caller track records from price_snapshots: how tickers moved after each account called them
+ */
+class CallerPerformanceService {
+    static isHorizon(horizon) {
+        return RETURN_HORIZONS.includes(horizon);
+    }
+
+    /**
+     * Summary for one account's calls. hit_rate and median_return_pct are measured at `horizon`;
+     * max_drawdown_pct is the worst drawdown over any call's sampled path.
+     */
+    summarize(calls, horizon) {
+        const priced = calls.filter(c => c.entry_price !== null);
+        const drawdowns = priced.map(c => c.drawdown);
+
+        return {
+            calls: calls.length,
+            priced_calls: priced.length,
+            open_calls: calls.filter(c => c.open).length,
+            ...scoreAt(priced, horizon),
+            max_drawdown_pct: drawdowns.length ? round(Math.min(...drawdowns)) : null
+        };
+    }
+
+    async getPerformance(username, { horizon = '24h' } = {}) {
+        const calls = buildCalls(await getRepositories().priceSnapshots.forAccounts([username]));
+
+        return {
+            username,
+            horizon,
+            ...this.summarize(calls, horizon),
+            by_horizon: Object.fromEntries(RETURN_HORIZONS.map(h => [h, scoreAt(calls.filter(c => c.entry_price !== null), h)])),
+            recent_calls: calls.slice(0, RECENT_CALLS).map(call => ({
+                ticker: call.ticker,
+                tweet_id: call.tweet_id,
+                mentioned_at: new Date(call.mentioned_at_ms).toISOString(),
+                entry_price: call.entry_price,
+                returns_pct: Object.fromEntries(Object.entries(call.returns).map(([h, r]) => [h, round(r)])),
+                drawdown_pct: round(call.drawdown),
+                open: call.open
+            }))
+        };
+    }
+
+    /**
+     * Rank accounts by median return at `horizon`, then hit rate. Accounts with fewer than
+     * minCalls scored calls are listed after the ranked ones with rank null.
+     */
+    async getLeaderboard(usernames, { horizon = '24h', minCalls = 3 } = {}) {
+        const accountNames = [...new Set(normalizeUsernames(usernames))];
+        const rows = await getRepositories().priceSnapshots.forAccounts(accountNames);
+        const callsByAccount = new Map(accountNames.map(u => [u, []]));
+        for (const call of buildCalls(rows)) {
+            callsByAccount.get(call.username)?.push(call);
+        }
+
+        const accounts = [...callsByAccount.entries()].map(([username, calls]) => ({
+            username,
+            ...this.summarize(calls, horizon)
+        }));
+
+        const qualifies = a => a.scored >= minCalls;
+        accounts.sort((a, b) =>
+            (qualifies(b) - qualifies(a)) ||
+            ((b.median_return_pct ?? -Infinity) - (a.median_return_pct ?? -Infinity)) ||
+            ((b.hit_rate ?? -1) - (a.hit_rate ?? -1)) ||
+            (b.scored - a.scored) ||
+            a.username.localeCompare(b.username)
+        );
+
+        let rank = 0;
+        return {
+            horizon,
+            min_calls: minCalls,
+            accounts: accounts.map(a => ({ rank: qualifies(a) ? ++rank : null, ...a }))
+        };
+    }
+}
+
+module.exports = CallerPerformanceService;
@@ -0,0 +1,171 @@
+const { getRepositories } = require('../config/database');
+
+const MINUTE_MS = 60 * 1000;
+
+// Tweet ages (minutes) the baseline is modelled at; a tweet is compared at the nearest one
+const AGE_BUCKETS_MINUTES = [2, 5, 10, 20, 30, 60, 120, 240, 480, 1440];
+const BASELINE_TWEETS = 50; // most recent tweets per account
+const MIN_SAMPLES = 8;
+const MAD_SCALE = 1.4826; // MAD -> standard deviation for normally distributed engagement
+const MIN_SIGMA = 1; // accounts whose tweets all perform the same would otherwise divide by zero
+const CACHE_TTL_MS = 10 * MINUTE_MS;
+const DEFAULT_THRESHOLD = 3;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Bucket closest to an age (in log space, so 7m compares at 5m rather than 10m)
+ */
+function nearestBucket(ageMinutes) {
+    const age = Math.max(ageMinutes, AGE_BUCKETS_MINUTES[0]);
+    return AGE_BUCKETS_MINUTES.reduce((best, bucket) =>
+        (Math.abs(Math.log(bucket / age)) < Math.abs(Math.log(best / age)) ? bucket : best));
+}
+
+/**
+ * Engagement of a tweet when it was `ageMinutes` old: the nearest snapshot within half that age
+ */
+function engagementAt(snapshots, createdMs, ageMinutes) {
+    const target = createdMs + ageMinutes * MINUTE_MS;
+    const tolerance = Math.max(ageMinutes / 2, 1) * MINUTE_MS;
+    let best = null;
+    for (const snapshot of snapshots) {
+        const distance = Math.abs(snapshot.captured_at_ms - target);
+        if (distance <= tolerance && (!best || distance < best.distance)) best = { distance, engagement: snapshot.engagement };
+    }
+    return best ? best.engagement : null;
+}
+
+/**
+ * Per-account engagement baseline: for each tweet age, the median and MAD of the engagement the
+ * account's recent tweets had at that age (from tweet_metrics_history). Scores a tweet as robust
+ * sigmas above/below that norm and raises `outperforming` once when it clears the threshold.
+ */
+class EngagementBaselineService {
+    constructor({ notify = async () => {}, threshold = Number(process.env.OUTPERFORM_SIGMA) || DEFAULT_THRESHOLD, now = Date.now } = {}) {
+        this.notify = notify;
+        this.threshold = threshold;
+        this.now = now;
+        this.cache = new Map(); // username -> { at, buckets: Map(bucket -> Map(tweetId -> engagement)) }
+        this.stats = { scored: 0, outperforming: 0, lastRun: null };
+    }
+
+    /**
+     * Engagement samples per age bucket for an account, from tweets old enough to have reached each age
+     */
+    async samplesFor(username) {
+        const now = this.now();
+        const cached = this.cache.get(username);
+        if (cached && now - cached.at < CACHE_TTL_MS) return cached.buckets;
+
+        const repos = getRepositories();
+        const tweets = await repos.tweets.recentForBaseline(username, now - AGE_BUCKETS_MINUTES[0] * MINUTE_MS, BASELINE_TWEETS);
+        const snapshots = await repos.tweetMetrics.engagementFor(tweets.map(t => t.id));
+
+        const buckets = new Map();
+        for (const bucket of AGE_BUCKETS_MINUTES) {
+            const samples = new Map();
+            for (const tweet of tweets) {
+                if (now - tweet.created_at_ms < bucket * MINUTE_MS) continue;
+                const engagement = engagementAt(snapshots.get(tweet.id) || [], tweet.created_at_ms, bucket);
+                if (engagement !== null) samples.set(String(tweet.id), engagement);
+            }
+            buckets.set(bucket, samples);
+        }
+
+        this.cache.set(username, { at: now, buckets });
+        return buckets;
+    }
+
+    /**
+     * Baseline at an age bucket without the tweet being scored: { median, mad, sigma, samples } or null
+     */
+    async baseline(username, bucket, excludeId = null) {
+        const samples = (await this.samplesFor(username)).get(bucket);
+        const values = [...samples].filter(([id]) => id !== String(excludeId)).map(([, engagement]) => engagement);
+        if (values.length < MIN_SAMPLES) return null;
+
+        const mid = median(values);
+        const mad = median(values.map(v => Math.abs(v - mid)));
+        return { median: mid, mad, sigma: Math.max(MAD_SCALE * mad, MIN_SIGMA), samples: values.length };
+    }
+
+    /**
+     * Score of a stored tweet row at its current age: { score, age_minutes, engagement, baseline } or null
+     * when the account has too little history
+     */
+    async score(row) {
+        const ageMinutes = (this.now() - Number(row.created_at_ms)) / MINUTE_MS;
+        const bucket = nearestBucket(ageMinutes);
+        const baseline = await this.baseline(row.username, bucket, row.id);
+        if (!baseline) return null;
+
+        const engagement = (Number(row.like_count) || 0) + (Number(row.retweet_count) || 0)
+            + (Number(row.reply_count) || 0) + (Number(row.quote_count) || 0);
+        return {
+            score: round((engagement - baseline.median) / baseline.sigma),
+            age_minutes: bucket,
+            engagement,
+            baseline: { median: baseline.median, mad: baseline.mad, samples: baseline.samples }
+        };
+    }
+
+    /**
+     * Score freshly measured tweets, store the scores and raise `outperforming` for tweets that
+     * first clear the threshold. Returns [{ id, score }].
+     */
+    async scoreTweets(ids) {
+        const repo = getRepositories().tweets;
+        const now = this.now();
+        const scored = [];
+
+        for (const id of ids) {
+            const row = await repo.findById(id);
+            if (!row || row.tweet_type === 'retweet') continue;
+
+            const result = await this.score(row);
+            if (!result) continue;
+
+            const outperforming = result.score >= this.threshold && !row.outperformed_at;
+            await repo.updateScore(row.id, result.score, now, outperforming ? now : null);
+            scored.push({ id: row.id, score: result.score });
+
+            if (outperforming) {
+                this.stats.outperforming++;
+                const payload = {
+                    ...row,
+                    engagement_score: result.score,
+                    outperformed_at: new Date(now).toISOString(),
+                    performance: { ...result, threshold: this.threshold }
+                };
+                console.log(`🚀 @${row.username} tweet ${row.id} outperforming: ${result.engagement} engagement at ${result.age_minutes}m vs median ${result.baseline.median} (${result.score}σ)`);
+                if (global.io) global.io.emit('outperforming', payload);
+                await this.notify(payload);
+            }
+        }
+
+        this.stats.scored += scored.length;
+        this.stats.lastRun = new Date(now).toISOString();
+        return scored;
+    }
+
+    getStatus() {
+        return {
+            threshold: this.threshold,
+            ageBucketsMinutes: AGE_BUCKETS_MINUTES,
+            minSamples: MIN_SAMPLES,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = EngagementBaselineService;
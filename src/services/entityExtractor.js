@@ -0,0 +1,198 @@
+// Detects on-chain entities in tweet text: contract addresses per chain, DEX/launchpad links and cashtags
+
+const BASE58_CHARS = '1-9A-HJ-NP-Za-km-z';
+const SUI_TYPE = /(?<![0-9a-fA-Fx])0x[0-9a-fA-F]{64}(?:::\w+::\w+)?(?![0-9a-fA-F])/g;
+const EVM_ADDRESS = /(?<![0-9a-fA-Fx])0x[0-9a-fA-F]{40}(?![0-9a-fA-F])/g;
+const BASE58_ADDRESS = new RegExp(`(?<![A-Za-z0-9_#@/])[${BASE58_CHARS}]{32,44}(?![A-Za-z0-9_])`, 'g');
+const TRON_ADDRESS = new RegExp(`^T[${BASE58_CHARS}]{33}$`);
+const CASHTAG = /(?<![A-Za-z0-9_$])\$([A-Za-z][A-Za-z0-9]{1,9})(?![A-Za-z0-9_])/g;
+const URL_PATTERN = /https?:\/\/[^\s<>"'\])]+/gi;
+
+// Chain slugs used by DEX sites -> our chain names
+const CHAIN_ALIASES = {
+    sol: 'solana',
+    solana: 'solana',
+    eth: 'ethereum',
+    ether: 'ethereum',
+    ethereum: 'ethereum',
+    bsc: 'bsc',
+    bnb: 'bsc',
+    base: 'base',
+    arbitrum: 'arbitrum',
+    arb: 'arbitrum',
+    polygon: 'polygon',
+    polygon_pos: 'polygon',
+    avalanche: 'avalanche',
+    avax: 'avalanche',
+    tron: 'tron',
+    sui: 'sui',
+    sui_network: 'sui',
+    blast: 'blast',
+    optimism: 'optimism'
+};
+
+function normalizeChain(slug) {
+    return CHAIN_ALIASES[String(slug || '').toLowerCase()] || String(slug || '').toLowerCase() || null;
+}
+
+function isBase58Address(value) {
+    return new RegExp(`^[${BASE58_CHARS}]{32,44}$`).test(value);
+}
+
+/**
+ * Chain for a bare address string, or null if it does not look like one
+ */
+function chainForAddress(address) {
+    if (/^0x[0-9a-fA-F]{64}(::\w+::\w+)?$/.test(address)) return 'sui';
+    if (/^0x[0-9a-fA-F]{40}$/.test(address)) return 'evm';
+    if (TRON_ADDRESS.test(address)) return 'tron';
+    if (isBase58Address(address) && looksRandom(address)) return 'solana';
+    return null;
+}
+
+/**
+ * Real base58 addresses mix digits and/or letter cases; filters out long plain words
+ */
+function looksRandom(value) {
+    return /[0-9]/.test(value) || (/[a-z]/.test(value) && /[A-Z]/.test(value));
+}
+
+function normalizeAddress(address, chain) {
+    return chain === 'evm' || chain === 'sui' || /^0x/i.test(address) ? address.toLowerCase() : address;
+}
+
+/**
+ * Recognize DEX / launchpad links. Returns { platform, chain, address, addressKind } or null.
+ * addressKind is 'token' when the path holds the token mint/contract, 'pair' for a pool address.
+ */
+function parseDexUrl(rawUrl) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    switch (host) {
+        case 'pump.fun': {
+            const address = parts[0] === 'coin' ? parts[1] : parts[0];
+            return address && isBase58Address(address)
+                ? { platform: 'pumpfun', chain: 'solana', address, addressKind: 'token' }
+                : null;
+        }
+        case 'dexscreener.com':
+            return parts.length >= 2
+                ? { platform: 'dexscreener', chain: normalizeChain(parts[0]), address: parts[1], addressKind: 'pair' }
+                : null;
+        case 'birdeye.so':
+            return parts[0] === 'token' && parts[1]
+                ? { platform: 'birdeye', chain: normalizeChain(url.searchParams.get('chain') || 'solana'), address: parts[1], addressKind: 'token' }
+                : null;
+        case 'dextools.io': {
+            // /app/<lang>/<chain>/pair-explorer/<pair>
+            const explorer = parts.indexOf('pair-explorer');
+            return explorer > 0 && parts[explorer + 1]
+                ? { platform: 'dextools', chain: normalizeChain(parts[explorer - 1]), address: parts[explorer + 1], addressKind: 'pair' }
+                : null;
+        }
+        case 'gmgn.ai':
+            return parts[1] === 'token' && parts[2]
+                ? { platform: 'gmgn', chain: normalizeChain(parts[0]), address: parts[2], addressKind: 'token' }
+                : null;
+        case 'geckoterminal.com':
+            return parts[1] === 'pools' && parts[2]
+                ? { platform: 'geckoterminal', chain: normalizeChain(parts[0]), address: parts[2], addressKind: 'pair' }
+                : null;
+        case 'photon-sol.tinyastro.io':
+            return parts[1] === 'lp' && parts[2]
+                ? { platform: 'photon', chain: 'solana', address: parts[2], addressKind: 'pair' }
+                : null;
+        case 'axiom.trade':
+            return parts[0] === 'meme' && parts[1]
+                ? { platform: 'axiom', chain: 'solana', address: parts[1], addressKind: 'pair' }
+                : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Extract entities from text (and optional expanded URLs, since tweet text only carries t.co links).
+ * Returns [{ type: 'contract'|'url'|'cashtag', chain, value, address, platform }], de-duplicated.
+ */
+function extractEntities(text, { urls = [] } = {}) {
+    const body = String(text || '');
+    const entities = [];
+    const seen = new Set();
+    const add = entity => {
+        const key = `${entity.type}:${entity.value}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        entities.push({
+            type: entity.type,
+            chain: entity.chain || null,
+            value: entity.value,
+            address: entity.address || null,
+            platform: entity.platform || null
+        });
+    };
+
+    // DEX / launchpad links
+    const links = [...(body.match(URL_PATTERN) || []), ...urls.filter(Boolean)];
+    for (const link of links) {
+        const dex = parseDexUrl(link);
+        if (!dex) continue;
+        const address = normalizeAddress(dex.address, dex.chain);
+        add({ type: 'url', chain: dex.chain, value: link.slice(0, 512), address, platform: dex.platform });
+        if (dex.addressKind === 'token') {
+            add({ type: 'contract', chain: dex.chain, value: address, address, platform: dex.platform });
+        }
+    }
+
+    // Bare addresses, ignoring anything inside a URL
+    let rest = body.replace(URL_PATTERN, ' ');
+    rest = rest.replace(SUI_TYPE, match => {
+        // Module and type names are case-sensitive; only the hex package id is normalized
+        const [pkg, ...path] = match.split('::');
+        const address = pkg.toLowerCase();
+        add({ type: 'contract', chain: 'sui', value: [address, ...path].join('::'), address });
+        return ' ';
+    });
+    rest = rest.replace(EVM_ADDRESS, match => {
+        const value = match.toLowerCase();
+        add({ type: 'contract', chain: 'evm', value, address: value });
+        return ' ';
+    });
+    for (const match of rest.match(BASE58_ADDRESS) || []) {
+        const chain = chainForAddress(match);
+        if (chain) add({ type: 'contract', chain, value: match, address: match });
+    }
+
+    for (const match of body.matchAll(CASHTAG)) {
+        add({ type: 'cashtag', value: match[1].toUpperCase() });
+    }
+
+    return entities;
+}
+
+/**
+ * Entities for a Twitter API tweet object, using expanded URLs from tweet.entities when present.
+ * Quoted and retweeted text (tweet.references) counts too: a quote of an announcement carries its tickers.
+ */
+function extractTweetEntities(tweet) {
+    const urls = (tweet?.entities?.urls || []).map(u => u.unwound_url || u.expanded_url).filter(Boolean);
+    const referenced = (tweet?.references || [])
+        .filter(ref => ref.type !== 'replied_to' && ref.text)
+        .map(ref => ref.text);
+    return extractEntities([tweet?.text, ...referenced].filter(Boolean).join('\n'), { urls });
+}
+
+module.exports = {
+    extractEntities,
+    extractTweetEntities,
+    chainForAddress,
+    parseDexUrl
+};
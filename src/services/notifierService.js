@@ -1,4 +1,6 @@
 const DEFAULT_HOURS = 24;
+// Recovered tweets (missed during a stream outage) older than this are not pinged to Telegram
+const RECOVERED_PING_MINUTES = 10;
 
 class NotifierService {
 	constructor() {
@@ -36,7 +38,7 @@ class NotifierService {
 					if (config.notifications.allTweets && config.accounts.includes(data.username)) {
 						shouldSend = true;
 						embed = {
-							title: `🚨 Alpha Tweet from @${data.username}`,
+							title: `${data.tweetType === 'recovered' ? '⏪ Recovered Tweet' : '🚨 Alpha Tweet'} from @${data.username}`,
 							description: data.text.substring(0, 500) + (data.text.length > 500 ? '...' : ''),
 							color: data.isTest ? 0x007AFF : 0xFF6600,
 							timestamp: new Date(data.created_at).toISOString(),
@@ -60,24 +62,32 @@ class NotifierService {
 					break;
 
 				case 'high_engagement':
+					// Raised for tweets outperforming their account's baseline (see EngagementBaselineService)
 					if (config.notifications.highEngagement && config.accounts.includes(data.username)) {
-						const totalEngagement = (data.like_count || 0) + (data.retweet_count || 0);
-						if (totalEngagement >= 1000) {
-							shouldSend = true;
-							embed = {
-								title: `🔥 High Engagement Alert`,
-								description: `@${data.username}: ${data.text.substring(0, 400)}`,
-								color: 0xFF3B30,
-								timestamp: new Date(data.created_at).toISOString(),
-								fields: [
-									{
-										name: "Engagement",
-										value: `❤️ ${data.like_count || 0} | 🔄 ${data.retweet_count || 0} | 💬 ${data.reply_count || 0}`,
-										inline: true
-									}
-								]
-							};
-						}
+						shouldSend = true;
+						embed = {
+							title: `🔥 Outperforming: @${data.username}`,
+							description: data.text.substring(0, 400),
+							color: 0xFF3B30,
+							timestamp: new Date(data.created_at).toISOString(),
+							fields: [
+								{
+									name: "Engagement",
+									value: `❤️ ${data.like_count || 0} | 🔄 ${data.retweet_count || 0} | 💬 ${data.reply_count || 0}`,
+									inline: true
+								},
+								{
+									name: "vs. Norm",
+									value: this.formatPerformance(data.performance),
+									inline: true
+								},
+								{
+									name: "Link",
+									value: `[View Tweet](https://twitter.com/${data.username}/status/${data.id})`,
+									inline: true
+								}
+							]
+						};
 					}
 					break;
 
@@ -102,6 +112,28 @@ class NotifierService {
 						};
 					}
 					break;
+
+				case 'price_alert':
+					if (config.notifications.priceAlerts) {
+						shouldSend = true;
+						embed = {
+							title: `🔔 Price Alert: ${data.rule_name}`,
+							description: data.message,
+							color: 0xFFCC00,
+							timestamp: data.fired_at,
+							fields: [
+								{
+									name: "Ticker",
+									value: `$${data.symbol}`,
+									inline: true
+								}
+							],
+							footer: {
+								text: "LiveAlpha • Price Alerts"
+							}
+						};
+					}
+					break;
 			}
 
 			if (shouldSend && embed) {
@@ -192,7 +224,7 @@ class NotifierService {
 	formatTweetMessage(tweet) {
 		const username = tweet.username || 'unknown';
 		const url = tweet.url || `https://twitter.com/${username}/status/${tweet.id}`;
-		const prefix = tweet.isTest ? '🧪 TEST' : '🚨 FRESH';
+		const prefix = tweet.isTest ? '🧪 TEST' : tweet.tweetType === 'recovered' ? '⏪ RECOVERED' : '🚨 FRESH';
 		const text = (tweet.text || '').trim();
 		return `${prefix} @${username}\n${text}\n${url}`;
 	}
@@ -200,6 +232,7 @@ class NotifierService {
 	async notifyTweet(tweet) {
 		if (!tweet) return;
 		if (!this.isFreshWithinHours(tweet.created_at, DEFAULT_HOURS)) return;
+		if (tweet.tweetType === 'recovered' && !this.isFreshWithinHours(tweet.created_at, RECOVERED_PING_MINUTES / 60)) return;
 		const message = this.formatTweetMessage(tweet);
 		await this.sendTelegramMessage(message);
 	}
@@ -212,14 +245,36 @@ class NotifierService {
 			await this.notifyTweet(t);
 
 			// Send Discord notifications to all registered webhooks
-			for (const [clientId, config] of this.discordWebhooks) {
+			for (const [clientId] of this.discordWebhooks) {
 				await this.sendDiscordNotification('tweet', t, clientId);
+			}
+		}
+	}
 
-				// Check for high engagement
-				const totalEngagement = (t.like_count || 0) + (t.retweet_count || 0);
-				if (totalEngagement >= 1000) {
-					await this.sendDiscordNotification('high_engagement', t, clientId);
-				}
+	// "+4.2σ: 350 at 10m vs typical 40"
+	formatPerformance(performance) {
+		if (!performance) return 'n/a';
+		return `+${performance.score}σ: ${performance.engagement} at ${performance.age_minutes}m vs typical ${performance.baseline.median}`;
+	}
+
+	// A tweet doing far better than its account's usual engagement at the same age; test accounts are never pinged
+	async notifyOutperforming(tweet) {
+		if (!tweet || tweet.isTest) return;
+		const url = tweet.url || `https://twitter.com/${tweet.username}/status/${tweet.id}`;
+		await this.sendTelegramMessage(`🔥 OUTPERFORMING @${tweet.username} (${this.formatPerformance(tweet.performance)})\n${(tweet.text || '').trim()}\n${url}`);
+		for (const [clientId] of this.discordWebhooks) {
+			await this.sendDiscordNotification('high_engagement', tweet, clientId);
+		}
+	}
+
+	// Route a fired price alert rule to its channels ('telegram', 'discord')
+	async notifyPriceAlert(alert, channels = ['telegram', 'discord']) {
+		if (channels.includes('telegram')) {
+			await this.sendTelegramMessage(`🔔 ${alert.rule_name}\n${alert.message}`);
+		}
+		if (channels.includes('discord')) {
+			for (const [clientId] of this.discordWebhooks) {
+				await this.sendDiscordNotification('price_alert', alert, clientId);
 			}
 		}
 	}
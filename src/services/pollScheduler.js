@@ -0,0 +1,375 @@
+const { getRepositories } = require('../config/database');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const HISTORY_DAYS = 30;
+const PROFILE_TTL_MS = 10 * MINUTE_MS;
+const MIN_INTERVAL_MS = 5 * SECOND_MS;
+const MAX_INTERVAL_MS = 15 * MINUTE_MS;
+// Share of the userTimeline window polling may use; the rest is left for catch-up, backfill and lookups
+const BUDGET_SHARE = 0.6;
+// Accounts without history are assumed to post this often
+const PRIOR_TWEETS_PER_DAY = 2;
+// Right after a tweet an account is likely to post again (threads, follow-ups); the boost fades over BURST_DECAY_MS
+const BURST_BOOST = 5;
+const BURST_DECAY_MS = 15 * MINUTE_MS;
+// Accounts whose every tweet names a token are weighted (1 + ALPHA_BOOST) times higher
+const ALPHA_BOOST = 2;
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function formatInterval(ms) {
+    return ms < MINUTE_MS ? `${Math.round(ms / SECOND_MS)}s` : `${round(ms / MINUTE_MS, 1)}m`;
+}
+
+/**
+ * Activity by UTC hour as multiples of the account's average hour (1 = typical), smoothed with the
+ * neighbouring hours and one pseudo-tweet per hour so a sparse history does not zero out an hour
+ */
+function hourlyFactors(createdTimes) {
+    const counts = new Array(24).fill(0);
+    for (const ms of createdTimes) counts[new Date(ms).getUTCHours()]++;
+
+    const smoothed = counts.map((count, hour) =>
+        count + 0.5 * (counts[(hour + 23) % 24] + counts[(hour + 1) % 24]) + 1);
+    const mean = smoothed.reduce((sum, value) => sum + value, 0) / 24;
+    return smoothed.map(value => round(value / mean));
+}
+
+/**
+ * Split a request rate between accounts in proportion to their weights, each interval kept within
+ * [MIN_INTERVAL_MS, maxIntervalMs]. Accounts pinned to a bound are taken out and the rest of the rate
+ * is shared again. Returns Map(username -> interval ms).
+ */
+function allocateIntervals(weights, requestsPerMs, maxIntervalMs) {
+    const intervals = new Map();
+    let free = [...weights.keys()];
+    let rate = requestsPerMs;
+
+    while (free.length > 0) {
+        const total = free.reduce((sum, username) => sum + weights.get(username), 0);
+        const pinned = [];
+        for (const username of free) {
+            const share = rate > 0 ? weights.get(username) / total * rate : 0;
+            const interval = share > 0 ? 1 / share : Infinity;
+            if (interval > maxIntervalMs) pinned.push([username, maxIntervalMs]);
+            else if (interval < MIN_INTERVAL_MS) pinned.push([username, MIN_INTERVAL_MS]);
+            else intervals.set(username, interval);
+        }
+        if (pinned.length === 0) break;
+
+        // Pin the accounts with the longest intervals first: they free (or take) the least rate
+        pinned.sort((a, b) => b[1] - a[1]);
+        const bound = pinned[0][1];
+        for (const [username, interval] of pinned.filter(([, interval]) => interval === bound)) {
+            intervals.set(username, interval);
+            rate -= 1 / interval;
+            free = free.filter(name => name !== username);
+        }
+    }
+    return intervals;
+}
+
+/**
+ * Schedules timeline polls per account. Each account is weighted by how likely it is to have posted:
+ * its tweets per day, how active it usually is at this UTC hour (30-day histogram), a boost that
+ * fades over the minutes after its last tweet, and the share of its tweets that name a token (alpha).
+ * The polling share of the plan's userTimeline window, capped by what is actually left in it, is
+ * split between accounts in proportion to their weights: hot accounts come up every few seconds,
+ * dormant ones every 15 minutes (longer only when there are too many accounts for the budget).
+ *
+ * The schedule is shared by the polling fallback (start()/stop()) and syncLatestTweets() (isDue()),
+ * so an account is never polled more often than its interval. `now` can be injected for tests.
+ */
+class PollScheduler {
+    constructor({ twitterService, poll = async () => 0, now = Date.now }) {
+        this.twitterService = twitterService;
+        this.poll = poll; // async (username) -> number of new tweets
+        this.now = now;
+        this.accounts = new Map(); // lowercase username -> account state
+        this.profilesAt = 0;
+        this.timer = null;
+        this.active = false;
+        this.running = false;
+        this.stats = { polls: 0, newTweets: 0, errors: 0, lastRun: null };
+    }
+
+    /**
+     * Add accounts to the schedule
+     */
+    track(usernames) {
+        for (const username of usernames) {
+            const key = username.toLowerCase();
+            if (this.accounts.has(key)) continue;
+            this.accounts.set(key, {
+                username,
+                profile: null,
+                lastPolledAt: null,
+                lastTweetAt: null,
+                intervalMs: null,
+                nextPollAt: null,
+                weight: null,
+                rationale: null
+            });
+        }
+    }
+
+    /**
+     * Rebuild each account's posting profile from the last HISTORY_DAYS of stored tweets
+     */
+    async refreshProfiles({ force = false } = {}) {
+        const now = this.now();
+        if (!force && now - this.profilesAt < PROFILE_TTL_MS) return;
+        this.profilesAt = now;
+
+        const history = await getRepositories().tweets.postingHistory([...this.accounts.keys()], now - HISTORY_DAYS * DAY_MS);
+        const byAccount = new Map([...this.accounts.keys()].map(key => [key, []]));
+        for (const row of history) byAccount.get(row.username)?.push(row);
+
+        for (const [key, rows] of byAccount) {
+            const account = this.accounts.get(key);
+            const times = rows.map(row => row.created_at_ms);
+            const firstAt = times.length > 0 ? Math.min(...times) : now;
+            // Accounts tracked for less than HISTORY_DAYS are averaged over the days we have (at least one)
+            const days = Math.max(1, Math.min(HISTORY_DAYS, (now - firstAt) / DAY_MS));
+            const lastAt = times.length > 0 ? Math.max(...times) : null;
+
+            account.profile = {
+                tweets: rows.length,
+                tweetsPerDay: rows.length > 0 ? round(rows.length / days) : null,
+                alphaShare: rows.length > 0 ? round(rows.filter(row => row.alpha).length / rows.length) : 0,
+                hourly: hourlyFactors(times)
+            };
+            if (lastAt && (!account.lastTweetAt || lastAt > account.lastTweetAt)) account.lastTweetAt = lastAt;
+        }
+    }
+
+    /**
+     * Weight of an account now, with the factors it is made of
+     */
+    weigh(account, now) {
+        const profile = account.profile || { tweetsPerDay: null, alphaShare: 0, hourly: new Array(24).fill(1) };
+        const tweetsPerDay = profile.tweetsPerDay ?? PRIOR_TWEETS_PER_DAY;
+        const hour = new Date(now).getUTCHours();
+        const hourFactor = profile.hourly[hour];
+        const sinceTweetMs = account.lastTweetAt ? now - account.lastTweetAt : null;
+        const burst = sinceTweetMs === null ? 1 : 1 + BURST_BOOST * Math.exp(-sinceTweetMs / BURST_DECAY_MS);
+        const alpha = 1 + ALPHA_BOOST * profile.alphaShare;
+
+        return {
+            weight: (tweetsPerDay / 24) * hourFactor * burst * alpha,
+            factors: { tweetsPerDay, hour, hourFactor, sinceTweetMs, burst: round(burst), alphaShare: profile.alphaShare, alpha: round(alpha) }
+        };
+    }
+
+    /**
+     * Polls per ms the schedule may use: the polling share of the plan's window, or of what is left
+     * in the current window when that runs out sooner
+     */
+    budget(now) {
+        const rateLimitManager = this.twitterService.rateLimitManager;
+        const limit = rateLimitManager.limits.userTimeline;
+        const status = rateLimitManager.getRateLimitStatus().userTimeline;
+        const planRate = (limit.requests * BUDGET_SHARE) / limit.windowMs;
+        const untilReset = Math.max(status.resetTime - now, SECOND_MS);
+        const windowRate = (status.remaining - limit.requests * (1 - BUDGET_SHARE)) / untilReset;
+        return {
+            requestsPerMs: Math.max(0, Math.min(planRate, windowRate)),
+            planRequestsPerMinute: round(planRate * MINUTE_MS),
+            remaining: status.remaining,
+            resetTime: status.resetTime
+        };
+    }
+
+    /**
+     * Recompute every account's interval, next poll and rationale
+     */
+    async plan() {
+        await this.refreshProfiles().catch(error => console.error('❌ Poll profile refresh error:', error.message));
+
+        const now = this.now();
+        const budget = this.budget(now);
+        const weighed = new Map([...this.accounts].map(([key, account]) => [key, this.weigh(account, now)]));
+        // With too many accounts for the budget even at MAX_INTERVAL_MS, everyone waits longer
+        const maxIntervalMs = budget.requestsPerMs > 0
+            ? Math.max(MAX_INTERVAL_MS, this.accounts.size / budget.requestsPerMs)
+            : Math.max(MAX_INTERVAL_MS, budget.resetTime - now);
+        const intervals = allocateIntervals(
+            new Map([...weighed].map(([key, { weight }]) => [key, weight])),
+            budget.requestsPerMs,
+            maxIntervalMs
+        );
+
+        for (const [key, account] of this.accounts) {
+            const { weight, factors } = weighed.get(key);
+            account.weight = weight;
+            account.intervalMs = Math.round(intervals.get(key));
+            account.nextPollAt = account.lastPolledAt === null ? now : account.lastPolledAt + account.intervalMs;
+            account.rationale = this.explain(account, factors, budget);
+        }
+        this.lastBudget = budget;
+        return budget;
+    }
+
+    explain(account, factors, budget) {
+        const reasons = [];
+        reasons.push(account.profile?.tweetsPerDay != null
+            ? `${account.profile.tweetsPerDay} tweets/day over ${HISTORY_DAYS}d`
+            : `no history (assumed ${PRIOR_TWEETS_PER_DAY}/day)`);
+        if (factors.hourFactor >= 1.5) reasons.push(`busy hour (${factors.hour}:00 UTC is ${factors.hourFactor}× its average)`);
+        else if (factors.hourFactor <= 0.5) reasons.push(`quiet hour (${factors.hour}:00 UTC is ${factors.hourFactor}× its average)`);
+        if (factors.burst >= 1.5) reasons.push(`hot: tweeted ${formatInterval(factors.sinceTweetMs)} ago`);
+        if (factors.alphaShare > 0) reasons.push(`${Math.round(factors.alphaShare * 100)}% of tweets name a token`);
+        if (account.intervalMs <= MIN_INTERVAL_MS) reasons.push('at the fastest interval');
+        if (account.intervalMs >= MAX_INTERVAL_MS) reasons.push('at the slowest interval');
+        if (budget.requestsPerMs * MINUTE_MS < budget.planRequestsPerMinute * 0.9) reasons.push(`throttled: ${budget.remaining} timeline requests left in this window`);
+        return `every ${formatInterval(account.intervalMs)}: ${reasons.join('; ')}`;
+    }
+
+    /**
+     * Whether an account's interval has passed since it was last polled (by anyone)
+     */
+    isDue(username) {
+        const account = this.accounts.get(username.toLowerCase());
+        if (!account || account.lastPolledAt === null || account.intervalMs === null) return true;
+        return this.now() - account.lastPolledAt >= account.intervalMs;
+    }
+
+    /**
+     * When the least recently polled account was last polled, or null before any poll;
+     * tweets posted since then may not have been fetched yet
+     */
+    oldestPollAt() {
+        const polled = [...this.accounts.values()].map(account => account.lastPolledAt).filter(at => at !== null);
+        return polled.length > 0 ? Math.min(...polled) : null;
+    }
+
+    /**
+     * Record a poll and the tweets it found (newest first or in any order)
+     */
+    recordPoll(username, tweets = []) {
+        this.track([username]);
+        const account = this.accounts.get(username.toLowerCase());
+        const now = this.now();
+        account.lastPolledAt = now;
+        for (const tweet of tweets) {
+            const createdAt = new Date(tweet.created_at).getTime();
+            if (Number.isFinite(createdAt) && (!account.lastTweetAt || createdAt > account.lastTweetAt)) {
+                account.lastTweetAt = createdAt;
+            }
+        }
+        if (account.intervalMs !== null) account.nextPollAt = now + account.intervalMs;
+    }
+
+    /**
+     * Start polling the tracked accounts on their schedule
+     */
+    start(usernames = []) {
+        this.track(usernames);
+        if (this.active) return;
+        this.active = true;
+        console.log(`📡 Adaptive polling started for ${this.accounts.size} accounts`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.active = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule(delayMs) {
+        if (!this.active) return;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.run().catch(error => console.error('❌ Poll scheduler error:', error.message));
+        }, Math.max(delayMs, 250));
+    }
+
+    /**
+     * Poll every due account (most overdue first), then sleep until the next one is due
+     */
+    async run() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            await this.plan();
+            const now = this.now();
+            const due = [...this.accounts.values()]
+                .filter(account => account.nextPollAt <= now)
+                .sort((a, b) => a.nextPollAt - b.nextPollAt);
+
+            for (const account of due) {
+                if (!this.active) break;
+                try {
+                    const tweets = await this.poll(account.username);
+                    this.recordPoll(account.username, tweets);
+                    this.stats.newTweets += tweets.length;
+                } catch (error) {
+                    this.stats.errors++;
+                    // Still counts as a poll so a failing account waits its interval
+                    this.recordPoll(account.username);
+                    console.error(`❌ Error polling @${account.username}:`, error.message);
+                }
+                this.stats.polls++;
+            }
+            this.stats.lastRun = new Date(this.now()).toISOString();
+        } finally {
+            this.running = false;
+        }
+
+        await this.plan();
+        const next = Math.min(...[...this.accounts.values()].map(account => account.nextPollAt));
+        this.schedule(Number.isFinite(next) ? next - this.now() : MAX_INTERVAL_MS);
+    }
+
+    /**
+     * Every account's next poll and why, soonest first
+     */
+    async getSchedule() {
+        const budget = await this.plan();
+        const accounts = [...this.accounts.values()]
+            .map(account => ({
+                username: account.username,
+                next_poll_at: new Date(account.nextPollAt).toISOString(),
+                interval_ms: account.intervalMs,
+                last_polled_at: account.lastPolledAt ? new Date(account.lastPolledAt).toISOString() : null,
+                last_tweet_at: account.lastTweetAt ? new Date(account.lastTweetAt).toISOString() : null,
+                weight: round(account.weight, 4),
+                polls_per_hour: round(HOUR_MS / account.intervalMs, 1),
+                rationale: account.rationale,
+                profile: account.profile
+            }))
+            .sort((a, b) => a.next_poll_at.localeCompare(b.next_poll_at));
+
+        return {
+            active: this.active,
+            budget: {
+                share: BUDGET_SHARE,
+                plan_requests_per_minute: budget.planRequestsPerMinute,
+                requests_per_minute: round(budget.requestsPerMs * MINUTE_MS),
+                scheduled_requests_per_minute: round(accounts.reduce((sum, a) => sum + MINUTE_MS / a.interval_ms, 0)),
+                remaining: budget.remaining,
+                reset_at: new Date(budget.resetTime).toISOString()
+            },
+            accounts
+        };
+    }
+
+    getStatus() {
+        return {
+            active: this.active,
+            accounts: this.accounts.size,
+            requestsPerMinute: this.lastBudget ? round(this.lastBudget.requestsPerMs * MINUTE_MS) : null,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = PollScheduler;
@@ -0,0 +1,299 @@
+const { getRepositories } = require('../config/database');
+const TickerMentionService = require('./tickerMentionService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const CHANNELS = ['telegram', 'discord'];
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+// Rule types and their params: defaults, and whether a symbol is required
+const RULE_TYPES = {
+    // Any (or one) ticker mentioned by at least min_accounts tracked accounts within window_minutes
+    mention_burst: { requiresSymbol: false, defaults: { min_accounts: 3, window_minutes: 60 } },
+    // Price moved by pct since the first tracked mention within lookback_hours
+    move_since_mention: { requiresSymbol: false, defaults: { pct: 20, direction: 'any', lookback_hours: 168 } },
+    // Price crosses a level
+    price_cross: { requiresSymbol: true, defaults: { price: null, direction: 'any' } }
+};
+
+/**
+ * Rules engine over PriceService: user-defined alert rules (price_alert_rules) evaluated on each
+ * price update and sent through NotifierService, with a cooldown per rule and symbol
+ */
+class PriceAlertService {
+    constructor({ priceService, notifier }) {
+        this.priceService = priceService;
+        this.notifier = notifier;
+        this.rules = null; // enabled rules, reloaded after any change
+        this.lastFired = null; // "ruleId:SYMBOL" -> ms
+        this.crossSides = new Map(); // "ruleId:SYMBOL" -> 'above' | 'below' at the last evaluation
+        this.stats = { evaluations: 0, fired: 0, lastRun: null };
+    }
+
+    /**
+     * Validate and normalize rule input (merged over `existing` for updates).
+     * Throws a TypeError for invalid input, so routes can answer 400.
+     */
+    static normalizeRule(input, existing = null) {
+        const merged = { ...(existing || {}), ...(input || {}) };
+        const spec = RULE_TYPES[merged.type];
+        if (!spec) throw new TypeError(`type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+
+        let symbol = null;
+        if (merged.symbol) {
+            symbol = TickerMentionService.normalizeTicker(merged.symbol);
+            if (!symbol) throw new TypeError('Invalid symbol');
+        } else if (spec.requiresSymbol) {
+            throw new TypeError(`${merged.type} rules need a symbol`);
+        }
+
+        const typeChanged = existing && input?.type && input.type !== existing.type;
+        const params = { ...spec.defaults, ...(typeChanged ? {} : existing?.params), ...(input?.params || {}) };
+        const number = (key, min) => {
+            const value = Number(params[key]);
+            if (!Number.isFinite(value) || value < min) throw new TypeError(`params.${key} must be a number >= ${min}`);
+            params[key] = value;
+        };
+        switch (merged.type) {
+            case 'mention_burst':
+                number('min_accounts', 2);
+                number('window_minutes', 1);
+                break;
+            case 'move_since_mention':
+                number('pct', 0.1);
+                number('lookback_hours', 1);
+                if (!['up', 'down', 'any'].includes(params.direction)) throw new TypeError('params.direction must be up, down or any');
+                break;
+            case 'price_cross':
+                number('price', Number.MIN_VALUE);
+                if (!['above', 'below', 'any'].includes(params.direction)) throw new TypeError('params.direction must be above, below or any');
+                break;
+        }
+        const known = Object.keys(spec.defaults);
+        for (const key of Object.keys(params)) {
+            if (!known.includes(key)) delete params[key];
+        }
+
+        const channels = merged.channels === undefined ? CHANNELS : merged.channels;
+        if (!Array.isArray(channels) || channels.length === 0 || channels.some(c => !CHANNELS.includes(c))) {
+            throw new TypeError(`channels must be a non-empty list of: ${CHANNELS.join(', ')}`);
+        }
+
+        const cooldown = merged.cooldown_minutes === undefined ? 60 : Number(merged.cooldown_minutes);
+        if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES) {
+            throw new TypeError(`cooldown_minutes must be an integer between 0 and ${MAX_COOLDOWN_MINUTES}`);
+        }
+
+        const name = String(merged.name || `${merged.type}${symbol ? ` ${symbol}` : ''}`).trim().slice(0, 100);
+
+        return {
+            name,
+            type: merged.type,
+            symbol,
+            params,
+            channels: [...new Set(channels)],
+            cooldown_minutes: cooldown,
+            enabled: merged.enabled === undefined ? true : Boolean(merged.enabled)
+        };
+    }
+
+    async listRules() {
+        return getRepositories().priceAlerts.listRules();
+    }
+
+    async getRule(id) {
+        return getRepositories().priceAlerts.getRule(id);
+    }
+
+    async createRule(input) {
+        const rule = PriceAlertService.normalizeRule(input);
+        const id = await getRepositories().priceAlerts.createRule(rule);
+        this.rules = null;
+        console.log(`🔔 Price alert rule #${id} created: ${rule.name}`);
+        return this.getRule(id);
+    }
+
+    /**
+     * Returns the updated rule, or null when it does not exist
+     */
+    async updateRule(id, input) {
+        const repo = getRepositories().priceAlerts;
+        const existing = await repo.getRule(id);
+        if (!existing) return null;
+
+        const rule = PriceAlertService.normalizeRule(input, existing);
+        await repo.updateRule(id, rule);
+        this.rules = null;
+        this.forgetRuleState(id);
+        return repo.getRule(id);
+    }
+
+    async deleteRule(id) {
+        const removed = await getRepositories().priceAlerts.deleteRule(id);
+        this.rules = null;
+        this.forgetRuleState(id);
+        return removed;
+    }
+
+    forgetRuleState(id) {
+        for (const map of [this.crossSides, this.lastFired || new Map()]) {
+            for (const key of [...map.keys()]) {
+                if (key.startsWith(`${id}:`)) map.delete(key);
+            }
+        }
+    }
+
+    async getEvents({ ruleId = null, limit = 50 } = {}) {
+        return getRepositories().priceAlerts.recentEvents({ ruleId, limit });
+    }
+
+    /**
+     * Symbols enabled rules need fresh prices for: their own symbols, plus the tickers mentioned
+     * within the lookback of move_since_mention rules without one
+     */
+    async watchedSymbols(now = Date.now()) {
+        const repos = getRepositories();
+        if (!this.rules) this.rules = await repos.priceAlerts.listRules({ enabledOnly: true });
+
+        const symbols = new Set(this.rules.filter(rule => rule.symbol).map(rule => rule.symbol));
+        const lookbacks = this.rules
+            .filter(rule => !rule.symbol && rule.type === 'move_since_mention')
+            .map(rule => rule.params.lookback_hours);
+        if (lookbacks.length > 0) {
+            const mentioned = await repos.tickerMentions.accountCounts(now - Math.max(...lookbacks) * HOUR_MS);
+            for (const { ticker } of mentioned) symbols.add(ticker);
+        }
+        return [...symbols];
+    }
+
+    /**
+     * Evaluate every enabled rule after a price update. `symbols` are the tickers whose price was
+     * just rebuilt; mention bursts are checked on every run regardless.
+     */
+    async evaluate(symbols = [], now = Date.now()) {
+        const repo = getRepositories().priceAlerts;
+        if (!this.rules) this.rules = await repo.listRules({ enabledOnly: true });
+        if (this.rules.length === 0) return [];
+
+        if (!this.lastFired) {
+            const rows = await repo.lastFired(now - MAX_COOLDOWN_MINUTES * MINUTE_MS);
+            this.lastFired = new Map(rows.map(row => [`${row.rule_id}:${row.symbol}`, row.last_fired_at_ms]));
+        }
+
+        const fired = [];
+        for (const rule of this.rules) {
+            try {
+                const candidates = rule.symbol ? symbols.filter(s => s === rule.symbol) : symbols;
+                const alerts = await this.check(rule, candidates, now);
+                for (const alert of alerts) {
+                    const key = `${rule.id}:${alert.symbol}`;
+                    const last = this.lastFired.get(key);
+                    if (last && now - last < rule.cooldown_minutes * MINUTE_MS) continue;
+
+                    this.lastFired.set(key, now);
+                    await repo.addEvent({ ruleId: rule.id, symbol: alert.symbol, firedAtMs: now, value: alert.value, message: alert.message });
+                    await this.notifier.notifyPriceAlert({ ...alert, rule_id: rule.id, rule_name: rule.name, fired_at: new Date(now).toISOString() }, rule.channels);
+                    fired.push({ rule_id: rule.id, ...alert });
+                }
+            } catch (error) {
+                console.error(`❌ Price alert rule #${rule.id} error:`, error.message);
+            }
+        }
+
+        this.stats.evaluations++;
+        this.stats.fired += fired.length;
+        this.stats.lastRun = new Date(now).toISOString();
+        if (fired.length > 0) {
+            console.log(`🔔 Fired ${fired.length} price alert${fired.length === 1 ? '' : 's'}`);
+        }
+        return fired;
+    }
+
+    /**
+     * Alerts a rule raises now: [{ symbol, value, message }] (before cooldowns)
+     */
+    async check(rule, symbols, now) {
+        const { params } = rule;
+        const alerts = [];
+
+        switch (rule.type) {
+            case 'mention_burst': {
+                const windowMs = params.window_minutes * MINUTE_MS;
+                const bursts = await getRepositories().tickerMentions.accountCounts(now - windowMs, {
+                    ticker: rule.symbol,
+                    minAccounts: params.min_accounts
+                });
+                for (const burst of bursts) {
+                    const price = this.priceService.getPrice(burst.ticker);
+                    const accounts = burst.usernames.slice(0, 10).map(u => `@${u}`).join(', ');
+                    alerts.push({
+                        symbol: burst.ticker,
+                        value: burst.accounts,
+                        message: `🔥 $${burst.ticker} mentioned by ${burst.accounts} tracked accounts in ${params.window_minutes}m` +
+                            `${price ? ` (${price.formattedPrice})` : ''}\n${accounts}`
+                    });
+                }
+                break;
+            }
+
+            case 'move_since_mention': {
+                const since = now - params.lookback_hours * HOUR_MS;
+                for (const symbol of symbols) {
+                    const current = this.priceService.getPrice(symbol);
+                    const first = current && await getRepositories().priceSnapshots.firstMentionPrice(symbol, since);
+                    if (!first || !first.price) continue;
+
+                    const pct = (current.price - first.price) / first.price * 100;
+                    if (Math.abs(pct) < params.pct) continue;
+                    if ((params.direction === 'up' && pct < 0) || (params.direction === 'down' && pct > 0)) continue;
+
+                    const minutesAgo = Math.round((now - first.mentioned_at_ms) / MINUTE_MS);
+                    const ago = minutesAgo < 60 ? `${minutesAgo}m` : `${Math.round(minutesAgo / 60)}h`;
+                    alerts.push({
+                        symbol,
+                        value: Math.round(pct * 100) / 100,
+                        message: `${pct >= 0 ? '📈' : '📉'} $${symbol} ${this.priceService.formatChange(pct)} since first mention by ` +
+                            `@${first.username} ${ago} ago: ${this.priceService.formatPrice(first.price)} → ${current.formattedPrice}`
+                    });
+                }
+                break;
+            }
+
+            case 'price_cross': {
+                for (const symbol of symbols) {
+                    const current = this.priceService.getPrice(symbol);
+                    if (!current || !current.price) continue;
+
+                    const key = `${rule.id}:${symbol}`;
+                    const side = current.price >= params.price ? 'above' : 'below';
+                    const previous = this.crossSides.get(key);
+                    this.crossSides.set(key, side);
+                    // The first observation only sets the baseline
+                    if (!previous || previous === side) continue;
+                    if (params.direction !== 'any' && params.direction !== side) continue;
+
+                    alerts.push({
+                        symbol,
+                        value: current.price,
+                        message: `🎯 $${symbol} crossed ${side} ${this.priceService.formatPrice(params.price)} (now ${current.formattedPrice})`
+                    });
+                }
+                break;
+            }
+        }
+
+        return alerts;
+    }
+
+    getStatus() {
+        return {
+            activeRules: this.rules ? this.rules.length : null,
+            ...this.stats
+        };
+    }
+}
+
+PriceAlertService.RULE_TYPES = RULE_TYPES;
+
+module.exports = PriceAlertService;
@@ -1,153 +1,95 @@
 const axios = require('axios');
+const { getRepositories } = require('../config/database');
+const { createPriceProviders } = require('../prices');
+const { createRecordingHttp } = require('../prices/recordingHttp');
+const { buildConsensus } = require('../prices/consensus');
+const TokenRegistryService = require('./tokenRegistryService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// When a call is priced, measured from the mention
+const SNAPSHOT_HORIZONS = {
+    mention: 0,
+    '1h': HOUR_MS,
+    '6h': 6 * HOUR_MS,
+    '24h': 24 * HOUR_MS,
+    '7d': 7 * 24 * HOUR_MS
+};
+// Mentions of the same ticker by the same account within this window belong to one call
+const CALL_WINDOW_MS = 7 * 24 * HOUR_MS;
+// A snapshot not captured this long after it was due is marked missed; also bounds how old
+// a mention may be when first seen, so backfilled tweets are not priced at today's price
+const SNAPSHOT_TOLERANCE_MS = 30 * MINUTE_MS;
+
+// Candle resolutions for price history (names match Binance kline intervals)
+const HISTORY_INTERVALS = {
+    '1m': MINUTE_MS,
+    '5m': 5 * MINUTE_MS,
+    '15m': 15 * MINUTE_MS,
+    '1h': HOUR_MS,
+    '4h': 4 * HOUR_MS,
+    '1d': 24 * HOUR_MS
+};
+const MAX_HISTORY_CANDLES = 1000;
+
+// Quotes older than this no longer count toward the consensus price
+const STALE_QUOTE_MS = 10 * MINUTE_MS;
+// Below this many fresh primary quotes, long-tail (DEX) providers are asked as well
+const MIN_CONSENSUS_SOURCES = 2;
+// Provider health: cool down after repeated failures (or any 429), doubling up to the cap
+const FAILURES_BEFORE_COOLDOWN = 3;
+const BASE_COOLDOWN_MS = MINUTE_MS;
+const MAX_COOLDOWN_MS = HOUR_MS;
 
 class PriceService {
-    constructor() {
-        // Multiple API providers for redundancy
-        this.providers = {
-            coingecko: {
-                baseUrl: 'https://api.coingecko.com/api/v3',
-                key: null, // Free tier
-                enabled: true
-            },
-            coinmarketcap: {
-                baseUrl: 'https://pro-api.coinmarketcap.com/v1',
-                key: process.env.COINMARKETCAP_API_KEY,
-                enabled: Boolean(process.env.COINMARKETCAP_API_KEY)
-            },
-            binance: {
-                baseUrl: 'https://api.binance.com/api/v3',
-                key: null, // Free tier
-                enabled: true
-            }
-        };
+    constructor({ http = axios, tokenRegistry = new TokenRegistryService() } = {}) {
+        // Resolves tickers to provider ids (CoinGecko / CoinMarketCap) and contracts
+        this.tokenRegistry = tokenRegistry;
+
+        // Multiple API providers, combined into a consensus price. Responses are cached briefly and
+        // can be recorded to / replayed from fixtures (PRICE_FIXTURES_MODE=record|replay)
+        this.http = createRecordingHttp({
+            http,
+            mode: process.env.PRICE_FIXTURES_MODE || 'live',
+            dir: process.env.PRICE_FIXTURES_DIR || undefined,
+            cacheTtlMs: 30000
+        });
+        this.providers = createPriceProviders({ http: this.http });
+        this.health = {};
+        this.quotes = new Map(); // provider -> Map(ticker -> { price, change24h, fetchedAt })
+        for (const name of Object.keys(this.providers)) {
+            this.health[name] = {
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                lastError: null,
+                latencyMs: null,
+                cooldownUntil: null
+            };
+            this.quotes.set(name, new Map());
+        }
+        this.divergenceThresholdPct = Number(process.env.PRICE_DIVERGENCE_PCT) || 5;
 
-        this.cache = new Map(); // ticker -> { price, change24h, lastUpdated }
+        this.cache = new Map(); // ticker -> { price, change24h, lastUpdated, source, provenance }
+        this.updateListeners = []; // called with the symbols whose price was just rebuilt
+        this.symbolSources = []; // async () => symbols refreshed with popularTickers on each update
         this.updateInterval = 60000; // 1 minute
         this.isUpdating = false;
+        this.snapshotInterval = 60000; // 1 minute
+        this.snapshotStats = { scheduled: 0, captured: 0, missed: 0, lastRun: null };
 
-        // Common ticker symbol to CoinMarketCap ID mapping
-        this.symbolToId = {
-            'ASTER': 36341,
-            'BTC': 1,
-            'ETH': 1027,
-            'SOL': 5426,
-            'AVAX': 5805,
-            'LINK': 1975,
-            'UNI': 7083,
-            'AAVE': 7278,
-            'SUSHI': 6758,
-            'DOGE': 74,
-            'ADA': 2010,
-            'DOT': 6636,
-            'MATIC': 3890,
-            'ATOM': 3794,
-            'NEAR': 6535,
-            'FTM': 3513,
-            'ALGO': 4030,
-            'XRP': 52,
-            'LTC': 2,
-            'BCH': 1831,
-            'XLM': 512,
-            'VET': 3077,
-            'ICP': 8916,
-            'FLOW': 4558,
-            'SAND': 6210,
-            'MANA': 1966,
-            'CRV': 6538,
-            'COMP': 5692,
-            'YFI': 5864,
-            'SNX': 2586,
-            'MKR': 1518,
-            'RUNE': 4157,
-            'LUNA': 4172,
-            'UST': 7129,
-            'SHIB': 5994,
-            'APE': 18876,
-            'LDO': 8000,
-            'FTT': 4195,
-            'GMT': 16352,
-            'STEPN': 16352,
-            'APT': 21794,
-            'SUI': 20947,
-            'ARB': 11841,
-            'OP': 11840,
-            'BLUR': 23121,
-            'PEPE': 24478,
-            'WLD': 13502,
-            'SEI': 23149,
-            'TIA': 22861,
-            'PYTH': 28177,
-            'JUP': 29210,
-            'WIF': 28752,
-            'BONK': 23095,
-            'ONDO': 15069,
-            'FLOKI': 9674,
-            'NEIRO': 31157,
-            'EIGEN': 31663
-        };
+        // Default candle resolution for price history and the background recorder
+        this.historyInterval = HISTORY_INTERVALS[process.env.PRICE_HISTORY_INTERVAL] ? process.env.PRICE_HISTORY_INTERVAL : '1h';
+        this.historyAttempts = new Map(); // symbol:interval:range -> last provider fetch, so gaps are not refetched every request
+        this.popularTickers = ['BTC', 'ETH', 'SOL', 'AVAX', 'LINK', 'UNI', 'AAVE', 'SUSHI'];
 
-        // CoinGecko symbol mapping (different from CMC)
-        this.coingeckoIds = {
-            'ASTER': 'astar',
-            'BTC': 'bitcoin',
-            'ETH': 'ethereum',
-            'SOL': 'solana',
-            'AVAX': 'avalanche-2',
-            'LINK': 'chainlink',
-            'UNI': 'uniswap',
-            'AAVE': 'aave',
-            'SUSHI': 'sushi',
-            'DOGE': 'dogecoin',
-            'ADA': 'cardano',
-            'DOT': 'polkadot',
-            'MATIC': 'matic-network',
-            'ATOM': 'cosmos',
-            'NEAR': 'near',
-            'FTM': 'fantom',
-            'ALGO': 'algorand',
-            'XRP': 'ripple',
-            'LTC': 'litecoin',
-            'BCH': 'bitcoin-cash',
-            'XLM': 'stellar',
-            'VET': 'vechain',
-            'ICP': 'internet-computer',
-            'FLOW': 'flow',
-            'SAND': 'the-sandbox',
-            'MANA': 'decentraland',
-            'CRV': 'curve-dao-token',
-            'COMP': 'compound-governance-token',
-            'YFI': 'yearn-finance',
-            'SNX': 'havven',
-            'MKR': 'maker',
-            'RUNE': 'thorchain',
-            'LUNA': 'terra-luna',
-            'SHIB': 'shiba-inu',
-            'APE': 'apecoin',
-            'LDO': 'lido-dao',
-            'FTT': 'ftx-token',
-            'GMT': 'stepn',
-            'APT': 'aptos',
-            'SUI': 'sui',
-            'ARB': 'arbitrum',
-            'OP': 'optimism',
-            'BLUR': 'blur',
-            'PEPE': 'pepe',
-            'WLD': 'worldcoin-wld',
-            'SEI': 'sei-network',
-            'TIA': 'celestia',
-            'PYTH': 'pyth-network',
-            'JUP': 'jupiter-exchange-solana',
-            'WIF': 'dogwifcoin',
-            'BONK': 'bonk',
-            'ONDO': 'ondo-finance',
-            'FLOKI': 'floki',
-            'NEIRO': 'first-neiro-on-ethereum',
-            'EIGEN': 'eigenlayer'
-        };
-
-        // Start price updates (CoinGecko doesn't need API key)
+        // Start price updates (CoinGecko and Binance don't need API keys)
         this.startPriceUpdates();
-        console.log('💰 Price service initialized with CoinGecko API (free tier)');
+        const enabled = Object.values(this.providers).filter(p => p.enabled).map(p => p.name);
+        console.log(`💰 Price service initialized with providers: ${enabled.join(', ')}`);
     }
 
     /**
@@ -159,15 +101,7 @@ class PriceService {
         const cached = this.cache.get(symbol);
 
         if (!cached) return null;
-
-        return {
-            symbol: symbol,
-            price: cached.price,
-            change24h: cached.change24h,
-            lastUpdated: cached.lastUpdated,
-            formattedPrice: this.formatPrice(cached.price),
-            formattedChange: this.formatChange(cached.change24h)
-        };
+        return this.toPriceResponse(symbol, cached);
     }
 
     /**
@@ -176,18 +110,27 @@ class PriceService {
     getAllPrices() {
         const prices = {};
         for (const [symbol, data] of this.cache.entries()) {
-            prices[symbol] = {
-                symbol,
-                price: data.price,
-                change24h: data.change24h,
-                lastUpdated: data.lastUpdated,
-                formattedPrice: this.formatPrice(data.price),
-                formattedChange: this.formatChange(data.change24h)
-            };
+            prices[symbol] = this.toPriceResponse(symbol, data);
         }
         return prices;
     }
 
+    /**
+     * Price as returned by the API, with the provider quotes it was built from
+     */
+    toPriceResponse(symbol, data) {
+        return {
+            symbol,
+            price: data.price,
+            change24h: data.change24h,
+            lastUpdated: data.lastUpdated,
+            formattedPrice: this.formatPrice(data.price),
+            formattedChange: this.formatChange(data.change24h),
+            source: data.source,
+            provenance: data.provenance
+        };
+    }
+
     /**
      * Update prices for specific tickers
      */
@@ -205,10 +148,7 @@ class PriceService {
             if (symbols.length === 0) return;
 
             console.log(`💰 Updating prices for: ${symbols.join(', ')}`);
-
-            // Try CoinGecko first (free tier, no API key needed)
-            await this.fetchFromCoinGecko(symbols);
-
+            await this.refreshQuotes(symbols);
         } catch (error) {
             console.error('❌ Price update error:', error.message);
         } finally {
@@ -217,117 +157,424 @@ class PriceService {
     }
 
     /**
-     * Fetch prices from CoinGecko (free tier)
+     * Whether a provider may be called now (enabled and not cooling down after failures)
      */
-    async fetchFromCoinGecko(symbols) {
+    isAvailable(provider) {
+        const { cooldownUntil } = this.health[provider.name];
+        return provider.enabled && !(cooldownUntil && cooldownUntil > Date.now());
+    }
+
+    /**
+     * Run a provider call and record its health. Failures are logged and resolve to null.
+     */
+    async callProvider(provider, operation, task) {
+        const health = this.health[provider.name];
+        const started = Date.now();
+
         try {
-            // Map symbols to CoinGecko IDs
-            const coingeckoIds = symbols
-                .filter(s => this.coingeckoIds[s])
-                .map(s => this.coingeckoIds[s]);
-
-            if (coingeckoIds.length === 0) return;
-
-            const response = await axios.get(`${this.providers.coingecko.baseUrl}/simple/price`, {
-                params: {
-                    ids: coingeckoIds.join(','),
-                    vs_currencies: 'usd',
-                    include_24hr_change: true
-                },
-                timeout: 10000
-            });
-
-            if (response.data) {
-                const now = new Date().toISOString();
-
-                // Map back to symbols
-                Object.entries(response.data).forEach(([coingeckoId, data]) => {
-                    const symbol = Object.keys(this.coingeckoIds).find(
-                        key => this.coingeckoIds[key] === coingeckoId
-                    );
-
-                    if (symbol && data.usd) {
-                        this.cache.set(symbol, {
-                            price: data.usd,
-                            change24h: data.usd_24h_change || 0,
-                            lastUpdated: now,
-                            source: 'coingecko'
-                        });
-                    }
-                });
-
-                console.log(`✅ Updated ${Object.keys(response.data).length} prices from CoinGecko`);
-            }
+            const result = await task();
+            health.successes++;
+            health.consecutiveFailures = 0;
+            health.cooldownUntil = null;
+            health.lastSuccessAt = new Date().toISOString();
+            health.latencyMs = Date.now() - started;
+            return result;
         } catch (error) {
-            console.error('❌ CoinGecko API error:', error.message);
+            health.failures++;
+            health.consecutiveFailures++;
+            health.lastFailureAt = new Date().toISOString();
+            health.lastError = error.message;
+
+            const rateLimited = error.response?.status === 429;
+            if (rateLimited || health.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+                const doublings = Math.max(0, health.consecutiveFailures - FAILURES_BEFORE_COOLDOWN);
+                health.cooldownUntil = Date.now() + Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * 2 ** doublings);
+            }
 
-            // Fallback to CoinMarketCap if available
-            if (this.providers.coinmarketcap.enabled) {
-                console.log('🔄 Falling back to CoinMarketCap...');
-                await this.fetchFromCoinMarketCap(symbols);
+            if (rateLimited) {
+                console.log(`⚠️  ${provider.name} rate limit hit`);
+            } else {
+                console.error(`❌ ${provider.name} ${operation} error:`, error.message);
             }
+            return null;
         }
     }
 
     /**
-     * Fallback: Fetch from CoinMarketCap (requires API key)
+     * Resolve the symbols through the token registry, fetch quotes from every available provider
+     * whose copy is older than its TTL, then rebuild the consensus price of each symbol.
+     * Long-tail providers are only asked for symbols the primary providers cannot cover with
+     * MIN_CONSENSUS_SOURCES fresh quotes, trying the resolved token's contracts and the ones
+     * tweeted alongside the cashtag.
      */
-    async fetchFromCoinMarketCap(symbols) {
-        if (!this.providers.coinmarketcap.enabled) return;
+    async refreshQuotes(symbols) {
+        const providers = Object.values(this.providers);
+        const primary = providers.filter(p => p.tier === 'primary');
+        const longTail = providers.filter(p => p.tier !== 'primary');
+
+        const fetchFrom = async (provider, candidates, options) => {
+            const now = Date.now();
+            const cached = this.quotes.get(provider.name);
+            const due = candidates.filter(symbol => !cached.has(symbol) || now - cached.get(symbol).fetchedAt >= provider.ttlMs);
+            if (due.length === 0 || !this.isAvailable(provider)) return;
+
+            const quotes = await this.callProvider(provider, 'quotes', () => provider.getQuotes(due, options));
+            for (const [symbol, quote] of quotes || []) {
+                cached.set(symbol, { ...quote, fetchedAt: Date.now() });
+            }
+        };
 
-        try {
-            const response = await axios.get(`${this.providers.coinmarketcap.baseUrl}/cryptocurrency/quotes/latest`, {
-                headers: {
-                    'X-CMC_PRO_API_KEY': this.providers.coinmarketcap.key,
-                    'Accept': 'application/json'
-                },
-                params: {
-                    symbol: symbols.join(','),
-                    convert: 'USD'
-                },
-                timeout: 10000
-            });
-
-            if (response.data && response.data.data) {
-                const now = new Date().toISOString();
-
-                for (const [symbol, data] of Object.entries(response.data.data)) {
-                    if (data && data.quote && data.quote.USD) {
-                        const usd = data.quote.USD;
-                        this.cache.set(symbol, {
-                            price: usd.price,
-                            change24h: usd.percent_change_24h,
-                            lastUpdated: now,
-                            source: 'coinmarketcap'
-                        });
-                    }
+        const contracts = await this.contractHints(symbols);
+        const resolved = await this.resolveSymbols(symbols, contracts);
+        const tokens = new Map([...resolved].filter(([, match]) => match).map(([symbol, match]) => [symbol, match.token]));
+
+        // A ticker-listed pair prices the symbol's primary token; a symbol resolved to another token
+        // sharing it must not be averaged with that, so such quotes are neither fetched nor kept
+        const listed = symbols.filter(symbol => !resolved.get(symbol) || resolved.get(symbol).primary);
+        for (const provider of providers.filter(p => p.tickerListed)) {
+            symbols.filter(symbol => !listed.includes(symbol)).forEach(symbol => this.quotes.get(provider.name).delete(symbol));
+        }
+
+        await Promise.all(primary.map(provider => fetchFrom(provider, provider.tickerListed ? listed : symbols, { tokens })));
+        const thin = symbols.filter(symbol => this.freshQuotes(symbol, primary).length < MIN_CONSENSUS_SOURCES);
+        if (thin.length > 0) {
+            const addresses = new Map(thin.map(symbol => [symbol, [...new Set([
+                ...Object.values(tokens.get(symbol)?.contract_addresses || {}).slice(0, 5),
+                ...(contracts.get(symbol) || [])
+            ])]]));
+            await Promise.all(longTail.map(provider => fetchFrom(provider, thin, { tokens, addresses })));
+        }
+
+        const updated = symbols.filter(symbol => this.updateConsensus(symbol, primary, longTail));
+        if (updated.length > 0) {
+            console.log(`✅ Updated ${updated.length} consensus price${updated.length === 1 ? '' : 's'}`);
+        }
+
+        await this.recordUnresolved(resolved);
+
+        if (updated.length > 0) {
+            for (const listener of this.updateListeners) {
+                try {
+                    await listener(updated);
+                } catch (error) {
+                    console.error('❌ Price update listener error:', error.message);
                 }
+            }
+        }
+    }
+
+    /**
+     * Register a callback run after each price update with the updated symbols
+     */
+    onPricesUpdated(listener) {
+        this.updateListeners.push(listener);
+    }
+
+    /**
+     * Register an async source of symbols to keep fresh alongside popularTickers
+     */
+    watchSymbols(source) {
+        this.symbolSources.push(source);
+    }
 
-                console.log(`✅ Updated ${Object.keys(response.data.data).length} prices from CoinMarketCap`);
+    /**
+     * Symbols refreshed by the automatic updates: popularTickers plus every registered source
+     */
+    async watchedSymbols() {
+        const symbols = new Set(this.popularTickers);
+        for (const source of this.symbolSources) {
+            try {
+                for (const symbol of await source()) symbols.add(symbol);
+            } catch (error) {
+                console.error('❌ Watched symbols error:', error.message);
             }
+        }
+        return [...symbols];
+    }
+
+    /**
+     * Registry matches for symbols: Map(symbol -> { token, alternatives, resolvedBy, primary } | null)
+     */
+    async resolveSymbols(symbols, contracts) {
+        try {
+            return await this.tokenRegistry.resolveSymbols(symbols, { contracts });
         } catch (error) {
-            if (error.response?.status === 429) {
-                console.log('⚠️  CoinMarketCap rate limit hit');
-            } else {
-                console.error('❌ CoinMarketCap API error:', error.message);
-            }
+            console.error('❌ Symbol resolution error:', error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Report symbols the registry could not resolve (noting any provider that priced them anyway)
+     * and clear the ones that resolve now
+     */
+    async recordUnresolved(resolved) {
+        const unresolved = [...resolved].filter(([, match]) => !match).map(([symbol]) => symbol);
+        const resolvedSymbols = [...resolved].filter(([, match]) => match).map(([symbol]) => symbol);
+
+        try {
+            const repo = getRepositories().unresolvedTickers;
+            await repo.record(unresolved.map(symbol => ({ symbol, pricedBy: this.cache.get(symbol)?.source || null })));
+            await repo.removeMany(resolvedSymbols);
+        } catch (error) {
+            console.error('❌ Unresolved ticker report error:', error.message);
+        }
+    }
+
+    /**
+     * Contract addresses tweeted together with each cashtag: Map(symbol -> [address])
+     */
+    async contractHints(symbols) {
+        try {
+            return await getRepositories().tweetEntities.contractsForCashtags(symbols);
+        } catch (error) {
+            console.error('❌ Contract lookup error:', error.message);
+            return new Map();
         }
     }
 
+    /**
+     * DEX market data for a contract address (price, liquidity, FDV, 24h volume, pair age),
+     * or null when it has no pool or DexScreener is unavailable
+     */
+    async getDexToken(address) {
+        const provider = this.providers.dexscreener;
+        if (!this.isAvailable(provider)) return null;
+
+        const tokens = await this.callProvider(provider, 'token', () => provider.getTokens([address]));
+        return tokens?.get(address) || null;
+    }
+
+    /**
+     * Quotes for a symbol from the given providers that are recent enough to trust
+     */
+    freshQuotes(symbol, providers) {
+        const now = Date.now();
+        return providers
+            .map(provider => ({ provider: provider.name, ...this.quotes.get(provider.name).get(symbol) }))
+            .filter(quote => quote.price && now - quote.fetchedAt <= STALE_QUOTE_MS);
+    }
+
+    /**
+     * Rebuild the cached price of a symbol from fresh quotes; the previous price is kept
+     * (and ages visibly via lastUpdated) when no provider has a fresh quote
+     */
+    updateConsensus(symbol, primary, longTail) {
+        let quotes = this.freshQuotes(symbol, primary);
+        if (quotes.length < MIN_CONSENSUS_SOURCES) {
+            quotes = quotes.concat(this.freshQuotes(symbol, longTail));
+        }
+        if (quotes.length === 0) return false;
+
+        const consensus = buildConsensus(quotes, this.divergenceThresholdPct);
+        if (consensus.provenance.divergent) {
+            console.log(`⚠️  ${symbol} providers disagree by ${consensus.provenance.divergencePct}%`);
+        }
+
+        this.cache.set(symbol, {
+            price: consensus.price,
+            change24h: consensus.change24h,
+            lastUpdated: new Date().toISOString(),
+            source: quotes.length > 1 ? 'consensus' : quotes[0].provider,
+            provenance: consensus.provenance
+        });
+        return true;
+    }
 
     /**
      * Start automatic price updates
      */
     startPriceUpdates() {
-        // Update prices every minute for popular coins
+        // Update prices every minute for popular coins and watched symbols
         setInterval(async () => {
-            const popularTickers = ['BTC', 'ETH', 'SOL', 'AVAX', 'LINK', 'UNI', 'AAVE', 'SUSHI'];
-            await this.updatePrices(popularTickers);
+            await this.updatePrices(await this.watchedSymbols());
         }, this.updateInterval);
 
         console.log('📈 Started automatic price updates (1 minute interval)');
     }
 
+    /**
+     * Current prices for symbols, refreshing any not updated within the last interval.
+     * Returns Map(symbol -> { price, source }) for the symbols a provider knows.
+     */
+    async quotePrices(symbols) {
+        await this.refreshQuotes(symbols);
+
+        const now = Date.now();
+        const quotes = new Map();
+        for (const symbol of symbols) {
+            const cached = this.cache.get(symbol);
+            if (cached && now - new Date(cached.lastUpdated).getTime() <= STALE_QUOTE_MS) {
+                quotes.set(symbol, { price: cached.price, source: cached.source });
+            }
+        }
+        return quotes;
+    }
+
+    /**
+     * Open calls for new ticker mentions: an account's first mention of a ticker
+     * (or first after CALL_WINDOW_MS) gets a pending snapshot per horizon.
+     */
+    async scheduleSnapshots(now = Date.now()) {
+        const { priceSnapshots } = getRepositories();
+        const mentions = await priceSnapshots.unscheduledMentions(now - SNAPSHOT_TOLERANCE_MS, CALL_WINDOW_MS);
+
+        // The query only sees calls already stored, so dedupe mentions within this batch too
+        const opened = new Map();
+        let scheduled = 0;
+        for (const mention of mentions) {
+            const key = `${mention.username}:${mention.ticker}`;
+            if (opened.has(key) && mention.mentioned_at_ms - opened.get(key) < CALL_WINDOW_MS) continue;
+            opened.set(key, mention.mentioned_at_ms);
+
+            await priceSnapshots.schedule(mention, SNAPSHOT_HORIZONS);
+            scheduled++;
+        }
+
+        if (scheduled > 0) {
+            console.log(`📸 Opened ${scheduled} price call${scheduled === 1 ? '' : 's'} from new ticker mentions`);
+        }
+        return scheduled;
+    }
+
+    /**
+     * Price every due snapshot; ones a provider cannot price within the tolerance are marked missed
+     */
+    async captureDueSnapshots(now = Date.now()) {
+        const { priceSnapshots } = getRepositories();
+        const due = await priceSnapshots.due(now);
+        if (due.length === 0) return { captured: 0, missed: 0 };
+
+        const expired = due.filter(s => now - s.due_at_ms > SNAPSHOT_TOLERANCE_MS);
+        const ready = due.filter(s => now - s.due_at_ms <= SNAPSHOT_TOLERANCE_MS);
+        const quotes = await this.quotePrices([...new Set(ready.map(s => s.ticker))]);
+
+        let captured = 0;
+        for (const snapshot of ready) {
+            const quote = quotes.get(snapshot.ticker);
+            if (!quote) continue;
+            await priceSnapshots.markCaptured(snapshot.id, { price: quote.price, source: quote.source, capturedAt: now });
+            captured++;
+        }
+        await priceSnapshots.markMissed(expired.map(s => s.id));
+        // Later horizons are meaningless without an entry price
+        for (const snapshot of expired.filter(s => s.horizon === 'mention')) {
+            await priceSnapshots.markCallMissed(snapshot.ticker, snapshot.tweet_id);
+        }
+
+        if (captured > 0 || expired.length > 0) {
+            console.log(`📸 Price snapshots: ${captured} captured, ${expired.length} missed`);
+        }
+        return { captured, missed: expired.length };
+    }
+
+    /**
+     * Start the price-at-mention snapshot loop (needs the database, so started after the tracker)
+     */
+    startSnapshotCapture() {
+        const run = async () => {
+            try {
+                this.snapshotStats.scheduled += await this.scheduleSnapshots();
+                const { captured, missed } = await this.captureDueSnapshots();
+                this.snapshotStats.captured += captured;
+                this.snapshotStats.missed += missed;
+                this.snapshotStats.lastRun = new Date().toISOString();
+            } catch (error) {
+                console.error('❌ Price snapshot error:', error.message);
+            }
+        };
+
+        run();
+        setInterval(run, this.snapshotInterval);
+        console.log('📸 Started price-at-mention snapshots (1 minute interval)');
+    }
+
+    /**
+     * OHLC candles for a symbol with open time in [from, to). Served from price_history;
+     * closed candles missing there are fetched from Binance klines (CoinGecko market_chart
+     * as fallback) and stored.
+     */
+    async getHistory(symbol, { from, to, interval = this.historyInterval }) {
+        const size = HISTORY_INTERVALS[interval];
+        const now = Date.now();
+        const start = Math.floor(from / size) * size;
+        const end = Math.min(to, now);
+        const closedEnd = Math.min(end, Math.floor(now / size) * size);
+
+        const { priceHistory } = getRepositories();
+        let candles = await priceHistory.range(symbol, interval, start, end);
+
+        const expected = Math.max(0, Math.ceil((closedEnd - start) / size));
+        const attemptKey = `${symbol}:${interval}:${start}:${closedEnd}`;
+        if (candles.length < expected && !this.historyAttempts.has(attemptKey)) {
+            if (this.historyAttempts.size > 1000) this.historyAttempts.clear();
+            this.historyAttempts.set(attemptKey, now);
+
+            const fetched = await this.fetchCandles(symbol, interval, start, closedEnd);
+            if (fetched.candles.length > 0) {
+                await priceHistory.upsertCandles(symbol, interval, fetched.candles, fetched.source);
+                candles = await priceHistory.range(symbol, interval, start, end);
+            }
+        }
+
+        return {
+            symbol,
+            interval,
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            sources: [...new Set(candles.map(c => c.source))],
+            candles: candles.map(c => ({
+                open_time: new Date(c.open_time_ms).toISOString(),
+                open_time_ms: c.open_time_ms,
+                open: c.open,
+                high: c.high,
+                low: c.low,
+                close: c.close,
+                volume_usd: c.volume_usd
+            }))
+        };
+    }
+
+    /**
+     * Closed candles in [from, to) from the first provider that has the symbol:
+     * Binance klines (real OHLC and volume, for the symbol's primary token only), then CoinGecko market charts
+     */
+    async fetchCandles(symbol, interval, from, to) {
+        const match = (await this.resolveSymbols([symbol], new Map())).get(symbol) || null;
+        const token = match?.token || null;
+
+        for (const provider of [this.providers.binance, this.providers.coingecko]) {
+            if (!this.isAvailable(provider)) continue;
+            if (provider.tickerListed && match && !match.primary) continue;
+            const candles = await this.callProvider(provider, 'candles', () =>
+                provider.getCandles(symbol, { interval, size: HISTORY_INTERVALS[interval], from, to, token })
+            );
+            if (candles && candles.length > 0) return { candles, source: provider.name };
+        }
+        return { candles: [], source: null };
+    }
+
+    /**
+     * Keep the last 24 candles (at least a day) at the default resolution recorded for popular tickers
+     */
+    startHistoryRecording() {
+        const size = HISTORY_INTERVALS[this.historyInterval];
+        const run = async () => {
+            const to = Date.now();
+            for (const symbol of this.popularTickers) {
+                try {
+                    await this.getHistory(symbol, { from: to - Math.max(24 * HOUR_MS, 24 * size), to });
+                } catch (error) {
+                    console.error(`❌ Price history error for ${symbol}:`, error.message);
+                }
+            }
+        };
+
+        run();
+        setInterval(run, Math.max(size, 5 * MINUTE_MS));
+        console.log(`🕯️  Started price history recording (${this.historyInterval} candles)`);
+    }
+
     /**
      * Update prices for AI-suggested tickers
      */
@@ -370,15 +617,38 @@ class PriceService {
      * Get price status for dashboard
      */
     getStatus() {
-        const providers = Object.entries(this.providers)
-            .filter(([_, config]) => config.enabled)
-            .map(([name]) => name);
+        const providers = Object.values(this.providers)
+            .filter(provider => provider.enabled)
+            .map(provider => provider.name);
+
+        const providerHealth = {};
+        for (const provider of Object.values(this.providers)) {
+            const health = this.health[provider.name];
+            let status = 'healthy';
+            if (!provider.enabled) status = 'disabled';
+            else if (health.cooldownUntil && health.cooldownUntil > Date.now()) status = 'cooling_down';
+            else if (health.consecutiveFailures > 0) status = 'degraded';
+
+            providerHealth[provider.name] = {
+                status,
+                tier: provider.tier,
+                ...health,
+                cooldownUntil: status === 'cooling_down' ? new Date(health.cooldownUntil).toISOString() : null
+            };
+        }
 
         return {
             enabled: providers.length > 0,
             providers: providers,
+            providerHealth,
+            divergenceThresholdPct: this.divergenceThresholdPct,
             cachedCount: this.cache.size,
             isUpdating: this.isUpdating,
+            snapshots: this.snapshotStats,
+            history: {
+                defaultInterval: this.historyInterval,
+                intervals: Object.keys(HISTORY_INTERVALS)
+            },
             lastUpdate: Array.from(this.cache.values())
                 .reduce((latest, item) => {
                     const itemTime = new Date(item.lastUpdated).getTime();
@@ -388,4 +658,8 @@ class PriceService {
     }
 }
 
+PriceService.SNAPSHOT_HORIZONS = SNAPSHOT_HORIZONS;
+PriceService.HISTORY_INTERVALS = HISTORY_INTERVALS;
+PriceService.MAX_HISTORY_CANDLES = MAX_HISTORY_CANDLES;
+
 module.exports = PriceService;
\ No newline at end of file
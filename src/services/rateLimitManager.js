@@ -1,37 +1,82 @@
-const { getPool } = require('../config/database');
+const { getRepositories } = require('../config/database');
+const { getPlan, getPlans, getRateLimits } = require('../config/rateLimitPlans');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+
+// Waiting this long raises a request's effective priority by one
+const AGING_MS = 30 * SECOND_MS;
+// Each request dispatched for an account in the last FAIRNESS_WINDOW_MS lowers its next one by this much
+const FAIRNESS_PENALTY = 0.5;
+const FAIRNESS_WINDOW_MS = MINUTE_MS;
+const MIN_SPACING_MS = 50;
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 2 * SECOND_MS;
+const MAX_BACKOFF_MS = 15 * MINUTE_MS;
+// Exhaustion is projected from the request rate over this window
+const PROJECTION_WINDOW_MS = 5 * MINUTE_MS;
+
+/**
+ * Header value as a number, or null (works with plain objects and fetch-style Headers)
+ */
+function headerNumber(headers, name) {
+    if (!headers) return null;
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    const n = parseInt(value);
+    return Number.isFinite(n) ? n : null;
+}
 
+/**
+ * Schedules Twitter API requests within the plan's rate limits.
+ *
+ * Each endpoint has a bucket of `remaining` requests until `resetAt`: seeded from the persisted
+ * usage of the current window, replaced by X's x-rate-limit-* headers whenever a response carries
+ * them, and refilled when the window resets. Queued requests are dispatched one at a time by
+ * effective priority: their priority, plus one per AGING_MS waited, minus a penalty per request
+ * recently dispatched for the same account (so one account's backfill cannot starve live syncs).
+ * A 429 empties the bucket until x-rate-limit-reset (when X sends one) and retries with exponential
+ * backoff, up to MAX_RETRIES before the request is rejected.
+ *
+ * While nothing can run the queue waits, but a newly queued request wakes it, so a request whose
+ * endpoint has capacity never waits behind another endpoint's reset or backoff.
+ *
+ * `now`, `sleep(ms, signal)` and `usage` (persisted counters) can be injected to drive it with a fake clock.
+ */
 class RateLimitManager {
-    constructor() {
-        // Twitter API v2 rate limits for different plans
-        this.rateLimits = {
-            // Basic/Essential plan limits
-            basic: {
-                userTimeline: { requests: 75, windowMs: 15 * 60 * 1000 }, // 75 per 15 min
-                userLookup: { requests: 300, windowMs: 15 * 60 * 1000 }, // 300 per 15 min
-                searchStream: { requests: 50, windowMs: 15 * 60 * 1000 }, // 50 connections per 15 min
-                streamRules: { requests: 25, windowMs: 15 * 60 * 1000 } // 25 per 15 min
-            },
-            // Pro plan limits ($5000/month) - AGGRESSIVE USAGE FOR SPEED
-            pro: {
-                userTimeline: { requests: 280, windowMs: 15 * 60 * 1000 }, // Use 280/300 aggressively
-                userLookup: { requests: 900, windowMs: 15 * 60 * 1000 }, // Use 900/1000 aggressively  
-                searchStream: { requests: 45, windowMs: 15 * 60 * 1000 }, // Use 45/50 aggressively
-                streamRules: { requests: 20, windowMs: 15 * 60 * 1000 } // Use 20/25 aggressively
-            }
+    constructor({ plan = process.env.TWITTER_PLAN || 'pro', now = Date.now, sleep = null, usage = null } = {}) {
+        this.now = now;
+        this.sleep = sleep || ((ms, signal) => new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        }));
+        this.usage = usage || {
+            get: (key, windowStart) => getRepositories().rateLimits.getUsage(key, windowStart),
+            increment: row => getRepositories().rateLimits.increment(row)
         };
 
-        // Current plan (can be configured via environment)
-        this.currentPlan = process.env.TWITTER_PLAN || 'pro';
-        this.limits = this.rateLimits[this.currentPlan];
+        // Current plan (can be configured via environment); limits come from the plan registry
+        this.currentPlan = plan;
+        this.plan = getPlan(plan);
+        if (!this.plan) {
+            throw new Error(`Unknown Twitter plan: ${plan}. Available: ${Object.keys(getPlans()).join(', ')}`);
+        }
+        this.rateLimits = getRateLimits();
+        this.limits = this.plan.endpoints;
+
+        this.buckets = new Map(); // endpoint -> { endpoint, limit, remaining, resetAt, source, used, headers, recent }
+        this.dispatches = new Map(); // account key -> dispatch times within FAIRNESS_WINDOW_MS
 
-        // In-memory cache for rate limit status
-        this.rateLimitCache = new Map();
-        
         // Request queue for managing API calls
         this.requestQueue = [];
         this.isProcessingQueue = false;
-        
-        console.log(`📊 Rate Limit Manager initialized for ${this.currentPlan} plan`);
+        this.waiting = null; // aborts the queue's wait when a request is queued
+        this.sequence = 0;
+        this.stats = { dispatched: 0, retried: 0, rejected: 0, rateLimited: 0 };
+
+        console.log(`📊 Rate Limit Manager initialized for ${this.plan.description} plan (${this.currentPlan})`);
         this.logRateLimits();
     }
 
@@ -41,191 +86,136 @@ class RateLimitManager {
     logRateLimits() {
         console.log('📋 Current Rate Limits:');
         Object.entries(this.limits).forEach(([endpoint, limit]) => {
-            console.log(`   ${endpoint}: ${limit.requests} requests per ${limit.windowMs / 60000} minutes`);
+            console.log(`   ${endpoint}: ${limit.requests}/${limit.providerLimit} requests per ${limit.windowMs / 60000} minutes`);
         });
     }
 
     /**
-     * Check if we can make a request to a specific endpoint
+     * The endpoint's bucket, created from the persisted usage of the current window on first use and
+     * refilled once its window has reset. Null for endpoints without a configured limit.
      */
-    async canMakeRequest(endpoint, accountId = null) {
-        const key = accountId ? `${endpoint}_${accountId}` : endpoint;
+    async getBucket(endpoint) {
         const limit = this.limits[endpoint];
-        
-        if (!limit) {
-            console.warn(`⚠️  Unknown endpoint: ${endpoint}`);
-            return true; // Allow unknown endpoints but log warning
-        }
+        if (!limit) return null;
 
-        const now = Date.now();
-        const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
-        
-        try {
-            // Get current usage from database
-            const usage = await this.getCurrentUsage(endpoint, windowStart, accountId);
-            const remaining = limit.requests - usage.count;
-            
-            // Update cache
-            this.rateLimitCache.set(key, {
+        const now = this.now();
+        let bucket = this.buckets.get(endpoint);
+        if (!bucket) {
+            const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
+            let used = 0;
+            try {
+                used = (await this.usage.get(endpoint, windowStart)).count;
+            } catch (error) {
+                console.error(`❌ Error loading rate limit usage for ${endpoint}:`, error.message);
+            }
+            bucket = {
                 endpoint,
-                windowStart,
-                count: usage.count,
                 limit: limit.requests,
-                remaining,
-                resetTime: windowStart + limit.windowMs,
-                lastUpdated: now
-            });
+                remaining: Math.max(0, limit.requests - used),
+                resetAt: windowStart + limit.windowMs,
+                used,
+                source: 'local',
+                headers: null, // last x-rate-limit-* values from X
+                recent: [] // request times within PROJECTION_WINDOW_MS
+            };
+            this.buckets.set(endpoint, bucket);
+        }
 
-            const canProceed = remaining > 0;
-            
-            if (!canProceed) {
-                const resetIn = (windowStart + limit.windowMs - now) / 1000;
-                console.warn(`🚨 Rate limit reached for ${endpoint}. Resets in ${Math.ceil(resetIn)}s`);
-            }
-            
-            return canProceed;
-        } catch (error) {
-            console.error(`❌ Error checking rate limit for ${endpoint}:`, error.message);
-            return false; // Fail safe - don't allow requests if we can't check limits
+        if (now >= bucket.resetAt) {
+            const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
+            bucket.limit = limit.requests;
+            bucket.remaining = limit.requests;
+            bucket.resetAt = windowStart + limit.windowMs;
+            bucket.used = 0;
+            bucket.source = 'local';
         }
+        return bucket;
     }
 
     /**
-     * Record a successful API request
+     * Check if we can make a request to a specific endpoint
      */
-    async recordRequest(endpoint, accountId = null, responseHeaders = null) {
-        const now = Date.now();
-        const limit = this.limits[endpoint];
-        
-        if (!limit) return;
-
-        const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
-        const key = accountId ? `${endpoint}_${accountId}` : endpoint;
-
-        try {
-            // Update database
-            await this.incrementUsage(endpoint, windowStart, accountId);
-            
-            // Update cache
-            const cached = this.rateLimitCache.get(key);
-            if (cached && cached.windowStart === windowStart) {
-                cached.count++;
-                cached.remaining = Math.max(0, limit.requests - cached.count);
-                cached.lastUpdated = now;
-            }
-
-            // Parse Twitter's rate limit headers if available
-            if (responseHeaders) {
-                this.updateFromTwitterHeaders(endpoint, responseHeaders, accountId);
-            }
-
-            // Log usage periodically
-            const usage = this.rateLimitCache.get(key);
-            if (usage && usage.count % 10 === 0) {
-                console.log(`📊 ${endpoint}: ${usage.count}/${usage.limit} (${usage.remaining} remaining)`);
-            }
-
-        } catch (error) {
-            console.error(`❌ Error recording request for ${endpoint}:`, error.message);
+    async canMakeRequest(endpoint) {
+        if (!this.limits[endpoint]) {
+            console.warn(`⚠️  Unknown endpoint: ${endpoint}`);
+            return true; // Allow unknown endpoints but log warning
         }
+        return (await this.getBucket(endpoint)).remaining > 0;
     }
 
     /**
-     * Update rate limit info from Twitter's response headers
+     * Requests left for an endpoint in the current window (Infinity for endpoints without a limit)
      */
-    updateFromTwitterHeaders(endpoint, headers, accountId = null) {
-        const key = accountId ? `${endpoint}_${accountId}` : endpoint;
-        
-        const remaining = parseInt(headers['x-rate-limit-remaining']) || null;
-        const resetTime = parseInt(headers['x-rate-limit-reset']) || null;
-        const limit = parseInt(headers['x-rate-limit-limit']) || null;
-
-        if (remaining !== null && resetTime !== null) {
-            const cached = this.rateLimitCache.get(key);
-            if (cached) {
-                cached.remaining = remaining;
-                cached.resetTime = resetTime * 1000; // Convert to milliseconds
-                if (limit) cached.limit = limit;
-                cached.lastUpdated = Date.now();
-                
-                console.log(`📊 Updated from Twitter headers - ${endpoint}: ${cached.count}/${cached.limit} (${remaining} remaining, resets at ${new Date(resetTime * 1000).toISOString()})`);
-            }
-        }
+    async getRemaining(endpoint) {
+        const bucket = await this.getBucket(endpoint);
+        return bucket ? bucket.remaining : Infinity;
     }
 
     /**
-     * Get current usage from database
+     * Take one request from the endpoint's bucket and persist the usage
      */
-    async getCurrentUsage(endpoint, windowStart, accountId = null) {
-        const pool = getPool();
-        const key = accountId ? `${endpoint}_${accountId}` : endpoint;
+    async takeToken(endpoint, accountId) {
+        const bucket = await this.getBucket(endpoint);
+        if (!bucket) return;
+
+        const now = this.now();
+        bucket.remaining = Math.max(0, bucket.remaining - 1);
+        bucket.used++;
+        bucket.recent = bucket.recent.filter(at => now - at < PROJECTION_WINDOW_MS);
+        bucket.recent.push(now);
+        if (bucket.used % 10 === 0) {
+            console.log(`📊 ${endpoint}: ${bucket.used}/${bucket.limit} (${bucket.remaining} remaining)`);
+        }
 
+        const limit = this.limits[endpoint];
         try {
-            const [rows] = await pool.execute(
-                `SELECT requests_count as count, last_updated 
-                 FROM rate_limits 
-                 WHERE endpoint_key = ? AND window_start = ?`,
-                [key, windowStart]
-            );
-
-            return rows.length > 0 ? rows[0] : { count: 0, last_updated: null };
+            await this.usage.increment({
+                endpointKey: endpoint,
+                endpoint,
+                windowStart: Math.floor(now / limit.windowMs) * limit.windowMs,
+                accountId
+            });
         } catch (error) {
-            // If table doesn't exist, create it
-            if (error.code === 'ER_NO_SUCH_TABLE') {
-                await this.createRateLimitTable();
-                return { count: 0, last_updated: null };
-            }
-            throw error;
+            console.error(`❌ Error recording request for ${endpoint}:`, error.message);
         }
     }
 
     /**
-     * Increment usage counter in database
+     * Seed the bucket from X's x-rate-limit-* headers. The plan's `requests` may be below X's limit
+     * (headroom on purpose), so the same headroom is kept off the reported remaining count.
      */
-    async incrementUsage(endpoint, windowStart, accountId = null) {
-        const pool = getPool();
-        const key = accountId ? `${endpoint}_${accountId}` : endpoint;
-        const now = new Date();
-
-        await pool.execute(
-            `INSERT INTO rate_limits (endpoint_key, endpoint, window_start, requests_count, last_updated, account_id)
-             VALUES (?, ?, ?, 1, ?, ?)
-             ON DUPLICATE KEY UPDATE 
-             requests_count = requests_count + 1,
-             last_updated = VALUES(last_updated)`,
-            [key, endpoint, windowStart, now, accountId]
-        );
+    updateFromTwitterHeaders(endpoint, headers) {
+        this.updateFromRateLimit(endpoint, {
+            limit: headerNumber(headers, 'x-rate-limit-limit'),
+            remaining: headerNumber(headers, 'x-rate-limit-remaining'),
+            reset: headerNumber(headers, 'x-rate-limit-reset')
+        });
     }
 
     /**
-     * Create rate limits tracking table
+     * Same as updateFromTwitterHeaders() for twitter-api-v2's parsed `rateLimit` ({ limit, remaining, reset })
      */
-    async createRateLimitTable() {
-        const pool = getPool();
-        
-        await pool.execute(`
-            CREATE TABLE IF NOT EXISTS rate_limits (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                endpoint_key VARCHAR(100) NOT NULL,
-                endpoint VARCHAR(50) NOT NULL,
-                window_start BIGINT NOT NULL,
-                requests_count INT DEFAULT 0,
-                last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                account_id VARCHAR(50) NULL,
-                UNIQUE KEY unique_endpoint_window (endpoint_key, window_start),
-                INDEX idx_endpoint (endpoint),
-                INDEX idx_window_start (window_start),
-                INDEX idx_last_updated (last_updated)
-            )
-        `);
-        
-        console.log('✅ Rate limits table created');
+    updateFromRateLimit(endpoint, { limit = null, remaining = null, reset = null } = {}) {
+        const bucket = this.buckets.get(endpoint);
+        if (!bucket || !Number.isFinite(remaining) || !Number.isFinite(reset)) return;
+
+        const { requests, providerLimit } = this.limits[endpoint];
+        const headerLimit = Number.isFinite(limit) ? limit : providerLimit;
+        const headroom = Math.max(0, headerLimit - requests);
+
+        bucket.limit = Math.min(headerLimit, requests);
+        bucket.remaining = Math.max(0, remaining - headroom);
+        bucket.used = Math.max(0, bucket.limit - bucket.remaining);
+        bucket.resetAt = reset * 1000;
+        bucket.source = 'headers';
+        bucket.headers = { limit: Number.isFinite(limit) ? limit : null, remaining, reset: reset * 1000, at: this.now() };
     }
 
     /**
-     * Add request to queue for controlled execution
+     * Add request to queue for controlled execution; resolves with the request's result or
+     * rejects with its error (429s only after MAX_RETRIES retries)
      */
-    async queueRequest(requestFn, endpoint, priority = 0, accountId = null) {
+    queueRequest(requestFn, endpoint, priority = 0, accountId = null) {
         return new Promise((resolve, reject) => {
             this.requestQueue.push({
                 requestFn,
@@ -234,21 +224,64 @@ class RateLimitManager {
                 priority,
                 resolve,
                 reject,
-                timestamp: Date.now()
+                enqueuedAt: this.now(),
+                notBefore: 0,
+                attempts: 0,
+                seq: this.sequence++
             });
 
-            // Sort queue by priority (higher priority first)
-            this.requestQueue.sort((a, b) => b.priority - a.priority);
-
-            // Start processing if not already running
+            // Start processing if not already running, or re-pick if the queue is waiting
             if (!this.isProcessingQueue) {
-                this.processQueue();
+                this.processQueue().catch(error => console.error('❌ Request queue error:', error.message));
+            } else {
+                this.waiting?.abort();
             }
         });
     }
 
     /**
-     * Process the request queue with proper rate limiting
+     * Requests dispatched for an account within the fairness window
+     */
+    recentDispatches(accountKey, now) {
+        const times = (this.dispatches.get(accountKey) || []).filter(at => now - at < FAIRNESS_WINDOW_MS);
+        this.dispatches.set(accountKey, times);
+        return times.length;
+    }
+
+    effectivePriority(request, now) {
+        const accountKey = request.accountId || request.endpoint;
+        return request.priority
+            + (now - request.enqueuedAt) / AGING_MS
+            - FAIRNESS_PENALTY * this.recentDispatches(accountKey, now);
+    }
+
+    /**
+     * The queued request to run next, or { waitMs } until one can run
+     */
+    async nextRequest() {
+        const now = this.now();
+        let best = null;
+        let bestScore = -Infinity;
+        let waitUntil = Infinity;
+
+        for (const request of this.requestQueue) {
+            const bucket = await this.getBucket(request.endpoint);
+            const readyAt = Math.max(request.notBefore, bucket && bucket.remaining <= 0 ? bucket.resetAt : 0);
+            if (readyAt > now) {
+                waitUntil = Math.min(waitUntil, readyAt);
+                continue;
+            }
+            const score = this.effectivePriority(request, now);
+            if (score > bestScore || (score === bestScore && request.seq < best.seq)) {
+                best = request;
+                bestScore = score;
+            }
+        }
+        return best ? { request: best } : { waitMs: waitUntil - now };
+    }
+
+    /**
+     * Dispatch queued requests one at a time until the queue is empty
      */
     async processQueue() {
         if (this.isProcessingQueue || this.requestQueue.length === 0) {
@@ -258,118 +291,160 @@ class RateLimitManager {
         this.isProcessingQueue = true;
         console.log(`🔄 Processing request queue (${this.requestQueue.length} requests)`);
 
-        while (this.requestQueue.length > 0) {
-            const request = this.requestQueue.shift();
-            const { requestFn, endpoint, accountId, resolve, reject } = request;
-
-            try {
-                // Check if we can make the request
-                const canProceed = await this.canMakeRequest(endpoint, accountId);
-                
-                if (!canProceed) {
-                    // Wait until we can make the request
-                    const waitTime = await this.getWaitTime(endpoint, accountId);
-                    if (waitTime > 0) {
-                        console.log(`⏸️  Waiting ${Math.ceil(waitTime / 1000)}s before next ${endpoint} request`);
-                        await new Promise(resolve => setTimeout(resolve, waitTime));
-                    }
+        try {
+            while (this.requestQueue.length > 0) {
+                const { request, waitMs } = await this.nextRequest();
+                if (!request) {
+                    console.log(`⏸️  Next request ready in ${Math.ceil(waitMs / 1000)}s`);
+                    this.waiting = new AbortController();
+                    await this.sleep(waitMs, this.waiting.signal);
+                    this.waiting = null;
+                    continue;
                 }
 
-                // Make the request
-                const result = await requestFn();
-                
-                // Record the successful request
-                await this.recordRequest(endpoint, accountId, result?.headers);
-                
-                resolve(result);
+                this.requestQueue.splice(this.requestQueue.indexOf(request), 1);
+                await this.dispatch(request);
+                await this.sleep(MIN_SPACING_MS);
+            }
+        } finally {
+            this.isProcessingQueue = false;
+        }
+        console.log('✅ Request queue processing completed');
+    }
 
-                // Pro plan - minimal delay between requests for SPEED
-                await new Promise(resolve => setTimeout(resolve, 50));
+    async dispatch(request) {
+        const { requestFn, endpoint, accountId, resolve, reject } = request;
+        const accountKey = accountId || endpoint;
+        const now = this.now();
 
-            } catch (error) {
+        this.dispatches.set(accountKey, [...(this.dispatches.get(accountKey) || []), now]);
+        request.attempts++;
+        this.stats.dispatched++;
+        await this.takeToken(endpoint, accountId);
+
+        try {
+            const result = await requestFn();
+            if (result?.headers) this.updateFromTwitterHeaders(endpoint, result.headers);
+            if (result?.rateLimit) this.updateFromRateLimit(endpoint, result.rateLimit);
+            resolve(result);
+        } catch (error) {
+            if (error.status === 429 || error.code === 429) {
+                this.handleRateLimited(request, error);
+            } else {
                 console.error(`❌ Request failed for ${endpoint}:`, error.message);
-                
-                    // Check if it's a rate limit error
-                    if (error.status === 429 || error.code === 429) {
-                        console.error(`🚨 429 ERROR DETAILS:`, {
-                            endpoint,
-                            accountId,
-                            errorMessage: error.message,
-                            errorData: error.data,
-                            headers: error.headers
-                        });
-                        
-                        // For Pro plan, be VERY aggressive - 1 second wait only
-                        const waitTime = 1000; // Just 1 second for $5000/month plan!
-                        
-                        // Put the request back in queue with lower priority
-                        request.priority = Math.max(0, request.priority - 1);
-                        this.requestQueue.unshift(request);
-                        
-                        console.log(`🚨 PRO PLAN 429 - Retrying in ${waitTime/1000}s (we pay $5000/month!)`);
-                        await new Promise(resolve => setTimeout(resolve, waitTime));
-                    } else {
-                        reject(error);
-                    }
+                this.stats.rejected++;
+                reject(error);
             }
         }
-
-        this.isProcessingQueue = false;
-        console.log('✅ Request queue processing completed');
     }
 
     /**
-     * Calculate wait time until we can make another request
+     * 429: empty the bucket until X's reset time and retry with exponential backoff, or reject
+     * once the request has used up its retries
      */
-    async getWaitTime(endpoint, accountId = null) {
-        const key = accountId ? `${endpoint}_${accountId}` : endpoint;
-        const cached = this.rateLimitCache.get(key);
-        
-        if (!cached || cached.remaining > 0) {
-            return 0;
+    handleRateLimited(request, error) {
+        const { endpoint, accountId } = request;
+        const now = this.now();
+        this.stats.rateLimited++;
+
+        const reset = error.rateLimit?.reset ?? headerNumber(error.headers, 'x-rate-limit-reset');
+        const resetAt = reset ? reset * 1000 : null;
+        const bucket = this.buckets.get(endpoint);
+        if (bucket && resetAt > now) {
+            bucket.remaining = 0;
+            bucket.resetAt = resetAt;
+        }
+
+        if (request.attempts > MAX_RETRIES) {
+            console.error(`🚨 429 for ${endpoint}${accountId ? ` (@${accountId})` : ''}: giving up after ${MAX_RETRIES} retries`);
+            this.stats.rejected++;
+            error.retries = MAX_RETRIES;
+            request.reject(error);
+            return;
         }
 
-        const now = Date.now();
-        const waitTime = Math.max(0, cached.resetTime - now);
-        return waitTime;
+        const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (request.attempts - 1), MAX_BACKOFF_MS);
+        const delay = Math.min(Math.max(backoff, resetAt ? resetAt - now : 0), MAX_BACKOFF_MS);
+        request.notBefore = now + delay;
+        this.requestQueue.push(request);
+        this.stats.retried++;
+        console.log(`🚨 429 for ${endpoint}${accountId ? ` (@${accountId})` : ''} - retry ${request.attempts}/${MAX_RETRIES} in ${Math.ceil(delay / 1000)}s`);
+    }
+
+    /**
+     * Calculate wait time until we can make another request
+     */
+    async getWaitTime(endpoint) {
+        const bucket = await this.getBucket(endpoint);
+        if (!bucket || bucket.remaining > 0) return 0;
+        return Math.max(0, bucket.resetAt - this.now());
     }
 
     /**
-     * Get current rate limit status for all endpoints
+     * Get current rate limit status for every endpoint of the plan: the limit we use and X's, what is
+     * left (corrected from X's headers when `source` is 'headers'), and when the current request rate
+     * would use it up. `projectedExhaustion` is null while the endpoint is idle or would last until reset.
      */
     getRateLimitStatus() {
         const status = {};
-        
-        for (const [key, data] of this.rateLimitCache.entries()) {
-            status[key] = {
-                endpoint: data.endpoint,
-                used: data.count,
-                limit: data.limit,
-                remaining: data.remaining,
-                resetTime: data.resetTime,
-                usagePercentage: Math.round((data.count / data.limit) * 100),
-                timeUntilReset: Math.max(0, data.resetTime - Date.now())
+        const now = this.now();
+
+        for (const [endpoint, limit] of Object.entries(this.limits)) {
+            const bucket = this.buckets.get(endpoint);
+            const windowEnd = (Math.floor(now / limit.windowMs) + 1) * limit.windowMs;
+            const reset = !bucket || now >= bucket.resetAt;
+            const used = reset ? 0 : bucket.limit - bucket.remaining;
+            const remaining = reset ? limit.requests : bucket.remaining;
+            const resetTime = reset ? windowEnd : bucket.resetAt;
+
+            const recent = (bucket?.recent || []).filter(at => now - at < PROJECTION_WINDOW_MS);
+            const ratePerMinute = recent.length / (PROJECTION_WINDOW_MS / MINUTE_MS);
+            const exhaustsAt = ratePerMinute > 0 ? now + (remaining / ratePerMinute) * MINUTE_MS : null;
+
+            status[endpoint] = {
+                endpoint,
+                used,
+                limit: reset ? limit.requests : bucket.limit,
+                providerLimit: limit.providerLimit,
+                remaining,
+                resetTime,
+                usagePercentage: Math.round((used / limit.requests) * 100),
+                timeUntilReset: Math.max(0, resetTime - now),
+                source: reset ? 'local' : bucket.source,
+                headers: bucket?.headers || null,
+                ratePerMinute: Math.round(ratePerMinute * 100) / 100,
+                projectedExhaustion: exhaustsAt !== null && exhaustsAt < resetTime ? new Date(exhaustsAt).toISOString() : null
             };
         }
 
         return status;
     }
 
+    /**
+     * Queue length and wait per priority, plus dispatch/retry counters
+     */
+    getQueueStatus() {
+        const now = this.now();
+        return {
+            length: this.requestQueue.length,
+            processing: this.isProcessingQueue,
+            oldestWaitMs: this.requestQueue.reduce((max, r) => Math.max(max, now - r.enqueuedAt), 0),
+            retrying: this.requestQueue.filter(r => r.attempts > 0).length,
+            ...this.stats
+        };
+    }
+
     /**
      * Clean up old rate limit records
      */
     async cleanupOldRecords() {
-        const pool = getPool();
         const cutoffTime = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
 
         try {
-            const [result] = await pool.execute(
-                'DELETE FROM rate_limits WHERE window_start < ?',
-                [cutoffTime]
-            );
-            
-            if (result.affectedRows > 0) {
-                console.log(`🧹 Cleaned up ${result.affectedRows} old rate limit records`);
+            const removed = await getRepositories().rateLimits.deleteBefore(cutoffTime);
+
+            if (removed > 0) {
+                console.log(`🧹 Cleaned up ${removed} old rate limit records`);
             }
         } catch (error) {
             console.error('❌ Error cleaning up old rate limit records:', error.message);
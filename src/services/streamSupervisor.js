@@ -0,0 +1,277 @@
+const { ETwitterStreamEvent } = require('twitter-api-v2');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+
+const CHECK_INTERVAL_MS = 15 * SECOND_MS;
+// X sends a keep-alive about every 20s; this long without any traffic means the stream is dead
+const STALL_MS = 90 * SECOND_MS;
+const RECONNECT_WINDOW_MS = 5 * MINUTE_MS;
+const MAX_RECONNECTS = 5; // within RECONNECT_WINDOW_MS
+// A restored stream that fails again within this long doubles the next probe delay
+const STABLE_MS = 10 * MINUTE_MS;
+const BASE_PROBE_MS = 5 * MINUTE_MS;
+const MAX_PROBE_MS = 30 * MINUTE_MS;
+const HISTORY_SIZE = 50;
+const OUTAGE_HISTORY_SIZE = 20;
+
+/**
+ * Watches the filtered stream (last event, keep-alive gaps, reconnects), falls back to polling
+ * when it is unhealthy and periodically probes to restore it. Mode changes are kept in a short
+ * history and emitted to clients as `ingestMode`.
+ *
+ * Disconnect/reconnect windows of the stream's own auto-reconnects are recorded as outages and
+ * handed to catchUp({ from, to }) once the stream is back. So is the window between the oldest
+ * per-account poll and a successful probe, which neither polling nor the stream covered.
+ *
+ * The tracker supplies the actions: startStream() resolves to a connected stream or null,
+ * closeStream(), startPolling(), stopPolling(), lastPolledAt() (when the least recently polled
+ * account was last polled, or null) and catchUp(window).
+ */
+class StreamSupervisor {
+    constructor({ startStream, closeStream, startPolling, stopPolling, lastPolledAt = () => null, catchUp = async () => {}, now = Date.now }) {
+        this.actions = { startStream, closeStream, startPolling, stopPolling, lastPolledAt, catchUp };
+        this.now = now;
+
+        this.mode = 'stopped';
+        this.modeSince = null;
+        this.history = []; // newest first: { mode, from, reason, at }
+        this.stream = null;
+        this.timer = null;
+        this.busy = false;
+
+        this.health = null;
+        this.outages = []; // newest first: { from, to, durationMs, recovered }
+        this.probe = { attempts: 0, failures: 0, delayMs: BASE_PROBE_MS, lastAt: null, nextAt: null };
+    }
+
+    /**
+     * Connect the stream, or start polling when it cannot connect, then supervise
+     */
+    async start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.check().catch(error => console.error('❌ Stream supervisor error:', error.message));
+        }, CHECK_INTERVAL_MS);
+
+        this.busy = true;
+        try {
+            if (!await this.connect('startup')) {
+                await this.fallBack('stream unavailable at startup');
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.stream = null;
+        this.setMode('stopped', 'tracker stopped');
+    }
+
+    /**
+     * Start a stream and supervise it; returns false when it did not connect
+     */
+    async connect(reason) {
+        const stream = await this.actions.startStream();
+        if (!stream) return false;
+
+        this.attach(stream, { probed: this.mode === 'polling' });
+        this.setMode('streaming', reason);
+        return true;
+    }
+
+    attach(stream, { probed = false } = {}) {
+        const now = this.now();
+        this.stream = stream;
+        this.health = {
+            connectedAt: now,
+            probed,
+            lastEventAt: now,
+            lastDataAt: null,
+            lastKeepAliveAt: null,
+            maxGapMs: 0,
+            reconnects: [], // attempt times within RECONNECT_WINDOW_MS
+            totalReconnects: 0,
+            lastError: null,
+            failure: null, // set when the library gives up on the connection
+            disconnectedFrom: null // last event before the current outage
+        };
+
+        const current = handler => (...args) => {
+            if (this.stream === stream) handler(...args);
+        };
+        const activity = () => {
+            const at = this.now();
+            this.health.maxGapMs = Math.max(this.health.maxGapMs, at - this.health.lastEventAt);
+            this.health.lastEventAt = at;
+            return at;
+        };
+
+        stream.on(ETwitterStreamEvent.Data, current(() => { this.health.lastDataAt = activity(); }));
+        stream.on(ETwitterStreamEvent.DataKeepAlive, current(() => { this.health.lastKeepAliveAt = activity(); }));
+        // Tweets can be missed from the last event before a disconnect until the reconnect
+        const disconnected = () => {
+            if (this.health.disconnectedFrom === null) this.health.disconnectedFrom = this.health.lastEventAt;
+        };
+        stream.on(ETwitterStreamEvent.Reconnected, current(() => {
+            const to = activity();
+            if (this.health.disconnectedFrom !== null) {
+                this.recordOutage({ from: this.health.disconnectedFrom, to });
+                this.health.disconnectedFrom = null;
+            }
+        }));
+        stream.on(ETwitterStreamEvent.ReconnectAttempt, current(() => {
+            disconnected();
+            this.health.reconnects.push(this.now());
+            this.health.totalReconnects++;
+        }));
+        for (const event of [ETwitterStreamEvent.ConnectionError, ETwitterStreamEvent.ReconnectError, ETwitterStreamEvent.ConnectionLost]) {
+            stream.on(event, current(error => {
+                disconnected();
+                this.health.lastError = { event, message: error?.message || String(error || event), at: new Date(this.now()).toISOString() };
+            }));
+        }
+        stream.on(ETwitterStreamEvent.ReconnectLimitExceeded, current(() => { this.health.failure = 'reconnect limit exceeded'; }));
+        stream.on(ETwitterStreamEvent.ConnectionClosed, current(() => { this.health.failure = 'connection closed'; }));
+    }
+
+    /**
+     * Remember an outage and catch up on the tweets posted during it (in the background)
+     */
+    recordOutage({ from, to }, source = 'reconnect') {
+        const outage = { from: new Date(from).toISOString(), to: new Date(to).toISOString(), durationMs: to - from, source, recovered: null };
+        this.outages.unshift(outage);
+        this.outages.length = Math.min(this.outages.length, OUTAGE_HISTORY_SIZE);
+        const seconds = Math.round(outage.durationMs / SECOND_MS);
+        console.log(source === 'probe'
+            ? `⏪ Stream restored, catching up on ${seconds}s since the oldest poll...`
+            : `⏪ Stream reconnected after ${seconds}s, catching up...`);
+
+        Promise.resolve(this.actions.catchUp({ from, to }))
+            .then(recovered => { outage.recovered = recovered ?? 0; })
+            .catch(error => console.error('❌ Stream catch-up error:', error.message));
+    }
+
+    /**
+     * Why the current stream should be abandoned, or null while it is healthy
+     */
+    unhealthyReason() {
+        const now = this.now();
+        const health = this.health;
+        health.reconnects = health.reconnects.filter(at => now - at <= RECONNECT_WINDOW_MS);
+
+        if (health.failure) return health.failure;
+        if (now - health.lastEventAt > STALL_MS) {
+            return `no data or keep-alive for ${Math.round((now - health.lastEventAt) / SECOND_MS)}s`;
+        }
+        if (health.reconnects.length >= MAX_RECONNECTS) {
+            return `${health.reconnects.length} reconnects in ${RECONNECT_WINDOW_MS / MINUTE_MS}m`;
+        }
+        return null;
+    }
+
+    /**
+     * One supervision tick: fall back from an unhealthy stream, or probe when a probe is due
+     */
+    async check() {
+        if (this.busy) return;
+        this.busy = true;
+        try {
+            if (this.mode === 'streaming') {
+                const reason = this.unhealthyReason();
+                if (reason) await this.fallBack(reason);
+            } else if (this.mode === 'polling' && this.now() >= this.probe.nextAt) {
+                await this.probeStream();
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async fallBack(reason) {
+        const now = this.now();
+        const flapped = this.health?.probed && now - this.health.connectedAt < STABLE_MS;
+        this.probe.delayMs = flapped ? Math.min(this.probe.delayMs * 2, MAX_PROBE_MS) : BASE_PROBE_MS;
+        this.probe.nextAt = now + this.probe.delayMs;
+
+        this.stream = null;
+        this.actions.closeStream();
+        this.setMode('polling', reason);
+        await this.actions.startPolling();
+    }
+
+    /**
+     * Try to restore the stream; polling continues until it connects
+     */
+    async probeStream() {
+        const now = this.now();
+        this.probe.attempts++;
+        this.probe.lastAt = now;
+        console.log('🔎 Probing filtered stream...');
+
+        if (await this.connect('probe succeeded')) {
+            // Polling covered each account only up to its last poll, with adaptive cadences that can be long
+            const from = this.actions.lastPolledAt();
+            this.actions.stopPolling();
+            if (from !== null && from < this.health.connectedAt) {
+                this.recordOutage({ from, to: this.health.connectedAt }, 'probe');
+            }
+            return;
+        }
+
+        this.probe.failures++;
+        this.probe.delayMs = Math.min(this.probe.delayMs * 2, MAX_PROBE_MS);
+        this.probe.nextAt = this.now() + this.probe.delayMs;
+        console.log(`📡 Stream still unavailable, next probe in ${Math.round(this.probe.delayMs / MINUTE_MS)}m`);
+    }
+
+    setMode(mode, reason) {
+        if (mode === this.mode) return;
+        const at = new Date(this.now()).toISOString();
+        this.history.unshift({ mode, from: this.mode, reason, at });
+        this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+        this.mode = mode;
+        this.modeSince = at;
+        console.log(`🔀 Ingest mode: ${mode} (${reason})`);
+
+        if (global.io) {
+            global.io.emit('ingestMode', this.getStatus());
+        }
+    }
+
+    getStatus() {
+        const iso = ms => (ms ? new Date(ms).toISOString() : null);
+        const health = this.health;
+        return {
+            mode: this.mode,
+            since: this.modeSince,
+            reason: this.history[0]?.reason || null,
+            stream: this.mode === 'streaming' && health ? {
+                connectedAt: iso(health.connectedAt),
+                lastEventAt: iso(health.lastEventAt),
+                lastDataAt: iso(health.lastDataAt),
+                lastKeepAliveAt: iso(health.lastKeepAliveAt),
+                maxKeepAliveGapMs: health.maxGapMs,
+                recentReconnects: health.reconnects.length,
+                totalReconnects: health.totalReconnects,
+                lastError: health.lastError
+            } : null,
+            probe: {
+                attempts: this.probe.attempts,
+                failures: this.probe.failures,
+                lastAt: iso(this.probe.lastAt),
+                nextAt: this.mode === 'polling' ? iso(this.probe.nextAt) : null
+            },
+            outages: this.outages,
+            history: this.history
+        };
+    }
+}
+
+StreamSupervisor.STALL_MS = STALL_MS;
+StreamSupervisor.CHECK_INTERVAL_MS = CHECK_INTERVAL_MS;
+
+module.exports = StreamSupervisor;
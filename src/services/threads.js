@@ -0,0 +1,83 @@
+// Self-thread reconstruction: an author's consecutive replies to their own tweets, grouped by conversation
+
+/**
+ * Id of the tweet this one replies to (stored rows or API tweets)
+ */
+function repliedToId(tweet) {
+    return tweet.in_reply_to_status_id
+        || (tweet.referenced_tweets || []).find(ref => ref.type === 'replied_to')?.id
+        || null;
+}
+
+function timeOf(tweet) {
+    const ms = Number(tweet.created_at_ms);
+    return Number.isFinite(ms) && ms > 0 ? ms : new Date(tweet.created_at).getTime() || 0;
+}
+
+function byTime(a, b) {
+    return timeOf(a) - timeOf(b) || String(a.id).length - String(b.id).length || (String(a.id) < String(b.id) ? -1 : 1);
+}
+
+/**
+ * Group tweets into self-threads. A tweet joins the thread of the tweet it replies to when both
+ * are by the same author and present in `tweets`; everything else stands alone.
+ * Returns groups (oldest tweet first), newest activity first.
+ */
+function groupSelfThreads(tweets) {
+    const byId = new Map(tweets.map(tweet => [String(tweet.id), tweet]));
+
+    const rootOf = tweet => {
+        const seen = new Set();
+        let current = tweet;
+        while (!seen.has(current.id)) {
+            seen.add(current.id);
+            const parent = byId.get(String(repliedToId(current)));
+            if (!parent || parent.username !== current.username) break;
+            current = parent;
+        }
+        return String(current.id);
+    };
+
+    const groups = new Map();
+    for (const tweet of byId.values()) {
+        const root = rootOf(tweet);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(tweet);
+    }
+
+    return [...groups.values()]
+        .map(group => group.sort(byTime))
+        .sort((a, b) => byTime(b[b.length - 1], a[a.length - 1]));
+}
+
+/**
+ * One card per self-thread for feeds: the thread's first tweet with `thread` (every tweet, in order),
+ * `thread_length` and `thread_updated_at`. Single tweets pass through unchanged.
+ */
+function threadCards(tweets) {
+    return groupSelfThreads(tweets).map(group => {
+        if (group.length === 1) return group[0];
+        const last = group[group.length - 1];
+        return {
+            ...group[0],
+            thread: group,
+            thread_length: group.length,
+            thread_updated_at: new Date(timeOf(last)).toISOString()
+        };
+    });
+}
+
+/**
+ * The ordered self-thread of a conversation from its stored tweets: the root tweet followed by its
+ * author's reply chain. Null when the root tweet is not stored.
+ */
+function selfThread(conversationId, tweets) {
+    return groupSelfThreads(tweets).find(group => String(group[0].id) === String(conversationId)) || null;
+}
+
+module.exports = {
+    repliedToId,
+    groupSelfThreads,
+    threadCards,
+    selfThread
+};
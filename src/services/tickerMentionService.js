@@ -0,0 +1,142 @@
+const { getRepositories } = require('../config/database');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Velocity bucket sizes, smallest first; a bucket is widened when the range would need too many
+const BUCKETS = {
+    '15m': 15 * MINUTE_MS,
+    '1h': HOUR_MS,
+    '6h': 6 * HOUR_MS,
+    '1d': 24 * HOUR_MS
+};
+const MAX_BUCKETS = 500;
+
+// "Followed within" windows measured from the first caller's mention
+const FOLLOW_WINDOWS = {
+    '1h': HOUR_MS,
+    '6h': 6 * HOUR_MS,
+    '24h': 24 * HOUR_MS
+};
+
+/**
+ * Per-ticker mention timeline, velocity curve and first-caller attribution over ticker_mentions
+ */
+class TickerMentionService {
+    /**
+     * Normalize "$wif" / "WIF" to "WIF"; null when it is not a plausible ticker
+     */
+    static normalizeTicker(symbol) {
+        const ticker = String(symbol || '').replace(/^\$/, '').toUpperCase();
+        return /^[A-Z][A-Z0-9]{1,9}$/.test(ticker) ? ticker : null;
+    }
+
+    /**
+     * Totals and a bucketed velocity curve over every mention of a ticker in range, with the
+     * newest mentions (`mentions_truncated` when the repository cap left older ones out)
+     */
+    async getTimeline(ticker, { since = null, until = null, bucket = '1h', excludeUsernames = [] } = {}) {
+        const repo = getRepositories().tickerMentions;
+        const range = { since, until, excludeUsernames };
+        const summary = await repo.timelineSummary(ticker, range);
+        const rows = summary.mentions > 0 ? await repo.timeline(ticker, range) : [];
+
+        return {
+            symbol: ticker,
+            total_mentions: summary.mentions,
+            distinct_accounts: summary.accounts,
+            first_mention_at: summary.first_ms !== null ? new Date(summary.first_ms).toISOString() : null,
+            last_mention_at: summary.last_ms !== null ? new Date(summary.last_ms).toISOString() : null,
+            ...await this.buildVelocity(ticker, summary, bucket, range),
+            mentions_truncated: rows.length < summary.mentions,
+            mentions: rows.map(row => ({
+                username: row.username,
+                tweet_id: row.tweet_id,
+                mentioned_at: new Date(row.mentioned_at_ms).toISOString(),
+                text: row.text,
+                url: row.url
+            }))
+        };
+    }
+
+    /**
+     * Mentions per time bucket from the first to the last mention, with new and cumulative accounts
+     */
+    async buildVelocity(ticker, summary, requestedBucket, range) {
+        const sizes = Object.keys(BUCKETS);
+        let bucket = BUCKETS[requestedBucket] ? requestedBucket : '1h';
+        if (summary.mentions === 0) return { bucket, velocity: [] };
+
+        const firstMs = summary.first_ms;
+        const lastMs = summary.last_ms;
+        while ((lastMs - firstMs) / BUCKETS[bucket] > MAX_BUCKETS && sizes.indexOf(bucket) < sizes.length - 1) {
+            bucket = sizes[sizes.indexOf(bucket) + 1];
+        }
+
+        const size = BUCKETS[bucket];
+        const start = Math.floor(firstMs / size) * size;
+        const count = Math.min(MAX_BUCKETS, Math.floor((lastMs - start) / size) + 1);
+        const velocity = Array.from({ length: count }, (_, i) => ({
+            start: new Date(start + i * size).toISOString(),
+            mentions: 0,
+            new_accounts: 0,
+            cumulative_accounts: 0
+        }));
+
+        for (const row of await getRepositories().tickerMentions.timelineBuckets(ticker, size, range)) {
+            const index = Math.min(count - 1, Math.floor((row.start_ms - start) / size));
+            velocity[index].mentions += row.mentions;
+            velocity[index].new_accounts += row.new_accounts;
+        }
+
+        let cumulative = 0;
+        for (const point of velocity) {
+            cumulative += point.new_accounts;
+            point.cumulative_accounts = cumulative;
+        }
+
+        return { bucket, velocity };
+    }
+
+    /**
+     * Who mentioned a ticker first and how many distinct accounts followed within 1h / 6h / 24h
+     */
+    async getFirstCallers(ticker, { since = null, excludeUsernames = [] } = {}) {
+        const repo = getRepositories().tickerMentions;
+        const firsts = await repo.firstMentionsByAccount(ticker, { since, excludeUsernames });
+        if (firsts.length === 0) return null;
+
+        const origin = firsts[0];
+        const firstTweet = await repo.firstTweetFor(ticker, origin.username, since);
+        const followers = firsts.slice(1);
+
+        const followersWithin = {};
+        for (const [label, windowMs] of Object.entries(FOLLOW_WINDOWS)) {
+            followersWithin[label] = followers
+                .filter(f => f.first_mentioned_at_ms - origin.first_mentioned_at_ms <= windowMs)
+                .length;
+        }
+
+        return {
+            symbol: ticker,
+            first_caller: {
+                username: origin.username,
+                tweet_id: firstTweet?.tweet_id || null,
+                mentioned_at: new Date(origin.first_mentioned_at_ms).toISOString(),
+                text: firstTweet?.text || null,
+                url: firstTweet?.url || null
+            },
+            followers_within: followersWithin,
+            total_accounts: firsts.length,
+            callers: firsts.map((f, i) => ({
+                rank: i + 1,
+                username: f.username,
+                first_mentioned_at: new Date(f.first_mentioned_at_ms).toISOString(),
+                delay_minutes: Math.round((f.first_mentioned_at_ms - origin.first_mentioned_at_ms) / MINUTE_MS),
+                mentions: f.mentions
+            }))
+        };
+    }
+}
+
+module.exports = TickerMentionService;
@@ -0,0 +1,551 @@
+const axios = require('axios');
+const { getRepositories } = require('../config/database');
+const { chainForAddress } = require('./entityExtractor');
+
+const COINGECKO_BASE_URL = 'https://api.coingecko.com/api/v3';
+const CMC_BASE_URL = 'https://pro-api.coinmarketcap.com/v1';
+const MARKET_PAGES = 4; // 4 x 250 = top 1000 by market cap get a rank
+const RESPONSE_TTL_MS = 60 * 1000;
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000; // provider coin lists change daily at most
+// An empty registry resolves nothing, so its first download is retried sooner, doubling up to the cap
+const FIRST_REFRESH_RETRY_MS = 30 * 1000;
+const MAX_FIRST_REFRESH_RETRY_MS = 30 * 60 * 1000;
+
+/**
+ * EVM addresses are case-insensitive; base58 and other formats are kept as-is
+ */
+function normalizeAddress(address) {
+    const value = String(address || '').trim();
+    return /^0x[0-9a-f]+$/i.test(value) ? value.toLowerCase() : value;
+}
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Levenshtein distance, bounded: returns max + 1 as soon as the distance exceeds max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Lower is better: by market cap rank (unranked last), then id for a stable order
+ */
+function compareTokens(a, b) {
+    const rankA = a.market_cap_rank || Number.MAX_SAFE_INTEGER;
+    const rankB = b.market_cap_rank || Number.MAX_SAFE_INTEGER;
+    return rankA - rankB || a.id.localeCompare(b.id);
+}
+
+/**
+ * Token registry and symbol resolver: persisted symbol/name/provider-id/contract table built
+ * from CoinGecko's coin list (plus CoinMarketCap ids when COINMARKETCAP_API_KEY is set), with
+ * fuzzy search, symbol collision resolution, admin overrides and a report of unresolved tickers.
+ *
+ * All provider calls go through `http` (axios-compatible get(url, { params, headers, timeout })),
+ * so fixtures can be served from a stub client.
+ */
+class TokenRegistryService {
+    constructor({ http = axios, coingeckoBaseUrl = COINGECKO_BASE_URL, cmcBaseUrl = CMC_BASE_URL, cmcApiKey = process.env.COINMARKETCAP_API_KEY } = {}) {
+        this.http = http;
+        this.coingeckoBaseUrl = coingeckoBaseUrl;
+        this.cmcBaseUrl = cmcBaseUrl;
+        this.cmcApiKey = cmcApiKey || null;
+
+        this.tokens = [];
+        this.byId = new Map();
+        this.bySymbol = new Map(); // SYMBOL -> tokens sorted by compareTokens
+        this.byContract = new Map(); // normalized address -> token
+        this.overrides = new Map(); // SYMBOL -> pinned { token_id, contract_address, chain, note }
+        this.loaded = false;
+        this.lastRefresh = null;
+        this.responseCache = new Map(); // key -> { data, expiresAt }
+    }
+
+    /**
+     * Load the registry and overrides from the database
+     */
+    async ensureLoaded() {
+        if (this.loaded) return;
+
+        const repos = getRepositories();
+        this.index(await repos.tokens.all());
+        this.overrides = new Map((await repos.tokenOverrides.all()).map(o => [o.symbol, o]));
+        this.loaded = true;
+    }
+
+    /**
+     * Download the provider coin lists now if the registry has never been filled from them,
+     * retrying with backoff until that succeeds, then again every REFRESH_INTERVAL_MS
+     */
+    startAutoRefresh() {
+        const run = async () => {
+            try {
+                await this.refresh();
+            } catch (error) {
+                console.error('❌ Token registry refresh failed:', error.message);
+            }
+        };
+
+        let retries = 0;
+        const firstRefresh = async () => {
+            try {
+                await this.refresh();
+            } catch (error) {
+                const delay = Math.min(MAX_FIRST_REFRESH_RETRY_MS, FIRST_REFRESH_RETRY_MS * 2 ** retries++);
+                console.error(`❌ Token registry download failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+                setTimeout(firstRefresh, delay);
+            }
+        };
+
+        this.ensureLoaded()
+            .then(() => (this.tokens.some(t => t.source === 'coingecko') ? null : firstRefresh()))
+            .catch(error => console.error('❌ Token registry load failed:', error.message));
+        setInterval(run, REFRESH_INTERVAL_MS);
+        console.log('🪙 Token registry auto-refresh scheduled (24h interval)');
+    }
+
+    index(tokens) {
+        this.tokens = tokens;
+        this.byId = new Map(tokens.map(t => [t.id, t]));
+        this.bySymbol = new Map();
+        this.byContract = new Map();
+
+        for (const token of tokens) {
+            const symbol = token.symbol.toUpperCase();
+            if (!this.bySymbol.has(symbol)) this.bySymbol.set(symbol, []);
+            this.bySymbol.get(symbol).push(token);
+
+            for (const address of Object.values(token.contract_addresses || {})) {
+                if (address) this.byContract.set(normalizeAddress(address), token);
+            }
+        }
+        for (const candidates of this.bySymbol.values()) candidates.sort(compareTokens);
+    }
+
+    /**
+     * Resolve a ticker (with or without $) to a single token. In order: an explicit `contract`
+     * (null when the registry does not know it), an admin override, a token among the candidates
+     * whose contract was seen next to the ticker in tweets (`contracts`), then the highest market cap.
+     * Returns { token, alternatives, resolvedBy, primary } or null; `primary` is true when the token
+     * is the symbol's highest market cap, the one exchanges list under that ticker.
+     */
+    async resolve(symbolOrAddress, { contract = null, contracts = [] } = {}) {
+        await this.ensureLoaded();
+
+        const symbol = String(symbolOrAddress || '').replace(/^\$/, '').toUpperCase();
+        const candidates = this.bySymbol.get(symbol) || [];
+        const match = (token, alternatives, resolvedBy) => ({
+            token,
+            alternatives,
+            resolvedBy,
+            primary: Boolean(token.id) && token.id === candidates[0]?.id
+        });
+
+        const byAddress = this.byContract.get(normalizeAddress(contract || symbolOrAddress));
+        if (byAddress) return match(byAddress, [], 'contract');
+        if (contract) return null;
+
+        const override = this.overrides.get(symbol);
+        if (override) {
+            const pinned = this.overrideToken(symbol, override);
+            if (pinned) {
+                return match(pinned, candidates.filter(t => t.id !== pinned.id).slice(0, 5), 'override');
+            }
+        }
+
+        if (candidates.length === 0) return null;
+
+        const seen = new Set(contracts.map(normalizeAddress));
+        const tweeted = candidates.find(t => Object.values(t.contract_addresses || {}).some(a => seen.has(normalizeAddress(a))));
+        if (tweeted) {
+            return match(tweeted, candidates.filter(t => t !== tweeted).slice(0, 5), 'tweet_contract');
+        }
+
+        return match(candidates[0], candidates.slice(1, 6), candidates.length > 1 ? 'market_cap' : 'symbol');
+    }
+
+    /**
+     * Resolve several tickers at once: Map(SYMBOL -> { token, alternatives, resolvedBy, primary } | null).
+     * `contracts` is Map(SYMBOL -> [address]) of addresses tweeted alongside each ticker.
+     */
+    async resolveSymbols(symbols, { contracts = new Map() } = {}) {
+        const resolved = new Map();
+        for (const symbol of symbols) {
+            resolved.set(symbol, await this.resolve(symbol, { contracts: contracts.get(symbol) || [] }));
+        }
+        return resolved;
+    }
+
+    /**
+     * The token an override pins: a registry token by id, the registry token holding the pinned
+     * contract, or a contract-only token for assets no coin list knows (priced on DEXs)
+     */
+    overrideToken(symbol, override) {
+        if (override.token_id) return this.byId.get(override.token_id) || null;
+        if (!override.contract_address) return null;
+
+        const known = this.byContract.get(normalizeAddress(override.contract_address));
+        if (known) return known;
+        return {
+            id: null,
+            symbol,
+            name: override.note || null,
+            coingecko_id: null,
+            cmc_id: null,
+            chains: override.chain ? [override.chain] : [],
+            contract_addresses: { [override.chain || chainForAddress(override.contract_address) || 'unknown']: override.contract_address },
+            market_cap_rank: null,
+            source: 'override'
+        };
+    }
+
+    async listOverrides() {
+        await this.ensureLoaded();
+        return [...this.overrides.values()];
+    }
+
+    /**
+     * Pin a symbol to a registry token (token_id) or to a contract address. Throws a
+     * TypeError for input that cannot be pinned, so routes can answer 400.
+     */
+    async setOverride(symbol, { token_id = null, contract_address = null, chain = null, note = null } = {}) {
+        await this.ensureLoaded();
+
+        const ticker = String(symbol || '').replace(/^\$/, '').toUpperCase();
+        if (!/^[A-Z0-9]{1,32}$/.test(ticker)) throw new TypeError('Invalid symbol');
+        if (!token_id === !contract_address) throw new TypeError('Provide exactly one of token_id or contract_address');
+        if (token_id && !this.byId.has(token_id)) throw new TypeError(`Unknown token id: ${token_id}`);
+        if (contract_address && !chainForAddress(contract_address)) throw new TypeError('Not a recognized contract address');
+
+        const override = {
+            symbol: ticker,
+            token_id: token_id || null,
+            contract_address: contract_address ? normalizeAddress(contract_address) : null,
+            chain: chain || null,
+            note: note ? String(note).slice(0, 255) : null
+        };
+        await getRepositories().tokenOverrides.upsert(override);
+        this.overrides.set(ticker, override);
+        await getRepositories().unresolvedTickers.removeMany([ticker]);
+        console.log(`📌 Pinned $${ticker} to ${token_id || contract_address}`);
+        return override;
+    }
+
+    /**
+     * Returns true when an override existed
+     */
+    async removeOverride(symbol) {
+        await this.ensureLoaded();
+        const ticker = String(symbol || '').replace(/^\$/, '').toUpperCase();
+        const removed = await getRepositories().tokenOverrides.remove(ticker);
+        this.overrides.delete(ticker);
+        return removed;
+    }
+
+    /**
+     * Tickers that did not resolve, most looked-up first, with the closest registry matches
+     */
+    async getUnresolved(limit = 100) {
+        await this.ensureLoaded();
+        const rows = await getRepositories().unresolvedTickers.list(limit);
+        return Promise.all(rows.map(async row => ({
+            symbol: row.symbol,
+            lookups: row.lookups,
+            first_seen_at: new Date(row.first_seen_at_ms).toISOString(),
+            last_seen_at: new Date(row.last_seen_at_ms).toISOString(),
+            priced_by: row.priced_by,
+            suggestions: (await this.search(row.symbol, 3)).map(t => ({ id: t.id, symbol: t.symbol, name: t.name, match: t.match }))
+        })));
+    }
+
+    /**
+     * Fuzzy search by symbol, name or contract address
+     */
+    async search(query, limit = 50) {
+        await this.ensureLoaded();
+
+        const raw = String(query || '').trim();
+        if (!raw) return [];
+
+        const byAddress = this.byContract.get(normalizeAddress(raw));
+        if (byAddress) return [{ ...byAddress, match: 'contract', score: 100 }];
+
+        const q = raw.replace(/^\$/, '').toLowerCase();
+        const qName = normalizeName(q);
+        const maxDistance = q.length <= 3 ? 0 : q.length <= 6 ? 1 : 2;
+        const results = [];
+
+        for (const token of this.tokens) {
+            const symbol = token.symbol.toLowerCase();
+            const name = normalizeName(token.name);
+            let score = 0;
+            let match = null;
+
+            if (symbol === q) {
+                score = 100; match = 'symbol';
+            } else if (name && name === qName) {
+                score = 90; match = 'name';
+            } else if (symbol.startsWith(q)) {
+                score = 75; match = 'symbol_prefix';
+            } else if (name && qName && name.startsWith(qName)) {
+                score = 65; match = 'name_prefix';
+            } else if (name && qName.length >= 3 && name.includes(qName)) {
+                score = 50; match = 'name_contains';
+            } else if (maxDistance > 0) {
+                const distance = Math.min(
+                    editDistance(symbol, q, maxDistance),
+                    name ? editDistance(name, qName, maxDistance) : maxDistance + 1
+                );
+                if (distance <= maxDistance) {
+                    score = 40 - distance * 10; match = 'fuzzy';
+                }
+            }
+
+            if (score > 0) results.push({ ...token, match, score });
+        }
+
+        results.sort((a, b) => b.score - a.score || compareTokens(a, b));
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Rebuild the registry from CoinGecko's coin list (with platforms) and market ranks,
+     * attaching CoinMarketCap ids when an API key is configured
+     */
+    async refresh() {
+        await this.ensureLoaded();
+
+        const { data: coins } = await this.http.get(`${this.coingeckoBaseUrl}/coins/list`, {
+            params: { include_platform: true },
+            timeout: 30000
+        });
+
+        const ranks = new Map();
+        let ranksComplete = true;
+        for (let page = 1; page <= MARKET_PAGES; page++) {
+            try {
+                const { data } = await this.http.get(`${this.coingeckoBaseUrl}/coins/markets`, {
+                    params: { vs_currency: 'usd', order: 'market_cap_desc', per_page: 250, page },
+                    timeout: 15000
+                });
+                (data || []).forEach(m => ranks.set(m.id, m.market_cap_rank || null));
+            } catch (error) {
+                console.error(`❌ CoinGecko markets page ${page} failed, keeping stored ranks:`, error.message);
+                ranksComplete = false;
+                break;
+            }
+        }
+
+        const cmcIndex = await this.fetchCmcIndex();
+
+        const tokens = (coins || [])
+            .filter(coin => coin.id && coin.symbol)
+            .map(coin => {
+                const contracts = Object.fromEntries(
+                    Object.entries(coin.platforms || {}).filter(([chain, address]) => chain && address)
+                );
+                return {
+                    id: coin.id,
+                    symbol: coin.symbol.toUpperCase(),
+                    name: coin.name || null,
+                    coingecko_id: coin.id,
+                    cmc_id: this.matchCmcId(cmcIndex, coin, contracts),
+                    chains: Object.keys(contracts),
+                    contract_addresses: contracts,
+                    market_cap_rank: ranks.get(coin.id) || null,
+                    source: 'coingecko'
+                };
+            });
+
+        const repo = getRepositories().tokens;
+        await repo.upsertMany(tokens, { replaceRanks: ranksComplete });
+        this.index(await repo.all());
+        this.lastRefresh = new Date().toISOString();
+        console.log(`✅ Token registry refreshed: ${tokens.length} tokens from CoinGecko${cmcIndex ? ' + CoinMarketCap ids' : ''}`);
+        return this.tokens;
+    }
+
+    /**
+     * CoinMarketCap id lookup tables (by contract and by symbol+name); null without an API key
+     */
+    async fetchCmcIndex() {
+        if (!this.cmcApiKey) return null;
+
+        try {
+            const { data } = await this.http.get(`${this.cmcBaseUrl}/cryptocurrency/map`, {
+                headers: { 'X-CMC_PRO_API_KEY': this.cmcApiKey, 'Accept': 'application/json' },
+                params: { listing_status: 'active', limit: 5000, sort: 'cmc_rank' },
+                timeout: 30000
+            });
+
+            const byContract = new Map();
+            const bySymbolName = new Map();
+            for (const entry of data?.data || []) {
+                if (entry.platform?.token_address) {
+                    byContract.set(normalizeAddress(entry.platform.token_address), entry.id);
+                }
+                const key = `${String(entry.symbol).toUpperCase()}:${normalizeName(entry.name)}`;
+                if (!bySymbolName.has(key)) bySymbolName.set(key, entry.id);
+            }
+            return { byContract, bySymbolName };
+        } catch (error) {
+            console.error('❌ CoinMarketCap map error:', error.message);
+            return null;
+        }
+    }
+
+    matchCmcId(cmcIndex, coin, contracts) {
+        if (!cmcIndex) return null;
+        for (const address of Object.values(contracts)) {
+            const id = cmcIndex.byContract.get(normalizeAddress(address));
+            if (id) return id;
+        }
+        return cmcIndex.bySymbolName.get(`${coin.symbol.toUpperCase()}:${normalizeName(coin.name)}`) || null;
+    }
+
+    /**
+     * Market data for a resolved token from CoinGecko
+     */
+    async getTokenPrice(token) {
+        if (!token.coingecko_id) return null;
+        const prices = await this.fetchSimplePrices([token.coingecko_id]);
+        return prices[token.coingecko_id] || null;
+    }
+
+    /**
+     * Prices for several symbols in a single provider call: { SYMBOL: { id, name, usd, ... } }
+     */
+    async getBatchPrices(symbols) {
+        const resolved = [];
+        for (const symbol of symbols) {
+            const match = await this.resolve(symbol);
+            if (match?.token.coingecko_id) {
+                resolved.push({ symbol: String(symbol).replace(/^\$/, '').toUpperCase(), token: match.token });
+            }
+        }
+        if (resolved.length === 0) return {};
+
+        const prices = await this.fetchSimplePrices([...new Set(resolved.map(r => r.token.coingecko_id))]);
+        const result = {};
+        for (const { symbol, token } of resolved) {
+            const price = prices[token.coingecko_id];
+            if (price) result[symbol] = { id: token.id, name: token.name, ...price };
+        }
+        return result;
+    }
+
+    async fetchSimplePrices(coingeckoIds) {
+        const { data } = await this.http.get(`${this.coingeckoBaseUrl}/simple/price`, {
+            params: {
+                ids: coingeckoIds.join(','),
+                vs_currencies: 'usd',
+                include_market_cap: true,
+                include_24hr_vol: true,
+                include_24hr_change: true,
+                include_last_updated_at: true
+            },
+            timeout: 10000
+        });
+        return data || {};
+    }
+
+    /**
+     * CoinGecko trending coins, flagged with whether the registry knows them
+     */
+    async getTrendingTokens() {
+        await this.ensureLoaded();
+        const data = await this.cachedGet('trending', `${this.coingeckoBaseUrl}/search/trending`);
+        const coins = (data?.coins || []).map(({ item }) => ({
+            id: item.id,
+            symbol: String(item.symbol || '').toUpperCase(),
+            name: item.name,
+            market_cap_rank: item.market_cap_rank || null,
+            in_registry: this.byId.has(item.id)
+        }));
+        return { coins, fetched_at: new Date().toISOString() };
+    }
+
+    async getGlobalStats() {
+        const data = (await this.cachedGet('global', `${this.coingeckoBaseUrl}/global`))?.data || {};
+        return {
+            active_cryptocurrencies: data.active_cryptocurrencies || null,
+            markets: data.markets || null,
+            total_market_cap_usd: data.total_market_cap?.usd || null,
+            total_volume_usd: data.total_volume?.usd || null,
+            market_cap_change_24h_pct: data.market_cap_change_percentage_24h_usd ?? null,
+            dominance: {
+                btc: data.market_cap_percentage?.btc ?? null,
+                eth: data.market_cap_percentage?.eth ?? null
+            }
+        };
+    }
+
+    /**
+     * Registry summary for /api/crypto/stats
+     */
+    async getStats() {
+        await this.ensureLoaded();
+
+        const chainCounts = {};
+        const bySource = {};
+        let withCmcId = 0;
+        let withContracts = 0;
+        let collidingSymbols = 0;
+
+        for (const token of this.tokens) {
+            bySource[token.source] = (bySource[token.source] || 0) + 1;
+            if (token.cmc_id) withCmcId++;
+            if (token.chains.length > 0) withContracts++;
+            token.chains.forEach(chain => { chainCounts[chain] = (chainCounts[chain] || 0) + 1; });
+        }
+        for (const candidates of this.bySymbol.values()) {
+            if (candidates.length > 1) collidingSymbols++;
+        }
+
+        const topChains = Object.entries(chainCounts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([chain, count]) => ({ chain, count }));
+
+        return {
+            total_tokens: this.tokens.length,
+            by_source: bySource,
+            with_cmc_id: withCmcId,
+            with_contracts: withContracts,
+            colliding_symbols: collidingSymbols,
+            overrides: this.overrides.size,
+            top_chains: topChains,
+            last_refresh: this.lastRefresh
+        };
+    }
+
+    async cachedGet(key, url) {
+        const cached = this.responseCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) return cached.data;
+
+        const { data } = await this.http.get(url, { timeout: 10000 });
+        this.responseCache.set(key, { data, expiresAt: Date.now() + RESPONSE_TTL_MS });
+        return data;
+    }
+}
+
+module.exports = TokenRegistryService;
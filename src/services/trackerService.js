@@ -1,6 +1,13 @@
 const TwitterService = require('./twitterService');
-const { initializeDB, getPool } = require('../config/database');
+const { initializeDB, getRepositories } = require('../config/database');
 const { ALLOWED_USERNAMES } = require('../config/allowlist');
+const { extractTweetEntities } = require('./entityExtractor');
+const StreamSupervisor = require('./streamSupervisor');
+const TweetVerifier = require('./tweetVerifier');
+const TweetMetricsPoller = require('./tweetMetricsPoller');
+const EngagementBaselineService = require('./engagementBaseline');
+const { attachTweetDetails } = require('./tweetDetails');
+const PollScheduler = require('./pollScheduler');
 
 class TrackerService {
     constructor() {
@@ -9,14 +16,44 @@ class TrackerService {
         this.backfillState = null;
         
         // DB-first sync helpers
-        this.accountSync = new Map(); // username -> lastSyncMs
-        this.minSyncIntervalMs = 45000; // cooldown per account
         this.syncPromise = null; // share in-flight sync among callers
         
 		// Default accounts configuration (keep minimal; env/DB handles dynamic growth)
 		this.DEFAULT_ACCOUNTS = ['cz_binance', 'CookerFlips', 'ShockedJS', 'LabsNoor', 'justinsuntron'];
         this.TEST_ACCOUNTS = ['alien88ted'];
 		this.dynamicAccounts = new Set(); // from DB tracked_accounts
+
+        // Switches between the filtered stream and polling as the stream's health changes
+        this.streamAccounts = [];
+        this.supervisor = new StreamSupervisor({
+            startStream: () => this.twitterService.setupRealTimeStream(this.streamAccounts, this.TEST_ACCOUNTS),
+            closeStream: () => this.twitterService.closeStream(),
+            startPolling: () => this.setupPollingFallback([...this.streamAccounts, ...this.TEST_ACCOUNTS]),
+            stopPolling: () => this.stopPolling(),
+            lastPolledAt: () => this.polling.oldestPollAt(),
+            catchUp: window => this.catchUpWindow(window)
+        });
+
+        // Per-account poll intervals within the timeline budget, shared by syncs and the polling fallback
+        this.polling = new PollScheduler({
+            twitterService: this.twitterService,
+            poll: username => this.pollAccount(username)
+        });
+
+        // Re-checks recent tweets for edits and deletions
+        this.verifier = new TweetVerifier({ twitterService: this.twitterService });
+        // Samples engagement of tweets younger than 24h and scores it against each account's norm;
+        // test accounts are scored but never pinged
+        this.engagement = new EngagementBaselineService({
+            notify: tweet => this.notifier?.notifyOutperforming({
+                ...tweet,
+                isTest: this.TEST_ACCOUNTS.some(account => account.toLowerCase() === String(tweet.username).toLowerCase())
+            })
+        });
+        this.metricsPoller = new TweetMetricsPoller({
+            twitterService: this.twitterService,
+            onMetrics: ids => this.engagement.scoreTweets(ids)
+        });
     }
 
     /**
@@ -42,9 +79,8 @@ class TrackerService {
 			let accounts = accountsEnv.split(',').map(a => a.trim()).filter(a => a);
 			// merge dynamic
 			try {
-				const pool = getPool();
-				const [rows] = await pool.execute('SELECT username FROM tracked_accounts');
-				rows.forEach(r => this.dynamicAccounts.add(r.username));
+				const usernames = await getRepositories().trackedAccounts.listUsernames();
+				usernames.forEach(u => this.dynamicAccounts.add(u));
 				accounts = Array.from(new Set([...accounts, ...Array.from(this.dynamicAccounts)]));
 			} catch {}
 
@@ -65,15 +101,14 @@ class TrackerService {
             console.error('❌ Error syncing startup tweets:', error.message);
         }
 
-		// Try to setup real-time streaming first
-		const stream = await this.twitterService.setupRealTimeStream(accounts, this.TEST_ACCOUNTS);
-
-            if (!stream) {
-				console.log('📡 Stream failed, setting up polling fallback...');
-				await this.setupPollingFallback([...accounts, ...this.TEST_ACCOUNTS]);
-            } else {
-                console.log('✅ Real-time streaming active');
-            }
+		// Stream first; the supervisor falls back to polling (and probes back) as needed
+		this.streamAccounts = accounts;
+		await this.supervisor.start();
+		if (this.supervisor.mode === 'streaming') {
+			console.log('✅ Real-time streaming active');
+		}
+		this.verifier.start();
+		this.metricsPoller.start();
 
 			// Optional backfill (disabled by default to focus on new tweets)
 			if (process.env.BACKFILL_ENABLED === 'true') {
@@ -98,10 +133,11 @@ class TrackerService {
 
         this.syncPromise = (async () => {
 			const usernames = [...this.DEFAULT_ACCOUNTS, ...this.TEST_ACCOUNTS, ...Array.from(this.dynamicAccounts)];
+            this.polling.track(usernames);
+            await this.polling.plan();
             for (const username of usernames) {
-                const lastSync = this.accountSync.get(username) || 0;
-                if (Date.now() - lastSync < this.minSyncIntervalMs) {
-                    continue; // cooldown
+                if (!this.polling.isDue(username)) {
+                    continue; // polled recently enough for its cadence
                 }
 
                 try {
@@ -115,6 +151,7 @@ class TrackerService {
 								username,
 								isTest: this.TEST_ACCOUNTS.includes(username),
 								url: `https://twitter.com/${username}/status/${t.id}`,
+								detected_entities: extractTweetEntities(t),
 								tweetType: 'live' // Mark as live tweets from sync
 							}));
 							// Emit both events for compatibility
@@ -134,7 +171,7 @@ class TrackerService {
 						}
                         console.log(`📥 Synced @${username}: +${newTweets.length} new tweets`);
                     }
-                    this.accountSync.set(username, Date.now());
+                    this.polling.recordPoll(username, newTweets);
                     await new Promise(resolve => setTimeout(resolve, 120));
                 } catch (error) {
                     console.error(`❌ Sync error @${username}:`, error.message);
@@ -146,52 +183,80 @@ class TrackerService {
     }
 
     /**
-     * Setup polling fallback if streaming fails
+     * Fetch, store and emit the tweets each account posted during a stream outage.
+     * They are marked tweetType 'recovered'; returns how many were found.
      */
-    async setupPollingFallback(accounts) {
-		const fetchNewTweets = async () => {
-            if (!this.isRunning) return;
-
-            console.log('\n🔥 [POLLING] Scanning for new tweets...');
+    async catchUpWindow({ from, to }) {
+        let recovered = 0;
+        for (const username of [...this.streamAccounts, ...this.TEST_ACCOUNTS]) {
+            const tweets = await this.twitterService.fetchMissedTweets(username, { from, to });
+            if (tweets.length === 0) continue;
+
+            await this.twitterService.saveTweetsToDb(tweets, username);
+            const processedTweets = tweets.map(t => ({
+                ...t,
+                username,
+                isTest: this.TEST_ACCOUNTS.includes(username),
+                url: `https://twitter.com/${username}/status/${t.id}`,
+                detected_entities: extractTweetEntities(t),
+                tweetType: 'recovered' // Missed while the stream was disconnected
+            }));
+            if (global.io) {
+                global.io.emit('newTweets', processedTweets); // Backward compatibility
+                global.io.emit('recoveredTweets', processedTweets);
+            }
+            if (global.notify) {
+                await global.notify(processedTweets);
+            }
+            recovered += tweets.length;
+            console.log(`⏪ Recovered @${username}: +${tweets.length} tweets missed during the outage`);
+        }
+        return recovered;
+    }
 
-            for (const username of accounts) {
-                try {
-                    const newTweets = await this.twitterService.fetchLatestTweets(username, true);
-                    if (newTweets.length > 0) {
-                        console.log(`🚨 NEW ALPHA @${username}: ${newTweets.length} fresh tweets!`);
-                        await this.twitterService.saveTweetsToDb(newTweets, username);
-                        
-                        // Emit to connected clients
-                        const io = require('../server').io;
-                        if (io) {
-                            const processedTweets = newTweets.map(tweet => ({
-                                ...tweet,
-                                username: username,
-                                isTest: false,
-                                url: `https://twitter.com/${username}/status/${tweet.id}`
-                            }));
-                            io.emit('newTweets', processedTweets);
-                        }
-                    }
+    /**
+     * Setup polling fallback if streaming fails: each account is polled on its adaptive cadence
+     */
+    async setupPollingFallback(accounts) {
+        if (this.polling.active) return;
+        console.log('📡 Stream unavailable, setting up polling fallback...');
+        this.polling.start(accounts);
+    }
 
-                    // Check API limits and pause if needed
-                    const usage = this.twitterService.getApiUsage();
-                    if (usage.usagePercentage > 90) {
-                        console.log('🚨 API limit approaching, brief pause...');
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                    }
-                } catch (error) {
-                    console.error(`❌ Error fetching new tweets @${username}:`, error.message);
-                }
+    /**
+     * Fetch, store and emit an account's new tweets (one fallback poll); returns the new tweets
+     */
+    async pollAccount(username) {
+        if (!this.isRunning) return [];
+
+        const newTweets = await this.twitterService.fetchLatestTweets(username, true);
+        if (newTweets.length > 0) {
+            console.log(`🚨 NEW ALPHA @${username}: ${newTweets.length} fresh tweets!`);
+            await this.twitterService.saveTweetsToDb(newTweets, username);
+
+            // Emit to connected clients
+            if (global.io) {
+                const processedTweets = newTweets.map(tweet => ({
+                    ...tweet,
+                    username: username,
+                    isTest: this.TEST_ACCOUNTS.includes(username),
+                    url: `https://twitter.com/${username}/status/${tweet.id}`,
+                    detected_entities: extractTweetEntities(tweet)
+                }));
+                global.io.emit('newTweets', processedTweets);
             }
-        };
-
-		// Start with initial fetch
-		await fetchNewTweets();
+        }
+        return newTweets;
+    }
 
-			// Higher frequency fallback polling focused on fresh tweets
-			console.log('⚡ Fallback polling: every 15 seconds (fresh only)');
-			this.pollingInterval = setInterval(fetchNewTweets, 15000);
+    /**
+     * Stop fallback polling (the stream is back)
+     */
+    stopPolling() {
+        if (this.polling.active) {
+            this.polling.stop();
+            console.log('⏹️  Fallback polling stopped');
+        }
     }
 
     /**
@@ -271,6 +336,7 @@ class TrackerService {
                                 username: accountInfo.username,
                                 isTest: this.TEST_ACCOUNTS.includes(accountInfo.username),
                                 url: `https://twitter.com/${accountInfo.username}/status/${tweet.id}`,
+                                detected_entities: extractTweetEntities(tweet),
                                 tweetType: 'historical' // Mark as historical backfill
                             });
                         } catch (error) {
@@ -352,12 +418,13 @@ class TrackerService {
         this.isRunning = false;
 
         // Close stream
+        this.supervisor.stop();
         this.twitterService.closeStream();
+        this.verifier.stop();
+        this.metricsPoller.stop();
 
         // Clear intervals and timeouts
-        if (this.pollingInterval) {
-            clearInterval(this.pollingInterval);
-        }
+        this.stopPolling();
         if (this.backfillTimeout) {
             clearTimeout(this.backfillTimeout);
         }
@@ -373,6 +440,11 @@ class TrackerService {
             isRunning: this.isRunning,
             apiUsage: this.twitterService.getApiUsage(),
             backfillState: this.backfillState,
+            ingest: this.supervisor.getStatus(),
+            verification: this.verifier.getStatus(),
+            metricsPolling: this.metricsPoller.getStatus(),
+            engagement: this.engagement.getStatus(),
+            polling: this.polling.getStatus(),
             accounts: {
                 production: this.DEFAULT_ACCOUNTS,
                 test: this.TEST_ACCOUNTS
@@ -386,21 +458,8 @@ class TrackerService {
     async getFreshTweets() {
         await this.syncLatestTweets(24);
 
-		const pool = getPool();
 		const usernames = [...this.DEFAULT_ACCOUNTS, ...this.TEST_ACCOUNTS, ...Array.from(this.dynamicAccounts)];
-        const placeholders = usernames.map(() => '?').join(',');
-        const params = [...usernames];
-        const limit = 200;
-
-		const [rows] = await pool.execute(
-			`SELECT *
-			 FROM cz_tweets
-			 WHERE created_at_ms IS NOT NULL AND created_at_ms >= (UNIX_TIMESTAMP(NOW(6)) * 1000) - (24 * 60 * 60 * 1000)
-			   AND username IN (${placeholders})
-			 ORDER BY created_at_ms DESC
-			 LIMIT ${limit}`,
-			params
-		);
+		const rows = await attachTweetDetails(await getRepositories().tweets.window(24, usernames, { limit: 200 }));
 
         console.log(`✅ Served ${rows.length} tweets from DB (24h window)`);
         return rows.map(row => ({
@@ -0,0 +1,13 @@
+const { getRepositories } = require('../config/database');
+
+/**
+ * Stored tweet rows with everything stored alongside them: detected entities, referenced tweets,
+ * media and link previews
+ */
+async function attachTweetDetails(rows) {
+    const repos = getRepositories();
+    const withEntities = await repos.tweetEntities.attachTo(rows);
+    return repos.tweetMedia.attachTo(await repos.tweetReferences.attachTo(withEntities));
+}
+
+module.exports = { attachTweetDetails };
@@ -0,0 +1,93 @@
+// Media and link previews for Twitter API v2 tweets: attachments resolved against the response
+// `includes`, and expanded URLs with their card title/description/image from tweet.entities.urls
+
+const MEDIA_FIELDS = [
+    'type',
+    'url',
+    'preview_image_url',
+    'width',
+    'height',
+    'alt_text',
+    'duration_ms',
+    'variants'
+];
+
+/**
+ * Highest bit rate mp4 of a video or GIF
+ */
+function bestVideoUrl(variants = []) {
+    const mp4 = variants.filter(v => v.content_type === 'video/mp4' && v.url);
+    mp4.sort((a, b) => (b.bit_rate || 0) - (a.bit_rate || 0));
+    return mp4[0]?.url || null;
+}
+
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * [{ media_key, type, url, preview_image_url, video_url, width, height, alt_text, duration_ms }]
+ */
+function mediaOf(tweet, includes = {}) {
+    const byKey = new Map((includes?.media || []).map(m => [m.media_key, m]));
+    return (tweet.attachments?.media_keys || [])
+        .map(key => byKey.get(key))
+        .filter(Boolean)
+        .map(media => ({
+            media_key: media.media_key,
+            type: media.type,
+            url: media.url || null,
+            preview_image_url: media.preview_image_url || null,
+            video_url: bestVideoUrl(media.variants),
+            width: media.width || null,
+            height: media.height || null,
+            alt_text: media.alt_text || null,
+            duration_ms: media.duration_ms || null
+        }));
+}
+
+/**
+ * [{ url, expanded_url, domain, title, description, image_url }] for the t.co links in the text;
+ * links to the tweet's own photos/videos are left to mediaOf()
+ */
+function linksOf(tweet) {
+    const seen = new Set();
+    const links = [];
+    for (const entity of tweet.entities?.urls || []) {
+        if (entity.media_key || !entity.url || seen.has(entity.url)) continue;
+        seen.add(entity.url);
+        const expanded = entity.unwound_url || entity.expanded_url || entity.url;
+        links.push({
+            url: entity.url,
+            expanded_url: expanded,
+            domain: domainOf(expanded),
+            title: entity.title || null,
+            description: entity.description || null,
+            image_url: entity.images?.[0]?.url || null
+        });
+    }
+    return links;
+}
+
+/**
+ * Copy of a tweet with `media` and `links` (see mediaOf() / linksOf())
+ */
+function withMedia(tweet, includes = {}) {
+    return {
+        ...tweet,
+        media: mediaOf(tweet, includes),
+        links: linksOf(tweet)
+    };
+}
+
+module.exports = {
+    MEDIA_FIELDS,
+    domainOf,
+    mediaOf,
+    linksOf,
+    withMedia
+};
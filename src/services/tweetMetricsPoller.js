@@ -0,0 +1,171 @@
+const { getRepositories } = require('../config/database');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const TICK_MS = MINUTE_MS;
+// Re-poll interval by tweet age: the first minutes are the best early signal, so they are sampled densest
+const CADENCE = [
+    { maxAgeMs: 10 * MINUTE_MS, everyMs: MINUTE_MS },
+    { maxAgeMs: HOUR_MS, everyMs: 5 * MINUTE_MS },
+    { maxAgeMs: 6 * HOUR_MS, everyMs: 15 * MINUTE_MS },
+    { maxAgeMs: 24 * HOUR_MS, everyMs: HOUR_MS }
+];
+const SLACK_MS = 5 * SECOND_MS; // ticks are not exact; treat "almost due" as due
+const BATCH_SIZE = 100; // ids per lookup request
+const MAX_BATCHES = 2; // per tick
+// Share of the tweetLookup window left for everything else (the edit/deletion verifier included)
+const RESERVE_SHARE = 0.5;
+const EARLY_WINDOW_MINUTES = 10;
+
+function engagementOf(point) {
+    return point.like_count + point.retweet_count + point.reply_count + point.quote_count;
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Re-polls public metrics of tweets younger than 24h at a decaying cadence (every minute at first,
+ * hourly by the end) so tweet_metrics_history holds each tweet's engagement curve. Lookups go
+ * through the RateLimitManager queue at the lowest priority, youngest tweets first.
+ * onMetrics(ids) is called with the ids of each refreshed batch.
+ */
+class TweetMetricsPoller {
+    constructor({ twitterService, onMetrics = async () => {}, now = Date.now }) {
+        this.twitterService = twitterService;
+        this.onMetrics = onMetrics;
+        this.now = now;
+        this.timer = null;
+        this.running = false;
+        this.stats = { runs: 0, polled: 0, requests: 0, budgetStops: 0, lastRun: null, lastError: null };
+    }
+
+    /**
+     * Re-poll interval for a tweet of this age, or null once it is past the last cadence step
+     */
+    static intervalFor(ageMs) {
+        return CADENCE.find(step => ageMs < step.maxAgeMs)?.everyMs ?? null;
+    }
+
+    /**
+     * Engagement curve of a tweet from its snapshots: each point with the tweet's age, engagement
+     * (likes + retweets + replies + quotes) and velocity per minute since the previous snapshot,
+     * plus the average velocity over the first 10 minutes
+     */
+    static buildCurve(createdAtMs, snapshots) {
+        let previous = null;
+        const points = snapshots.map(snapshot => {
+            const engagement = engagementOf(snapshot);
+            const elapsedMinutes = previous ? (snapshot.captured_at_ms - previous.captured_at_ms) / MINUTE_MS : 0;
+            const point = {
+                captured_at: new Date(snapshot.captured_at_ms).toISOString(),
+                age_minutes: round((snapshot.captured_at_ms - createdAtMs) / MINUTE_MS, 1),
+                like_count: snapshot.like_count,
+                retweet_count: snapshot.retweet_count,
+                reply_count: snapshot.reply_count,
+                quote_count: snapshot.quote_count,
+                impression_count: snapshot.impression_count,
+                bookmark_count: snapshot.bookmark_count,
+                engagement,
+                velocity_per_min: elapsedMinutes > 0 ? round((engagement - engagementOf(previous)) / elapsedMinutes) : null
+            };
+            previous = snapshot;
+            return point;
+        });
+
+        const early = [...points].reverse().find(p => p.age_minutes > 0 && p.age_minutes <= EARLY_WINDOW_MINUTES);
+        return {
+            points,
+            early_velocity_per_min: early ? round(early.engagement / early.age_minutes) : null,
+            early_window_minutes: EARLY_WINDOW_MINUTES
+        };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.run().catch(error => console.error('❌ Metrics poller error:', error.message));
+        }, TICK_MS);
+        console.log('📈 Tweet metrics poller scheduled (1m ticks, decaying per tweet age)');
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Ids whose metrics are due, youngest tweet first
+     */
+    async dueIds() {
+        const now = this.now();
+        const candidates = await getRepositories().tweets.metricsCandidates(now - CADENCE[CADENCE.length - 1].maxAgeMs);
+        return candidates
+            .filter(tweet => {
+                const interval = TweetMetricsPoller.intervalFor(now - tweet.created_at_ms);
+                return interval !== null && (tweet.metrics_at_ms === null || now - tweet.metrics_at_ms >= interval - SLACK_MS);
+            })
+            .map(tweet => String(tweet.id));
+    }
+
+    /**
+     * One tick: look up the due tweets (within budget) and snapshot their metrics; returns how many were polled
+     */
+    async run() {
+        if (this.running) return 0;
+        this.running = true;
+        let polled = 0;
+
+        try {
+            const rateLimitManager = this.twitterService.rateLimitManager;
+            const reserve = Math.ceil((rateLimitManager.limits.tweetLookup?.requests || 0) * RESERVE_SHARE);
+            let remaining = await rateLimitManager.getRemaining('tweetLookup');
+            const repos = getRepositories();
+
+            const due = (await this.dueIds()).slice(0, BATCH_SIZE * MAX_BATCHES);
+            for (let i = 0; i < due.length; i += BATCH_SIZE) {
+                if (remaining - 1 < reserve) {
+                    this.stats.budgetStops++;
+                    console.log(`⏸️  Metrics poller paused: ${remaining} tweetLookup requests left in this window`);
+                    break;
+                }
+                const ids = due.slice(i, i + BATCH_SIZE);
+                const { tweets } = await this.twitterService.lookupTweets(ids);
+                remaining--;
+                this.stats.requests++;
+
+                const at = this.now();
+                await repos.tweets.updateMetrics(tweets);
+                await repos.tweetMetrics.record(tweets, at);
+                const returned = new Set(tweets.map(tweet => String(tweet.id)));
+                await repos.tweetMetrics.markCaptured(ids.filter(id => !returned.has(id)), at);
+                polled += tweets.length;
+                await this.onMetrics([...returned]);
+            }
+            this.stats.lastError = null;
+        } catch (error) {
+            this.stats.lastError = error.message;
+            throw error;
+        } finally {
+            this.running = false;
+            this.stats.runs++;
+            this.stats.polled += polled;
+            this.stats.lastRun = new Date(this.now()).toISOString();
+        }
+        return polled;
+    }
+
+    getStatus() {
+        return {
+            active: Boolean(this.timer),
+            cadence: CADENCE.map(step => ({ maxAgeMinutes: step.maxAgeMs / MINUTE_MS, everyMinutes: step.everyMs / MINUTE_MS })),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = TweetMetricsPoller;
@@ -0,0 +1,69 @@
+// Reply / quote / retweet metadata for Twitter API v2 tweets, resolved against the response `includes`
+
+// Fields and expansions requested for every timeline, search and stream call
+const TWEET_FIELDS = [
+    'created_at',
+    'public_metrics',
+    'author_id',
+    'conversation_id',
+    'entities',
+    'referenced_tweets',
+    'in_reply_to_user_id',
+    'attachments'
+];
+const EXPANSIONS = [
+    'author_id',
+    'referenced_tweets.id',
+    'referenced_tweets.id.author_id',
+    'in_reply_to_user_id',
+    'attachments.media_keys'
+];
+const USER_FIELDS = ['username'];
+
+/**
+ * 'retweet', 'quote', 'reply' or 'original' (a quote that is also a reply counts as a quote)
+ */
+function tweetTypeOf(tweet) {
+    const types = (tweet?.referenced_tweets || []).map(ref => ref.type);
+    if (types.includes('retweeted')) return 'retweet';
+    if (types.includes('quoted')) return 'quote';
+    if (types.includes('replied_to')) return 'reply';
+    return 'original';
+}
+
+/**
+ * Copy of a tweet with `tweet_type`, `in_reply_to_username` and `references`:
+ * [{ type, id, author_id, username, text, created_at }] for each referenced tweet.
+ * `includes` is the response includes ({ tweets, users }, raw or the library helper).
+ */
+function withReferences(tweet, includes = {}) {
+    const tweets = new Map((includes?.tweets || []).map(t => [t.id, t]));
+    const usernames = new Map((includes?.users || []).map(u => [u.id, u.username]));
+
+    const references = (tweet.referenced_tweets || []).map(ref => {
+        const referenced = tweets.get(ref.id);
+        return {
+            type: ref.type,
+            id: ref.id,
+            author_id: referenced?.author_id || null,
+            username: usernames.get(referenced?.author_id) || null,
+            text: referenced?.text || null,
+            created_at: referenced?.created_at || null
+        };
+    });
+
+    return {
+        ...tweet,
+        tweet_type: tweetTypeOf(tweet),
+        in_reply_to_username: usernames.get(tweet.in_reply_to_user_id) || null,
+        references
+    };
+}
+
+module.exports = {
+    TWEET_FIELDS,
+    EXPANSIONS,
+    USER_FIELDS,
+    tweetTypeOf,
+    withReferences
+};
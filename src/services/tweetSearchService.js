@@ -0,0 +1,93 @@
+const { getRepositories } = require('../config/database');
+const { parseSearchQuery } = require('../search/queryParser');
+
+const SNIPPET_LENGTH = 160;
+const MAX_RESULTS = 100;
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * Merge overlapping [start, end) ranges
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Full-text search over stored tweets with cashtag, mention, contract address and phrase awareness.
+ * The repository matches, ranks and counts in SQL over every stored tweet; highlighting happens
+ * here for the returned page only.
+ */
+class TweetSearchService {
+    /**
+     * Search stored tweets.
+     * sort: 'relevance' (default), 'recent' or 'oldest' (answers "who mentioned it first").
+     */
+    async search(query, { limit = 20, sort = 'relevance', usernames = null, excludeUsernames = [] } = {}) {
+        const clauses = parseSearchQuery(query);
+        const pageSize = Math.max(1, Math.min(parseInt(limit) || 20, MAX_RESULTS));
+        if (clauses.length === 0) return { clauses, total: 0, results: [] };
+
+        const { rows, total } = await getRepositories().tweets.search(clauses, {
+            limit: pageSize,
+            sort,
+            usernames,
+            excludeUsernames
+        });
+
+        const results = rows.map(({ relevance, ...row }) => {
+            const ranges = this.matchRanges(row.text || '', clauses);
+            return { ...row, score: relevance, snippet: this.buildSnippet(row.text || '', ranges), highlights: ranges };
+        });
+
+        return {
+            clauses: clauses.map(({ type, value }) => ({ type, value })),
+            total,
+            results
+        };
+    }
+
+    /**
+     * Merged [start, end) ranges of every clause match in the text
+     */
+    matchRanges(text, clauses) {
+        const ranges = clauses.flatMap(clause => [...text.matchAll(clause.pattern)].map(hit => [hit.index, hit.index + hit[0].length]));
+        return mergeRanges(ranges);
+    }
+
+    /**
+     * HTML-escaped excerpt around the first match with matches wrapped in <mark>
+     */
+    buildSnippet(text, ranges) {
+        const first = ranges[0] ? ranges[0][0] : 0;
+        const start = Math.max(0, Math.min(first - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        let snippet = '';
+        let cursor = start;
+        for (const [from, to] of ranges) {
+            if (to <= start || from >= end) continue;
+            const markFrom = Math.max(from, start);
+            const markTo = Math.min(to, end);
+            snippet += escapeHtml(text.slice(cursor, markFrom)) + '<mark>' + escapeHtml(text.slice(markFrom, markTo)) + '</mark>';
+            cursor = markTo;
+        }
+        snippet += escapeHtml(text.slice(cursor, end));
+
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+}
+
+module.exports = TweetSearchService;
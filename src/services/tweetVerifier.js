@@ -0,0 +1,187 @@
+const { getRepositories } = require('../config/database');
+const { extractTweetEntities } = require('./entityExtractor');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const VERIFY_INTERVAL_MS = 10 * MINUTE_MS;
+const VERIFY_WINDOW_MS = 48 * HOUR_MS; // older tweets are no longer re-checked
+const BATCH_SIZE = 100; // ids per lookup request
+const MAX_BATCHES = 3; // per run
+// Share of the tweetLookup window left for everything else
+const RESERVE_SHARE = 0.25;
+
+/**
+ * Periodically re-looks-up recent stored tweets to catch deletions (deleted_at) and edits
+ * (tweet_versions, with the stored text replaced by the latest version). Emits `tweetDeleted`
+ * and `tweetEdited` to clients. Lookups go through the RateLimitManager queue at the lowest
+ * priority and a run stops early when the tweetLookup window runs low.
+ */
+class TweetVerifier {
+    constructor({ twitterService, now = Date.now }) {
+        this.twitterService = twitterService;
+        this.now = now;
+        this.timer = null;
+        this.running = false;
+        this.stats = { runs: 0, checked: 0, deleted: 0, edited: 0, budgetStops: 0, lastRun: null, lastError: null };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.run().catch(error => console.error('❌ Tweet verifier error:', error.message));
+        }, VERIFY_INTERVAL_MS);
+        console.log(`🕵️  Tweet edit/deletion verifier scheduled (${VERIFY_INTERVAL_MS / MINUTE_MS}m interval)`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Verify the least recently checked tweets of the last 48h; returns { checked, deleted, edited }
+     */
+    async run() {
+        if (this.running) return null;
+        this.running = true;
+        const summary = { checked: 0, deleted: [], edited: [] };
+
+        try {
+            const rateLimitManager = this.twitterService.rateLimitManager;
+            const windowLimit = rateLimitManager.limits.tweetLookup?.requests || 0;
+            const reserve = Math.ceil(windowLimit * RESERVE_SHARE);
+            let remaining = await rateLimitManager.getRemaining('tweetLookup');
+
+            const due = await getRepositories().tweets.dueForVerification(this.now() - VERIFY_WINDOW_MS, BATCH_SIZE * MAX_BATCHES);
+            for (let i = 0; i < due.length; i += BATCH_SIZE) {
+                // A batch with edits needs a second lookup for the newer versions
+                if (remaining - 2 < reserve) {
+                    this.stats.budgetStops++;
+                    console.log(`⏸️  Tweet verifier paused: ${remaining} tweetLookup requests left in this window`);
+                    break;
+                }
+                remaining -= await this.verifyBatch(due.slice(i, i + BATCH_SIZE), summary);
+            }
+
+            this.stats.lastError = null;
+        } catch (error) {
+            this.stats.lastError = error.message;
+            throw error;
+        } finally {
+            this.running = false;
+            this.stats.runs++;
+            this.stats.checked += summary.checked;
+            this.stats.deleted += summary.deleted.length;
+            this.stats.edited += summary.edited.length;
+            this.stats.lastRun = new Date(this.now()).toISOString();
+        }
+
+        if (summary.deleted.length || summary.edited.length) {
+            console.log(`🕵️  Verified ${summary.checked} tweets: ${summary.deleted.length} deleted, ${summary.edited.length} edited`);
+        }
+        return { checked: summary.checked, deleted: summary.deleted.map(t => t.id), edited: summary.edited.map(t => t.id) };
+    }
+
+    /**
+     * Look up one batch of stored rows, record what changed; returns the number of requests made
+     */
+    async verifyBatch(rows, summary) {
+        const repos = getRepositories();
+        const now = this.now();
+        const byId = new Map(rows.map(row => [String(row.id), row]));
+
+        const { tweets, deleted } = await this.twitterService.lookupTweets([...byId.keys()]);
+        let requests = 1;
+        summary.checked += rows.length;
+
+        // The lookup doubles as a metrics refresh
+        await repos.tweets.updateMetrics(tweets);
+        await repos.tweetMetrics.record(tweets, now);
+
+        const deletedRows = deleted.map(id => byId.get(id)).filter(Boolean);
+        if (deletedRows.length > 0) {
+            await repos.tweets.markDeleted(deletedRows.map(row => row.id), now);
+            const withEntities = await repos.tweetEntities.attachTo(deletedRows);
+            for (const row of withEntities) {
+                const payload = {
+                    id: row.id,
+                    username: row.username,
+                    url: row.url,
+                    text: row.text,
+                    created_at: new Date(Number(row.created_at_ms)).toISOString(),
+                    deleted_at: new Date(now).toISOString(),
+                    detected_entities: row.detected_entities
+                };
+                summary.deleted.push(payload);
+                console.log(`🗑️  @${row.username} deleted tweet ${row.id}: "${String(row.text).substring(0, 80)}"`);
+                if (global.io) global.io.emit('tweetDeleted', payload);
+            }
+        }
+
+        const edited = tweets.filter(tweet => (tweet.edit_history_tweet_ids || []).length > 1);
+        if (edited.length > 0) {
+            const versionIds = [...new Set(edited.flatMap(tweet => tweet.edit_history_tweet_ids.slice(1)))].slice(0, BATCH_SIZE);
+            const lookup = await this.twitterService.lookupTweets(versionIds);
+            requests++;
+            const versionsById = new Map([...tweets, ...lookup.tweets].map(tweet => [String(tweet.id), tweet]));
+
+            for (const original of edited) {
+                const row = byId.get(String(original.id));
+                if (row) await this.recordEdit(row, original.edit_history_tweet_ids, versionsById, summary);
+            }
+        }
+
+        await repos.tweets.markVerified(rows.filter(row => !deleted.includes(String(row.id))).map(row => row.id), now);
+        return requests;
+    }
+
+    /**
+     * Store the versions of an edited tweet and switch the stored text to the latest one
+     */
+    async recordEdit(row, history, versionsById, summary) {
+        const repos = getRepositories();
+        const versions = history
+            .map((id, i) => ({ tweet: versionsById.get(String(id)), version: i + 1 }))
+            .filter(({ tweet }) => tweet)
+            .map(({ tweet, version }) => ({ id: tweet.id, version, text: tweet.text, created_at: tweet.created_at }));
+        await repos.tweetVersions.addVersions(row.id, versions);
+
+        const latest = versions[versions.length - 1];
+        if (!latest || latest.version !== history.length || latest.text === row.text) return;
+
+        await repos.tweets.updateText(row.id, latest.text);
+        // An edit can add a contract address or ticker
+        const entities = extractTweetEntities({ text: latest.text, entities: versionsById.get(String(latest.id))?.entities });
+        await repos.tweetEntities.saveForTweets([{ tweetId: row.id, entities }]);
+        await repos.tickerMentions.recordForTweets([{
+            tweetId: row.id,
+            tickers: entities.filter(e => e.type === 'cashtag').map(e => e.value)
+        }]);
+
+        const payload = {
+            id: row.id,
+            username: row.username,
+            url: row.url,
+            previous_text: row.text,
+            text: latest.text,
+            version: latest.version,
+            edited_at: latest.created_at,
+            detected_entities: entities
+        };
+        summary.edited.push(payload);
+        console.log(`✏️  @${row.username} edited tweet ${row.id} (version ${latest.version})`);
+        if (global.io) global.io.emit('tweetEdited', payload);
+    }
+
+    getStatus() {
+        return {
+            active: Boolean(this.timer),
+            intervalMs: VERIFY_INTERVAL_MS,
+            windowHours: VERIFY_WINDOW_MS / HOUR_MS,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = TweetVerifier;
@@ -1,28 +1,32 @@
 const { TwitterApi, ETwitterStreamEvent } = require('twitter-api-v2');
-const { getPool } = require('../config/database');
+const { getRepositories } = require('../config/database');
 const RateLimitManager = require('./rateLimitManager');
 const TweetCache = require('./tweetCache');
+const { extractTweetEntities } = require('./entityExtractor');
+const { TWEET_FIELDS, EXPANSIONS, USER_FIELDS, withReferences } = require('./tweetReferences');
+const { MEDIA_FIELDS, withMedia } = require('./tweetMedia');
 const { ALLOWED_USERNAMES } = require('../config/allowlist');
 require('dotenv').config();
 
+// userTimeline reaches back 3200 tweets, 100 per page
+const MAX_CATCH_UP_PAGES = 32;
+
 class TwitterService {
     constructor() {
         this.client = null;
         this.readOnlyClient = null;
         this.stream = null;
         
-        // Window and rate defaults (used for legacy usage tracking/UI only)
-        this.WINDOW_MS = 15 * 60 * 1000; // 15 minutes
-        this.RATE_LIMIT =  (typeof this?.rateLimitManager?.limits?.userTimeline?.requests === 'number')
-            ? this.rateLimitManager.limits.userTimeline.requests
-            : 300;
-        
         // Simple in-memory cache for username -> userId to reduce lookups
         this.userCache = new Map();
         this.USER_CACHE_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
         
         // Initialize smart rate limit manager
         this.rateLimitManager = new RateLimitManager();
+
+        // Window and rate of the plan's timeline endpoint (used for legacy usage tracking/UI only)
+        this.WINDOW_MS = this.rateLimitManager.limits.userTimeline.windowMs;
+        this.RATE_LIMIT = this.rateLimitManager.limits.userTimeline.requests;
         
         // Initialize smart tweet cache for Pro plan optimization
         this.tweetCache = new TweetCache();
@@ -62,27 +66,17 @@ class TwitterService {
      * Load API usage from database on startup
      */
     async loadApiUsage() {
-        const pool = getPool();
+        const { apiUsage } = getRepositories();
         const now = Date.now();
         const today = new Date().toISOString().split('T')[0];
 
         try {
             // Get current window usage
             const windowStart = Math.floor(now / this.WINDOW_MS) * this.WINDOW_MS;
-            const [windowRows] = await pool.execute(
-                'SELECT requests_count FROM api_usage WHERE window_start = ?',
-                [windowStart]
-            );
-
-            // Get daily usage
-            const [dailyRows] = await pool.execute(
-                'SELECT daily_requests FROM api_usage WHERE daily_date = ?',
-                [today]
-            );
 
-            this.apiUsage.requests = windowRows.length > 0 ? windowRows[0].requests_count : 0;
+            this.apiUsage.requests = await apiUsage.getWindowRequests(windowStart);
             this.apiUsage.windowStart = windowStart;
-            this.apiUsage.dailyRequests = dailyRows.length > 0 ? dailyRows[0].daily_requests : 0;
+            this.apiUsage.dailyRequests = await apiUsage.getDailyRequests(today);
             this.apiUsage.dailyStart = new Date().toDateString();
 
             console.log(`📊 API Usage loaded: ${this.apiUsage.requests}/${this.RATE_LIMIT} (${Math.floor(this.WINDOW_MS/60000)}min) | ${this.apiUsage.dailyRequests} today`);
@@ -95,19 +89,16 @@ class TwitterService {
      * Save API usage to database
      */
     async saveApiUsage() {
-        const pool = getPool();
         const today = new Date().toISOString().split('T')[0];
 
         try {
             // Save/update usage data
-            await pool.execute(
-                `INSERT INTO api_usage (window_start, requests_count, daily_date, daily_requests)
-                 VALUES (?, ?, ?, ?)
-                 ON DUPLICATE KEY UPDATE 
-                 requests_count = VALUES(requests_count),
-                 daily_requests = VALUES(daily_requests)`,
-                [this.apiUsage.windowStart, this.apiUsage.requests, today, this.apiUsage.dailyRequests]
-            );
+            await getRepositories().apiUsage.save({
+                windowStart: this.apiUsage.windowStart,
+                requests: this.apiUsage.requests,
+                date: today,
+                dailyRequests: this.apiUsage.dailyRequests
+            });
         } catch (error) {
             console.error('❌ Error saving API usage:', error.message);
         }
@@ -169,7 +160,7 @@ class TwitterService {
             const result = await this.rateLimitManager.queueRequest(
                 async () => {
                     const response = await this.readOnlyClient.v2.userByUsername(username);
-                    return { data: response, headers: response._headers };
+                    return { data: response, headers: response._headers, rateLimit: response.rateLimit };
                 },
                 'userLookup',
                 1, // High priority
@@ -216,10 +207,13 @@ class TwitterService {
             }
 
             // Prepare options for the request - PRO PLAN AGGRESSIVE
+            // Retweets, quotes and replies included, with the tweets they reference expanded
             let options = {
                 max_results: prioritizeNew ? 100 : 10,
-                'tweet.fields': ['created_at', 'public_metrics', 'author_id', 'conversation_id'],
-                exclude: ['retweets']
+                'tweet.fields': TWEET_FIELDS,
+                'user.fields': USER_FIELDS,
+                'media.fields': MEDIA_FIELDS,
+                expansions: EXPANSIONS
             };
 
             // For new tweet focus, add since_id to only get tweets newer than what we have
@@ -241,7 +235,7 @@ class TwitterService {
                 async () => {
                     console.log(`🚀 PRO PLAN: Making API call for @${username} (${prioritizeNew ? 'FRESH' : 'BACKFILL'})`);
                     const response = await this.readOnlyClient.v2.userTimeline(userId, options);
-                    return { data: response, headers: response._headers };
+                    return { data: response, headers: response._headers, rateLimit: response.rateLimit };
                 },
                 'userTimeline',
                 priority,
@@ -250,9 +244,11 @@ class TwitterService {
 
             const tweetsArray = [];
             for await (const tweet of result.data) {
-                // Enrich with thread/reply hints if present in includes (future-proof)
                 tweetsArray.push(tweet);
             }
+            // Attach quoted / retweeted / replied-to tweets and media from the (all pages') includes
+            const includes = result.data.includes;
+            tweetsArray.forEach((tweet, i) => { tweetsArray[i] = withMedia(withReferences(tweet, includes), includes); });
 
             // Cache fresh tweets for future use (PRO PLAN OPTIMIZATION)
             if (prioritizeNew && tweetsArray.length > 0) {
@@ -272,6 +268,86 @@ class TwitterService {
         }
     }
 
+    /**
+     * Tweets an account posted during a stream outage that are not stored yet. Uses the newest
+     * stored tweet before the outage as since_id (start_time when there is none) and the
+     * reconnect time as end_time, so tweets the stream delivers afterwards are not refetched.
+     * Pages through next_token until the whole window is covered.
+     */
+    async fetchMissedTweets(username, { from, to }) {
+        try {
+            const userId = await this.getUserId(username);
+            if (!userId) return [];
+
+            const repo = getRepositories().tweets;
+            const options = {
+                max_results: 100,
+                'tweet.fields': TWEET_FIELDS,
+                'user.fields': USER_FIELDS,
+                'media.fields': MEDIA_FIELDS,
+                expansions: EXPANSIONS,
+                end_time: new Date(to).toISOString()
+            };
+            const sinceId = await repo.latestIdBefore(username, from);
+            if (sinceId) {
+                options.since_id = sinceId;
+            } else {
+                options.start_time = new Date(from).toISOString();
+            }
+
+            const tweets = [];
+            let nextToken = null;
+            for (let page = 1; page <= MAX_CATCH_UP_PAGES; page++) {
+                const pageOptions = nextToken ? { ...options, pagination_token: nextToken } : options;
+                const result = await this.rateLimitManager.queueRequest(
+                    async () => {
+                        console.log(`⏪ Catch-up API call for @${username} (page ${page})`);
+                        const response = await this.readOnlyClient.v2.userTimeline(userId, pageOptions);
+                        return { data: response, headers: response._headers, rateLimit: response.rateLimit };
+                    },
+                    'userTimeline',
+                    2,
+                    username
+                );
+
+                const includes = result.data.includes;
+                tweets.push(...(result.data.tweets || []).map(tweet => withMedia(withReferences(tweet, includes), includes)));
+                nextToken = result.data.meta?.next_token;
+                if (!nextToken) break;
+            }
+
+            const known = await repo.existingIds(tweets.map(t => t.id));
+            return tweets.filter(t => !known.has(t.id));
+        } catch (error) {
+            console.error(`❌ Catch-up error for @${username}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Look up tweets by id (at most 100) at the lowest queue priority. Returns { tweets, deleted }:
+     * the tweets X still serves (with edit_history_tweet_ids and public_metrics) and the ids it
+     * reports as not found.
+     * Ids withheld for other reasons (protected or suspended authors) are in neither list.
+     */
+    async lookupTweets(ids) {
+        const result = await this.rateLimitManager.queueRequest(
+            async () => {
+                const response = await this.readOnlyClient.v2.tweets(ids, {
+                    'tweet.fields': ['created_at', 'edit_history_tweet_ids', 'entities', 'public_metrics']
+                });
+                return { data: response, headers: response._headers, rateLimit: response.rateLimit };
+            },
+            'tweetLookup',
+            0
+        );
+
+        const deleted = (result.data.errors || [])
+            .filter(error => error.resource_type === 'tweet' && /not found/i.test(error.title || ''))
+            .map(error => String(error.resource_id || error.value));
+        return { tweets: result.data.data || [], deleted };
+    }
+
     /**
      * Setup real-time streaming using Twitter API v2 Filtered Stream
      */
@@ -345,9 +421,10 @@ class TwitterService {
 
             // Prepare the filtered stream (manual connect)
             this.stream = this.readOnlyClient.v2.searchStream({
-                'tweet.fields': ['created_at', 'public_metrics', 'author_id'],
-                'user.fields': ['username'],
-                expansions: ['author_id'],
+                'tweet.fields': TWEET_FIELDS,
+                'user.fields': USER_FIELDS,
+                'media.fields': MEDIA_FIELDS,
+                expansions: EXPANSIONS,
                 autoConnect: false
             });
 
@@ -356,21 +433,23 @@ class TwitterService {
             // Handle incoming tweets
             this.stream.on(ETwitterStreamEvent.Data, async (tweet) => {
                 try {
-                    const authorId = tweet.data.author_id;
+                    const data = withMedia(withReferences(tweet.data, tweet.includes), tweet.includes);
+                    const authorId = data.author_id;
                     const username = userMap.get(authorId) || 'unknown';
                     const isTestAccount = testAccounts.includes(username);
 
                     // Emit first for near-zero latency, then notify & save in background
                     const payload = [{
-                        ...tweet.data,
+                        ...data,
                         username,
                         isTest: isTestAccount,
-                        url: `https://twitter.com/${username}/status/${tweet.data.id}`,
+                        url: `https://twitter.com/${username}/status/${data.id}`,
+                        detected_entities: extractTweetEntities(data),
                         tweetType: 'realtime' // Mark as real-time stream tweet
                     }];
 
                     // Update in-memory cache for instant UI
-                    try { this.tweetCache.addNewTweet(username, tweet.data); } catch {}
+                    try { this.tweetCache.addNewTweet(username, data); } catch {}
 
                     // Emit to connected clients via socket.io
                     const io = global.io;
@@ -386,9 +465,9 @@ class TwitterService {
                     }
 
                     // Persist asynchronously (do not block live path)
-                    this.saveTweetsToDb([tweet.data], username)
+                    this.saveTweetsToDb([data], username)
                         .then(() => {
-                            console.log(`${isTestAccount ? '🧪 TEST FEED' : '🚨🔥 INSTANT ALPHA'} @${username}: "${tweet.data.text.substring(0, 100)}..."`);
+                            console.log(`${isTestAccount ? '🧪 TEST FEED' : '🚨🔥 INSTANT ALPHA'} @${username}: "${data.text.substring(0, 100)}..."`);
                         })
                         .catch((e) => {
                             if (!String(e?.message || '').includes('Duplicate entry')) {
@@ -437,13 +516,8 @@ class TwitterService {
      * Get latest tweet ID from database
      */
     async getLatestTweetId(username) {
-        const pool = getPool();
         try {
-            const [rows] = await pool.execute(
-                'SELECT id FROM cz_tweets WHERE username = ? ORDER BY created_at DESC LIMIT 1',
-                [username]
-            );
-            return rows.length > 0 ? rows[0].id : null;
+            return await getRepositories().tweets.latestIdFor(username);
         } catch (error) {
             console.error(`❌ Error getting latest tweet ID for @${username}:`, error.message);
             return null;
@@ -454,13 +528,8 @@ class TwitterService {
      * Get oldest tweet ID from database
      */
     async getOldestTweetId(username) {
-        const pool = getPool();
         try {
-            const [rows] = await pool.execute(
-                'SELECT id FROM cz_tweets WHERE username = ? ORDER BY created_at ASC LIMIT 1',
-                [username]
-            );
-            return rows.length > 0 ? rows[0].id : null;
+            return await getRepositories().tweets.oldestIdFor(username);
         } catch (error) {
             console.error(`❌ Error getting oldest tweet ID for @${username}:`, error.message);
             return null;
@@ -471,13 +540,8 @@ class TwitterService {
      * Get tweet count for username from database
      */
     async getTweetCount(username) {
-        const pool = getPool();
         try {
-            const [rows] = await pool.execute(
-                'SELECT COUNT(*) as count FROM cz_tweets WHERE username = ?',
-                [username]
-            );
-            return rows.length > 0 ? rows[0].count : 0;
+            return await getRepositories().tweets.countFor(username);
         } catch (error) {
             console.error(`❌ Error getting tweet count for @${username}:`, error.message);
             return 0;
@@ -488,56 +552,26 @@ class TwitterService {
      * Save tweets to database
      */
     async saveTweetsToDb(tweets, username) {
-        const pool = getPool();
         if (!tweets || tweets.length === 0) {
             return;
         }
 
-        // Batch insert to reduce DB calls
-        const BATCH_SIZE = 25;
-        for (let i = 0; i < tweets.length; i += BATCH_SIZE) {
-            const batch = tweets.slice(i, i + BATCH_SIZE);
-            const rows = batch.map(tweet => {
-                const created = new Date(tweet.created_at);
-                const createdMs = Number.isFinite(created.getTime()) ? created.getTime() : Number((BigInt(String(tweet.id)) >> 22n) + 1288834974657n);
-                return [
-                    tweet.id,
-                    tweet.text,
-                    created,
-                    createdMs,
-                    tweet.public_metrics?.retweet_count || 0,
-                    tweet.public_metrics?.like_count || 0,
-                    tweet.public_metrics?.reply_count || 0,
-                    tweet.public_metrics?.quote_count || 0,
-                    tweet.public_metrics?.impression_count || 0,
-                    `https://twitter.com/${username}/status/${tweet.id}`,
-                    username
-                ];
-            });
-
-            const placeholders = rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
-            const flatParams = rows.flat();
-
-            try {
-                await pool.execute(
-                    `INSERT INTO cz_tweets
-                    (id, text, created_at, created_at_ms, retweet_count, like_count, reply_count, quote_count, impression_count, url, username)
-                    VALUES ${placeholders}
-                    ON DUPLICATE KEY UPDATE
-                    created_at = VALUES(created_at),
-                    created_at_ms = VALUES(created_at_ms),
-                    retweet_count = VALUES(retweet_count),
-                    like_count = VALUES(like_count),
-                    reply_count = VALUES(reply_count),
-                    quote_count = VALUES(quote_count),
-                    impression_count = VALUES(impression_count)`,
-                    flatParams
-                );
-                console.log(`💾 Saved @${username} tweets: ${batch.length}`);
-            } catch (error) {
-                if (!String(error.message || '').includes('Duplicate entry')) {
-                    console.error(`❌ Error saving tweet batch for @${username}:`, error.message);
-                }
+        try {
+            const repos = getRepositories();
+            const saved = await repos.tweets.upsertMany(tweets, username);
+            await repos.tweetReferences.saveForTweets(tweets);
+            await repos.tweetMedia.saveForTweets(tweets);
+            await repos.tweetMetrics.record(tweets, Date.now());
+            const extracted = tweets.map(tweet => ({ tweetId: tweet.id, entities: extractTweetEntities(tweet) }));
+            const entities = await repos.tweetEntities.saveForTweets(extracted);
+            await repos.tickerMentions.recordForTweets(extracted.map(({ tweetId, entities }) => ({
+                tweetId,
+                tickers: entities.filter(e => e.type === 'cashtag').map(e => e.value)
+            })));
+            console.log(`💾 Saved @${username} tweets: ${saved}${entities ? ` (${entities} entities)` : ''}`);
+        } catch (error) {
+            if (!String(error.message || '').includes('Duplicate entry')) {
+                console.error(`❌ Error saving tweets for @${username}:`, error.message);
             }
         }
     }
@@ -548,6 +582,7 @@ class TwitterService {
     closeStream() {
         if (this.stream) {
             this.stream.close();
+            this.stream = null;
             console.log('🔴 Stream connection closed');
         }
     }
@@ -573,10 +608,10 @@ class TwitterService {
         return {
             // Legacy format for backwards compatibility
             ...this.apiUsage,
-            rateLimit: totalLimit || 300,
-            windowMs: 15 * 60 * 1000,
+            rateLimit: totalLimit || this.RATE_LIMIT,
+            windowMs: this.WINDOW_MS,
             timeUntilReset,
-            usagePercentage: maxUsagePercentage || Math.round((this.apiUsage.requests / 300) * 100),
+            usagePercentage: maxUsagePercentage || Math.round((this.apiUsage.requests / this.RATE_LIMIT) * 100),
             
             // New detailed rate limit data
             detailed: rateLimitStatus,
@@ -585,6 +620,7 @@ class TwitterService {
                 totalLimit,
                 maxUsagePercentage,
                 plan: this.rateLimitManager.currentPlan,
+                planDescription: this.rateLimitManager.plan.description,
                 queueLength: this.rateLimitManager.requestQueue.length,
                 isProcessingQueue: this.rateLimitManager.isProcessingQueue
             }
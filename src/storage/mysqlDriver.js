@@ -0,0 +1,110 @@
+const mysql = require('mysql2/promise');
+
+/**
+ * MySQL / PlanetScale storage driver (mysql2 connection pool)
+ */
+class MySqlDriver {
+    constructor(url) {
+        this.dialect = 'mysql';
+        this.url = url;
+        this.pool = null;
+    }
+
+    /**
+     * Create the connection pool and verify connectivity
+     */
+    async connect() {
+        // Extract optional ssl param from query string for PlanetScale, e.g. ssl={"rejectUnauthorized":true}
+        let ssl = false;
+        const sslParam = this.url.searchParams.get('ssl');
+        if (sslParam) {
+            try {
+                ssl = JSON.parse(sslParam);
+            } catch {
+                // fallback: if value is like {rejectUnauthorized:true}
+                try { ssl = eval('(' + sslParam + ')'); } catch {}
+            }
+        }
+
+        // Default SSL behavior: in production, enforce TLS; otherwise permissive
+        if (!ssl) {
+            ssl = process.env.NODE_ENV === 'production' ? { rejectUnauthorized: true } : { rejectUnauthorized: false };
+        }
+
+        this.pool = mysql.createPool({
+            host: this.url.hostname,
+            port: this.url.port || 3306,
+            user: this.url.username,
+            password: this.url.password,
+            database: this.url.pathname.substring(1),
+            waitForConnections: true,
+            connectionLimit: 10,
+            queueLimit: 0,
+            connectTimeout: 60000,
+            ssl,
+            timezone: 'Z',
+            dateStrings: true
+        });
+
+        // Test the connection and enforce UTC at session level
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.execute("SET time_zone = '+00:00'");
+        } catch {}
+        connection.release();
+    }
+
+    /**
+     * Execute a parameterized statement; resolves to [rows|result, fields] like mysql2
+     */
+    execute(sql, params = []) {
+        return this.pool.execute(sql, params);
+    }
+
+    async close() {
+        if (this.pool) {
+            await this.pool.end();
+            this.pool = null;
+        }
+    }
+
+    /**
+     * INSERT that silently skips rows violating a unique key
+     */
+    insertIgnore() {
+        return 'INSERT IGNORE';
+    }
+
+    /**
+     * Upsert suffix. assignments maps column -> SQL expression, or null to take the inserted value.
+     * conflictKeys is only used by SQLite; MySQL matches on any unique key.
+     */
+    onConflict(conflictKeys, assignments) {
+        const sets = Object.entries(assignments)
+            .map(([column, expr]) => `${column} = ${expr === null ? this.inserted(column) : expr}`);
+        return `ON DUPLICATE KEY UPDATE ${sets.join(', ')}`;
+    }
+
+    /**
+     * Reference to the value being inserted, for use inside onConflict() expressions
+     */
+    inserted(column) {
+        return `VALUES(${column})`;
+    }
+
+    /**
+     * Milliseconds since epoch for a TIMESTAMP column
+     */
+    epochMs(column) {
+        return `(UNIX_TIMESTAMP(${column}) * 1000)`;
+    }
+
+    /**
+     * Hour bucket label ('YYYY-MM-DD HH:00:00') for a TIMESTAMP column
+     */
+    hourBucket(column) {
+        return `DATE_FORMAT(${column}, '%Y-%m-%d %H:00:00')`;
+    }
+}
+
+module.exports = MySqlDriver;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC, second precision)
+ * so stored values compare correctly as strings.
+ */
+function toSqlDateTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function toSqliteValue(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return Number.isFinite(value.getTime()) ? toSqlDateTime(value) : null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+/**
+ * Embedded SQLite storage driver for local development and tests.
+ * Exposes the same promise-returning execute() shape as mysql2 so repositories stay dialect-agnostic.
+ */
+class SqliteDriver {
+    constructor(filename) {
+        this.dialect = 'sqlite';
+        this.filename = filename;
+        this.db = null;
+    }
+
+    async connect() {
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+        }
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+
+        // SQLite parses "x REGEXP y" but ships no implementation; provide MySQL-compatible semantics
+        const patterns = new Map();
+        this.db.function('regexp', { deterministic: true }, (pattern, value) => {
+            if (value === null || value === undefined) return null;
+            if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern, 'i'));
+            return patterns.get(pattern).test(String(value)) ? 1 : 0;
+        });
+        // REGEXP_LIKE(value, pattern, match_type) with MySQL's 'c' (case-sensitive) and 'i' match types
+        const typedPatterns = new Map();
+        this.db.function('regexp_like', { deterministic: true }, (value, pattern, matchType) => {
+            if (value === null || value === undefined) return null;
+            const key = `${matchType}:${pattern}`;
+            if (!typedPatterns.has(key)) typedPatterns.set(key, new RegExp(pattern, matchType === 'c' ? '' : 'i'));
+            return typedPatterns.get(key).test(String(value)) ? 1 : 0;
+        });
+    }
+
+    /**
+     * Execute a parameterized statement; resolves to [rows|result, fields] like mysql2
+     */
+    async execute(sql, params = []) {
+        const statement = this.db.prepare(sql);
+        const values = params.map(toSqliteValue);
+
+        if (statement.reader) {
+            return [statement.all(values), []];
+        }
+
+        const info = statement.run(values);
+        return [{ affectedRows: info.changes, insertId: Number(info.lastInsertRowid) }, undefined];
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    insertIgnore() {
+        return 'INSERT OR IGNORE';
+    }
+
+    /**
+     * Upsert suffix. assignments maps column -> SQL expression, or null to take the inserted value.
+     * A null conflictKeys matches any unique constraint, mirroring MySQL's ON DUPLICATE KEY.
+     */
+    onConflict(conflictKeys, assignments) {
+        const target = conflictKeys ? `(${conflictKeys.join(', ')})` : '';
+        const sets = Object.entries(assignments)
+            .map(([column, expr]) => `${column} = ${expr === null ? this.inserted(column) : expr}`);
+        return `ON CONFLICT${target} DO UPDATE SET ${sets.join(', ')}`;
+    }
+
+    inserted(column) {
+        return `excluded.${column}`;
+    }
+
+    epochMs(column) {
+        return `(CAST(strftime('%s', ${column}) AS INTEGER) * 1000)`;
+    }
+
+    hourBucket(column) {
+        return `strftime('%Y-%m-%d %H:00:00', ${column})`;
+    }
+}
+
+module.exports = SqliteDriver;
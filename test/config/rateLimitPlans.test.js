@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getPlans } = require('../../src/config/rateLimitPlans');
+
+const MINUTE_MS = 60 * 1000;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plans-'));
+
+/**
+ * Resolve the built-in plans plus the given custom definitions
+ */
+function plansWith(definitions) {
+    const file = path.join(dir, 'plans.json');
+    fs.writeFileSync(file, JSON.stringify(definitions));
+    process.env.TWITTER_PLANS_FILE = file;
+    return getPlans({ reload: true });
+}
+
+after(() => {
+    delete process.env.TWITTER_PLANS_FILE;
+    getPlans({ reload: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a plan window applies to inherited endpoints unless an endpoint sets its own', () => {
+    const { hourly } = plansWith({
+        hourly: {
+            extends: 'pro',
+            windowMs: 60 * MINUTE_MS,
+            endpoints: {
+                userTimeline: { requests: 1000, providerLimit: 1200 },
+                tweetLookup: { windowMs: 24 * 60 * MINUTE_MS }
+            }
+        }
+    });
+    assert.equal(hourly.windowMs, 60 * MINUTE_MS);
+    assert.deepEqual(hourly.endpoints.userLookup, { requests: 900, providerLimit: 1000, windowMs: 60 * MINUTE_MS });
+    assert.deepEqual(hourly.endpoints.userTimeline, { requests: 1000, providerLimit: 1200, windowMs: 60 * MINUTE_MS });
+    assert.deepEqual(hourly.endpoints.tweetLookup, { requests: 400, providerLimit: 450, windowMs: 24 * 60 * MINUTE_MS });
+});
+
+test('without a window of its own, a plan keeps the windows it inherits', () => {
+    const { daily, derived } = plansWith({
+        daily: { extends: 'basic', endpoints: { tweetLookup: { requests: 15, windowMs: 24 * 60 * MINUTE_MS } } },
+        derived: { extends: 'daily', endpoints: { userTimeline: { requests: 50 } } }
+    });
+    assert.equal(derived.windowMs, 15 * MINUTE_MS);
+    assert.equal(derived.endpoints.tweetLookup.windowMs, daily.endpoints.tweetLookup.windowMs);
+    assert.deepEqual(derived.endpoints.userTimeline, { requests: 50, providerLimit: 75, windowMs: 15 * MINUTE_MS });
+});
+
+test('invalid and incomplete plans are rejected', () => {
+    assert.throws(() => plansWith({ broken: { extends: 'pro', endpoints: { userTimeline: { requests: 0 } } } }), /requests must be a positive integer/);
+    assert.throws(() => plansWith({ tight: { extends: 'pro', endpoints: { userTimeline: { requests: 500 } } } }), /providerLimit must be an integer of at least 500/);
+    assert.throws(() => plansWith({ partial: { endpoints: { userTimeline: { requests: 10 } } } }), /has no limits for userLookup/);
+    assert.throws(() => plansWith({ loop: { extends: 'loop' } }), /extends itself/);
+});
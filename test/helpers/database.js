@@ -0,0 +1,39 @@
+const { createDriver } = require('../../src/storage');
+const { createRepositories } = require('../../src/repositories');
+const { migrate } = require('../../src/config/migrator');
+
+/**
+ * A migrated in-memory SQLite database with its repositories: { db, repos }
+ */
+async function createTestDatabase() {
+    const db = createDriver('sqlite::memory:');
+    await db.connect();
+    await migrate(db);
+    return { db, repos: createRepositories(db) };
+}
+
+/**
+ * Point the shared connection (getRepositories()) at a fresh in-memory database, for services
+ * that look their repositories up themselves. Each test file runs in its own process.
+ */
+async function useTestDatabase() {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+    process.env.DB_AUTO_MIGRATE = 'true';
+    const { initializeDB, getRepositories } = require('../../src/config/database');
+    await initializeDB();
+    return getRepositories();
+}
+
+/**
+ * Twitter API v2 tweet object as the timeline endpoints return it
+ */
+function apiTweet(id, createdMs, text = `tweet ${id}`, metrics = {}) {
+    return {
+        id: String(id),
+        text,
+        created_at: new Date(createdMs).toISOString(),
+        public_metrics: { like_count: 0, retweet_count: 0, reply_count: 0, quote_count: 0, ...metrics }
+    };
+}
+
+module.exports = { createTestDatabase, useTestDatabase, apiTweet };
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Axios-compatible stub that answers GETs from JSON fixture files.
+ * `routes` maps a URL ending to a file name, or to (params) => file name; unmapped URLs reject like a 404.
+ * Every request is kept in `requests` so tests can assert on what was called.
+ */
+function createFixtureHttp(dir, routes) {
+    const requests = [];
+
+    return {
+        requests,
+
+        async get(url, config = {}) {
+            requests.push({ url, params: config.params || {} });
+            const route = Object.keys(routes).find(ending => url.endsWith(ending));
+            const file = typeof routes[route] === 'function' ? routes[route](config.params || {}) : routes[route];
+            if (!file) {
+                const error = new Error('Request failed with status code 404');
+                error.response = { status: 404, data: null };
+                throw error;
+            }
+            return { status: 200, data: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) };
+        }
+    };
+}
+
+module.exports = { createFixtureHttp };
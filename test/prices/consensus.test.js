@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConsensus } = require('../../src/prices/consensus');
+
+const fetchedAt = Date.parse('2025-01-01T00:00:00Z');
+
+test('the consensus price is the median quote', () => {
+    const odd = buildConsensus([
+        { provider: 'coingecko', price: 2.41, change24h: -3.4, fetchedAt },
+        { provider: 'binance', price: 2.42, change24h: -3, fetchedAt },
+        { provider: 'coinmarketcap', price: 2.40, change24h: null, fetchedAt }
+    ], 5);
+    assert.equal(odd.price, 2.41);
+    assert.equal(odd.change24h, -3.2);
+    assert.equal(odd.provenance.method, 'median');
+    assert.equal(odd.provenance.sources[0].fetchedAt, '2025-01-01T00:00:00.000Z');
+
+    const even = buildConsensus([
+        { provider: 'coingecko', price: 100, change24h: 1, fetchedAt },
+        { provider: 'binance', price: 102, change24h: 3, fetchedAt }
+    ], 5);
+    assert.equal(even.price, 101);
+    assert.equal(even.change24h, 2);
+});
+
+test('divergence is the quote spread relative to the price, flagged above the threshold', () => {
+    const quotes = [
+        { provider: 'coingecko', price: 100, fetchedAt },
+        { provider: 'dexscreener', price: 110, fetchedAt }
+    ];
+    const consensus = buildConsensus(quotes, 5);
+    assert.equal(consensus.provenance.divergencePct, 9.52);
+    assert.equal(consensus.provenance.divergent, true);
+    assert.equal(buildConsensus(quotes, 10).provenance.divergent, false);
+});
+
+test('a single quote is used as-is', () => {
+    const single = buildConsensus([{ provider: 'dexscreener', price: 0.5, change24h: null, fetchedAt }], 5);
+    assert.equal(single.price, 0.5);
+    assert.equal(single.change24h, null);
+    assert.deepEqual([single.provenance.method, single.provenance.divergencePct, single.provenance.divergent], ['single', 0, false]);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createRecordingHttp } = require('../../src/prices/recordingHttp');
+const DexScreenerProvider = require('../../src/prices/dexScreenerProvider');
+const BinanceProvider = require('../../src/prices/binanceProvider');
+
+// Recorded provider responses (see PRICE_FIXTURES_MODE=record)
+const http = createRecordingHttp({ http: null, mode: 'replay', dir: path.join(__dirname, '..', 'fixtures', 'prices') });
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+
+test('DexScreener resolves a contract to its deepest pool as base token', async () => {
+    const tokens = await new DexScreenerProvider({ http }).getTokens([WIF]);
+    const wif = tokens.get(WIF);
+    assert.equal(wif.pairAddress, 'WifMainPool1111111111111111111111111111111');
+    assert.equal(wif.price, 2.41);
+    assert.equal(wif.liquidityUsd, 5200000);
+    assert.equal(wif.fdv, 2410000000);
+    assert.equal(wif.volume24h, 41000000);
+    assert.equal(wif.pairCreatedAt, '2023-11-14T22:13:20.000Z');
+    assert.ok(wif.pairAgeHours > 0);
+});
+
+test('DexScreener quotes tweeted contracts first and falls back to a liquid symbol match', async () => {
+    const quotes = await new DexScreenerProvider({ http }).getQuotes(['WIF', 'BONK'], {
+        addresses: new Map([['WIF', [WIF]]])
+    });
+    assert.equal(quotes.get('WIF').address, WIF);
+    assert.equal(quotes.get('WIF').change24h, -3.4);
+    // The copycat pool is too thin and BONKER is a different symbol
+    assert.equal(quotes.get('BONK').pairAddress, 'BonkMainPool11111111111111111111111111111');
+    assert.equal(quotes.get('BONK').price, 0.00002);
+});
+
+test('Binance quotes listed pairs and remembers unlisted ones', async () => {
+    const binance = new BinanceProvider({ http });
+    const quotes = await binance.getQuotes(['WIF', 'BONK']);
+    assert.deepEqual(quotes.get('WIF'), { price: 2.42, change24h: -3.32 });
+    assert.equal(quotes.has('BONK'), false);
+    assert.equal(binance.isUnlisted('BONK'), true);
+});
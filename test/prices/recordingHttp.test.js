@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecordingHttp } = require('../../src/prices/recordingHttp');
+
+/**
+ * Stub client answering from a { url: { status, data } } table, counting calls
+ */
+function stubHttp(responses) {
+    return {
+        calls: 0,
+        async get(url) {
+            this.calls++;
+            const response = responses[url];
+            if (response.status >= 400) {
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.response = response;
+                throw error;
+            }
+            return response;
+        }
+    };
+}
+
+test('record writes every response, errors included, and replay serves them without a client', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    const http = stubHttp({
+        'https://example.test/ok': { status: 200, data: { price: 1.5 } },
+        'https://example.test/missing': { status: 404, data: { error: 'not found' } }
+    });
+
+    const recorder = createRecordingHttp({ http, mode: 'record', dir });
+    assert.deepEqual((await recorder.get('https://example.test/ok', { params: { b: 2, a: 1 } })).data, { price: 1.5 });
+    await assert.rejects(recorder.get('https://example.test/missing'), /status code 404/);
+    assert.equal(fs.readdirSync(dir).length, 2);
+
+    const replayer = createRecordingHttp({ http: null, mode: 'replay', dir });
+    // Params are keyed in sorted order, so their order in the call does not matter
+    assert.deepEqual((await replayer.get('https://example.test/ok', { params: { a: 1, b: 2 } })).data, { price: 1.5 });
+    await assert.rejects(replayer.get('https://example.test/missing'), error => error.response.status === 404);
+    await assert.rejects(replayer.get('https://example.test/never'), { code: 'FIXTURE_MISSING' });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('responses are cached for cacheTtlMs', async () => {
+    const http = stubHttp({ 'https://example.test/ok': { status: 200, data: 1 } });
+    const cached = createRecordingHttp({ http, cacheTtlMs: 60000 });
+    await cached.get('https://example.test/ok');
+    await cached.get('https://example.test/ok');
+    assert.equal(http.calls, 1);
+
+    const uncached = createRecordingHttp({ http });
+    await uncached.get('https://example.test/ok');
+    await uncached.get('https://example.test/ok');
+    assert.equal(http.calls, 3);
+});
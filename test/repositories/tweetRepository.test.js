@@ -0,0 +1,75 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, apiTweet } = require('../helpers/database');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.now();
+let repos;
+
+before(async () => {
+    ({ repos } = await createTestDatabase());
+    await repos.tweets.upsertMany([
+        apiTweet('1001', now - 30 * HOUR_MS, 'old $BTC call', { like_count: 50 }),
+        apiTweet('1002', now - 3 * HOUR_MS, 'gm', { like_count: 5 }),
+        apiTweet('1003', now - 2 * HOUR_MS, 'new $SOL pick', { like_count: 500 })
+    ], 'alice');
+    await repos.tweets.upsertMany([apiTweet('2001', now - HOUR_MS, 'hello from bob', { like_count: 1 })], 'bob');
+});
+
+test('upsertMany refreshes metrics of stored tweets instead of duplicating them', async () => {
+    await repos.tweets.upsertMany([apiTweet('1002', now - 3 * HOUR_MS, 'gm', { like_count: 7 })], 'alice');
+    const row = await repos.tweets.findById('1002');
+    assert.equal(Number(row.like_count), 7);
+    assert.equal(await repos.tweets.countFor('alice'), 3);
+});
+
+test('latestIdFor returns the newest tweet of an account', async () => {
+    assert.equal(await repos.tweets.latestIdFor('alice'), '1003');
+    assert.equal(await repos.tweets.latestIdFor('nobody'), null);
+});
+
+test('window filters by created_at_ms and account, newest first', async () => {
+    const rows = await repos.tweets.window(24);
+    assert.deepEqual(rows.map(row => row.id), ['2001', '1003', '1002']);
+    const alice = await repos.tweets.window(24, ['alice']);
+    assert.deepEqual(alice.map(row => row.id), ['1003', '1002']);
+    assert.deepEqual(await repos.tweets.window(24, []), []);
+});
+
+test('page walks every tweet once with keyset cursors', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+        const page = await repos.tweets.page({ limit: 2, cursor: cursor && repos.tweets.constructor.decodeCursor(cursor) });
+        seen.push(...page.rows.map(row => row.id));
+        cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['2001', '1003', '1002', '1001']);
+});
+
+test('page sorts by engagement and applies filters', async () => {
+    const { rows } = await repos.tweets.page({ sort: 'engagement', hasTicker: true });
+    assert.deepEqual(rows.map(row => row.id), ['1003', '1001']);
+    const recent = await repos.tweets.page({ since: now - 24 * HOUR_MS, usernames: ['alice'] });
+    assert.deepEqual(recent.rows.map(row => row.id), ['1003', '1002']);
+});
+
+test('statsByAccount totals tweets and engagement per account', async () => {
+    const stats = await repos.tweets.statsByAccount();
+    const alice = stats.find(row => row.username === 'alice');
+    assert.equal(alice.tweets, 3);
+    assert.equal(alice.engagement, 557);
+});
+
+test('usernames are stored lowercase and matched case-insensitively', async () => {
+    await repos.tweets.upsertMany([apiTweet('3001', now - HOUR_MS, 'CA 0x' + 'a'.repeat(40))], 'Carol');
+    await repos.tweetEntities.saveForTweets([{ tweetId: '3001', entities: [{ type: 'contract', chain: 'evm', value: '0x' + 'a'.repeat(40) }] }]);
+
+    assert.equal((await repos.tweets.findById('3001')).username, 'carol');
+    assert.equal(await repos.tweets.latestIdFor('CAROL'), '3001');
+    const history = await repos.tweets.postingHistory(['Carol', 'alice'], now - 24 * HOUR_MS);
+    assert.deepEqual(
+        history.map(row => [row.username, row.alpha]).sort(),
+        [['alice', false], ['alice', false], ['carol', true]]
+    );
+});
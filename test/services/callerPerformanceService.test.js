@@ -0,0 +1,35 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('../helpers/database');
+const CallerPerformanceService = require('../../src/services/callerPerformanceService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.UTC(2026, 0, 1);
+const performance = new CallerPerformanceService();
+
+/**
+ * Store a call by `username` priced at `entry` on mention and `exit` 24h later
+ */
+async function recordCall(repos, username, tweetId, entry, exit) {
+    const call = { ticker: 'WIF', username, tweet_id: tweetId, mentioned_at_ms: start };
+    await repos.priceSnapshots.schedule(call, { mention: 0, '24h': 24 * HOUR_MS });
+    const due = await repos.priceSnapshots.due(start + 24 * HOUR_MS);
+    for (const snapshot of due.filter(s => s.tweet_id === tweetId)) {
+        const price = snapshot.horizon === 'mention' ? entry : exit;
+        await repos.priceSnapshots.markCaptured(snapshot.id, { price, source: 'test', capturedAt: snapshot.due_at_ms });
+    }
+}
+
+before(async () => {
+    const repos = await useTestDatabase();
+    await recordCall(repos, 'alice', '1', 1, 2);
+    await recordCall(repos, 'bob', '2', 1, 0.5);
+});
+
+test('the leaderboard matches accounts whatever the case of the configured usernames', async () => {
+    const board = await performance.getLeaderboard(['Alice', '@BOB', 'alice'], { minCalls: 1 });
+    assert.deepEqual(board.accounts.map(a => [a.rank, a.username, a.calls, a.median_return_pct]), [
+        [1, 'alice', 1, 100],
+        [2, 'bob', 1, -50]
+    ]);
+});
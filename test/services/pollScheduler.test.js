@@ -0,0 +1,93 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase, apiTweet } = require('../helpers/database');
+const PollScheduler = require('../../src/services/pollScheduler');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WINDOW_MS = 15 * MINUTE_MS;
+const now = Date.UTC(2026, 0, 31, 12);
+const ACCOUNTS = ['busy', 'quiet', 'new1', 'new2', 'new3', 'new4'];
+
+/**
+ * Twitter service stub whose userTimeline limit is `requests` per 15 minutes, with `remaining`
+ * left in a window that resets in `resetInMs`
+ */
+function timelineLimit({ requests, remaining = requests, resetInMs = WINDOW_MS }) {
+    return {
+        rateLimitManager: {
+            limits: { userTimeline: { requests, windowMs: WINDOW_MS } },
+            getRateLimitStatus: () => ({ userTimeline: { remaining, resetTime: now + resetInMs } })
+        }
+    };
+}
+
+async function plan(limit) {
+    const scheduler = new PollScheduler({ twitterService: timelineLimit(limit), now: () => now });
+    scheduler.track(ACCOUNTS);
+    const budget = await scheduler.plan();
+    return { scheduler, budget, interval: username => scheduler.accounts.get(username).intervalMs };
+}
+
+// Polls the schedule makes over `ms`
+function pollsWithin(scheduler, ms) {
+    return [...scheduler.accounts.values()].reduce((sum, account) => sum + ms / account.intervalMs, 0);
+}
+
+before(async () => {
+    const repos = await useTestDatabase();
+    // busy: 10 tweets a day for 30 days; quiet: one tweet 29 days ago; new1-4: no history
+    const busy = Array.from({ length: 300 }, (_, i) => apiTweet(String(1000 + i), now - (i + 1) * (DAY_MS / 10)));
+    await repos.tweets.upsertMany(busy, 'busy');
+    await repos.tweets.upsertMany([apiTweet('1', now - 29 * DAY_MS)], 'quiet');
+});
+
+test('the allocated polls fit the polling share of the userTimeline window', async () => {
+    const { scheduler, budget } = await plan({ requests: 100 });
+    assert.equal(budget.planRequestsPerMinute, 4);
+
+    const polls = pollsWithin(scheduler, WINDOW_MS);
+    assert.ok(polls <= 100 * 0.6 + 0.01, `${polls} polls per window`);
+    assert.ok(polls >= 100 * 0.6 - 0.01, `only ${polls} of 60 polls used`);
+});
+
+test('a quiet account is clamped to the 15-minute maximum and the rest is shared', async () => {
+    const { scheduler, interval } = await plan({ requests: 100 });
+    assert.equal(interval('quiet'), 15 * MINUTE_MS);
+    assert.match(scheduler.accounts.get('quiet').rationale, /at the slowest interval/);
+
+    assert.ok(interval('busy') < interval('new1'));
+    assert.equal(interval('new1'), interval('new4'));
+    assert.ok(interval('new1') < 15 * MINUTE_MS);
+});
+
+test('a hot account is pinned to the fastest interval and the others get what it leaves', async () => {
+    const scheduler = new PollScheduler({ twitterService: timelineLimit({ requests: 900 }), now: () => now });
+    scheduler.track(ACCOUNTS);
+    scheduler.recordPoll('busy', [{ created_at: new Date(now).toISOString() }]);
+    await scheduler.plan();
+
+    const busy = scheduler.accounts.get('busy');
+    assert.equal(busy.intervalMs, 5000);
+    assert.match(busy.rationale, /at the fastest interval/);
+
+    const others = [...scheduler.accounts.values()].filter(account => account !== busy);
+    const otherPolls = others.reduce((sum, account) => sum + WINDOW_MS / account.intervalMs, 0);
+    assert.ok(Math.abs(otherPolls - (900 * 0.6 - WINDOW_MS / 5000)) < 0.01, `${otherPolls} polls for the others`);
+});
+
+test('polling uses at most BUDGET_SHARE of the window, less when the window is nearly spent', async () => {
+    const full = await plan({ requests: 300 });
+    assert.ok(Math.abs(pollsWithin(full.scheduler, WINDOW_MS) - 300 * 0.6) < 0.01);
+
+    // 130 left with 5 minutes to go: 120 are kept back for other requests, 10 can be polled
+    const spent = await plan({ requests: 300, remaining: 130, resetInMs: 5 * MINUTE_MS });
+    assert.ok(Math.abs(spent.budget.requestsPerMs * 5 * MINUTE_MS - 10) < 1e-9);
+    assert.match(spent.scheduler.accounts.get('new1').rationale, /throttled: 130 timeline requests left/);
+    assert.ok(pollsWithin(spent.scheduler, 5 * MINUTE_MS) <= 10 + 0.01);
+
+    // Nothing left for polling: every account waits for the reset
+    const empty = await plan({ requests: 300, remaining: 100, resetInMs: 20 * MINUTE_MS });
+    assert.deepEqual(ACCOUNTS.map(empty.interval), ACCOUNTS.map(() => 20 * MINUTE_MS));
+});
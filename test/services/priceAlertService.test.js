@@ -0,0 +1,127 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase, apiTweet } = require('../helpers/database');
+const PriceAlertService = require('../../src/services/priceAlertService');
+
+const MINUTE_MS = 60 * 1000;
+const now = Date.now();
+let repos;
+
+// Prices set by the tests, formatted like PriceService
+const prices = new Map();
+const priceService = {
+    getPrice: symbol => prices.has(symbol) ? { symbol, price: prices.get(symbol), formattedPrice: `$${prices.get(symbol)}` } : null,
+    formatPrice: price => `$${price}`,
+    formatChange: pct => `${pct.toFixed(2)}%`
+};
+
+function createAlerts() {
+    const sent = [];
+    const alerts = new PriceAlertService({ priceService, notifier: { notifyPriceAlert: async alert => sent.push(alert) } });
+    return { alerts, sent };
+}
+
+before(async () => {
+    repos = await useTestDatabase();
+});
+
+test('normalizeRule fills defaults and rejects invalid rules', () => {
+    const rule = PriceAlertService.normalizeRule({ type: 'price_cross', symbol: '$sol', params: { price: '200', extra: 1 } });
+    assert.equal(rule.symbol, 'SOL');
+    assert.deepEqual(rule.params, { price: 200, direction: 'any' });
+    assert.deepEqual(rule.channels, ['telegram', 'discord']);
+    assert.equal(rule.cooldown_minutes, 60);
+    assert.equal(rule.enabled, true);
+
+    assert.throws(() => PriceAlertService.normalizeRule({ type: 'nope' }), TypeError);
+    assert.throws(() => PriceAlertService.normalizeRule({ type: 'price_cross', params: { price: 1 } }), /need a symbol/);
+    assert.throws(() => PriceAlertService.normalizeRule({ type: 'price_cross', symbol: 'SOL' }), /params.price/);
+    assert.throws(() => PriceAlertService.normalizeRule({ type: 'mention_burst', params: { min_accounts: 1 } }), /min_accounts/);
+    assert.throws(() => PriceAlertService.normalizeRule({ type: 'move_since_mention', params: { direction: 'sideways' } }), /direction/);
+    assert.throws(() => PriceAlertService.normalizeRule({ type: 'mention_burst', channels: ['email'] }), /channels/);
+    assert.throws(() => PriceAlertService.normalizeRule({ type: 'mention_burst', cooldown_minutes: -1 }), /cooldown_minutes/);
+});
+
+test('normalizeRule keeps the params of an update unless the type changes', () => {
+    const existing = PriceAlertService.normalizeRule({ type: 'move_since_mention', params: { pct: 50, lookback_hours: 24 } });
+    assert.deepEqual(PriceAlertService.normalizeRule({ params: { pct: 10 } }, existing).params, { pct: 10, direction: 'any', lookback_hours: 24 });
+    assert.deepEqual(PriceAlertService.normalizeRule({ type: 'mention_burst' }, existing).params, { min_accounts: 3, window_minutes: 60 });
+});
+
+test('price_cross fires when the price changes side, not on the first observation', async () => {
+    const { alerts, sent } = createAlerts();
+    await alerts.createRule({ type: 'price_cross', symbol: 'SOL', params: { price: 200, direction: 'above' }, cooldown_minutes: 0 });
+
+    prices.set('SOL', 190);
+    assert.deepEqual(await alerts.evaluate(['SOL'], now), []);
+    prices.set('SOL', 195);
+    assert.deepEqual(await alerts.evaluate(['SOL'], now + MINUTE_MS), []);
+
+    prices.set('SOL', 205);
+    const fired = await alerts.evaluate(['SOL'], now + 2 * MINUTE_MS);
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].value, 205);
+    assert.match(sent[0].message, /crossed above \$200/);
+
+    // Falling back below does not match direction 'above'
+    prices.set('SOL', 180);
+    assert.deepEqual(await alerts.evaluate(['SOL'], now + 3 * MINUTE_MS), []);
+    await alerts.deleteRule(fired[0].rule_id);
+});
+
+test('a rule fires at most once per symbol within its cooldown', async () => {
+    const { alerts, sent } = createAlerts();
+    const rule = await alerts.createRule({ type: 'price_cross', symbol: 'ETH', params: { price: 3000 }, cooldown_minutes: 30 });
+
+    prices.set('ETH', 2900);
+    await alerts.evaluate(['ETH'], now);
+    prices.set('ETH', 3100);
+    assert.equal((await alerts.evaluate(['ETH'], now + MINUTE_MS)).length, 1);
+    prices.set('ETH', 2900);
+    assert.equal((await alerts.evaluate(['ETH'], now + 2 * MINUTE_MS)).length, 0);
+
+    prices.set('ETH', 3100);
+    assert.equal((await alerts.evaluate(['ETH'], now + 32 * MINUTE_MS)).length, 1);
+    assert.equal(sent.length, 2);
+
+    // The cooldown survives a restart: it is read back from the stored events
+    const restarted = createAlerts();
+    prices.set('ETH', 2900);
+    await restarted.alerts.evaluate(['ETH'], now + 33 * MINUTE_MS);
+    prices.set('ETH', 3100);
+    assert.equal((await restarted.alerts.evaluate(['ETH'], now + 34 * MINUTE_MS)).length, 0);
+    await alerts.deleteRule(rule.id);
+});
+
+test('mention_burst fires for tickers mentioned by enough accounts within the window', async () => {
+    for (const [i, username] of ['alice', 'bob', 'carol'].entries()) {
+        const id = `90${i}`;
+        await repos.tweets.upsertMany([apiTweet(id, now - (10 + i) * MINUTE_MS, `$PEPE looks ready ${username}`)], username);
+        await repos.tickerMentions.recordForTweets([{ tweetId: id, tickers: ['PEPE'] }]);
+    }
+    await repos.tweets.upsertMany([apiTweet('910', now - 5 * MINUTE_MS, '$WIF')], 'alice');
+    await repos.tickerMentions.recordForTweets([{ tweetId: '910', tickers: ['WIF'] }]);
+
+    const { alerts, sent } = createAlerts();
+    const rule = await alerts.createRule({ type: 'mention_burst', params: { min_accounts: 3, window_minutes: 30 } });
+
+    const fired = await alerts.evaluate([], now);
+    assert.deepEqual(fired.map(alert => [alert.symbol, alert.value]), [['PEPE', 3]]);
+    assert.match(sent[0].message, /\$PEPE mentioned by 3 tracked accounts in 30m/);
+
+    // Outside the window nobody has mentioned it
+    const later = await alerts.evaluate([], now + 2 * 60 * MINUTE_MS);
+    assert.deepEqual(later, []);
+    await alerts.deleteRule(rule.id);
+});
+
+test('watchedSymbols covers rule symbols and tickers mentioned within a move_since_mention lookback', async () => {
+    const { alerts } = createAlerts();
+    const cross = await alerts.createRule({ type: 'price_cross', symbol: 'LINK', params: { price: 20 } });
+    assert.deepEqual(await alerts.watchedSymbols(now), ['LINK']);
+
+    const move = await alerts.createRule({ type: 'move_since_mention', params: { lookback_hours: 1 } });
+    assert.deepEqual((await alerts.watchedSymbols(now)).sort(), ['LINK', 'PEPE', 'WIF']);
+    await alerts.deleteRule(cross.id);
+    await alerts.deleteRule(move.id);
+});
@@ -0,0 +1,78 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('../helpers/database');
+const PriceService = require('../../src/services/priceService');
+
+const DOGWIFCOIN = { id: 'dogwifcoin', symbol: 'WIF', coingecko_id: 'dogwifcoin', cmc_id: null, contract_addresses: {} };
+const WIF_ON_ETH = { id: 'wif-on-eth', symbol: 'WIF', coingecko_id: 'wif-on-eth', cmc_id: null, contract_addresses: {} };
+
+// Provider answers: CoinGecko by coin id, Binance by pair, DexScreener knows nothing
+const http = {
+    requests: [],
+    async get(url, { params = {} } = {}) {
+        this.requests.push(url);
+        if (url.endsWith('/simple/price')) {
+            const prices = { dogwifcoin: { usd: 2.41, usd_24h_change: -3 }, 'wif-on-eth': { usd: 0.01, usd_24h_change: 12 } };
+            return { status: 200, data: Object.fromEntries(params.ids.split(',').map(id => [id, prices[id]])) };
+        }
+        if (url.endsWith('/ticker/24hr')) {
+            return { status: 200, data: { symbol: params.symbol, lastPrice: '2.4300', priceChangePercent: '-2.500' } };
+        }
+        return { status: 200, data: { pairs: [] } };
+    }
+};
+
+/**
+ * Price service whose registry resolves WIF to the given token
+ */
+function createPriceService(match) {
+    return new PriceService({ http, tokenRegistry: { resolveSymbols: async symbols => new Map(symbols.map(s => [s, match])) } });
+}
+
+before(async () => {
+    await useTestDatabase();
+    mock.timers.enable({ apis: ['setInterval'] }); // no background price updates
+});
+
+after(() => mock.timers.reset());
+
+test('the primary token of a symbol is priced from every source', async () => {
+    const prices = createPriceService({ token: DOGWIFCOIN, alternatives: [WIF_ON_ETH], resolvedBy: 'market_cap', primary: true });
+    await prices.refreshQuotes(['WIF']);
+
+    const wif = prices.getPrice('WIF');
+    assert.equal(wif.source, 'consensus');
+    assert.equal(wif.price, 2.42);
+    assert.deepEqual(wif.provenance.sources.map(s => s.provider), ['coingecko', 'binance']);
+});
+
+test('a colliding symbol resolved to another token is not averaged with the exchange pair', async () => {
+    const prices = createPriceService({ token: WIF_ON_ETH, alternatives: [DOGWIFCOIN], resolvedBy: 'tweet_contract', primary: false });
+    http.requests.length = 0;
+    await prices.refreshQuotes(['WIF']);
+
+    const wif = prices.getPrice('WIF');
+    assert.equal(wif.source, 'coingecko');
+    assert.equal(wif.price, 0.01);
+    assert.equal(http.requests.some(url => url.includes('binance')), false);
+});
+
+test('exchange quotes kept from before a symbol was re-resolved are dropped', async () => {
+    const match = { token: DOGWIFCOIN, alternatives: [], resolvedBy: 'symbol', primary: true };
+    const prices = createPriceService(match);
+    await prices.refreshQuotes(['WIF']);
+    assert.equal(prices.getPrice('WIF').source, 'consensus');
+
+    Object.assign(match, { token: WIF_ON_ETH, resolvedBy: 'override', primary: false });
+    prices.quotes.get('coingecko').clear(); // let CoinGecko quote the newly pinned token
+    await prices.refreshQuotes(['WIF']);
+    assert.equal(prices.getPrice('WIF').source, 'coingecko');
+    assert.equal(prices.getPrice('WIF').price, 0.01);
+});
+
+test('automatic updates refresh popular tickers plus every watched source', async () => {
+    const prices = createPriceService(null);
+    prices.watchSymbols(async () => ['WIF', 'BTC']);
+    prices.watchSymbols(async () => { throw new Error('database is down'); });
+    assert.deepEqual(await prices.watchedSymbols(), [...prices.popularTickers, 'WIF']);
+});
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimitManager = require('../../src/services/rateLimitManager');
+
+const START = Date.parse('2025-01-01T00:00:00Z'); // start of a 15-minute window
+const WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Manager on a fake clock: sleeping advances time instantly, and `used` requests were already
+ * made in the current window
+ */
+function createManager({ plan = 'pro', used = 0 } = {}) {
+    const clock = { t: START };
+    const manager = new RateLimitManager({
+        plan,
+        now: () => clock.t,
+        sleep: async ms => { clock.t += ms; },
+        usage: { get: async () => ({ count: used }), increment: async () => {} }
+    });
+    return { manager, clock };
+}
+
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Queue a request that records when it ran under `name`
+ */
+function track(manager, clock, runs, name, { endpoint = 'userTimeline', priority = 0, account = null } = {}) {
+    return manager.queueRequest(async () => { runs.push({ name, at: clock.t }); return null; }, endpoint, priority, account);
+}
+
+test('higher priority runs first, but a request that waited long enough overtakes it', async () => {
+    const { manager, clock } = createManager();
+    const runs = [];
+    let release;
+    const blocker = manager.queueRequest(() => new Promise(resolve => { release = resolve; }), 'userTimeline', 10);
+    await settle();
+
+    const waited = track(manager, clock, runs, 'waited 90s', { account: 'alice' });
+    const urgent = track(manager, clock, runs, 'priority 2, same time', { priority: 2, account: 'bob' });
+    clock.t += 90 * 1000; // aging adds 1 per 30s: both gain 3, so 0 + 3 beats a fresh 2
+    const late = track(manager, clock, runs, 'priority 2, late', { priority: 2, account: 'carol' });
+
+    release();
+    await Promise.all([blocker, waited, urgent, late]);
+    assert.deepEqual(runs.map(run => run.name), ['priority 2, same time', 'waited 90s', 'priority 2, late']);
+});
+
+test('recent dispatches for an account lower its next request so others are not starved', async () => {
+    const { manager, clock } = createManager();
+    const runs = [];
+    await Promise.all([
+        track(manager, clock, runs, 'alice 1', { account: 'alice' }),
+        track(manager, clock, runs, 'alice 2', { account: 'alice' }),
+        track(manager, clock, runs, 'alice 3', { account: 'alice' }),
+        track(manager, clock, runs, 'bob 1', { account: 'bob' })
+    ]);
+    assert.deepEqual(runs.map(run => run.name), ['alice 1', 'bob 1', 'alice 2', 'alice 3']);
+});
+
+test('an empty bucket holds requests until its window resets', async () => {
+    const { manager, clock } = createManager({ plan: 'basic', used: 14 }); // tweetLookup: 15 per window
+    const runs = [];
+    await Promise.all([
+        track(manager, clock, runs, 'last one', { endpoint: 'tweetLookup' }),
+        track(manager, clock, runs, 'next window', { endpoint: 'tweetLookup' })
+    ]);
+    assert.equal(runs[0].at, START);
+    assert.equal(runs[1].at, START + WINDOW_MS);
+    assert.equal(await manager.getRemaining('tweetLookup'), 14);
+});
+
+test('rate limit headers replace the local count, keeping the plan headroom', async () => {
+    const { manager } = createManager(); // pro tweetLookup: 400 of X's 450
+    await manager.queueRequest(async () => ({
+        data: null,
+        rateLimit: { limit: 450, remaining: 100, reset: (START + 5 * 60 * 1000) / 1000 }
+    }), 'tweetLookup');
+
+    const status = manager.getRateLimitStatus().tweetLookup;
+    assert.equal(status.remaining, 50);
+    assert.equal(status.source, 'headers');
+    assert.equal(status.resetTime, START + 5 * 60 * 1000);
+});
+
+test('a 429 retries with exponential backoff', async () => {
+    const { manager, clock } = createManager();
+    const attempts = [];
+    const result = await manager.queueRequest(async () => {
+        attempts.push(clock.t);
+        if (attempts.length < 3) throw Object.assign(new Error('Too Many Requests'), { code: 429 });
+        return 'ok';
+    }, 'userTimeline');
+
+    assert.equal(result, 'ok');
+    assert.deepEqual(attempts.map(at => at - START), [0, 2000, 6000]);
+    assert.equal(manager.getQueueStatus().retried, 2);
+});
+
+test('a 429 with a reset time waits until that reset', async () => {
+    const { manager, clock } = createManager();
+    const resetAt = START + 60 * 1000;
+    const attempts = [];
+    await manager.queueRequest(async () => {
+        attempts.push(clock.t);
+        if (attempts.length === 1) {
+            throw Object.assign(new Error('Too Many Requests'), { code: 429, rateLimit: { reset: resetAt / 1000 } });
+        }
+        return null;
+    }, 'userTimeline');
+
+    assert.deepEqual(attempts.map(at => at - START), [0, 60000]);
+});
+
+test('a request still rate limited after the maximum retries is rejected', async () => {
+    const { manager } = createManager();
+    let attempts = 0;
+    await assert.rejects(
+        manager.queueRequest(async () => {
+            attempts++;
+            throw Object.assign(new Error('Too Many Requests'), { code: 429 });
+        }, 'userTimeline'),
+        error => error.retries === 5
+    );
+    assert.equal(attempts, 6);
+    assert.equal(manager.getQueueStatus().rejected, 1);
+});
+
+test('a request for a ready endpoint runs while another endpoint waits out its backoff', async () => {
+    const manager = new RateLimitManager({ usage: { get: async () => ({ count: 0 }), increment: async () => {} } });
+    let lookups = 0;
+    const limited = manager.queueRequest(async () => {
+        if (++lookups === 1) throw Object.assign(new Error('Too Many Requests'), { code: 429 });
+        return 'lookup';
+    }, 'tweetLookup');
+    while (lookups === 0) await settle();
+    await new Promise(resolve => setTimeout(resolve, 200)); // the queue is now waiting for the backoff
+
+    const started = Date.now();
+    assert.equal(await manager.queueRequest(async () => 'timeline', 'userTimeline', 3), 'timeline');
+    assert.ok(Date.now() - started < 1000, `waited ${Date.now() - started}ms`);
+    assert.equal(await limited, 'lookup'); // retried after its 2s backoff
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const StreamSupervisor = require('../../src/services/streamSupervisor');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Supervisor on a fake clock whose stream connects only once `available` is set
+ */
+function createSupervisor({ lastPolledAt }) {
+    const calls = [];
+    const state = { t: Date.parse('2025-01-01T00:00:00Z'), available: false };
+    const supervisor = new StreamSupervisor({
+        startStream: async () => (state.available ? new EventEmitter() : null),
+        closeStream: () => calls.push('closeStream'),
+        startPolling: async () => calls.push('startPolling'),
+        stopPolling: () => calls.push('stopPolling'),
+        lastPolledAt: () => lastPolledAt(state.t),
+        catchUp: async window => { calls.push(['catchUp', window]); return 3; },
+        now: () => state.t
+    });
+    return { supervisor, calls, state };
+}
+
+test('a successful probe catches up from the oldest account poll before polling stops', async () => {
+    const { supervisor, calls, state } = createSupervisor({ lastPolledAt: t => t - 20 * MINUTE_MS });
+    await supervisor.fallBack('stream unavailable at startup');
+
+    state.t += 5 * MINUTE_MS;
+    await supervisor.probeStream(); // still down
+    assert.equal(supervisor.mode, 'polling');
+
+    state.t += 10 * MINUTE_MS;
+    state.available = true;
+    await supervisor.probeStream();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(supervisor.mode, 'streaming');
+    assert.deepEqual(calls, [
+        'closeStream',
+        'startPolling',
+        'stopPolling',
+        ['catchUp', { from: state.t - 20 * MINUTE_MS, to: state.t }]
+    ]);
+    assert.deepEqual(supervisor.outages[0], {
+        from: new Date(state.t - 20 * MINUTE_MS).toISOString(),
+        to: new Date(state.t).toISOString(),
+        durationMs: 20 * MINUTE_MS,
+        source: 'probe',
+        recovered: 3
+    });
+});
+
+test('nothing is caught up when no account was polled yet', async () => {
+    const { supervisor, calls, state } = createSupervisor({ lastPolledAt: () => null });
+    await supervisor.fallBack('stream unavailable at startup');
+    state.available = true;
+    await supervisor.probeStream();
+
+    assert.deepEqual(calls, ['closeStream', 'startPolling', 'stopPolling']);
+    assert.equal(supervisor.outages.length, 0);
+});
@@ -0,0 +1,63 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase, apiTweet } = require('../helpers/database');
+const TickerMentionService = require('../../src/services/tickerMentionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.UTC(2026, 0, 1);
+const mentions = new TickerMentionService();
+let repos;
+
+before(async () => {
+    repos = await useTestDatabase();
+    const calls = [['alice', 0], ['bob', 0.5], ['alice', 1.5], ['carol', 3.2], ['Bob', 3.5]];
+    for (const [i, [username, hours]] of calls.entries()) {
+        const id = String(100 + i);
+        await repos.tweets.upsertMany([apiTweet(id, start + hours * HOUR_MS, `$WIF ${i}`)], username);
+        await repos.tickerMentions.recordForTweets([{ tweetId: id, tickers: ['WIF'] }]);
+    }
+});
+
+test('timeline totals and velocity cover every mention in range', async () => {
+    const timeline = await mentions.getTimeline('WIF', { excludeUsernames: ['CAROL'] });
+    assert.equal(timeline.total_mentions, 4);
+    assert.equal(timeline.distinct_accounts, 2);
+    assert.equal(timeline.first_mention_at, new Date(start).toISOString());
+    assert.equal(timeline.last_mention_at, new Date(start + 3.5 * HOUR_MS).toISOString());
+    assert.equal(timeline.mentions_truncated, false);
+    assert.deepEqual(timeline.mentions.map(m => m.tweet_id), ['100', '101', '102', '104']);
+    assert.deepEqual(timeline.velocity.map(p => [p.mentions, p.new_accounts, p.cumulative_accounts]), [
+        [2, 2, 2],
+        [1, 0, 2],
+        [0, 0, 2],
+        [1, 0, 2]
+    ]);
+
+    const recent = await mentions.getTimeline('WIF', { since: start + HOUR_MS });
+    assert.equal(recent.total_mentions, 3);
+    assert.deepEqual(recent.velocity.map(p => p.new_accounts), [1, 0, 2]);
+});
+
+test('repository timeline returns the newest mentions in time order', async () => {
+    const rows = await repos.tickerMentions.timeline('WIF', { limit: 2 });
+    assert.deepEqual(rows.map(row => row.tweet_id), ['103', '104']);
+});
+
+test('a long timeline lists the newest mentions but counts all of them', async () => {
+    const { db } = repos.tickerMentions;
+    for (let i = 0; i < 5005; i++) {
+        await db.execute(
+            'INSERT INTO ticker_mentions (ticker, username, tweet_id, mentioned_at_ms) VALUES (?, ?, ?, ?)',
+            ['PEPE', `caller${i % 7}`, String(10000 + i), start + i * 60 * 1000]
+        );
+    }
+
+    const timeline = await mentions.getTimeline('PEPE', { bucket: '1d' });
+    assert.equal(timeline.total_mentions, 5005);
+    assert.equal(timeline.distinct_accounts, 7);
+    assert.equal(timeline.last_mention_at, new Date(start + 5004 * 60 * 1000).toISOString());
+    assert.equal(timeline.mentions_truncated, true);
+    assert.equal(timeline.mentions.length, 5000);
+    assert.equal(timeline.mentions.at(-1).tweet_id, String(10000 + 5004));
+    assert.equal(timeline.velocity.reduce((sum, p) => sum + p.mentions, 0), 5005);
+});
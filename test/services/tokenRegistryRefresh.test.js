@@ -0,0 +1,71 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useTestDatabase } = require('../helpers/database');
+const { createFixtureHttp } = require('../helpers/fixtureHttp');
+const TokenRegistryService = require('../../src/services/tokenRegistryService');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'tokenRegistry');
+
+// Let pending database and fixture reads finish (setImmediate is not mocked)
+async function settle() {
+    for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+test('the first download is retried with backoff until it succeeds', async () => {
+    await useTestDatabase();
+    const fixtures = createFixtureHttp(FIXTURES, {
+        '/coins/list': 'coins-list.json',
+        '/coins/markets': 'coins-markets-2.json'
+    });
+    let failures = 2;
+    const http = {
+        async get(url, config) {
+            if (url.endsWith('/coins/list') && failures-- > 0) throw new Error('socket hang up');
+            return fixtures.get(url, config);
+        }
+    };
+
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    try {
+        const registry = new TokenRegistryService({ http, cmcApiKey: null });
+        registry.startAutoRefresh();
+        await settle();
+        assert.equal(registry.tokens.length, 0);
+
+        mock.timers.tick(30 * 1000); // first retry, fails again
+        await settle();
+        assert.equal(registry.tokens.length, 0);
+
+        mock.timers.tick(30 * 1000); // the next retry waits twice as long
+        await settle();
+        assert.equal(registry.tokens.length, 0);
+
+        mock.timers.tick(30 * 1000);
+        await settle();
+        assert.equal(registry.tokens.length, 7);
+        assert.equal(failures, -1);
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('a full refresh replaces market ranks, a partial one keeps the stored ranks', async () => {
+    await useTestDatabase();
+    let markets = params => (params.page === 1 ? 'coins-markets-1.json' : 'coins-markets-2.json');
+    const fixtures = createFixtureHttp(FIXTURES, { '/coins/list': 'coins-list.json', '/coins/markets': params => markets(params) });
+    const registry = new TokenRegistryService({ http: fixtures, cmcApiKey: null });
+    await registry.refresh();
+    assert.equal(registry.byId.get('pepe').market_cap_rank, 30);
+
+    // Page 1 fails: nothing is known about the ranks, so they stay
+    markets = params => (params.page === 1 ? null : 'coins-markets-2.json');
+    await registry.refresh();
+    assert.equal(registry.byId.get('pepe').market_cap_rank, 30);
+
+    // Every page answered and PEPE is on none of them: its rank is gone
+    markets = () => 'coins-markets-2.json';
+    await registry.refresh();
+    assert.equal(registry.byId.get('pepe').market_cap_rank, null);
+    assert.equal(registry.byId.get('bitcoin').market_cap_rank, null);
+});
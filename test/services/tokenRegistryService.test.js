@@ -0,0 +1,109 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useTestDatabase } = require('../helpers/database');
+const { createFixtureHttp } = require('../helpers/fixtureHttp');
+const TokenRegistryService = require('../../src/services/tokenRegistryService');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'tokenRegistry');
+const WIF_SOLANA = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const WIF_ETH = '0xBCD657377d4086cC582B215294c3611b997eF1be';
+
+let http;
+let registry;
+
+before(async () => {
+    await useTestDatabase();
+    http = createFixtureHttp(FIXTURES, {
+        '/coins/list': 'coins-list.json',
+        '/coins/markets': params => (params.page === 1 ? 'coins-markets-1.json' : 'coins-markets-2.json'),
+        '/cryptocurrency/map': 'cmc-map.json',
+        '/simple/price': 'simple-price.json'
+    });
+    registry = new TokenRegistryService({ http, cmcApiKey: 'test-key' });
+    await registry.refresh();
+});
+
+test('refresh builds the registry from the coin list, market ranks and CMC ids', async () => {
+    const stats = await registry.getStats();
+    assert.equal(stats.total_tokens, 7);
+    assert.deepEqual(stats.by_source, { coingecko: 7 });
+    assert.equal(stats.colliding_symbols, 1);
+
+    const pepe = registry.byId.get('pepe');
+    assert.equal(pepe.market_cap_rank, 30);
+    assert.equal(pepe.cmc_id, 24478); // matched by contract
+    assert.equal(registry.byId.get('bitcoin').cmc_id, 1); // matched by symbol and name
+    assert.deepEqual(registry.byId.get('astar').chains, []); // empty platforms dropped
+
+    // Re-reading from the database gives the same tokens
+    const reloaded = new TokenRegistryService({ http });
+    await reloaded.ensureLoaded();
+    assert.deepEqual(reloaded.byId.get('pepe'), pepe);
+});
+
+test('colliding symbols resolve by tweeted contract, then by market cap', async () => {
+    const byRank = await registry.resolve('$wif');
+    assert.equal(byRank.token.id, 'dogwifcoin');
+    assert.equal(byRank.resolvedBy, 'market_cap');
+    assert.equal(byRank.primary, true);
+    assert.deepEqual(byRank.alternatives.map(t => t.id), ['wif-on-eth']);
+
+    const byTweet = await registry.resolve('WIF', { contracts: [WIF_ETH.toLowerCase()] });
+    assert.equal(byTweet.token.id, 'wif-on-eth');
+    assert.equal(byTweet.resolvedBy, 'tweet_contract');
+    assert.equal(byTweet.primary, false);
+
+    const byContract = await registry.resolve(WIF_SOLANA);
+    assert.equal(byContract.token.id, 'dogwifcoin');
+    assert.equal(byContract.resolvedBy, 'contract');
+
+    const pinned = await registry.resolve('WIF', { contract: WIF_ETH });
+    assert.equal(pinned.token.id, 'wif-on-eth');
+    assert.equal(await registry.resolve('WIF', { contract: '0x000000000000000000000000000000000000dEaD' }), null);
+
+    assert.equal((await registry.resolve('ETH')).resolvedBy, 'symbol');
+    assert.equal(await registry.resolve('NOPE'), null);
+});
+
+test('search ranks exact, prefix and fuzzy matches', async () => {
+    const [exact] = await registry.search('pepe');
+    assert.deepEqual([exact.id, exact.match], ['pepe', 'symbol']);
+
+    const byName = await registry.search('dogwifhat');
+    assert.deepEqual([byName[0].id, byName[0].match], ['dogwifcoin', 'name']);
+
+    const fuzzy = await registry.search('etherium');
+    assert.deepEqual([fuzzy[0].id, fuzzy[0].match], ['ethereum', 'fuzzy']);
+
+    const [address] = await registry.search(WIF_ETH);
+    assert.deepEqual([address.id, address.match], ['wif-on-eth', 'contract']);
+});
+
+test('overrides pin a symbol until removed', async () => {
+    await registry.setOverride('$wif', { token_id: 'wif-on-eth', note: 'community pick' });
+    const pinned = await registry.resolve('WIF');
+    assert.equal(pinned.token.id, 'wif-on-eth');
+    assert.equal(pinned.resolvedBy, 'override');
+
+    await registry.setOverride('NEWCOIN', { contract_address: '0x1111111111111111111111111111111111111111' });
+    const contractOnly = await registry.resolve('NEWCOIN');
+    assert.equal(contractOnly.token.source, 'override');
+    assert.deepEqual(contractOnly.token.contract_addresses, { evm: '0x1111111111111111111111111111111111111111' });
+
+    assert.equal(await registry.removeOverride('wif'), true);
+    assert.equal((await registry.resolve('WIF')).token.id, 'dogwifcoin');
+
+    await assert.rejects(registry.setOverride('WIF', {}), TypeError);
+    await assert.rejects(registry.setOverride('WIF', { token_id: 'missing' }), /Unknown token id/);
+    await assert.rejects(registry.setOverride('WIF', { contract_address: 'not-an-address' }), TypeError);
+});
+
+test('batch prices resolve symbols and fetch them in one call', async () => {
+    http.requests.length = 0;
+    const prices = await registry.getBatchPrices(['$BTC', 'wif', 'NOPE']);
+    assert.deepEqual(Object.keys(prices), ['BTC', 'WIF']);
+    assert.equal(prices.WIF.usd, 2.41);
+    assert.equal(http.requests.length, 1);
+    assert.equal(http.requests[0].params.ids, 'bitcoin,dogwifcoin');
+});
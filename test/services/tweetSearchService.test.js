@@ -0,0 +1,51 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase, apiTweet } = require('../helpers/database');
+const TweetSearchService = require('../../src/services/tweetSearchService');
+
+const MINUTE_MS = 60 * 1000;
+const now = Date.now();
+const search = new TweetSearchService();
+
+before(async () => {
+    const repos = await useTestDatabase();
+    // The best match is older than 600 weaker ones
+    await repos.tweets.upsertMany([apiTweet('1', now - 1000 * MINUTE_MS, '$WIF $WIF $WIF')], 'alice');
+    const filler = Array.from({ length: 600 }, (_, i) => apiTweet(String(100 + i), now - (600 - i) * MINUTE_MS,
+        `long thread about markets and why $WIF might run to the moon, part ${i} of many more posts to come`));
+    await repos.tweets.upsertMany(filler, 'bob');
+    await repos.tweets.upsertMany([
+        apiTweet('2', now - 5 * MINUTE_MS, '$WIFI is a different ticker'),
+        apiTweet('3', now - 4 * MINUTE_MS, 'CA: So11111111111111111111111111111111111111112'),
+        apiTweet('4', now - 3 * MINUTE_MS, 'ca: so11111111111111111111111111111111111111112')
+    ], 'carol');
+});
+
+test('ranks and counts over every match, not just the newest', async () => {
+    const result = await search.search('$wif', { limit: 5 });
+    assert.equal(result.total, 601);
+    assert.equal(result.results.length, 5);
+    assert.equal(result.results[0].id, '1');
+    assert.ok(result.results[0].score > result.results[1].score);
+    assert.deepEqual(result.results[0].highlights, [[0, 4], [5, 9], [10, 14]]);
+});
+
+test('recent and oldest sorts page through the full match set', async () => {
+    const recent = await search.search('$WIF', { limit: 1, sort: 'recent' });
+    assert.equal(recent.results[0].id, '699');
+    const oldest = await search.search('$WIF', { limit: 1, sort: 'oldest' });
+    assert.equal(oldest.results[0].id, '1');
+});
+
+test('phrases made of short words and stopwords still match', async () => {
+    const result = await search.search('"to the moon"', { limit: 1 });
+    assert.equal(result.total, 600);
+    assert.match(result.results[0].snippet, /<mark>to the moon<\/mark>/);
+});
+
+test('base58 addresses match case-sensitively and filters apply before counting', async () => {
+    const result = await search.search('So11111111111111111111111111111111111111112');
+    assert.deepEqual(result.results.map(row => row.id), ['3']);
+    assert.equal((await search.search('$WIF', { excludeUsernames: ['bob'] })).total, 1);
+    assert.equal((await search.search('$WIF', { usernames: ['carol'] })).total, 0);
+});
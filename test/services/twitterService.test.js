@@ -0,0 +1,41 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase, apiTweet } = require('../helpers/database');
+const TwitterService = require('../../src/services/twitterService');
+
+const MINUTE_MS = 60 * 1000;
+const now = Date.UTC(2026, 0, 31, 12);
+
+before(async () => {
+    const repos = await useTestDatabase();
+    await repos.tweets.upsertMany([apiTweet('100', now - 60 * MINUTE_MS), apiTweet('205', now - 5 * MINUTE_MS)], 'alice');
+});
+
+test('catch-up pages through next_token until the outage is covered', async () => {
+    process.env.TWITTER_BEARER_TOKEN = 'test-token';
+    const twitter = new TwitterService();
+    twitter.userCache.set('alice', { id: '42', expiresAt: Infinity });
+    twitter.rateLimitManager = { queueRequest: request => request() };
+
+    // 250 tweets posted during the outage, newest first, 100 per page
+    const missed = Array.from({ length: 250 }, (_, i) => apiTweet(String(450 - i), now - 30 * MINUTE_MS + (250 - i) * 1000));
+    const calls = [];
+    twitter.readOnlyClient = {
+        v2: {
+            async userTimeline(userId, options) {
+                calls.push({ userId, ...options });
+                const page = options.pagination_token ? Number(options.pagination_token) : 0;
+                const tweets = missed.slice(page * 100, (page + 1) * 100);
+                return { tweets, includes: {}, meta: page < 2 ? { next_token: String(page + 1) } : {} };
+            }
+        }
+    };
+
+    const tweets = await twitter.fetchMissedTweets('alice', { from: now - 30 * MINUTE_MS, to: now });
+    assert.equal(calls.length, 3);
+    assert.deepEqual(calls.map(call => call.pagination_token), [undefined, '1', '2']);
+    assert.ok(calls.every(call => call.userId === '42' && call.since_id === '100' && call.end_time === new Date(now).toISOString()));
+    // Every missed tweet except the one already stored
+    assert.equal(tweets.length, 249);
+    assert.equal(tweets.some(tweet => tweet.id === '205'), false);
+});